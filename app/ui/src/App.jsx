@@ -4,21 +4,72 @@ import { ChatMessage } from './components/ChatMessage';
 import { ChatInput } from './components/ChatInput';
 import { ChatbotLogo } from './components/ChatbotLogo';
 import { MemoryPanel } from './components/MemoryPanel';
+import { CollectionsPanel } from './components/CollectionsPanel';
+import { TrashPanel } from './components/TrashPanel';
+import { ImportPanel } from './components/ImportPanel';
+import { PersonaPanel } from './components/PersonaPanel';
+import { PromptLibraryPanel } from './components/PromptLibraryPanel';
+import { SharedConversation } from './components/SharedConversation';
+import { WorkspacePanel } from './components/WorkspacePanel';
 import { useChat } from './hooks/useChat';
-import { getConversations, deleteConversation, createConversation, renameConversation } from './services/api';
+import {
+  getConversations,
+  deleteConversation,
+  createConversation,
+  renameConversation,
+  updateConversationLabels,
+  getWorkspaces,
+  getFolders,
+  createFolder,
+  deleteFolder,
+  getTags,
+  getPersonas,
+  getPromptTemplates,
+} from './services/api';
+
+// Identifies the listed conversations, to drop pages that arrive after switching workspace or filter
+const listKey = (workspaceId, filter) => JSON.stringify([workspaceId, filter]);
 
 /**
  * Main App Component
  */
 function App() {
-  const [conversations, setConversations] = useState([]);
+  // Loaded pages of the conversation list; nextLink fetches the next page (infinite scroll)
+  const [conversationList, setConversationList] = useState({ items: [], nextLink: null, count: null });
+  // Pinned conversations are listed separately above the others (when no filter is active)
+  const [pinnedConversations, setPinnedConversations] = useState([]);
+  // The user's folders and tags; listFilter narrows the list to one of them ({ folderId } or { tag })
+  // or shows the archived conversations ({ archived: true })
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [listFilter, setListFilter] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [showMemories, setShowMemories] = useState(false);
+  const [showCollections, setShowCollections] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showPersonas, setShowPersonas] = useState(false);
+  const [showPrompts, setShowPrompts] = useState(false);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  // Workspace whose conversations are listed (null = personal conversations)
+  const [currentWorkspaceId, setCurrentWorkspaceId] = useState(null);
+  // Token of a conversation opened via a share link (?share=<token>)
+  const [shareToken, setShareToken] = useState(() => new URLSearchParams(window.location.search).get('share'));
   const [loadingConversations, setLoadingConversations] = useState(true);
   const [user, setUser] = useState(null);
   const [modelName, setModelName] = useState('Unknown model');
+  const [models, setModels] = useState([]);
+  // The user's personas, selectable per conversation
+  const [personas, setPersonas] = useState([]);
+  // Prompt library (personal and workspace templates), inserted via / in the chat input
+  const [promptTemplates, setPromptTemplates] = useState([]);
   const [sessionExpired, setSessionExpired] = useState(false);
+  // Message opened from search: scrolled into view and highlighted briefly
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
   const messagesEndRef = useRef(null);
+  const listKeyRef = useRef(null);
+  const loadingMoreRef = useRef(false);
 
   const {
     messages,
@@ -26,22 +77,48 @@ function App() {
     isStreaming,
     error,
     currentConversationId,
+    selectedModel,
+    selectModel,
+    selectedPersona,
+    selectPersona,
     streamCompletedAt,
+    conversationRole,
+    remoteUpdate,
     sendMessage,
+    sendInBackground,
+    jobStatuses,
+    regenerateMessage,
+    editMessage,
+    switchBranch,
     loadConversation,
     startNewConversation,
     stopStreaming,
     clearConversation,
     setCurrentConversationId,
-  } = useChat();
+  } = useChat({ workspaceId: currentWorkspaceId });
+
+  // Viewers can read a workspace's conversations but not post or start new ones
+  const workspaceReadOnly = workspaces.find(w => w.ID === currentWorkspaceId)?.role === 'viewer';
+  const readOnly = conversationRole === 'viewer';
 
-  // Load conversations and user info on mount
+  // Load workspaces, user and model info on mount
   useEffect(() => {
-    loadConversationsList();
+    loadWorkspaces();
+    loadLabelOptions();
     loadUserInfo();
     loadModelInfo();
+    loadPersonas();
+    loadPromptTemplates();
   }, []);
 
+  // List the conversations of the selected workspace (and folder or tag)
+  useEffect(() => {
+    listKeyRef.current = listKey(currentWorkspaceId, listFilter);
+    setConversationList({ items: [], nextLink: null, count: null });
+    setPinnedConversations([]);
+    loadConversationsList();
+  }, [currentWorkspaceId, listFilter]);
+
   // Listen for session expiry from any layer (HTTP, SSE, WebSocket)
   useEffect(() => {
     const handler = () => setSessionExpired(true);
@@ -49,11 +126,22 @@ function App() {
     return () => window.removeEventListener('session-expired', handler);
   }, []);
 
-  // Scroll to bottom when messages change
+  // Scroll to bottom when messages change (or to the message opened from search)
   useEffect(() => {
+    const focused = focusedMessageId && document.getElementById(`message-${focusedMessageId}`);
+    if (focused) {
+      focused.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  useEffect(() => {
+    if (!focusedMessageId) return;
+    const timer = setTimeout(() => setFocusedMessageId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [focusedMessageId]);
+
   // Refresh conversations list only after a successful stream completion
   useEffect(() => {
     if (streamCompletedAt) {
@@ -61,10 +149,46 @@ function App() {
     }
   }, [streamCompletedAt]);
 
+  // Titles and the list change when other workspace members rename, delete or answer
+  useEffect(() => {
+    if (remoteUpdate && remoteUpdate.reason !== 'message_started') {
+      if (remoteUpdate.reason === 'deleted') dropFromList(remoteUpdate.conversationId);
+      loadConversationsList();
+    }
+  }, [remoteUpdate]);
+
+  const loadWorkspaces = async () => {
+    try {
+      setWorkspaces(await getWorkspaces());
+    } catch (err) {
+      console.error('Failed to load workspaces:', err);
+    }
+  };
+
+  /**
+   * Reload the first page of the list. Further pages that were already scrolled into view are kept
+   * (the cursor of the last one stays valid), so refreshing does not collapse the list.
+   */
   const loadConversationsList = async () => {
+    const key = listKey(currentWorkspaceId, listFilter);
     try {
-      const convs = await getConversations();
-      setConversations(convs);
+      const [page, pinned] = await Promise.all([
+        getConversations(currentWorkspaceId, listFilter || { pinned: false }),
+        listFilter ? null : getConversations(currentWorkspaceId, { pinned: true }),
+      ]);
+      if (listKeyRef.current !== key) return;
+      setPinnedConversations(pinned ? pinned.conversations : []);
+      setConversationList((prev) => {
+        if (prev.items.length <= page.conversations.length) {
+          return { items: page.conversations, nextLink: page.nextLink, count: page.count };
+        }
+        const firstPageIds = new Set(page.conversations.map(c => c.ID));
+        return {
+          items: [...page.conversations, ...prev.items.filter(c => !firstPageIds.has(c.ID))],
+          nextLink: prev.nextLink,
+          count: page.count,
+        };
+      });
     } catch (err) {
       console.error('Failed to load conversations:', err);
     } finally {
@@ -72,6 +196,61 @@ function App() {
     }
   };
 
+  // Remove a deleted conversation (it may sit on a page the refresh does not reload)
+  const dropFromList = (id) => {
+    setConversationList((prev) => ({ ...prev, items: prev.items.filter((c) => c.ID !== id) }));
+    setPinnedConversations((prev) => prev.filter((c) => c.ID !== id));
+  };
+
+  const loadMoreConversations = async () => {
+    const { nextLink } = conversationList;
+    if (!nextLink || loadingMoreRef.current) return;
+    const key = listKeyRef.current;
+    loadingMoreRef.current = true;
+    try {
+      const page = await getConversations(currentWorkspaceId, { nextLink });
+      if (listKeyRef.current !== key) return;
+      setConversationList((prev) => {
+        const loadedIds = new Set(prev.items.map(c => c.ID));
+        return {
+          items: [...prev.items, ...page.conversations.filter(c => !loadedIds.has(c.ID))],
+          nextLink: page.nextLink,
+          count: page.count ?? prev.count,
+        };
+      });
+    } catch (err) {
+      console.error('Failed to load more conversations:', err);
+    } finally {
+      loadingMoreRef.current = false;
+    }
+  };
+
+  const loadLabelOptions = async () => {
+    try {
+      const [folderList, tagList] = await Promise.all([getFolders(), getTags()]);
+      setFolders(folderList);
+      setTags(tagList);
+    } catch (err) {
+      console.error('Failed to load folders and tags:', err);
+    }
+  };
+
+  const loadPersonas = async () => {
+    try {
+      setPersonas(await getPersonas());
+    } catch (err) {
+      console.error('Failed to load personas:', err);
+    }
+  };
+
+  const loadPromptTemplates = async () => {
+    try {
+      setPromptTemplates(await getPromptTemplates());
+    } catch (err) {
+      console.error('Failed to load prompt templates:', err);
+    }
+  };
+
   const loadUserInfo = async () => {
     try {
       const response = await fetch('/api/userinfo');
@@ -95,6 +274,7 @@ function App() {
       if (response.ok) {
         const modelInfo = await response.json();
         setModelName(modelInfo.model || 'Unknown model');
+        setModels(modelInfo.models || []);
       }
     } catch (err) {
       console.log('Could not load model info');
@@ -107,9 +287,19 @@ function App() {
     setSidebarOpen(false);
   };
 
+  // Open a search hit: switch to its workspace, show the branch with the matching message
+  const handleSelectSearchResult = async (result) => {
+    if (result.workspaceId !== currentWorkspaceId) {
+      setCurrentWorkspaceId(result.workspaceId);
+    }
+    setFocusedMessageId(result.messageId);
+    await loadConversation(result.conversationId, { focusMessageId: result.messageId });
+    setSidebarOpen(false);
+  };
+
   const handleNewConversation = async () => {
     try {
-      const conv = await createConversation('New Conversation');
+      const conv = await createConversation('New Conversation', selectedModel, currentWorkspaceId, selectedPersona);
       await loadConversationsList();
       if (conv && conv.ID) {
         await loadConversation(conv.ID);
@@ -128,7 +318,8 @@ function App() {
       if (currentConversationId === id) {
         clearConversation();
       }
-      await loadConversationsList();
+      dropFromList(id);
+      await Promise.all([loadConversationsList(), loadLabelOptions()]);
     } catch (err) {
       console.error('Failed to delete conversation:', err);
     }
@@ -136,9 +327,11 @@ function App() {
 
   const handleRenameConversation = async (id, newTitle) => {
     // Optimistic update
-    setConversations((prev) =>
-      prev.map((c) => (c.ID === id ? { ...c, title: newTitle } : c))
-    );
+    setConversationList((prev) => ({
+      ...prev,
+      items: prev.items.map((c) => (c.ID === id ? { ...c, title: newTitle } : c)),
+    }));
+    setPinnedConversations((prev) => prev.map((c) => (c.ID === id ? { ...c, title: newTitle } : c)));
     try {
       await renameConversation(id, newTitle);
     } catch (err) {
@@ -147,6 +340,46 @@ function App() {
     }
   };
 
+  // Pin, archive, file or tag a conversation; it leaves the list if it no longer matches the filter
+  const handleUpdateLabels = async (id, changes) => {
+    try {
+      const labels = await updateConversationLabels(id, changes);
+      const stillListed = (c) => (listFilter
+        ? c.archived === Boolean(listFilter.archived)
+          && (!listFilter.folderId || c.folderId === listFilter.folderId) && (!listFilter.tag || c.tags.includes(listFilter.tag))
+        : !c.pinned && !c.archived);
+      setConversationList((prev) => ({
+        ...prev,
+        items: prev.items
+          .map((c) => (c.ID === id ? { ...c, ...labels } : c))
+          .filter((c) => c.ID !== id || stillListed(c)),
+      }));
+      await Promise.all([loadConversationsList(), loadLabelOptions()]);
+    } catch (err) {
+      console.error('Failed to update conversation labels:', err);
+    }
+  };
+
+  const handleCreateFolder = async (name) => {
+    try {
+      await createFolder(name);
+      await loadLabelOptions();
+    } catch (err) {
+      console.error('Failed to create folder:', err);
+    }
+  };
+
+  const handleDeleteFolder = async (id) => {
+    try {
+      await deleteFolder(id);
+      if (listFilter?.folderId === id) setListFilter(null);
+      else await loadConversationsList();
+      await loadLabelOptions();
+    } catch (err) {
+      console.error('Failed to delete folder:', err);
+    }
+  };
+
   const handleNavigateHome = () => {
     clearConversation();
     setSidebarOpen(false);
@@ -157,10 +390,43 @@ function App() {
     setSidebarOpen(false);
   };
 
+  const handleOpenCollections = () => {
+    setShowCollections(true);
+    setSidebarOpen(false);
+  };
+
+  const handleOpenTrash = () => {
+    setShowTrash(true);
+    setSidebarOpen(false);
+  };
+
+  const handleOpenPersonas = () => {
+    setShowPersonas(true);
+    setSidebarOpen(false);
+  };
+
+  const handleOpenPrompts = () => {
+    setShowPrompts(true);
+    setSidebarOpen(false);
+    // Pick up templates shared in the workspaces meanwhile
+    loadPromptTemplates();
+  };
+
+  const handleOpenImport = () => {
+    setShowImport(true);
+    setSidebarOpen(false);
+  };
+
+  const handleSelectWorkspace = (workspaceId) => {
+    clearConversation();
+    setCurrentWorkspaceId(workspaceId);
+  };
+
   const handleExampleClick = async (text) => {
+    if (workspaceReadOnly) return;
     // Create a new conversation and send the example message
     try {
-      const conv = await createConversation('New Conversation');
+      const conv = await createConversation('New Conversation', selectedModel, currentWorkspaceId, selectedPersona);
       await loadConversationsList();
       if (conv && conv.ID) {
         await loadConversation(conv.ID);
@@ -172,6 +438,15 @@ function App() {
     }
   };
 
+  const handleExitShared = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setShareToken(null);
+  };
+
+  if (shareToken) {
+    return <SharedConversation token={shareToken} onExit={handleExitShared} />;
+  }
+
   return (
     <div className="h-screen flex bg-dark-900">
       {/* Session expired overlay */}
@@ -198,14 +473,36 @@ function App() {
       )}
       {/* Sidebar */}
       <Sidebar
-        conversations={conversations}
+        conversations={conversationList.items}
+        jobStatuses={jobStatuses}
+        pinnedConversations={pinnedConversations}
+        folders={folders}
+        tags={tags}
+        listFilter={listFilter}
+        onFilterList={setListFilter}
+        onUpdateLabels={handleUpdateLabels}
+        onCreateFolder={handleCreateFolder}
+        onDeleteFolder={handleDeleteFolder}
+        conversationCount={conversationList.count}
+        hasMoreConversations={Boolean(conversationList.nextLink)}
+        onLoadMoreConversations={loadMoreConversations}
         currentConversationId={currentConversationId}
         onSelectConversation={handleSelectConversation}
+        onSelectSearchResult={handleSelectSearchResult}
         onNewConversation={handleNewConversation}
         onDeleteConversation={handleDeleteConversation}
         onRenameConversation={handleRenameConversation}
         onNavigateHome={handleNavigateHome}
         onOpenMemories={handleOpenMemories}
+        onOpenCollections={handleOpenCollections}
+        onOpenTrash={handleOpenTrash}
+        onOpenImport={handleOpenImport}
+        onOpenPersonas={handleOpenPersonas}
+        onOpenPrompts={handleOpenPrompts}
+        workspaces={workspaces}
+        currentWorkspaceId={currentWorkspaceId}
+        onSelectWorkspace={handleSelectWorkspace}
+        onOpenWorkspaces={() => { setShowWorkspaces(true); setSidebarOpen(false); }}
         isOpen={sidebarOpen}
         onClose={() => setSidebarOpen(false)}
         user={user}
@@ -215,6 +512,64 @@ function App() {
       {/* Memory panel */}
       {showMemories && <MemoryPanel onClose={() => setShowMemories(false)} />}
 
+      {/* Knowledge base panel */}
+      {showCollections && (
+        <CollectionsPanel conversationId={currentConversationId} onClose={() => setShowCollections(false)} />
+      )}
+
+      {/* Trash panel */}
+      {showTrash && (
+        <TrashPanel
+          workspaces={workspaces}
+          onRestored={() => { loadConversationsList(); loadLabelOptions(); }}
+          onClose={() => setShowTrash(false)}
+        />
+      )}
+
+      {/* Personas panel */}
+      {showPersonas && (
+        <PersonaPanel
+          personas={personas}
+          models={models}
+          onChanged={loadPersonas}
+          onDeleted={(id) => { if (id === selectedPersona) selectPersona(null); }}
+          onClose={() => setShowPersonas(false)}
+        />
+      )}
+
+      {/* Prompt library panel */}
+      {showPrompts && (
+        <PromptLibraryPanel
+          templates={promptTemplates}
+          workspaces={workspaces}
+          currentWorkspaceId={currentWorkspaceId}
+          onChanged={loadPromptTemplates}
+          onClose={() => setShowPrompts(false)}
+        />
+      )}
+
+      {/* Import panel */}
+      {showImport && (
+        <ImportPanel
+          workspaces={workspaces}
+          currentWorkspaceId={currentWorkspaceId}
+          onImported={() => { loadConversationsList(); loadLabelOptions(); }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {/* Workspaces panel */}
+      {showWorkspaces && (
+        <WorkspacePanel
+          workspaces={workspaces}
+          currentWorkspaceId={currentWorkspaceId}
+          userId={user?.id}
+          onChanged={loadWorkspaces}
+          onSelectWorkspace={handleSelectWorkspace}
+          onClose={() => setShowWorkspaces(false)}
+        />
+      )}
+
       {/* Main content */}
       <main className="flex-1 flex flex-col min-w-0">
         {/* Header - Mobile menu button only */}
@@ -246,11 +601,19 @@ function App() {
             <WelcomeScreen 
               onExampleClick={handleExampleClick} 
               ChatbotLogo={ChatbotLogo}
-              modelName={modelName}
+              modelName={models.find(m => m.id === selectedModel)?.name || modelName}
+              models={models}
+              selectedModel={selectedModel}
+              onSelectModel={selectModel}
+              personas={personas}
+              selectedPersona={selectedPersona}
+              onSelectPersona={selectPersona}
+              promptTemplates={promptTemplates}
               onSend={sendMessage}
               isStreaming={isStreaming}
               onStop={stopStreaming}
               isLoading={isLoading}
+              readOnly={workspaceReadOnly}
             />
           </div>
         ) : (
@@ -258,7 +621,16 @@ function App() {
             {/* Scrollable messages container */}
             <div className="flex-1 overflow-y-auto">
               {messages.map((msg, index) => (
-                <ChatMessage key={msg.ID || index} message={msg} />
+                <ChatMessage
+                  key={msg.ID || index}
+                  message={msg}
+                  currentUserId={user?.id}
+                  onRegenerate={readOnly ? undefined : regenerateMessage}
+                  onEdit={readOnly ? undefined : editMessage}
+                  onSwitchBranch={switchBranch}
+                  actionsDisabled={isStreaming}
+                  highlighted={msg.ID === focusedMessageId}
+                />
               ))}
               <div ref={messagesEndRef} />
               
@@ -274,9 +646,18 @@ function App() {
             <div className="flex-shrink-0">
               <ChatInput
                 onSend={sendMessage}
+                onSendInBackground={sendInBackground}
                 isStreaming={isStreaming}
                 onStop={stopStreaming}
                 disabled={isLoading}
+                readOnly={readOnly}
+                models={models}
+                selectedModel={selectedModel}
+                onSelectModel={selectModel}
+                personas={personas}
+                selectedPersona={selectedPersona}
+                onSelectPersona={selectPersona}
+                promptTemplates={promptTemplates}
               />
             </div>
           </>
@@ -407,7 +788,7 @@ function shuffleArray(array) {
 /**
  * Welcome screen shown when no conversation is active
  */
-function WelcomeScreen({ onExampleClick, ChatbotLogo, modelName, onSend, isStreaming, onStop, isLoading }) {
+function WelcomeScreen({ onExampleClick, ChatbotLogo, modelName, models, selectedModel, onSelectModel, personas, selectedPersona, onSelectPersona, promptTemplates, onSend, isStreaming, onStop, isLoading, readOnly }) {
   const [hoveredIndex, setHoveredIndex] = useState(null);
   
   // Randomly select 4 suggestions on component mount
@@ -501,7 +882,15 @@ function WelcomeScreen({ onExampleClick, ChatbotLogo, modelName, onSend, isStrea
             isStreaming={isStreaming}
             onStop={onStop}
             disabled={isLoading}
+            readOnly={readOnly}
             hideBorder={true}
+            models={models}
+            selectedModel={selectedModel}
+            onSelectModel={onSelectModel}
+            personas={personas}
+            selectedPersona={selectedPersona}
+            onSelectPersona={onSelectPersona}
+            promptTemplates={promptTemplates}
           />
         </div>
       </div>
@@ -1,7 +1,22 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { ModelPicker } from './ModelPicker';
+import { PersonaPicker } from './PersonaPicker';
+import { PromptVariablesDialog } from './PromptVariablesDialog';
 
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_IMAGE_DIMENSION = 1920; // Max width/height for images
+const MAX_SLASH_SUGGESTIONS = 8;
+
+/**
+ * Prompt templates matching a slash command being typed ("/rev"), prefix matches first
+ */
+function matchTemplates(templates, query) {
+  const q = query.toLowerCase();
+  return templates
+    .filter(t => t.name.includes(q))
+    .sort((a, b) => Number(b.name.startsWith(q)) - Number(a.name.startsWith(q)))
+    .slice(0, MAX_SLASH_SUGGESTIONS);
+}
 
 /**
  * Compress an image file to be under the size limit
@@ -77,15 +92,30 @@ function fileToBase64(file) {
 }
 
 /**
- * Chat input component with auto-resize textarea and attachment support
+ * Chat input component with auto-resize textarea and attachment support.
+ * Typing "/" at the start lists the prompt templates to insert.
  */
-export function ChatInput({ onSend, isStreaming, onStop, disabled, hideBorder = false }) {
+export function ChatInput({ onSend, onSendInBackground, isStreaming, onStop, disabled, readOnly = false, hideBorder = false, models, selectedModel, onSelectModel, personas, selectedPersona, onSelectPersona, promptTemplates = [] }) {
   const [message, setMessage] = useState('');
   const [attachments, setAttachments] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  // Slash command popup: highlighted suggestion, and the input it was dismissed for (Escape)
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [slashDismissedFor, setSlashDismissedFor] = useState(null);
+  // Template whose variables are being filled in
+  const [fillingTemplate, setFillingTemplate] = useState(null);
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
 
+  const slashQuery = message.match(/^\/([\w-]*)$/)?.[1];
+  const slashTemplates = slashQuery !== undefined && message !== slashDismissedFor
+    ? matchTemplates(promptTemplates, slashQuery)
+    : [];
+
+  useEffect(() => {
+    setSlashIndex(0);
+  }, [slashQuery]);
+
   // Auto-resize textarea
   useEffect(() => {
     const textarea = textareaRef.current;
@@ -181,22 +211,70 @@ export function ChatInput({ onSend, isStreaming, onStop, disabled, hideBorder =
     setAttachments(prev => prev.filter(a => a.id !== id));
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = (e, send = onSend) => {
     e.preventDefault();
     if ((message.trim() || attachments.length > 0) && !isStreaming && !disabled && !isProcessing) {
-      onSend(message, attachments);
+      send(message, attachments);
       setMessage('');
       setAttachments([]);
     }
   };
 
+  // Put text into the input, replacing the slash command, with the caret at the end
+  const insertText = (text) => {
+    setMessage(text);
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(text.length, text.length);
+    });
+  };
+
+  const applyTemplate = (template) => {
+    if (template.variables.length > 0) {
+      setFillingTemplate(template);
+    } else {
+      insertText(template.content);
+    }
+  };
+
   const handleKeyDown = (e) => {
+    if (slashTemplates.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setSlashIndex(i => (i + step + slashTemplates.length) % slashTemplates.length);
+        return;
+      }
+      if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+        e.preventDefault();
+        applyTemplate(slashTemplates[Math.min(slashIndex, slashTemplates.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setSlashDismissedFor(message);
+        return;
+      }
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
     }
   };
 
+  // Viewers of a workspace conversation can read along but not post
+  if (readOnly) {
+    return (
+      <div className={`${hideBorder ? '' : 'border-t border-dark-700'} bg-dark-900 p-4`}>
+        <p className="max-w-3xl mx-auto text-center text-sm text-dark-500 bg-dark-800 border border-dark-700 rounded-xl py-4">
+          You have read-only access to this conversation.
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div className={`${hideBorder ? '' : 'border-t border-dark-700'} bg-dark-900 p-4`}>
       <form onSubmit={handleSubmit} className="max-w-3xl mx-auto">
@@ -241,13 +319,37 @@ export function ChatInput({ onSend, isStreaming, onStop, disabled, hideBorder =
         )}
         
         <div className="relative flex items-end gap-3 bg-dark-800 rounded-xl border border-dark-600 focus-within:border-dark-500 transition-colors">
+          {/* Slash command suggestions */}
+          {slashTemplates.length > 0 && (
+            <div className="absolute bottom-full left-0 right-0 mb-2 bg-dark-800 border border-dark-600 rounded-xl shadow-xl overflow-hidden z-10">
+              {slashTemplates.map((template, index) => (
+                <button
+                  key={template.ID}
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setSlashIndex(index)}
+                  onClick={() => applyTemplate(template)}
+                  className={`w-full flex items-center gap-3 px-4 py-2 text-left transition-colors ${
+                    index === slashIndex ? 'bg-dark-700' : ''
+                  }`}
+                >
+                  <span className="text-sm text-dark-100 flex-shrink-0">/{template.name}</span>
+                  <span className="text-xs text-dark-500 truncate flex-1">{template.description}</span>
+                  {template.workspace_ID && (
+                    <span className="text-[10px] text-dark-400 bg-dark-600 px-1.5 py-0.5 rounded flex-shrink-0">Shared</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Attachment button */}
           <div className="flex items-center pl-3 pb-3">
             <input
               ref={fileInputRef}
               type="file"
               multiple
-              accept="image/*,.pdf,.txt,.md,.json,.csv,.xml"
+              accept="image/*,.pdf,.docx,.xlsx,.pptx,.html,.htm,.txt,.md,.json,.csv,.xml"
               onChange={handleFileChange}
               className="hidden"
             />
@@ -271,7 +373,11 @@ export function ChatInput({ onSend, isStreaming, onStop, disabled, hideBorder =
             onChange={(e) => setMessage(e.target.value)}
             onKeyDown={handleKeyDown}
             onPaste={handlePaste}
-            placeholder={attachments.length > 0 ? "Add a message or send attachments..." : "Send a message..."}
+            placeholder={
+              attachments.length > 0 ? "Add a message or send attachments..."
+                : promptTemplates.length > 0 ? "Send a message or type / for a saved prompt..."
+                : "Send a message..."
+            }
             disabled={disabled}
             rows={1}
             className="flex-1 bg-transparent text-dark-100 placeholder-dark-500 
@@ -306,40 +412,78 @@ export function ChatInput({ onSend, isStreaming, onStop, disabled, hideBorder =
                 </svg>
               </button>
             ) : (
-              <button
-                type="submit"
-                disabled={(!message.trim() && attachments.length === 0) || disabled || isProcessing}
-                className={`
-                  p-2 rounded-lg transition-colors
-                  ${(message.trim() || attachments.length > 0) && !disabled && !isProcessing
-                    ? 'bg-accent-primary hover:bg-accent-hover text-white'
-                    : 'bg-dark-700 text-dark-500 cursor-not-allowed'
-                  }
-                `}
-                title="Send message"
-              >
-                <svg
-                  className="w-5 h-5"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
+              <>
+                {onSendInBackground && (
+                  <button
+                    type="button"
+                    onClick={(e) => handleSubmit(e, onSendInBackground)}
+                    disabled={(!message.trim() && attachments.length === 0) || disabled || isProcessing}
+                    className="p-2 rounded-lg text-dark-400 hover:text-dark-200 hover:bg-dark-700
+                               transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Send and generate the answer in the background"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={(!message.trim() && attachments.length === 0) || disabled || isProcessing}
+                  className={`
+                    p-2 rounded-lg transition-colors
+                    ${(message.trim() || attachments.length > 0) && !disabled && !isProcessing
+                      ? 'bg-accent-primary hover:bg-accent-hover text-white'
+                      : 'bg-dark-700 text-dark-500 cursor-not-allowed'
+                    }
+                  `}
+                  title="Send message"
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"
-                  />
-                </svg>
-              </button>
+                  <svg
+                    className="w-5 h-5"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"
+                    />
+                  </svg>
+                </button>
+              </>
             )}
           </div>
         </div>
         
-        <p className="text-xs text-dark-500 text-center mt-3">
-          AI can make mistakes. Consider checking important information.
-        </p>
+        <div className="flex items-center justify-center gap-4 mt-3">
+          <PersonaPicker
+            personas={personas}
+            selectedPersona={selectedPersona}
+            onSelectPersona={onSelectPersona}
+            disabled={isStreaming || readOnly}
+          />
+          <ModelPicker
+            models={models}
+            selectedModel={selectedModel}
+            onSelectModel={onSelectModel}
+            disabled={isStreaming}
+          />
+          <p className="text-xs text-dark-500 text-center">
+            AI can make mistakes. Consider checking important information.
+          </p>
+        </div>
       </form>
+
+      {fillingTemplate && (
+        <PromptVariablesDialog
+          template={fillingTemplate}
+          onInsert={(text) => { setFillingTemplate(null); insertText(text); }}
+          onCancel={() => { setFillingTemplate(null); textareaRef.current?.focus(); }}
+        />
+      )}
     </div>
   );
 }
@@ -4,11 +4,18 @@ import remarkGfm from 'remark-gfm';
 import { getAttachment } from '../services/api';
 import { ChatbotLogo } from './ChatbotLogo';
 
+// Notes under an assistant answer that is not complete (Messages.status)
+const ANSWER_STATUS_NOTES = {
+  streaming: 'Still being written…',
+  interrupted: 'This answer was interrupted and is incomplete.',
+  stopped: 'You stopped this answer.',
+};
+
 /**
  * Attachment item component - handles click to view/download
  * Supports both old field names (name, type) and new @cap-js/attachments field names (filename, mimeType)
  */
-function AttachmentItem({ attachment }) {
+function AttachmentItem({ attachment, shareToken }) {
   const [loading, setLoading] = useState(false);
   // Support both old and new field names
   const attachmentName = attachment.name || attachment.filename || 'attachment';
@@ -52,7 +59,7 @@ function AttachmentItem({ attachment }) {
 
     setLoading(true);
     try {
-      const data = await getAttachment(attachment.ID);
+      const data = await getAttachment(attachment.ID, shareToken);
       if (data && data.data) {
         if (isImage) {
           openImageInNewTab(data.data, data.name);
@@ -136,15 +143,100 @@ function AttachmentItem({ attachment }) {
   );
 }
 
+/**
+ * Branch navigator - switches between alternative versions of a message ("‹ 2/3 ›")
+ */
+function BranchNavigator({ siblingIds, siblingIndex, onSwitchBranch, disabled }) {
+  const goTo = (index) => onSwitchBranch?.(siblingIds[index]);
+
+  return (
+    <div className="flex items-center gap-1 text-xs text-dark-400 select-none">
+      <button
+        onClick={() => goTo(siblingIndex - 1)}
+        disabled={disabled || siblingIndex <= 0}
+        className="p-1 rounded hover:text-dark-200 hover:bg-dark-700 disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+        title="Previous version"
+      >
+        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+      </button>
+      <span className="tabular-nums">{siblingIndex + 1}/{siblingIds.length}</span>
+      <button
+        onClick={() => goTo(siblingIndex + 1)}
+        disabled={disabled || siblingIndex >= siblingIds.length - 1}
+        className="p-1 rounded hover:text-dark-200 hover:bg-dark-700 disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+        title="Next version"
+      >
+        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Document excerpts an answer was given, numbered as cited in the text ([1], [2], ...)
+ */
+function SourceList({ sources }) {
+  return (
+    <div className="mt-3 pt-2 border-t border-dark-700 text-xs text-dark-400">
+      <div className="font-medium text-dark-300 mb-1">Sources</div>
+      <ol className="space-y-0.5">
+        {sources.map((source) => (
+          <li key={source.index} className="flex gap-1.5">
+            <span className="tabular-nums text-dark-300">[{source.index}]</span>
+            <span className="truncate">
+              {source.filename}
+              {source.location && <> — {source.location}</>}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
 /**
  * Chat message component with markdown support
  */
-export function ChatMessage({ message }) {
+export function ChatMessage({ message, currentUserId = null, onRegenerate, onEdit, onSwitchBranch, actionsDisabled = false, shareToken = null, highlighted = false }) {
   const [copied, setCopied] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
   const isUser = message.role === 'user';
   const isStreaming = message.isStreaming;
   const isSearching = message.isSearching;
+  const activeTool = isStreaming ? message.activeTool : null;
   const isError = message.isError;
+  const hasBranches = message.siblingIds?.length > 1;
+  const canRegenerate = !isUser && !isStreaming && onRegenerate && !message.ID?.startsWith('temp-');
+  const canEdit = isUser && onEdit && !message.ID?.startsWith('temp-');
+  // In workspace conversations user messages carry their author
+  const author = isUser && message.userId && message.userId !== currentUserId ? message.userId : null;
+
+  const startEditing = () => {
+    setDraft(message.content || '');
+    setIsEditing(true);
+  };
+
+  const submitEdit = () => {
+    if (!draft.trim() || actionsDisabled) return;
+    setIsEditing(false);
+    if (draft.trim() !== (message.content || '').trim()) {
+      onEdit(message.ID, draft);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitEdit();
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
 
   const handleCopyMessage = async () => {
     if (message.content) {
@@ -160,9 +252,11 @@ export function ChatMessage({ message }) {
 
   return (
     <div
+      id={message.ID ? `message-${message.ID}` : undefined}
       className={`
-        py-6 px-4 md:px-8 message-enter group/message
+        py-6 px-4 md:px-8 message-enter group/message transition-shadow duration-500
         ${isUser ? 'bg-dark-900' : 'bg-dark-800'}
+        ${highlighted ? 'ring-2 ring-inset ring-accent-primary/60' : ''}
       `}
     >
       <div className="max-w-3xl mx-auto flex gap-4 md:gap-6">
@@ -196,7 +290,7 @@ export function ChatMessage({ message }) {
         <div className="flex-1 min-w-0 relative">
           <div className="flex items-center justify-between">
             <div className="font-medium text-sm text-dark-300 mb-1">
-              {isUser ? 'You' : 'Not Joule'}
+              {isUser ? (author || 'You') : 'Not Joule'}
             </div>
             
             {/* Copy button for assistant messages - top right */}
@@ -217,137 +311,226 @@ export function ChatMessage({ message }) {
                 )}
               </button>
             )}
+
+            {/* Edit button for user messages - top right */}
+            {canEdit && !isEditing && (
+              <button
+                onClick={startEditing}
+                disabled={actionsDisabled}
+                className="p-1.5 rounded text-dark-400 hover:text-dark-200 hover:bg-dark-700 disabled:opacity-40 transition-all opacity-0 group-hover/message:opacity-100"
+                title="Edit message"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                </svg>
+              </button>
+            )}
           </div>
           
           {/* Attachments display */}
           {message.attachments && message.attachments.length > 0 && (
             <div className="flex flex-wrap gap-2 mb-3">
               {message.attachments.map((attachment, index) => (
-                <AttachmentItem key={attachment.ID || index} attachment={attachment} />
+                <AttachmentItem key={attachment.ID || index} attachment={attachment} shareToken={shareToken} />
               ))}
             </div>
           )}
           
-          <div
-            className={`
-              markdown-content text-dark-100
-              ${isError ? 'text-red-400' : ''}
-            `}
-          >
-            {isSearching && (
-              <div className="flex items-center gap-2 text-sm text-dark-300 mb-2">
-                <svg className="w-4 h-4 flex-shrink-0 animate-spin text-accent-primary" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-                </svg>
-                <span>
-                  Searching the web
-                  {message.searchQueries?.length > 0 && (
-                    <> for <em>{message.searchQueries[0]}</em>{message.searchQueries.length > 1 && ` (+${message.searchQueries.length - 1} more)`}</>
-                  )}
-                  …
-                </span>
+          {isEditing ? (
+            <div>
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                rows={Math.min(Math.max(draft.split('\n').length, 2), 10)}
+                className="w-full bg-dark-700 text-dark-100 border border-dark-600 rounded-lg p-3 resize-none focus:outline-none focus:border-accent-primary"
+                autoFocus
+              />
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  onClick={() => setIsEditing(false)}
+                  className="px-3 py-1.5 text-sm rounded-lg text-dark-300 hover:text-dark-100 hover:bg-dark-700 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={submitEdit}
+                  disabled={!draft.trim() || actionsDisabled}
+                  className="px-3 py-1.5 text-sm rounded-lg bg-accent-primary text-white hover:bg-accent-primary/90 disabled:opacity-50 transition-colors"
+                >
+                  Save &amp; Submit
+                </button>
               </div>
-            )}
+            </div>
+          ) : (
+            <div
+              className={`
+                markdown-content text-dark-100
+                ${isError ? 'text-red-400' : ''}
+              `}
+            >
+              {isSearching && (
+                <div className="flex items-center gap-2 text-sm text-dark-300 mb-2">
+                  <svg className="w-4 h-4 flex-shrink-0 animate-spin text-accent-primary" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                  <span>
+                    Searching the web
+                    {message.searchQueries?.length > 0 && (
+                      <> for <em>{message.searchQueries[0]}</em>{message.searchQueries.length > 1 && ` (+${message.searchQueries.length - 1} more)`}</>
+                    )}
+                    …
+                  </span>
+                </div>
+              )}
+
+              {activeTool && !isSearching && (
+                <div className="flex items-center gap-2 text-sm text-dark-300 mb-2">
+                  <svg className="w-4 h-4 flex-shrink-0 animate-spin text-accent-primary" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                  <span>Using <em>{activeTool}</em>…</span>
+                </div>
+              )}
 
-            {message.content ? (
-              <ReactMarkdown
-                remarkPlugins={[remarkGfm]}
-                components={{
-                  // Custom table rendering
-                  table({ children }) {
-                    return (
-                      <div className="overflow-x-auto my-4">
-                        <table className="min-w-full border-collapse border border-dark-600 rounded-lg overflow-hidden">
+              {message.content ? (
+                <ReactMarkdown
+                  remarkPlugins={[remarkGfm]}
+                  components={{
+                    // Custom table rendering
+                    table({ children }) {
+                      return (
+                        <div className="overflow-x-auto my-4">
+                          <table className="min-w-full border-collapse border border-dark-600 rounded-lg overflow-hidden">
+                            {children}
+                          </table>
+                        </div>
+                      );
+                    },
+                    thead({ children }) {
+                      return <thead className="bg-dark-700">{children}</thead>;
+                    },
+                    tbody({ children }) {
+                      return <tbody className="divide-y divide-dark-600">{children}</tbody>;
+                    },
+                    tr({ children }) {
+                      return <tr className="hover:bg-dark-700/50 transition-colors">{children}</tr>;
+                    },
+                    th({ children }) {
+                      return (
+                        <th className="px-4 py-3 text-left text-sm font-semibold text-dark-200 border-b border-dark-600">
                           {children}
-                        </table>
-                      </div>
-                    );
-                  },
-                  thead({ children }) {
-                    return <thead className="bg-dark-700">{children}</thead>;
-                  },
-                  tbody({ children }) {
-                    return <tbody className="divide-y divide-dark-600">{children}</tbody>;
-                  },
-                  tr({ children }) {
-                    return <tr className="hover:bg-dark-700/50 transition-colors">{children}</tr>;
-                  },
-                  th({ children }) {
-                    return (
-                      <th className="px-4 py-3 text-left text-sm font-semibold text-dark-200 border-b border-dark-600">
-                        {children}
-                      </th>
-                    );
-                  },
-                  td({ children }) {
-                    return (
-                      <td className="px-4 py-3 text-sm text-dark-100 border-b border-dark-700">
-                        {children}
-                      </td>
-                    );
-                  },
-                  // Custom code block rendering
-                  code({ node, inline, className, children, ...props }) {
-                    const match = /language-(\w+)/.exec(className || '');
-                    return !inline ? (
-                      <div className="relative group">
-                        {match && (
-                          <div className="absolute top-0 right-0 px-2 py-1 text-xs text-dark-400 bg-dark-700 rounded-bl">
-                            {match[1]}
-                          </div>
-                        )}
-                        <pre className={className}>
-                          <code {...props}>{children}</code>
-                        </pre>
-                        <button
-                          onClick={() => {
-                            navigator.clipboard.writeText(String(children));
-                          }}
-                          className="absolute top-2 right-2 p-1.5 rounded bg-dark-700 text-dark-400 
-                                     opacity-0 group-hover:opacity-100 transition-opacity
-                                     hover:text-white hover:bg-dark-600"
-                          title="Copy code"
-                        >
-                          <svg
-                            className="w-4 h-4"
-                            fill="none"
-                            stroke="currentColor"
-                            viewBox="0 0 24 24"
+                        </th>
+                      );
+                    },
+                    td({ children }) {
+                      return (
+                        <td className="px-4 py-3 text-sm text-dark-100 border-b border-dark-700">
+                          {children}
+                        </td>
+                      );
+                    },
+                    // Custom code block rendering
+                    code({ node, inline, className, children, ...props }) {
+                      const match = /language-(\w+)/.exec(className || '');
+                      return !inline ? (
+                        <div className="relative group">
+                          {match && (
+                            <div className="absolute top-0 right-0 px-2 py-1 text-xs text-dark-400 bg-dark-700 rounded-bl">
+                              {match[1]}
+                            </div>
+                          )}
+                          <pre className={className}>
+                            <code {...props}>{children}</code>
+                          </pre>
+                          <button
+                            onClick={() => {
+                              navigator.clipboard.writeText(String(children));
+                            }}
+                            className="absolute top-2 right-2 p-1.5 rounded bg-dark-700 text-dark-400 
+                                       opacity-0 group-hover:opacity-100 transition-opacity
+                                       hover:text-white hover:bg-dark-600"
+                            title="Copy code"
                           >
-                            <path
-                              strokeLinecap="round"
-                              strokeLinejoin="round"
-                              strokeWidth={2}
-                              d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"
-                            />
-                          </svg>
-                        </button>
-                      </div>
-                    ) : (
-                      <code className={className} {...props}>
-                        {children}
-                      </code>
-                    );
-                  },
-                }}
-              >
-                {message.content}
-              </ReactMarkdown>
-            ) : isStreaming && !isSearching ? (
-              <span className="inline-flex items-center gap-1">
-                <span className="w-2 h-2 bg-accent-primary rounded-full animate-pulse" />
-                <span className="w-2 h-2 bg-accent-primary rounded-full animate-pulse delay-75" />
-                <span className="w-2 h-2 bg-accent-primary rounded-full animate-pulse delay-150" />
-              </span>
-            ) : null}
+                            <svg
+                              className="w-4 h-4"
+                              fill="none"
+                              stroke="currentColor"
+                              viewBox="0 0 24 24"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth={2}
+                                d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"
+                              />
+                            </svg>
+                          </button>
+                        </div>
+                      ) : (
+                        <code className={className} {...props}>
+                          {children}
+                        </code>
+                      );
+                    },
+                  }}
+                >
+                  {message.content}
+                </ReactMarkdown>
+              ) : isStreaming && !isSearching && !activeTool ? (
+                <span className="inline-flex items-center gap-1">
+                  <span className="w-2 h-2 bg-accent-primary rounded-full animate-pulse" />
+                  <span className="w-2 h-2 bg-accent-primary rounded-full animate-pulse delay-75" />
+                  <span className="w-2 h-2 bg-accent-primary rounded-full animate-pulse delay-150" />
+                </span>
+              ) : null}
             
-            {/* Streaming cursor */}
-            {isStreaming && message.content && (
-              <span className="typing-cursor inline-block w-2 h-5 bg-accent-primary ml-0.5 align-middle" />
-            )}
-          </div>
-          
+              {/* Streaming cursor */}
+              {isStreaming && message.content && (
+                <span className="typing-cursor inline-block w-2 h-5 bg-accent-primary ml-0.5 align-middle" />
+              )}
+
+              {/* Saved part of an answer that is still being generated, was stopped, or was cut off by a server restart */}
+              {!isStreaming && ANSWER_STATUS_NOTES[message.status] && (
+                <p className="text-xs text-dark-500 italic mt-2">
+                  {ANSWER_STATUS_NOTES[message.status]}
+                </p>
+              )}
+            </div>
+          )}
+
+          {!isUser && message.sources?.length > 0 && !isEditing && (
+            <SourceList sources={message.sources} />
+          )}
+
+          {/* Branch navigation and regenerate */}
+          {(hasBranches || canRegenerate) && (
+            <div className="flex items-center gap-2 mt-2">
+              {hasBranches && (
+                <BranchNavigator
+                  siblingIds={message.siblingIds}
+                  siblingIndex={message.siblingIndex}
+                  onSwitchBranch={onSwitchBranch}
+                  disabled={actionsDisabled}
+                />
+              )}
+              {canRegenerate && (
+                <button
+                  onClick={() => onRegenerate(message.ID)}
+                  disabled={actionsDisabled}
+                  className="p-1 rounded text-dark-400 hover:text-dark-200 hover:bg-dark-700 disabled:opacity-40 transition-all opacity-0 group-hover/message:opacity-100"
+                  title="Regenerate response"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                  </svg>
+                </button>
+              )}
+            </div>
+          )}
+
         </div>
       </div>
     </div>
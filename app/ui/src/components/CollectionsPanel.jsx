@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  getCollections,
+  getCollection,
+  createCollection,
+  deleteCollection,
+  addCollectionDocument,
+  deleteCollectionDocument,
+  getConversationCollections,
+  setConversationCollections,
+} from '../services/api';
+
+const DOCUMENT_ACCEPT = '.pdf,.docx,.xlsx,.pptx,.html,.htm,.txt,.md,.json,.csv,.xml';
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function fileToDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+function Spinner({ className = 'w-4 h-4' }) {
+  return (
+    <svg className={`animate-spin ${className}`} fill="none" viewBox="0 0 24 24">
+      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+    </svg>
+  );
+}
+
+/**
+ * Knowledge base panel - manage document collections and choose the ones
+ * searched in the current conversation
+ */
+export function CollectionsPanel({ conversationId, onClose }) {
+  const [collections, setCollections] = useState([]);
+  const [attachedIds, setAttachedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [expanded, setExpanded] = useState(null); // { ID, documents }
+  const [uploading, setUploading] = useState(false);
+  const [confirmingId, setConfirmingId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => { load(); }, [conversationId]);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [list, attached] = await Promise.all([
+        getCollections(),
+        conversationId ? getConversationCollections(conversationId) : Promise.resolve([]),
+      ]);
+      setCollections(list);
+      setAttachedIds(attached);
+    } catch {
+      setError('Failed to load collections');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    setCreating(true);
+    try {
+      const collection = await createCollection(newName.trim());
+      setCollections(prev => [collection, ...prev]);
+      setNewName('');
+      setExpanded({ ID: collection.ID, documents: [] });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const toggleExpanded = async (id) => {
+    if (expanded?.ID === id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded({ ID: id, documents: null });
+    try {
+      const collection = await getCollection(id);
+      setExpanded({ ID: id, documents: collection.documents || [] });
+    } catch (err) {
+      setError(err.message);
+      setExpanded(null);
+    }
+  };
+
+  const toggleAttached = async (id) => {
+    const next = attachedIds.includes(id) ? attachedIds.filter(a => a !== id) : [...attachedIds, id];
+    setAttachedIds(next);
+    try {
+      setAttachedIds(await setConversationCollections(conversationId, next));
+    } catch (err) {
+      setError(err.message);
+      setAttachedIds(attachedIds);
+    }
+  };
+
+  const updateDocumentCount = (id, delta) => {
+    setCollections(prev => prev.map(c => (c.ID === id ? { ...c, documentCount: (c.documentCount || 0) + delta } : c)));
+  };
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!expanded || files.length === 0) return;
+
+    const collectionId = expanded.ID;
+    setUploading(true);
+    setError(null);
+    for (const file of files) {
+      try {
+        const data = await fileToDataUrl(file);
+        const document = await addCollectionDocument(collectionId, {
+          name: file.name,
+          type: file.type || 'application/octet-stream',
+          data,
+        });
+        setExpanded(prev => (prev?.ID === collectionId ? { ...prev, documents: [...(prev.documents || []), document] } : prev));
+        updateDocumentCount(collectionId, 1);
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    }
+    setUploading(false);
+  };
+
+  const handleDeleteDocument = async (documentId) => {
+    const collectionId = expanded.ID;
+    try {
+      await deleteCollectionDocument(collectionId, documentId);
+      setExpanded(prev => ({ ...prev, documents: prev.documents.filter(d => d.ID !== documentId) }));
+      updateDocumentCount(collectionId, -1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteCollection = async (id) => {
+    if (confirmingId !== id) { setConfirmingId(id); return; }
+    try {
+      await deleteCollection(id);
+      setCollections(prev => prev.filter(c => c.ID !== id));
+      setAttachedIds(prev => prev.filter(a => a !== id));
+      if (expanded?.ID === id) setExpanded(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setConfirmingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-xl max-h-[80vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700 flex-shrink-0">
+          <div className="flex items-center gap-2.5">
+            <h2 className="text-base font-semibold text-dark-100">Knowledge base</h2>
+            {!loading && (
+              <span className="text-xs text-dark-500 bg-dark-800 px-2 py-0.5 rounded-full">
+                {collections.length}
+              </span>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* New collection */}
+        <form onSubmit={handleCreate} className="flex gap-2 p-4 border-b border-dark-700 flex-shrink-0">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New collection, e.g. Product specs"
+            maxLength={255}
+            className="flex-1 bg-dark-800 text-sm text-dark-100 border border-dark-700 rounded-lg px-3 py-1.5 focus:outline-none focus:border-accent-primary"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim() || creating}
+            className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:bg-accent-primary/90 disabled:opacity-50 transition-colors"
+          >
+            {creating ? 'Creating…' : 'Create'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="mx-4 mt-3 text-xs text-red-400 bg-red-500/10 rounded-lg px-3 py-2">{error}</div>
+        )}
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <div className="flex items-center justify-center gap-2 py-16 text-dark-500 text-sm">
+              <Spinner />
+              Loading…
+            </div>
+          ) : collections.length === 0 ? (
+            <div className="text-center py-16">
+              <svg className="w-10 h-10 mx-auto mb-3 text-dark-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+              </svg>
+              <p className="text-dark-400 text-sm">No collections yet</p>
+              <p className="text-dark-600 text-xs mt-1">Upload documents once and use them in any chat</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {!conversationId && (
+                <p className="text-xs text-dark-500 mb-2">Open a chat to choose the collections it uses.</p>
+              )}
+              {collections.map(collection => {
+                const isExpanded = expanded?.ID === collection.ID;
+                const isAttached = attachedIds.includes(collection.ID);
+                return (
+                  <div key={collection.ID} className="group rounded-lg bg-dark-800 border border-dark-700 hover:border-dark-600 transition-colors">
+                    <div className="flex items-center gap-3 p-3">
+                      {conversationId && (
+                        <input
+                          type="checkbox"
+                          checked={isAttached}
+                          onChange={() => toggleAttached(collection.ID)}
+                          title={isAttached ? 'Used in this chat' : 'Use in this chat'}
+                          className="w-4 h-4 accent-accent-primary flex-shrink-0 cursor-pointer"
+                        />
+                      )}
+                      <button onClick={() => toggleExpanded(collection.ID)} className="flex-1 min-w-0 text-left">
+                        <p className="text-sm text-dark-100 truncate">{collection.name}</p>
+                        <p className="text-xs text-dark-500 mt-0.5">
+                          {collection.documentCount} {collection.documentCount === 1 ? 'document' : 'documents'}
+                          {isAttached && <span className="text-accent-primary"> · used in this chat</span>}
+                        </p>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteCollection(collection.ID)}
+                        onBlur={() => setConfirmingId(null)}
+                        title="Delete collection"
+                        className={`text-xs px-2 py-1 rounded transition-all flex-shrink-0 ${
+                          confirmingId === collection.ID
+                            ? 'bg-red-500/20 text-red-400'
+                            : 'opacity-0 group-hover:opacity-100 text-dark-500 hover:text-red-400 hover:bg-dark-700'
+                        }`}
+                      >
+                        {confirmingId === collection.ID ? 'Confirm delete' : 'Delete'}
+                      </button>
+                    </div>
+
+                    {isExpanded && (
+                      <div className="border-t border-dark-700 px-3 py-2">
+                        {expanded.documents === null ? (
+                          <div className="flex items-center gap-2 py-2 text-xs text-dark-500"><Spinner className="w-3 h-3" /> Loading…</div>
+                        ) : (
+                          <ul className="space-y-1">
+                            {expanded.documents.map(doc => (
+                              <li key={doc.ID} className="group/doc flex items-center gap-2 text-xs text-dark-300">
+                                <span className="truncate flex-1">{doc.filename}</span>
+                                <span className="text-dark-600 flex-shrink-0">{formatSize(doc.size)}</span>
+                                <button
+                                  onClick={() => handleDeleteDocument(doc.ID)}
+                                  title="Remove document"
+                                  className="opacity-0 group-hover/doc:opacity-100 p-0.5 rounded text-dark-500 hover:text-red-400 transition-all"
+                                >
+                                  <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                  </svg>
+                                </button>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        <button
+                          onClick={() => fileInputRef.current?.click()}
+                          disabled={uploading || expanded.documents === null}
+                          className="flex items-center gap-1.5 mt-2 text-xs text-accent-primary hover:text-accent-primary/80 disabled:opacity-50"
+                        >
+                          {uploading ? <><Spinner className="w-3 h-3" /> Indexing…</> : '+ Add documents'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={DOCUMENT_ACCEPT}
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useState, useRef } from 'react';
+import { importConversations } from '../services/api';
+
+const SOURCE_NAMES = { chatgpt: 'ChatGPT', claude: 'Claude' };
+
+function fileToDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Import chat history exported from ChatGPT or Claude
+ */
+export function ImportPanel({ workspaces = [], currentWorkspaceId = null, onImported, onClose }) {
+  const writableWorkspaces = workspaces.filter(w => w.role !== 'viewer');
+  const [file, setFile] = useState(null);
+  const [workspaceId, setWorkspaceId] = useState(
+    writableWorkspaces.some(w => w.ID === currentWorkspaceId) ? currentWorkspaceId : null
+  );
+  const [extractMemories, setExtractMemories] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setResult(null);
+    setError(null);
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    setImporting(true);
+    setError(null);
+    try {
+      const data = await fileToDataUrl(file);
+      const imported = await importConversations({ data, workspaceId, extractMemories });
+      setResult(imported);
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      if (imported.imported.length > 0) onImported?.();
+    } catch (e) {
+      setError(e.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-md flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700">
+          <h2 className="text-base font-semibold text-dark-100">Import chats</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="p-4 space-y-4">
+          <p className="text-xs text-dark-400">
+            Upload the export archive of ChatGPT or Claude (the ZIP file, or the conversations.json in it).
+            Chats you imported before are skipped.
+          </p>
+
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+              className="text-xs px-3 py-1.5 rounded-lg bg-dark-800 border border-dark-700 text-dark-200 hover:bg-dark-700 transition-colors flex-shrink-0"
+            >
+              Choose file
+            </button>
+            <span className="text-xs text-dark-500 truncate">{file ? file.name : 'No file chosen'}</span>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".zip,.json"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </div>
+
+          {writableWorkspaces.length > 0 && (
+            <label className="flex items-center justify-between gap-3 text-xs text-dark-300">
+              <span>Import into</span>
+              <select
+                value={workspaceId || ''}
+                onChange={(e) => setWorkspaceId(e.target.value || null)}
+                className="bg-dark-800 border border-dark-700 rounded-lg px-2 py-1.5 text-dark-200 focus:outline-none focus:border-accent-primary"
+              >
+                <option value="">Personal chats</option>
+                {writableWorkspaces.map(w => (
+                  <option key={w.ID} value={w.ID}>{w.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <label className="flex items-start gap-2 text-xs text-dark-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={extractMemories}
+              onChange={(e) => setExtractMemories(e.target.checked)}
+              className="mt-0.5 accent-accent-primary"
+            />
+            <span>
+              Learn memories from the imported chats
+              <span className="block text-dark-500">Runs in the background over your most recent conversations</span>
+            </span>
+          </label>
+
+          {error && <p className="text-xs text-red-400">{error}</p>}
+          {result && (
+            <p className="text-xs text-dark-300">
+              Imported {result.imported.length} chat{result.imported.length === 1 ? '' : 's'} from {SOURCE_NAMES[result.source] || result.source}
+              {result.skipped > 0 && <span className="text-dark-500"> ({result.skipped} already imported)</span>}
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end gap-2 p-4 border-t border-dark-700">
+          <button
+            onClick={onClose}
+            className="text-xs px-3 py-1.5 rounded-lg text-dark-400 hover:bg-dark-800 transition-colors"
+          >
+            {result ? 'Done' : 'Cancel'}
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!file || importing}
+            className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:opacity-90 disabled:opacity-40 transition-opacity"
+          >
+            {importing ? 'Importing…' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
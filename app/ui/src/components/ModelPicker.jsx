@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * Model picker - selects the AI Core model used for the current conversation.
+ * Hidden when only one model is configured.
+ */
+export function ModelPicker({ models, selectedModel, onSelectModel, disabled }) {
+  if (!models || models.length <= 1) return null;
+
+  const defaultModel = models.find(m => m.isDefault);
+  const value = selectedModel || defaultModel?.id || '';
+  const current = models.find(m => m.id === value);
+
+  return (
+    <label className="flex items-center gap-1.5 text-xs text-dark-400" title={current?.description || 'Model'}>
+      <svg className="w-3.5 h-3.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z" />
+      </svg>
+      <select
+        value={value}
+        onChange={(e) => onSelectModel?.(e.target.value)}
+        disabled={disabled}
+        className="bg-transparent text-dark-300 hover:text-dark-100 focus:outline-none cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+      >
+        {models.map((model) => (
+          <option key={model.id} value={model.id} className="bg-dark-800">
+            {model.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default ModelPicker;
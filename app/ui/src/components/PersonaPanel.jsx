@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { createPersona, updatePersona, deletePersona, getTools } from '../services/api';
+
+const EMPTY_FORM = { name: '', description: '', systemPrompt: '', model: '', temperature: null, tools: null };
+
+function toForm(persona) {
+  return {
+    name: persona.name || '',
+    description: persona.description || '',
+    systemPrompt: persona.systemPrompt || '',
+    model: persona.model || '',
+    temperature: persona.temperature ?? null,
+    tools: persona.tools ?? null,
+  };
+}
+
+/**
+ * Personas panel - create, edit and delete the user's personas
+ * (system prompt, default model, temperature and enabled tools)
+ */
+export function PersonaPanel({ personas = [], models = [], onChanged, onDeleted, onClose }) {
+  const [tools, setTools] = useState([]);
+  // null = list, 'new' = creating, otherwise the ID of the persona being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  useEffect(() => {
+    getTools().then(setTools).catch(e => console.error('Failed to load tools:', e));
+  }, []);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const startEdit = (persona) => {
+    setEditingId(persona ? persona.ID : 'new');
+    setForm(persona ? toForm(persona) : EMPTY_FORM);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      setError('Name is required');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    const fields = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      systemPrompt: form.systemPrompt.trim() || null,
+      model: form.model || null,
+      temperature: form.temperature,
+      tools: form.tools,
+    };
+    try {
+      if (editingId === 'new') await createPersona(fields);
+      else await updatePersona(editingId, fields);
+      await onChanged?.();
+      setEditingId(null);
+    } catch (e) {
+      setError(e.message || 'Failed to save persona');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (confirmingId !== id) { setConfirmingId(id); return; }
+    try {
+      await deletePersona(id);
+      await onChanged?.();
+      onDeleted?.(id);
+    } catch (e) {
+      console.error('Failed to delete persona:', e);
+    } finally {
+      setConfirmingId(null);
+    }
+  };
+
+  const toggleTool = (name) => {
+    const enabled = form.tools || [];
+    update({ tools: enabled.includes(name) ? enabled.filter(t => t !== name) : [...enabled, name] });
+  };
+
+  const inputClass = 'w-full bg-dark-800 border border-dark-700 rounded-lg px-3 py-2 text-sm text-dark-100 placeholder-dark-500 focus:outline-none focus:border-accent-primary';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-xl max-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700 flex-shrink-0">
+          <div className="flex items-center gap-2.5">
+            <h2 className="text-base font-semibold text-dark-100">
+              {editingId === null ? 'Personas' : editingId === 'new' ? 'New persona' : 'Edit persona'}
+            </h2>
+            {editingId === null && (
+              <span className="text-xs text-dark-500 bg-dark-800 px-2 py-0.5 rounded-full">{personas.length}</span>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {editingId === null && (
+              <button
+                onClick={() => startEdit(null)}
+                className="text-xs px-3 py-1.5 rounded-lg text-dark-300 hover:text-dark-100 hover:bg-dark-800 transition-colors"
+              >
+                New persona
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {editingId === null ? (
+            personas.length === 0 ? (
+              <div className="text-center py-16">
+                <p className="text-dark-400 text-sm">No personas yet</p>
+                <p className="text-dark-600 text-xs mt-1">
+                  A persona answers with its own instructions, model and tools, e.g. a code reviewer or an email drafter
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {personas.map(persona => (
+                  <div key={persona.ID} className="flex items-center gap-3 p-3 rounded-lg bg-dark-800 border border-dark-700">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-dark-100 truncate">{persona.name}</p>
+                      <div className="flex items-center gap-3 mt-1 flex-wrap text-xs text-dark-500">
+                        {persona.description && <span className="truncate">{persona.description}</span>}
+                        {persona.model && <span>{models.find(m => m.id === persona.model)?.name || persona.model}</span>}
+                        {persona.temperature !== null && <span>Temperature {persona.temperature}</span>}
+                        {persona.tools && <span>{persona.tools.length === 0 ? 'No tools' : `${persona.tools.length} tool(s)`}</span>}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => startEdit(persona)}
+                      className="text-xs px-3 py-1.5 rounded-lg text-dark-300 hover:text-dark-100 hover:bg-dark-700 transition-colors flex-shrink-0"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(persona.ID)}
+                      onBlur={() => setConfirmingId(null)}
+                      className={`text-xs px-3 py-1.5 rounded-lg transition-colors flex-shrink-0 ${
+                        confirmingId === persona.ID
+                          ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
+                          : 'text-dark-500 hover:text-red-400 hover:bg-dark-700'
+                      }`}
+                    >
+                      {confirmingId === persona.ID ? 'Confirm' : 'Delete'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )
+          ) : (
+            <div className="space-y-4">
+              <label className="block">
+                <span className="block text-xs text-dark-400 mb-1">Name</span>
+                <input
+                  value={form.name}
+                  onChange={(e) => update({ name: e.target.value })}
+                  maxLength={100}
+                  placeholder="SAP ABAP reviewer"
+                  className={inputClass}
+                />
+              </label>
+
+              <label className="block">
+                <span className="block text-xs text-dark-400 mb-1">Description</span>
+                <input
+                  value={form.description}
+                  onChange={(e) => update({ description: e.target.value })}
+                  maxLength={500}
+                  placeholder="Reviews ABAP code for performance and clean code"
+                  className={inputClass}
+                />
+              </label>
+
+              <label className="block">
+                <span className="block text-xs text-dark-400 mb-1">Instructions (system prompt)</span>
+                <textarea
+                  value={form.systemPrompt}
+                  onChange={(e) => update({ systemPrompt: e.target.value })}
+                  maxLength={8000}
+                  rows={6}
+                  placeholder="You are an experienced ABAP developer. Review the code the user sends..."
+                  className={`${inputClass} resize-y`}
+                />
+                <span className="block text-xs text-dark-600 mt-1">
+                  Empty = the default assistant instructions. Memories and document excerpts are added after them.
+                </span>
+              </label>
+
+              {models.length > 1 && (
+                <label className="flex items-center justify-between gap-3 text-xs text-dark-400">
+                  <span>Model</span>
+                  <select
+                    value={form.model}
+                    onChange={(e) => update({ model: e.target.value })}
+                    className="bg-dark-800 border border-dark-700 rounded-lg px-2 py-1.5 text-dark-200 focus:outline-none focus:border-accent-primary"
+                  >
+                    <option value="">Keep the conversation's model</option>
+                    {models.map(model => (
+                      <option key={model.id} value={model.id}>{model.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="flex items-center justify-between gap-3 text-xs text-dark-400">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.temperature !== null}
+                    onChange={(e) => update({ temperature: e.target.checked ? 0.7 : null })}
+                    className="accent-accent-primary"
+                  />
+                  <span>Custom temperature</span>
+                </label>
+                {form.temperature !== null && (
+                  <div className="flex items-center gap-2">
+                    <span className="text-dark-600">Precise</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      value={form.temperature}
+                      onChange={(e) => update({ temperature: Number(e.target.value) })}
+                      className="accent-accent-primary"
+                    />
+                    <span className="text-dark-600">Creative</span>
+                    <span className="w-6 text-right text-dark-300">{form.temperature.toFixed(1)}</span>
+                  </div>
+                )}
+              </div>
+
+              <div className="text-xs text-dark-400">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.tools === null}
+                    onChange={(e) => update({ tools: e.target.checked ? null : [] })}
+                    className="accent-accent-primary"
+                  />
+                  <span>All tools</span>
+                </label>
+                {form.tools !== null && (
+                  <div className="mt-2 ml-5 space-y-1.5">
+                    {tools.length === 0 && <p className="text-dark-600">No tools are available</p>}
+                    {tools.map(tool => (
+                      <label key={tool.name} className="flex items-start gap-2 cursor-pointer" title={tool.description}>
+                        <input
+                          type="checkbox"
+                          checked={form.tools.includes(tool.name)}
+                          onChange={() => toggleTool(tool.name)}
+                          className="mt-0.5 accent-accent-primary"
+                        />
+                        <span className="text-dark-300">{tool.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {error && <p className="text-xs text-red-400">{error}</p>}
+            </div>
+          )}
+        </div>
+
+        {/* Footer (editing) */}
+        {editingId !== null && (
+          <div className="flex justify-end gap-2 p-4 border-t border-dark-700 flex-shrink-0">
+            <button
+              onClick={() => setEditingId(null)}
+              className="text-xs px-3 py-1.5 rounded-lg text-dark-400 hover:bg-dark-800 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:opacity-90 disabled:opacity-40 transition-opacity"
+            >
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+
+/**
+ * Persona picker - selects the persona answering in the current conversation.
+ * Hidden while the user has no personas and the conversation uses none.
+ */
+export function PersonaPicker({ personas, selectedPersona, onSelectPersona, disabled }) {
+  // A workspace conversation may use the persona of another member
+  const foreign = selectedPersona && !personas?.some(p => p.ID === selectedPersona);
+  if (!personas?.length && !foreign) return null;
+
+  const current = personas?.find(p => p.ID === selectedPersona);
+
+  return (
+    <label className="flex items-center gap-1.5 text-xs text-dark-400" title={current?.description || 'Persona'}>
+      <svg className="w-3.5 h-3.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+      </svg>
+      <select
+        value={selectedPersona || ''}
+        onChange={(e) => onSelectPersona?.(personas.find(p => p.ID === e.target.value) || null)}
+        disabled={disabled}
+        className="bg-transparent text-dark-300 hover:text-dark-100 focus:outline-none cursor-pointer disabled:cursor-not-allowed disabled:opacity-50 max-w-[10rem] truncate"
+      >
+        <option value="" className="bg-dark-800">Default assistant</option>
+        {foreign && (
+          <option value={selectedPersona} className="bg-dark-800">Persona of another member</option>
+        )}
+        {personas?.map((persona) => (
+          <option key={persona.ID} value={persona.ID} className="bg-dark-800">
+            {persona.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default PersonaPicker;
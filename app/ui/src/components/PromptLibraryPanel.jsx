@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { createPromptTemplate, updatePromptTemplate, deletePromptTemplate } from '../services/api';
+
+const EMPTY_FORM = { name: '', description: '', content: '', workspaceId: null };
+
+/**
+ * Prompt library panel - create, edit and delete prompt templates, personal or shared with a workspace.
+ * Templates are inserted by typing /name in the chat input.
+ */
+export function PromptLibraryPanel({ templates = [], workspaces = [], currentWorkspaceId = null, onChanged, onClose }) {
+  const writableWorkspaces = workspaces.filter(w => w.role !== 'viewer');
+  // null = list, 'new' = creating, otherwise the ID of the template being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const workspaceName = (id) => workspaces.find(w => w.ID === id)?.name || 'Workspace';
+
+  const startEdit = (template) => {
+    setEditingId(template ? template.ID : 'new');
+    setForm(template
+      ? { name: template.name, description: template.description || '', content: template.content, workspaceId: template.workspace_ID }
+      : { ...EMPTY_FORM, workspaceId: writableWorkspaces.some(w => w.ID === currentWorkspaceId) ? currentWorkspaceId : null });
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.content.trim()) {
+      setError('Name and prompt text are required');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    const fields = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      content: form.content,
+    };
+    try {
+      if (editingId === 'new') await createPromptTemplate({ ...fields, workspaceId: form.workspaceId });
+      else await updatePromptTemplate(editingId, fields);
+      await onChanged?.();
+      setEditingId(null);
+    } catch (e) {
+      setError(e.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (confirmingId !== id) { setConfirmingId(id); return; }
+    try {
+      await deletePromptTemplate(id);
+      await onChanged?.();
+    } catch (e) {
+      console.error('Failed to delete prompt template:', e);
+    } finally {
+      setConfirmingId(null);
+    }
+  };
+
+  const inputClass = 'w-full bg-dark-800 border border-dark-700 rounded-lg px-3 py-2 text-sm text-dark-100 placeholder-dark-500 focus:outline-none focus:border-accent-primary';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-xl max-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700 flex-shrink-0">
+          <div className="flex items-center gap-2.5">
+            <h2 className="text-base font-semibold text-dark-100">
+              {editingId === null ? 'Prompt library' : editingId === 'new' ? 'New prompt' : 'Edit prompt'}
+            </h2>
+            {editingId === null && (
+              <span className="text-xs text-dark-500 bg-dark-800 px-2 py-0.5 rounded-full">{templates.length}</span>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {editingId === null && (
+              <button
+                onClick={() => startEdit(null)}
+                className="text-xs px-3 py-1.5 rounded-lg text-dark-300 hover:text-dark-100 hover:bg-dark-800 transition-colors"
+              >
+                New prompt
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {editingId === null ? (
+            templates.length === 0 ? (
+              <div className="text-center py-16">
+                <p className="text-dark-400 text-sm">No saved prompts yet</p>
+                <p className="text-dark-600 text-xs mt-1">
+                  Save the prompts you use every day and insert them by typing / in the chat input
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {templates.map(template => (
+                  <div key={template.ID} className="flex items-center gap-3 p-3 rounded-lg bg-dark-800 border border-dark-700">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-dark-100 truncate">/{template.name}</p>
+                      <div className="flex items-center gap-3 mt-1 flex-wrap text-xs text-dark-500">
+                        <span>{template.workspace_ID ? workspaceName(template.workspace_ID) : 'Personal'}</span>
+                        {template.description && <span className="truncate">{template.description}</span>}
+                        {template.variables.length > 0 && (
+                          <span>{template.variables.map(v => `{{${v}}}`).join(' ')}</span>
+                        )}
+                      </div>
+                    </div>
+                    {template.canEdit && (
+                      <>
+                        <button
+                          onClick={() => startEdit(template)}
+                          className="text-xs px-3 py-1.5 rounded-lg text-dark-300 hover:text-dark-100 hover:bg-dark-700 transition-colors flex-shrink-0"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(template.ID)}
+                          onBlur={() => setConfirmingId(null)}
+                          className={`text-xs px-3 py-1.5 rounded-lg transition-colors flex-shrink-0 ${
+                            confirmingId === template.ID
+                              ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
+                              : 'text-dark-500 hover:text-red-400 hover:bg-dark-700'
+                          }`}
+                        >
+                          {confirmingId === template.ID ? 'Confirm' : 'Delete'}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )
+          ) : (
+            <div className="space-y-4">
+              <label className="block">
+                <span className="block text-xs text-dark-400 mb-1">Command</span>
+                <div className="flex items-center gap-1">
+                  <span className="text-sm text-dark-500">/</span>
+                  <input
+                    value={form.name}
+                    onChange={(e) => update({ name: e.target.value.toLowerCase() })}
+                    maxLength={50}
+                    placeholder="code-review"
+                    className={inputClass}
+                  />
+                </div>
+              </label>
+
+              <label className="block">
+                <span className="block text-xs text-dark-400 mb-1">Description</span>
+                <input
+                  value={form.description}
+                  onChange={(e) => update({ description: e.target.value })}
+                  maxLength={500}
+                  placeholder="Review code for bugs, readability and performance"
+                  className={inputClass}
+                />
+              </label>
+
+              <label className="block">
+                <span className="block text-xs text-dark-400 mb-1">Prompt</span>
+                <textarea
+                  value={form.content}
+                  onChange={(e) => update({ content: e.target.value })}
+                  maxLength={16000}
+                  rows={8}
+                  placeholder={'Review the following {{language}} code. Point out bugs first, then readability issues:\n\n{{code}}'}
+                  className={`${inputClass} resize-y`}
+                />
+                <span className="block text-xs text-dark-600 mt-1">
+                  Use {'{{name}}'} for the parts to fill in when inserting the prompt.
+                </span>
+              </label>
+
+              {editingId === 'new' && writableWorkspaces.length > 0 && (
+                <label className="flex items-center justify-between gap-3 text-xs text-dark-400">
+                  <span>Available to</span>
+                  <select
+                    value={form.workspaceId || ''}
+                    onChange={(e) => update({ workspaceId: e.target.value || null })}
+                    className="bg-dark-800 border border-dark-700 rounded-lg px-2 py-1.5 text-dark-200 focus:outline-none focus:border-accent-primary"
+                  >
+                    <option value="">Only me</option>
+                    {writableWorkspaces.map(w => (
+                      <option key={w.ID} value={w.ID}>Members of {w.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              {error && <p className="text-xs text-red-400">{error}</p>}
+            </div>
+          )}
+        </div>
+
+        {/* Footer (editing) */}
+        {editingId !== null && (
+          <div className="flex justify-end gap-2 p-4 border-t border-dark-700 flex-shrink-0">
+            <button
+              onClick={() => setEditingId(null)}
+              className="text-xs px-3 py-1.5 rounded-lg text-dark-400 hover:bg-dark-800 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:opacity-90 disabled:opacity-40 transition-opacity"
+            >
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
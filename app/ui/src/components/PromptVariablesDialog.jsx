@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+
+// Same placeholder syntax as the server (srv/prompt-template-service.js)
+const VARIABLE_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+function fillTemplate(content, values) {
+  return content.replace(VARIABLE_RE, (placeholder, name) => values[name] ?? '');
+}
+
+/**
+ * Form to fill in the {{variables}} of a prompt template before it is inserted into the chat input
+ */
+export function PromptVariablesDialog({ template, onInsert, onCancel }) {
+  const [values, setValues] = useState(() => Object.fromEntries(template.variables.map(name => [name, ''])));
+
+  const handleInsert = () => onInsert(fillTemplate(template.content, values));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleInsert();
+    } else if (e.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4" onKeyDown={handleKeyDown}>
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-lg max-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700 flex-shrink-0">
+          <div className="min-w-0">
+            <h2 className="text-base font-semibold text-dark-100">/{template.name}</h2>
+            {template.description && <p className="text-xs text-dark-500 truncate">{template.description}</p>}
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {template.variables.map((name, index) => (
+            <label key={name} className="block">
+              <span className="block text-xs text-dark-400 mb-1">{name}</span>
+              <textarea
+                value={values[name]}
+                onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                autoFocus={index === 0}
+                rows={2}
+                className="w-full bg-dark-800 border border-dark-700 rounded-lg px-3 py-2 text-sm text-dark-100 placeholder-dark-500 focus:outline-none focus:border-accent-primary resize-y"
+              />
+            </label>
+          ))}
+
+          <div>
+            <span className="block text-xs text-dark-400 mb-1">Preview</span>
+            <pre className="text-xs text-dark-300 bg-dark-800 border border-dark-700 rounded-lg p-3 whitespace-pre-wrap break-words max-h-40 overflow-y-auto font-sans">
+              {fillTemplate(template.content, values)}
+            </pre>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between gap-2 p-4 border-t border-dark-700 flex-shrink-0">
+          <span className="text-xs text-dark-600">Ctrl+Enter to insert</span>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="text-xs px-3 py-1.5 rounded-lg text-dark-400 hover:bg-dark-800 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleInsert}
+              className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:opacity-90 transition-opacity"
+            >
+              Insert
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
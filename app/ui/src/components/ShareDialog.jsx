@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { getShare, createShare, revokeShare, shareUrl } from '../services/api';
+
+/**
+ * Share dialog - create, copy and revoke the read-only link of a conversation
+ */
+export function ShareDialog({ conversation, onClose }) {
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getShare(conversation.ID)
+      .then((result) => { if (!cancelled) setShare(result); })
+      .catch(() => { if (!cancelled) setError('Failed to load share link'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [conversation.ID]);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      setShare(await createShare(conversation.ID));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await revokeShare(conversation.ID);
+      setShare(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-md" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b border-dark-700">
+          <h2 className="text-base font-semibold text-dark-100 truncate">Share “{conversation.title || 'New Chat'}”</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <p className="text-sm text-dark-400">
+            Anyone signed in to this app who has the link can read this conversation, including its attachments.
+            They cannot continue or change it. Messages you add later are visible too.
+          </p>
+
+          {error && <div className="text-xs text-red-400 bg-red-500/10 rounded-lg px-3 py-2">{error}</div>}
+
+          {loading ? (
+            <div className="text-sm text-dark-500">Loading…</div>
+          ) : share ? (
+            <>
+              <div className="flex gap-2">
+                <input
+                  readOnly
+                  value={shareUrl(share.token)}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 bg-dark-800 text-xs text-dark-200 border border-dark-700 rounded-lg px-3 py-2 focus:outline-none"
+                />
+                <button
+                  onClick={handleCopy}
+                  className="text-xs px-3 py-2 rounded-lg bg-accent-primary text-white hover:bg-accent-primary/90 transition-colors"
+                >
+                  {copied ? 'Copied!' : 'Copy link'}
+                </button>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-xs text-dark-500">
+                  Shared since {new Date(share.createdAt).toLocaleDateString()}
+                </span>
+                <button
+                  onClick={handleRevoke}
+                  disabled={busy}
+                  className="text-xs px-3 py-1.5 rounded-lg text-dark-400 hover:text-red-400 hover:bg-dark-800 disabled:opacity-50 transition-colors"
+                >
+                  {busy ? 'Revoking…' : 'Revoke link'}
+                </button>
+              </div>
+            </>
+          ) : (
+            <button
+              onClick={handleCreate}
+              disabled={busy}
+              className="w-full text-sm px-3 py-2 rounded-lg bg-accent-primary text-white hover:bg-accent-primary/90 disabled:opacity-50 transition-colors"
+            >
+              {busy ? 'Creating…' : 'Create read-only link'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { ChatMessage } from './ChatMessage';
+import { ChatbotLogo } from './ChatbotLogo';
+import { getSharedConversation } from '../services/api';
+
+/**
+ * Read-only view of a conversation opened via a share link (?share=<token>)
+ */
+export function SharedConversation({ token, onExit }) {
+  const [conversation, setConversation] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSharedConversation(token)
+      .then((result) => {
+        if (cancelled) return;
+        setConversation({
+          ...result,
+          messages: (result.messages || []).map(msg => ({
+            ...msg,
+            sources: typeof msg.sources === 'string' ? JSON.parse(msg.sources) : msg.sources,
+          })),
+        });
+      })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  return (
+    <div className="h-screen flex flex-col bg-dark-900">
+      <header className="flex items-center gap-3 px-4 py-3 border-b border-dark-700">
+        <div className="w-8 h-8 rounded-full bg-dark-800 flex items-center justify-center p-1.5 flex-shrink-0">
+          <ChatbotLogo className="w-full h-full text-accent-primary" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <h1 className="text-sm font-semibold text-dark-100 truncate">
+            {conversation?.title || 'Shared conversation'}
+          </h1>
+          {conversation && (
+            <p className="text-xs text-dark-500 truncate">
+              Shared by {conversation.sharedBy} · read-only
+            </p>
+          )}
+        </div>
+        <button
+          onClick={onExit}
+          className="text-xs px-3 py-1.5 rounded-lg border border-dark-600 text-dark-300 hover:text-white hover:bg-dark-800 transition-colors flex-shrink-0"
+        >
+          Back to my chats
+        </button>
+      </header>
+
+      <main className="flex-1 overflow-y-auto">
+        {error ? (
+          <div className="text-center py-16">
+            <p className="text-dark-300 text-sm">This share link is invalid or has been revoked.</p>
+            <p className="text-dark-600 text-xs mt-1">{error}</p>
+          </div>
+        ) : !conversation ? (
+          <div className="text-center py-16 text-dark-500 text-sm">Loading…</div>
+        ) : (
+          conversation.messages.map(message => (
+            <ChatMessage key={message.ID} message={message} shareToken={token} />
+          ))
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,17 +1,84 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { ShareDialog } from './ShareDialog';
+import { searchConversations, exportConversation } from '../services/api';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Drag-and-drop data type of a conversation dragged onto a folder
+const CONVERSATION_DRAG_TYPE = 'application/x-conversation-id';
+
+const EXPORT_FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'html', label: 'HTML' },
+  { format: 'pdf', label: 'PDF' },
+  { format: 'json', label: 'JSON' },
+];
+
+// Tooltips of the background job badge on a conversation
+const JOB_STATUS_TITLES = {
+  running: 'Generating an answer in the background',
+  completed: 'Background answer ready',
+  stopped: 'Background answer stopped',
+  failed: 'Background answer failed',
+};
+
+const FOLDER_ICON_PATH = 'M3 7a2 2 0 012-2h4l2 2h8a2 2 0 012 2v8a2 2 0 01-2 2H5a2 2 0 01-2-2V7z';
+const ARCHIVE_ICON_PATH = 'M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4';
+
+/**
+ * Split the (most recently modified first) conversation list into Today / Last 7 days / Older
+ */
+function groupConversations(conversations, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const groups = [
+    { label: 'Today', from: startOfToday, items: [] },
+    { label: 'Last 7 days', from: startOfToday - 7 * DAY_MS, items: [] },
+    { label: 'Older', from: -Infinity, items: [] },
+  ];
+  for (const conv of conversations) {
+    const modified = new Date(conv.modifiedAt || conv.createdAt).getTime() || 0;
+    groups.find(g => modified >= g.from).items.push(conv);
+  }
+  return groups.filter(g => g.items.length > 0);
+}
 
 /**
  * Sidebar component for conversation list
  */
 export function Sidebar({
   conversations,
+  pinnedConversations = [],
+  conversationCount = null,
+  hasMoreConversations = false,
+  onLoadMoreConversations,
   currentConversationId,
   onSelectConversation,
+  onSelectSearchResult,
   onNewConversation,
   onDeleteConversation,
   onRenameConversation,
   onNavigateHome,
   onOpenMemories,
+  onOpenCollections,
+  onOpenTrash,
+  onOpenImport,
+  onOpenPersonas,
+  onOpenPrompts,
+  workspaces = [],
+  currentWorkspaceId = null,
+  onSelectWorkspace,
+  onOpenWorkspaces,
+  folders = [],
+  tags = [],
+  listFilter = null,
+  onFilterList,
+  onUpdateLabels,
+  onCreateFolder,
+  onDeleteFolder,
+  jobStatuses = {},
   isOpen,
   onClose,
   user,
@@ -19,7 +86,16 @@ export function Sidebar({
 }) {
   const [showAICorePopup, setShowAICorePopup] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const [sharingConversation, setSharingConversation] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchError, setSearchError] = useState(null);
   const userMenuRef = useRef(null);
+  const listRef = useRef(null);
+  const loadMoreRef = useRef(null);
+  const currentWorkspace = workspaces.find(w => w.ID === currentWorkspaceId) || null;
+  // Viewers of a workspace cannot start, rename, share or delete its conversations
+  const readOnly = currentWorkspace?.role === 'viewer';
 
   // Close user menu when clicking outside
   useEffect(() => {
@@ -34,6 +110,38 @@ export function Sidebar({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [showUserMenu]);
 
+  // Search all conversations (debounced; a newer query aborts the running one)
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      setSearchError(null);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      searchConversations(query, { signal: controller.signal })
+        .then((results) => { setSearchResults(results); setSearchError(null); })
+        .catch((err) => { if (err.name !== 'AbortError') setSearchError(err.message); });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => { clearTimeout(timer); controller.abort(); };
+  }, [searchQuery]);
+
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreConversations) return;
+    const observer = new IntersectionObserver(
+      (entries) => { if (entries[0].isIntersecting) onLoadMoreConversations(); },
+      { root: listRef.current, rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreConversations, onLoadMoreConversations, conversations.length]);
+
+  const workspaceName = (workspaceId) =>
+    workspaceId ? (workspaces.find(w => w.ID === workspaceId)?.name || 'Workspace') : 'Personal';
+
   // Get user initials
   const getUserInitials = () => {
     if (!user || !user.name) return 'U';
@@ -77,11 +185,38 @@ export function Sidebar({
             <h1 className="text-lg font-semibold text-dark-100">SAP Not Joule</h1>
           </button>
           
+          {/* Workspace switcher */}
+          <div className="flex items-center gap-2 mb-3">
+            <select
+              value={currentWorkspaceId || ''}
+              onChange={(e) => onSelectWorkspace(e.target.value || null)}
+              title="Workspace"
+              className="flex-1 min-w-0 bg-dark-800 text-sm text-dark-200 border border-dark-700 rounded-lg px-2 py-1.5 focus:outline-none focus:border-accent-primary"
+            >
+              <option value="">Personal</option>
+              {workspaces.map(workspace => (
+                <option key={workspace.ID} value={workspace.ID}>{workspace.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={onOpenWorkspaces}
+              title="Manage workspaces"
+              className="p-1.5 rounded-lg text-dark-400 hover:text-white hover:bg-dark-800 transition-colors flex-shrink-0"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+              </svg>
+            </button>
+          </div>
+
           <button
             onClick={onNewConversation}
+            disabled={readOnly}
+            title={readOnly ? 'Viewers cannot start conversations in this workspace' : undefined}
             className="w-full flex items-center gap-3 px-4 py-3 rounded-lg
                        border border-dark-600 hover:bg-dark-800
-                       transition-colors duration-200 group"
+                       transition-colors duration-200 group
+                       disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <svg
               className="w-5 h-5 text-dark-400 group-hover:text-white transition-colors"
@@ -100,41 +235,127 @@ export function Sidebar({
               New Chat
             </span>
           </button>
+
+          {/* Search */}
+          <div className="relative mt-3">
+            <svg className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-dark-500 pointer-events-none" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-4.35-4.35M17 11a6 6 0 11-12 0 6 6 0 0112 0z" />
+            </svg>
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Escape') setSearchQuery(''); }}
+              placeholder="Search conversations"
+              maxLength={500}
+              className="w-full bg-dark-800 text-sm text-dark-100 border border-dark-700 rounded-lg pl-9 pr-3 py-1.5 focus:outline-none focus:border-accent-primary"
+            />
+          </div>
         </div>
 
-        {/* Conversation list */}
-        <div className="flex-1 overflow-y-auto p-2">
-          {conversations.length === 0 ? (
-            <div className="text-center text-dark-500 py-8 px-4">
-              <svg
-                className="w-12 h-12 mx-auto mb-3 text-dark-600"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={1.5}
-                  d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"
-                />
-              </svg>
-              <p className="text-sm">No conversations yet</p>
-              <p className="text-xs mt-1">Start a new chat to begin</p>
-            </div>
+        {/* Conversation list (or search results while searching) */}
+        <div ref={listRef} className="flex-1 overflow-y-auto p-2">
+          {searchQuery.trim() ? (
+            searchError ? (
+              <p className="text-xs text-red-400 px-3 py-4">{searchError}</p>
+            ) : searchResults === null ? (
+              <p className="text-xs text-dark-500 px-3 py-4">Searching…</p>
+            ) : searchResults.length === 0 ? (
+              <p className="text-xs text-dark-500 px-3 py-4 text-center">No matching conversations</p>
+            ) : (
+              <div className="space-y-1">
+                {searchResults.map((result) => (
+                  <button
+                    key={result.conversationId}
+                    onClick={() => onSelectSearchResult(result)}
+                    className={`w-full text-left px-3 py-2 rounded-lg transition-colors duration-150 ${
+                      result.conversationId === currentConversationId ? 'bg-dark-800' : 'hover:bg-dark-800/50'
+                    }`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="flex-1 truncate text-sm text-dark-100">{result.title || 'Untitled'}</span>
+                      {result.workspaceId !== currentWorkspaceId && (
+                        <span className="text-[10px] text-dark-500 flex-shrink-0">{workspaceName(result.workspaceId)}</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-dark-400 mt-0.5 line-clamp-2">
+                      <HighlightedSnippet snippet={result.snippet} />
+                    </p>
+                  </button>
+                ))}
+              </div>
+            )
           ) : (
-            <div className="space-y-1">
-              {conversations.map((conv) => (
-                <ConversationItem
-                  key={conv.ID}
-                  conversation={conv}
-                  isActive={conv.ID === currentConversationId}
-                  onSelect={() => onSelectConversation(conv.ID)}
-                  onDelete={() => onDeleteConversation(conv.ID)}
-                  onRename={(newTitle) => onRenameConversation(conv.ID, newTitle)}
-                />
-              ))}
-            </div>
+          <>
+            <ListFilters
+              folders={folders}
+              tags={tags}
+              listFilter={listFilter}
+              onFilterList={onFilterList}
+              onMoveToFolder={(conversationId, folderId) => onUpdateLabels(conversationId, { folderId })}
+              onArchive={(conversationId) => onUpdateLabels(conversationId, { archived: true })}
+              onCreateFolder={onCreateFolder}
+              onDeleteFolder={onDeleteFolder}
+            />
+            {conversations.length === 0 && pinnedConversations.length === 0 ? (
+              listFilter ? (
+                <p className="text-xs text-dark-500 px-3 py-4 text-center">No conversations here yet</p>
+              ) : (
+                <div className="text-center text-dark-500 py-8 px-4">
+                  <svg
+                    className="w-12 h-12 mx-auto mb-3 text-dark-600"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={1.5}
+                      d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"
+                    />
+                  </svg>
+                  <p className="text-sm">No conversations yet</p>
+                  <p className="text-xs mt-1">Start a new chat to begin</p>
+                </div>
+              )
+            ) : (
+              <div className="space-y-3">
+                {[
+                  ...(pinnedConversations.length > 0 ? [{ label: 'Pinned', items: pinnedConversations }] : []),
+                  ...groupConversations(conversations),
+                ].map((group) => (
+                  <div key={group.label}>
+                    <p className="px-3 pb-1 text-xs font-medium text-dark-500">{group.label}</p>
+                    <div className="space-y-1">
+                      {group.items.map((conv) => (
+                        <ConversationItem
+                          key={conv.ID}
+                          conversation={conv}
+                          isActive={conv.ID === currentConversationId}
+                          jobStatus={jobStatuses[conv.ID]}
+                          onSelect={() => onSelectConversation(conv.ID)}
+                          onDelete={() => onDeleteConversation(conv.ID)}
+                          onRename={(newTitle) => onRenameConversation(conv.ID, newTitle)}
+                          onShare={() => setSharingConversation(conv)}
+                          onTogglePin={() => onUpdateLabels(conv.ID, { pinned: !conv.pinned })}
+                          onToggleArchive={() => onUpdateLabels(conv.ID, { archived: !conv.archived })}
+                          onSetTags={(newTags) => onUpdateLabels(conv.ID, { tags: newTags })}
+                          onFilterTag={(tag) => onFilterList({ tag })}
+                          readOnly={readOnly}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                {hasMoreConversations && (
+                  <p ref={loadMoreRef} className="text-xs text-dark-500 text-center py-2">
+                    Loading more{conversationCount !== null ? ` (${conversations.length} of ${conversationCount})` : ''}…
+                  </p>
+                )}
+              </div>
+            )}
+          </>
           )}
         </div>
 
@@ -174,6 +395,61 @@ export function Sidebar({
                   </svg>
                   <span>Memories</span>
                 </button>
+                <button
+                  onClick={() => { onOpenPersonas(); setShowUserMenu(false); }}
+                  className="w-full flex items-center gap-3 px-3 py-2.5
+                             text-dark-300 hover:text-dark-100 hover:bg-dark-700
+                             transition-colors duration-150 text-sm"
+                >
+                  <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                  </svg>
+                  <span>Personas</span>
+                </button>
+                <button
+                  onClick={() => { onOpenPrompts(); setShowUserMenu(false); }}
+                  className="w-full flex items-center gap-3 px-3 py-2.5
+                             text-dark-300 hover:text-dark-100 hover:bg-dark-700
+                             transition-colors duration-150 text-sm"
+                >
+                  <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                  </svg>
+                  <span>Prompt library</span>
+                </button>
+                <button
+                  onClick={() => { onOpenCollections(); setShowUserMenu(false); }}
+                  className="w-full flex items-center gap-3 px-3 py-2.5
+                             text-dark-300 hover:text-dark-100 hover:bg-dark-700
+                             transition-colors duration-150 text-sm"
+                >
+                  <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+                  </svg>
+                  <span>Knowledge base</span>
+                </button>
+                <button
+                  onClick={() => { onOpenTrash(); setShowUserMenu(false); }}
+                  className="w-full flex items-center gap-3 px-3 py-2.5
+                             text-dark-300 hover:text-dark-100 hover:bg-dark-700
+                             transition-colors duration-150 text-sm"
+                >
+                  <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                  <span>Trash</span>
+                </button>
+                <button
+                  onClick={() => { onOpenImport(); setShowUserMenu(false); }}
+                  className="w-full flex items-center gap-3 px-3 py-2.5
+                             text-dark-300 hover:text-dark-100 hover:bg-dark-700
+                             transition-colors duration-150 text-sm"
+                >
+                  <svg className="w-4 h-4 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M12 4v12m0 0l-4-4m4 4l4-4" />
+                  </svg>
+                  <span>Import chats</span>
+                </button>
               </div>
             )}
           </div>
@@ -197,6 +473,11 @@ export function Sidebar({
         </div>
       </aside>
 
+      {/* Share dialog */}
+      {sharingConversation && (
+        <ShareDialog conversation={sharingConversation} onClose={() => setSharingConversation(null)} />
+      )}
+
       {/* AI Core Popup */}
       {showAICorePopup && (
         <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
@@ -239,28 +520,204 @@ export function Sidebar({
 /**
  * Individual conversation item
  */
-function ConversationItem({ conversation, isActive, onSelect, onDelete, onRename }) {
+/**
+ * Snippet text with the matched ranges marked (ranges, not HTML, so message text stays escaped)
+ */
+function HighlightedSnippet({ snippet }) {
+  const parts = [];
+  let position = 0;
+  for (const { start, end } of snippet.highlights) {
+    if (start > position) parts.push(snippet.text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-accent-primary/25 text-dark-100 rounded-sm">
+        {snippet.text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  }
+  if (position < snippet.text.length) parts.push(snippet.text.slice(position));
+  return <>{parts}</>;
+}
+
+/**
+ * Folders and tags above the conversation list: click one to filter the list,
+ * drop a conversation on a folder to file it
+ */
+function ListFilters({ folders, tags, listFilter, onFilterList, onMoveToFolder, onArchive, onCreateFolder, onDeleteFolder }) {
+  const [creating, setCreating] = React.useState(false);
+  const [newName, setNewName] = React.useState('');
+
+  const submitFolder = () => {
+    if (newName.trim()) onCreateFolder(newName.trim());
+    setNewName('');
+    setCreating(false);
+  };
+
+  return (
+    <div className="mb-3 pb-3 border-b border-dark-800 space-y-0.5">
+      <div className="flex items-center justify-between px-3 pb-1">
+        <p className="text-xs font-medium text-dark-500">Folders</p>
+        <button
+          onClick={() => setCreating(true)}
+          title="New folder"
+          className="p-0.5 rounded text-dark-500 hover:text-dark-200 hover:bg-dark-800 transition-colors"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      </div>
+
+      <FolderRow
+        label="All chats"
+        active={!listFilter}
+        title="Drop a chat here to take it out of its folder"
+        onClick={() => onFilterList(null)}
+        onDropConversation={(id) => onMoveToFolder(id, null)}
+      />
+      {folders.map((folder) => (
+        <FolderRow
+          key={folder.ID}
+          label={folder.name}
+          count={folder.conversationCount}
+          active={listFilter?.folderId === folder.ID}
+          onClick={() => onFilterList({ folderId: folder.ID })}
+          onDropConversation={(id) => onMoveToFolder(id, folder.ID)}
+          onDelete={() => onDeleteFolder(folder.ID)}
+        />
+      ))}
+      {creating && (
+        <input
+          autoFocus
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitFolder();
+            else if (e.key === 'Escape') { setNewName(''); setCreating(false); }
+          }}
+          onBlur={submitFolder}
+          placeholder="Folder name"
+          maxLength={100}
+          className="w-full bg-dark-800 text-sm text-dark-100 border border-accent-primary/50 rounded-lg px-3 py-1 outline-none"
+        />
+      )}
+      <FolderRow
+        label="Archived"
+        iconPath={ARCHIVE_ICON_PATH}
+        active={Boolean(listFilter?.archived)}
+        title="Drop a chat here to archive it"
+        onClick={() => onFilterList({ archived: true })}
+        onDropConversation={onArchive}
+      />
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 px-3 pt-2">
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              onClick={() => onFilterList(listFilter?.tag === tag ? null : { tag })}
+              title={`${count} conversation${count === 1 ? '' : 's'}`}
+              className={`text-[11px] px-2 py-0.5 rounded-full border transition-colors ${
+                listFilter?.tag === tag
+                  ? 'border-accent-primary text-accent-primary bg-accent-primary/10'
+                  : 'border-dark-700 text-dark-400 hover:border-dark-500'
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FolderRow({ label, count, active, title, iconPath = FOLDER_ICON_PATH, onClick, onDropConversation, onDelete }) {
+  const [dropping, setDropping] = React.useState(false);
+  const accepts = (e) => e.dataTransfer.types.includes(CONVERSATION_DRAG_TYPE);
+
+  return (
+    <div
+      onClick={onClick}
+      title={title}
+      onDragOver={(e) => {
+        if (!accepts(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setDropping(true);
+      }}
+      onDragLeave={() => setDropping(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDropping(false);
+        const id = e.dataTransfer.getData(CONVERSATION_DRAG_TYPE);
+        if (id) onDropConversation(id);
+      }}
+      className={`group flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm cursor-pointer transition-colors ${
+        dropping ? 'bg-accent-primary/20 ring-1 ring-accent-primary text-dark-100'
+          : active ? 'bg-dark-800 text-dark-100' : 'text-dark-300 hover:bg-dark-800/50'
+      }`}
+    >
+      <svg className="w-4 h-4 text-dark-500 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d={iconPath} />
+      </svg>
+      <span className="flex-1 truncate">{label}</span>
+      {count !== undefined && (
+        <span className={`text-xs text-dark-500 ${onDelete ? 'group-hover:hidden' : ''}`}>{count}</span>
+      )}
+      {onDelete && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onDelete(); }}
+          title="Delete folder (its chats are kept)"
+          className="hidden group-hover:block p-0.5 rounded text-dark-500 hover:text-red-400 transition-colors"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ConversationItem({
+  conversation, isActive, onSelect, onDelete, onRename, onShare, onTogglePin, onToggleArchive, onSetTags, onFilterTag,
+  jobStatus = null, readOnly = false,
+}) {
   const [showActions, setShowActions] = React.useState(false);
-  const [isEditing, setIsEditing] = React.useState(false);
+  const [showExportMenu, setShowExportMenu] = React.useState(false);
+  // null, 'title' (rename) or 'tags' (comma-separated)
+  const [editing, setEditing] = React.useState(null);
   const [editValue, setEditValue] = React.useState('');
   const inputRef = React.useRef(null);
+  const isEditing = editing !== null;
+  const tags = conversation.tags || [];
 
   const startEditing = (e) => {
     e.stopPropagation();
     setEditValue(conversation.title || 'New Chat');
-    setIsEditing(true);
+    setEditing('title');
+  };
+
+  const startEditingTags = (e) => {
+    e.stopPropagation();
+    setEditValue(tags.join(', '));
+    setEditing('tags');
   };
 
   const commitEdit = () => {
     const trimmed = editValue.trim();
-    if (trimmed && trimmed !== (conversation.title || 'New Chat')) {
+    if (editing === 'tags') {
+      const newTags = trimmed.split(',').map(t => t.trim()).filter(Boolean);
+      if (newTags.join(',') !== tags.join(',')) onSetTags(newTags);
+    } else if (trimmed && trimmed !== (conversation.title || 'New Chat')) {
       onRename(trimmed);
     }
-    setIsEditing(false);
+    setEditing(null);
   };
 
   const cancelEdit = () => {
-    setIsEditing(false);
+    setEditing(null);
   };
 
   React.useEffect(() => {
@@ -279,7 +736,12 @@ function ConversationItem({ conversation, isActive, onSelect, onDelete, onRename
       `}
       onClick={isEditing ? undefined : onSelect}
       onMouseEnter={() => setShowActions(true)}
-      onMouseLeave={() => setShowActions(false)}
+      onMouseLeave={() => { setShowActions(false); setShowExportMenu(false); }}
+      draggable={!isEditing}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(CONVERSATION_DRAG_TYPE, conversation.ID);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
     >
       <svg
         className="w-5 h-5 text-dark-500 flex-shrink-0"
@@ -307,6 +769,7 @@ function ConversationItem({ conversation, isActive, onSelect, onDelete, onRename
               else if (e.key === 'Escape') cancelEdit();
             }}
             onBlur={commitEdit}
+            placeholder={editing === 'tags' ? 'Tags, comma-separated' : undefined}
             className="flex-1 bg-dark-700 text-sm text-dark-100 rounded px-2 py-0.5
                        border border-accent-primary/50 outline-none min-w-0"
             maxLength={255}
@@ -332,11 +795,112 @@ function ConversationItem({ conversation, isActive, onSelect, onDelete, onRename
         </>
       ) : (
         <>
-          <span className="flex-1 truncate text-sm text-dark-200">
-            {conversation.title || 'New Chat'}
-          </span>
+          <div className="flex-1 min-w-0">
+            <span className="block truncate text-sm text-dark-200">
+              {conversation.title || 'New Chat'}
+            </span>
+            {tags.length > 0 && (
+              <span className="flex gap-1 mt-0.5 overflow-hidden">
+                {tags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={(e) => { e.stopPropagation(); onFilterTag(tag); }}
+                    className="text-[10px] text-dark-500 hover:text-accent-primary transition-colors flex-shrink-0"
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </span>
+            )}
+          </div>
+
+          {jobStatus && !showActions && (
+            <span
+              className={`w-2 h-2 rounded-full flex-shrink-0 ${
+                jobStatus === 'running' ? 'bg-dark-400 animate-pulse'
+                  : jobStatus === 'failed' ? 'bg-red-500' : 'bg-accent-primary'
+              }`}
+              title={JOB_STATUS_TITLES[jobStatus]}
+            />
+          )}
+
+          {conversation.pinned && !showActions && (
+            <svg className="w-3.5 h-3.5 text-dark-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+              <path d="M16 3l5 5-3 1-4 4 1 5-2 2-4-4-5 5-1-1 5-5-4-4 2-2 5 1 4-4 1-3z" />
+            </svg>
+          )}
 
           {showActions && (
+            <>
+              <button
+                onClick={(e) => { e.stopPropagation(); onTogglePin(); }}
+                className={`p-1 rounded hover:bg-dark-700 transition-colors duration-150 flex-shrink-0 ${
+                  conversation.pinned ? 'text-accent-primary' : 'text-dark-500 hover:text-dark-200'
+                }`}
+                title={conversation.pinned ? 'Unpin conversation' : 'Pin conversation'}
+              >
+                <svg className="w-4 h-4" fill={conversation.pinned ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M16 3l5 5-3 1-4 4 1 5-2 2-4-4-5 5-1-1 5-5-4-4 2-2 5 1 4-4 1-3z" />
+                </svg>
+              </button>
+              <button
+                onClick={startEditingTags}
+                className="p-1 rounded hover:bg-dark-700 text-dark-500 hover:text-dark-200
+                           transition-colors duration-150 flex-shrink-0"
+                title="Edit tags"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                    d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                </svg>
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); onToggleArchive(); }}
+                className={`p-1 rounded hover:bg-dark-700 transition-colors duration-150 flex-shrink-0 ${
+                  conversation.archived ? 'text-accent-primary' : 'text-dark-500 hover:text-dark-200'
+                }`}
+                title={conversation.archived ? 'Unarchive conversation' : 'Archive conversation'}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={ARCHIVE_ICON_PATH} />
+                </svg>
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); setShowExportMenu(v => !v); }}
+                className="p-1 rounded hover:bg-dark-700 text-dark-500 hover:text-dark-200
+                           transition-colors duration-150 flex-shrink-0"
+                title="Export conversation"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                    d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                </svg>
+              </button>
+            </>
+          )}
+
+          {showExportMenu && (
+            <div
+              className="absolute right-2 top-full mt-1 z-20 bg-dark-800 border border-dark-700 rounded-lg shadow-lg overflow-hidden"
+              onClick={(e) => e.stopPropagation()}
+            >
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button
+                  key={format}
+                  onClick={() => {
+                    setShowExportMenu(false);
+                    exportConversation(conversation.ID, format)
+                      .catch(err => console.error('Failed to export conversation:', err));
+                  }}
+                  className="w-full text-left px-4 py-1.5 text-sm text-dark-300 hover:text-dark-100 hover:bg-dark-700 transition-colors"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {showActions && !readOnly && (
             <>
               <button
                 onClick={startEditing}
@@ -349,11 +913,22 @@ function ConversationItem({ conversation, isActive, onSelect, onDelete, onRename
                     d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
                 </svg>
               </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); onShare(); }}
+                className="p-1 rounded hover:bg-dark-700 text-dark-500 hover:text-dark-200
+                           transition-colors duration-150 flex-shrink-0"
+                title="Share conversation"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                    d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+                </svg>
+              </button>
               <button
                 onClick={(e) => { e.stopPropagation(); onDelete(); }}
                 className="p-1 rounded hover:bg-dark-700 text-dark-500 hover:text-red-400
                            transition-colors duration-150 flex-shrink-0"
-                title="Delete conversation"
+                title="Move to trash"
               >
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
@@ -368,4 +943,4 @@ function ConversationItem({ conversation, isActive, onSelect, onDelete, onRename
   );
 }
 
-export default Sidebar;
\ No newline at end of file
+export default Sidebar;
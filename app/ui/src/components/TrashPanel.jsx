@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { getTrash, restoreConversation, purgeConversation, emptyTrash } from '../services/api';
+
+function formatDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Deleted conversations: restore them, or delete them for good before the purge job does
+ */
+export function TrashPanel({ workspaces = [], onRestored, onClose }) {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [emptying, setEmptying] = useState(false);
+
+  useEffect(() => { load(); }, []);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setConversations(await getTrash());
+    } catch {
+      setError('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const workspaceName = (id) => workspaces.find(w => w.ID === id)?.name;
+
+  const handleRestore = async (id) => {
+    setBusyId(id);
+    try {
+      await restoreConversation(id);
+      setConversations(prev => prev.filter(c => c.ID !== id));
+      onRestored?.();
+    } catch (e) {
+      console.error('Failed to restore conversation:', e);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (id) => {
+    setBusyId(id);
+    try {
+      await purgeConversation(id);
+      setConversations(prev => prev.filter(c => c.ID !== id));
+    } catch (e) {
+      console.error('Failed to delete conversation:', e);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!confirming) { setConfirming(true); return; }
+    setEmptying(true);
+    try {
+      await emptyTrash();
+      setConversations([]);
+    } catch (e) {
+      console.error('Failed to empty trash:', e);
+    } finally {
+      setEmptying(false);
+      setConfirming(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-xl max-h-[80vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700 flex-shrink-0">
+          <div className="flex items-center gap-2.5">
+            <h2 className="text-base font-semibold text-dark-100">Trash</h2>
+            {!loading && (
+              <span className="text-xs text-dark-500 bg-dark-800 px-2 py-0.5 rounded-full">
+                {conversations.length}
+              </span>
+            )}
+          </div>
+
+          <div className="flex items-center gap-2">
+            {conversations.length > 0 && !loading && (
+              <>
+                {confirming && (
+                  <button
+                    onClick={() => setConfirming(false)}
+                    className="text-xs px-3 py-1.5 rounded-lg text-dark-400 hover:bg-dark-800 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                )}
+                <button
+                  onClick={handleEmpty}
+                  disabled={emptying}
+                  className={`text-xs px-3 py-1.5 rounded-lg transition-colors ${
+                    confirming
+                      ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
+                      : 'text-dark-400 hover:text-red-400 hover:bg-dark-800'
+                  }`}
+                >
+                  {emptying ? 'Emptying…' : confirming ? 'Delete all for good' : 'Empty trash'}
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <div className="flex items-center justify-center gap-2 py-16 text-dark-500 text-sm">
+              <svg className="animate-spin w-4 h-4" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+              </svg>
+              Loading…
+            </div>
+          ) : error ? (
+            <div className="text-center py-16 text-red-400 text-sm">{error}</div>
+          ) : conversations.length === 0 ? (
+            <div className="text-center py-16">
+              <svg className="w-10 h-10 mx-auto mb-3 text-dark-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+              <p className="text-dark-400 text-sm">The trash is empty</p>
+              <p className="text-dark-600 text-xs mt-1">Deleted conversations can be restored from here</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {conversations.map(conversation => (
+                <div
+                  key={conversation.ID}
+                  className="flex items-center gap-3 p-3 rounded-lg bg-dark-800 border border-dark-700"
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-dark-100 truncate">{conversation.title || 'New Chat'}</p>
+                    <div className="flex items-center gap-3 mt-1 flex-wrap text-xs text-dark-500">
+                      {conversation.workspace_ID && workspaceName(conversation.workspace_ID) && (
+                        <span>{workspaceName(conversation.workspace_ID)}</span>
+                      )}
+                      <span>Deleted {formatDate(conversation.deletedAt)}</span>
+                      {conversation.purgeAt && (
+                        <span className="text-dark-600">Deleted for good on {formatDate(conversation.purgeAt)}</span>
+                      )}
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={() => handleRestore(conversation.ID)}
+                    disabled={busyId === conversation.ID}
+                    className="text-xs px-3 py-1.5 rounded-lg text-dark-300 hover:text-dark-100 hover:bg-dark-700 transition-colors flex-shrink-0"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(conversation.ID)}
+                    disabled={busyId === conversation.ID}
+                    title="Delete for good"
+                    className="p-1.5 rounded hover:bg-dark-700 text-dark-500 hover:text-red-400 transition-colors flex-shrink-0"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import {
+  createWorkspace,
+  deleteWorkspace,
+  getWorkspaceMembers,
+  setWorkspaceMember,
+  removeWorkspaceMember,
+} from '../services/api';
+
+const ROLES = [
+  { id: 'owner', label: 'Owner', description: 'Manages members and deletes chats' },
+  { id: 'editor', label: 'Editor', description: 'Reads and posts in all chats' },
+  { id: 'viewer', label: 'Viewer', description: 'Reads all chats' },
+];
+
+/**
+ * Workspaces panel - create team workspaces and manage their members and roles
+ */
+export function WorkspacePanel({ workspaces, currentWorkspaceId, userId, onChanged, onSelectWorkspace, onClose }) {
+  const [selectedId, setSelectedId] = useState(currentWorkspaceId || workspaces[0]?.ID || null);
+  const [members, setMembers] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newMember, setNewMember] = useState('');
+  const [newRole, setNewRole] = useState('editor');
+  const [busy, setBusy] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selected = workspaces.find(w => w.ID === selectedId) || null;
+  const isOwner = selected?.role === 'owner';
+
+  useEffect(() => {
+    setMembers(null);
+    setConfirmingDelete(false);
+    if (!selectedId) return;
+    let cancelled = false;
+    getWorkspaceMembers(selectedId)
+      .then((list) => { if (!cancelled) setMembers(list); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [selectedId]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    run(async () => {
+      const workspace = await createWorkspace(newName.trim());
+      setNewName('');
+      await onChanged();
+      setSelectedId(workspace.ID);
+    });
+  };
+
+  const handleAddMember = (e) => {
+    e.preventDefault();
+    if (!newMember.trim()) return;
+    run(async () => {
+      setMembers(await setWorkspaceMember(selectedId, newMember.trim(), newRole));
+      setNewMember('');
+      await onChanged();
+    });
+  };
+
+  const handleChangeRole = (memberId, role) => run(async () => {
+    setMembers(await setWorkspaceMember(selectedId, memberId, role));
+    if (memberId === userId) await onChanged();
+  });
+
+  const handleRemove = (memberId) => run(async () => {
+    await removeWorkspaceMember(selectedId, memberId);
+    if (memberId === userId) {
+      // Left the workspace
+      setSelectedId(null);
+      if (currentWorkspaceId === selectedId) onSelectWorkspace(null);
+    } else {
+      setMembers(prev => prev.filter(m => m.userId !== memberId));
+    }
+    await onChanged();
+  });
+
+  const handleDelete = () => {
+    if (!confirmingDelete) { setConfirmingDelete(true); return; }
+    run(async () => {
+      await deleteWorkspace(selectedId);
+      if (currentWorkspaceId === selectedId) onSelectWorkspace(null);
+      setSelectedId(null);
+      await onChanged();
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-[100] flex items-center justify-center p-4">
+      <div className="bg-dark-900 rounded-xl border border-dark-700 w-full max-w-xl max-h-[80vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-dark-700 flex-shrink-0">
+          <h2 className="text-base font-semibold text-dark-100">Workspaces</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* New workspace */}
+        <form onSubmit={handleCreate} className="flex gap-2 p-4 border-b border-dark-700 flex-shrink-0">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New workspace, e.g. Finance team"
+            maxLength={255}
+            className="flex-1 bg-dark-800 text-sm text-dark-100 border border-dark-700 rounded-lg px-3 py-1.5 focus:outline-none focus:border-accent-primary"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim() || busy}
+            className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:bg-accent-primary/90 disabled:opacity-50 transition-colors"
+          >
+            Create
+          </button>
+        </form>
+
+        {error && (
+          <div className="mx-4 mt-3 text-xs text-red-400 bg-red-500/10 rounded-lg px-3 py-2">{error}</div>
+        )}
+
+        {/* Body */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {workspaces.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-dark-400 text-sm">No workspaces yet</p>
+              <p className="text-dark-600 text-xs mt-1">Create one to chat together with your team</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {workspaces.map(workspace => (
+                  <button
+                    key={workspace.ID}
+                    onClick={() => setSelectedId(workspace.ID)}
+                    className={`text-xs px-3 py-1.5 rounded-full border transition-colors ${
+                      workspace.ID === selectedId
+                        ? 'border-accent-primary text-accent-primary bg-accent-primary/10'
+                        : 'border-dark-700 text-dark-300 hover:border-dark-500'
+                    }`}
+                  >
+                    {workspace.name} · {workspace.memberCount}
+                  </button>
+                ))}
+              </div>
+
+              {selected && (
+                <div className="rounded-lg bg-dark-800 border border-dark-700">
+                  <div className="flex items-center justify-between p-3 border-b border-dark-700">
+                    <div className="min-w-0">
+                      <p className="text-sm text-dark-100 truncate">{selected.name}</p>
+                      <p className="text-xs text-dark-500">Your role: {selected.role}</p>
+                    </div>
+                    {isOwner ? (
+                      <button
+                        onClick={handleDelete}
+                        onBlur={() => setConfirmingDelete(false)}
+                        disabled={busy}
+                        className={`text-xs px-2 py-1 rounded transition-colors ${
+                          confirmingDelete ? 'bg-red-500/20 text-red-400' : 'text-dark-500 hover:text-red-400 hover:bg-dark-700'
+                        }`}
+                      >
+                        {confirmingDelete ? 'Confirm delete' : 'Delete workspace'}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => handleRemove(userId)}
+                        disabled={busy}
+                        className="text-xs px-2 py-1 rounded text-dark-500 hover:text-red-400 hover:bg-dark-700 transition-colors"
+                      >
+                        Leave
+                      </button>
+                    )}
+                  </div>
+
+                  <ul className="p-3 space-y-2">
+                    {members === null ? (
+                      <li className="text-xs text-dark-500">Loading…</li>
+                    ) : members.map(member => (
+                      <li key={member.userId} className="flex items-center gap-2 text-sm">
+                        <span className="flex-1 truncate text-dark-200">
+                          {member.userId}
+                          {member.userId === userId && <span className="text-dark-500"> (you)</span>}
+                        </span>
+                        {isOwner ? (
+                          <>
+                            <select
+                              value={member.role}
+                              onChange={(e) => handleChangeRole(member.userId, e.target.value)}
+                              disabled={busy}
+                              className="bg-dark-700 text-xs text-dark-200 border border-dark-600 rounded px-2 py-1 focus:outline-none"
+                            >
+                              {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                            </select>
+                            <button
+                              onClick={() => handleRemove(member.userId)}
+                              disabled={busy}
+                              title={member.userId === userId ? 'Leave workspace' : 'Remove member'}
+                              className="p-1 rounded text-dark-500 hover:text-red-400 hover:bg-dark-700 transition-colors"
+                            >
+                              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                              </svg>
+                            </button>
+                          </>
+                        ) : (
+                          <span className="text-xs text-dark-500">{member.role}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+
+                  {isOwner && (
+                    <form onSubmit={handleAddMember} className="flex gap-2 p-3 border-t border-dark-700">
+                      <input
+                        value={newMember}
+                        onChange={(e) => setNewMember(e.target.value)}
+                        placeholder="User ID or e-mail"
+                        maxLength={255}
+                        className="flex-1 min-w-0 bg-dark-900 text-sm text-dark-100 border border-dark-700 rounded-lg px-3 py-1.5 focus:outline-none focus:border-accent-primary"
+                      />
+                      <select
+                        value={newRole}
+                        onChange={(e) => setNewRole(e.target.value)}
+                        title={ROLES.find(r => r.id === newRole)?.description}
+                        className="bg-dark-900 text-xs text-dark-200 border border-dark-700 rounded-lg px-2 focus:outline-none"
+                      >
+                        {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                      </select>
+                      <button
+                        type="submit"
+                        disabled={!newMember.trim() || busy}
+                        className="text-xs px-3 py-1.5 rounded-lg bg-accent-primary text-white hover:bg-accent-primary/90 disabled:opacity-50 transition-colors"
+                      >
+                        Add
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
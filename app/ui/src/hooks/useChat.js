@@ -1,23 +1,206 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
-import { streamMessage, createConversation, getConversation } from '../services/api';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import { streamMessage, streamRegenerate, streamEdit, resumeAnswerStream, startBackgroundJob, getBackgroundJobs, createConversation, getConversation, updateConversationModel, updateConversationPersona } from '../services/api';
+
+/**
+ * Branching helpers — mirror srv/message-tree.js.
+ * Each message points to the message it follows via parent_ID; regenerated answers
+ * are siblings. Conversations without any parent_ID are a plain chronological chain.
+ */
+function normalizeParentLinks(messages) {
+  const sorted = [...messages].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  if (sorted.some(m => m.parent_ID)) {
+    return sorted;
+  }
+  return sorted.map((msg, i) => ({ ...msg, parent_ID: i > 0 ? sorted[i - 1].ID : null }));
+}
+
+function getBranchPath(messages, leafId) {
+  const byId = new Map(messages.map(m => [m.ID, m]));
+  const path = [];
+  const seen = new Set();
+  let current = byId.get(leafId);
+  while (current && !seen.has(current.ID)) {
+    seen.add(current.ID);
+    path.push(current);
+    current = current.parent_ID ? byId.get(current.parent_ID) : null;
+  }
+  return path.reverse();
+}
+
+/**
+ * Most recently created message in the subtree of fromId (or overall)
+ */
+function getLatestLeaf(messages, fromId = null) {
+  if (!fromId) return messages[messages.length - 1] || null;
+  const subtree = new Set([fromId]);
+  let latest = messages.find(m => m.ID === fromId) || null;
+  for (const msg of messages) {
+    if (msg.parent_ID && subtree.has(msg.parent_ID)) {
+      subtree.add(msg.ID);
+      latest = msg;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Document sources are stored as a JSON string on the message
+ */
+function parseMessageSources(messages) {
+  return messages.map(msg => {
+    if (typeof msg.sources !== 'string') return msg;
+    try {
+      return { ...msg, sources: JSON.parse(msg.sources) };
+    } catch {
+      return { ...msg, sources: null };
+    }
+  });
+}
+
+/**
+ * Add the persisted messages of the visible path to the tree (streaming flags stripped)
+ */
+function mergeIntoTree(tree, path) {
+  const merged = [...tree];
+  for (const msg of path) {
+    if (!msg.ID || msg.ID.startsWith('temp-') || msg.isError) continue;
+    const { isStreaming, isSearching, searchQueries, activeTool, ...stored } = msg;
+    const index = merged.findIndex(m => m.ID === msg.ID);
+    if (index === -1) {
+      merged.push(stored);
+    } else {
+      merged[index] = stored;
+    }
+  }
+  return merged;
+}
+
+/**
+ * An answer saved as 'streaming' at the end of the path is still being generated on the server:
+ * show it as streaming, empty until its events are replayed from the start.
+ * Returns the path and the ID of that answer (or null).
+ */
+function withResumableAnswer(path) {
+  const last = path[path.length - 1];
+  if (last?.role !== 'assistant' || last.status !== 'streaming') return { path, resumeId: null };
+  return {
+    path: [...path.slice(0, -1), { ...last, content: '', isStreaming: true }],
+    resumeId: last.ID,
+  };
+}
+
+/**
+ * Show the answer a stream of this client is receiving at the end of the path, with the text
+ * streamed so far (the saved copy lags behind)
+ */
+function withStreamedAnswer(path, stream) {
+  const last = path[path.length - 1];
+  const streamed = { content: stream.content, sources: stream.sources, status: null, isStreaming: true };
+  if (last?.role === 'assistant' && last.ID === stream.messageId) {
+    return [...path.slice(0, -1), { ...last, ...streamed }];
+  }
+  return [...path, {
+    ID: stream.messageId || `temp-assistant-${Date.now()}`,
+    parent_ID: last?.ID || null,
+    role: 'assistant',
+    createdAt: new Date().toISOString(),
+    ...streamed,
+  }];
+}
+
+// Events of an answer, or of the request starting it; they name their conversation
+const ANSWER_EVENT_TYPES = new Set([
+  'user_message', 'assistant_start', 'sources', 'web_search_start', 'tool_start', 'content', 'done', 'error', 'stream_unavailable',
+]);
+const FINAL_EVENT_TYPES = new Set(['done', 'error', 'stream_unavailable']);
 
 /**
  * Custom hook for managing chat state and streaming
- * Uses WebSocket as primary method, SSE as fallback
+ * Uses WebSocket as primary method, SSE as fallback.
+ * New conversations are created in workspaceId (null = personal).
  */
-export function useChat() {
+export function useChat({ workspaceId = null } = {}) {
   const [messages, setMessages] = useState([]);
+  // All messages of the conversation across branches; `messages` is the visible path
+  const [treeMessages, setTreeMessages] = useState([]);
+  // Model catalogue ID of the current (or next new) conversation; null = default model
+  const [selectedModel, setSelectedModel] = useState(null);
+  // Persona of the current (or next new) conversation; null = default assistant
+  const [selectedPersona, setSelectedPersona] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [isStreaming, setIsStreaming] = useState(false);
+  // Conversations with an answer streaming to this client; several can stream at once
+  const [streamingIds, setStreamingIds] = useState([]);
   const [error, setError] = useState(null);
   const [currentConversationId, setCurrentConversationId] = useState(null);
   const [wsConnected, setWsConnected] = useState(false);
   // Increments only on successful stream completion — used to trigger sidebar refresh
   const [streamCompletedAt, setStreamCompletedAt] = useState(null);
+  // Role of the user in the current conversation (from the WS subscription); 'viewer' = read-only
+  const [conversationRole, setConversationRole] = useState(null);
+  // Latest conversation_updated event from another workspace member
+  const [remoteUpdate, setRemoteUpdate] = useState(null);
+  // Background jobs by assistant message ID: { conversationId, status }; finished ones
+  // stay until their conversation is opened (the sidebar badge)
+  const [backgroundJobs, setBackgroundJobs] = useState({});
+  const currentConversationIdRef = useRef(null);
+  const handledUpdateRef = useRef(null);
   const wsRef = useRef(null);
-  const abortRef = useRef(null);
-  const pendingMessageRef = useRef(null);
+  // Requests made while the WebSocket connects, sent once it is open
+  const pendingMessagesRef = useRef([]);
   const reconnectTimeoutRef = useRef(null);
+  // Answers being streamed, by conversation: { conversationId, transport ('ws' | 'sse'),
+  // messageId (null until assistant_start), lastEventId, content, sources, queued (WebSocket
+  // request not sent yet), stopRequested, stop (SSE: stops the request) }
+  const streamsRef = useRef(new Map());
+
+  const isStreaming = Boolean(currentConversationId) && streamingIds.includes(currentConversationId);
+
+  /**
+   * Start tracking the answer about to stream into a conversation
+   */
+  const beginStream = useCallback((conversationId, transport) => {
+    const stream = {
+      conversationId, transport, messageId: null, lastEventId: null, content: '', sources: null,
+      queued: false, stopRequested: false, stop: null,
+    };
+    streamsRef.current.set(conversationId, stream);
+    setStreamingIds((prev) => (prev.includes(conversationId) ? prev : [...prev, conversationId]));
+    return stream;
+  }, []);
+
+  const endStream = useCallback((conversationId) => {
+    streamsRef.current.delete(conversationId);
+    setStreamingIds((prev) => prev.filter(id => id !== conversationId));
+  }, []);
+
+  /**
+   * Ask the server to stop a WebSocket answer; its final events still arrive
+   */
+  const cancelStream = useCallback((stream) => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'cancel', messageId: stream.messageId }));
+    }
+  }, []);
+
+  /**
+   * Sync the background jobs with the server (after connecting, a job_completed may have been
+   * missed). Finished jobs the client did not know about were already seen before a page reload.
+   */
+  const refreshBackgroundJobs = useCallback(() => {
+    getBackgroundJobs()
+      .then((jobs) => setBackgroundJobs((prev) => {
+        const next = Object.fromEntries(
+          Object.entries(prev).filter(([, job]) => job.status !== 'running')
+        );
+        for (const job of jobs) {
+          if (job.status === 'running' || prev[job.messageId]?.status === 'running') {
+            next[job.messageId] = { conversationId: job.conversationId, status: job.status };
+          }
+        }
+        return next;
+      }))
+      .catch((err) => console.error('Failed to load background jobs:', err));
+  }, []);
 
   /**
    * Get WebSocket URL
@@ -41,17 +224,17 @@ export function useChat() {
       ws.onopen = () => {
         console.log('WebSocket connected');
         setWsConnected(true);
-        
-        // If there's a pending message, send it now
-        if (pendingMessageRef.current) {
-          const { conversationId, content, attachments } = pendingMessageRef.current;
-          ws.send(JSON.stringify({
-            type: 'chat',
-            conversationId,
-            content,
-            attachments
-          }));
-          pendingMessageRef.current = null;
+        refreshBackgroundJobs();
+
+        // Answers that were streaming when the connection dropped kept being generated
+        resumeAfterReconnect(ws);
+        // Send the requests made while connecting
+        for (const payload of pendingMessagesRef.current) {
+          ws.send(JSON.stringify(payload));
+        }
+        pendingMessagesRef.current = [];
+        for (const stream of streamsRef.current.values()) {
+          stream.queued = false;
         }
       };
 
@@ -101,19 +284,111 @@ export function useChat() {
       console.error('Failed to create WebSocket:', e);
       setWsConnected(false);
     }
-  }, [getWsUrl]);
+  }, [getWsUrl, refreshBackgroundJobs]);
+
+  /**
+   * Record an answer event on the stream of its conversation, ending the stream with the answer.
+   * Returns whether the event is for the conversation being viewed; answers in other conversations
+   * stream on in the background (shown from their stream when the conversation is opened, with a
+   * sidebar badge once they are done).
+   */
+  const routeAnswerEvent = useCallback((data) => {
+    const streams = streamsRef.current;
+    const stream = data.conversationId
+      ? streams.get(data.conversationId)
+      : [...streams.values()].find(s => s.messageId && s.messageId === data.messageId);
+    const conversationId = stream?.conversationId ?? data.conversationId ?? currentConversationIdRef.current;
+
+    if (stream) {
+      if (data.type === 'assistant_start') {
+        stream.messageId = data.id;
+        // Stopped before the answer had an ID
+        if (stream.stopRequested) cancelStream(stream);
+      }
+      if (data.seq !== undefined) stream.lastEventId = data.seq;
+      if (data.type === 'content') stream.content += data.content;
+      if (data.type === 'sources') stream.sources = data.sources;
+      if (FINAL_EVENT_TYPES.has(data.type)) endStream(conversationId);
+    }
+    if (conversationId === currentConversationIdRef.current) return true;
+
+    const messageId = data.messageId ?? stream?.messageId;
+    if ((data.type === 'done' || data.type === 'error') && messageId) {
+      const status = data.type === 'error' ? 'failed' : data.stopped ? 'stopped' : 'completed';
+      setBackgroundJobs((prev) => ({ ...prev, [messageId]: { conversationId, status } }));
+      setStreamCompletedAt(Date.now());
+    }
+    return false;
+  }, [cancelStream, endStream]);
+
+  /**
+   * Reload the messages of a conversation without a loading state, showing the branch of
+   * focusMessageId (or the latest one). Resolves to the visible path, null if another
+   * conversation was opened meanwhile.
+   */
+  const reloadMessages = useCallback(async (conversationId, focusMessageId = null) => {
+    const conversation = await getConversation(conversationId);
+    if (currentConversationIdRef.current !== conversationId) return null;
+    const tree = normalizeParentLinks(parseMessageSources(conversation.messages || []));
+    const focused = focusMessageId && tree.some(m => m.ID === focusMessageId);
+    setTreeMessages(tree);
+    return getBranchPath(tree, getLatestLeaf(tree, focused ? focusMessageId : null)?.ID);
+  }, []);
+
+  /**
+   * Continue the answers that were streaming over the WebSocket when it dropped. Before an
+   * answer's assistant_start arrived only the saved conversation tells whether it is still
+   * generated; that is checked for the conversation being viewed (others are resumed when opened).
+   */
+  const resumeAfterReconnect = useCallback((ws) => {
+    for (const stream of [...streamsRef.current.values()]) {
+      const { conversationId, transport, messageId, lastEventId, queued } = stream;
+      if (transport !== 'ws' || queued) continue;
+      if (messageId) {
+        ws.send(JSON.stringify({ type: 'resume', messageId, ...(lastEventId !== null ? { lastEventId } : {}) }));
+        continue;
+      }
+      endStream(conversationId);
+      reloadMessages(conversationId)
+        .then((loaded) => {
+          if (!loaded) return;
+          const { path, resumeId } = withResumableAnswer(loaded);
+          setMessages(path);
+          if (resumeId && ws.readyState === WebSocket.OPEN) {
+            beginStream(conversationId, 'ws').messageId = resumeId;
+            ws.send(JSON.stringify({ type: 'resume', messageId: resumeId }));
+          }
+        })
+        .catch((err) => console.error('Failed to reload conversation:', err));
+    }
+  }, [beginStream, endStream, reloadMessages]);
 
   /**
    * Handle WebSocket messages
    */
   const handleWsMessage = useCallback((data) => {
+    if (ANSWER_EVENT_TYPES.has(data.type) && !routeAnswerEvent(data)) return;
+
     switch (data.type) {
       case 'connected':
         console.log('WebSocket authenticated as:', data.userId);
         break;
         
+      case 'subscribed':
+        if (data.conversationId === currentConversationIdRef.current) {
+          setConversationRole(data.role);
+        }
+        break;
+
+      case 'conversation_updated':
+        // Another member changed the conversation being viewed
+        if (data.conversationId === currentConversationIdRef.current) {
+          setRemoteUpdate({ ...data, receivedAt: Date.now() });
+        }
+        break;
+
       case 'user_message':
-        // Update user message with real ID
+        // Update user message with real ID and link the assistant placeholder to it
         setMessages((prev) => {
           const updated = [...prev];
           const userMsgIndex = updated.findIndex(m => m.ID?.startsWith('temp-user-'));
@@ -123,6 +398,13 @@ export function useChat() {
               ID: data.id
             };
           }
+          const lastIndex = updated.length - 1;
+          if (updated[lastIndex]?.role === 'assistant') {
+            updated[lastIndex] = {
+              ...updated[lastIndex],
+              parent_ID: data.id
+            };
+          }
           return updated;
         });
         break;
@@ -142,6 +424,21 @@ export function useChat() {
         });
         break;
         
+      case 'sources':
+        // Document excerpts the answer may cite as [n]
+        setMessages((prev) => {
+          const updated = [...prev];
+          const lastIndex = updated.length - 1;
+          if (updated[lastIndex]?.role === 'assistant') {
+            updated[lastIndex] = {
+              ...updated[lastIndex],
+              sources: data.sources,
+            };
+          }
+          return updated;
+        });
+        break;
+
       case 'web_search_start':
         setMessages((prev) => {
           const updated = [...prev];
@@ -157,8 +454,22 @@ export function useChat() {
         });
         break;
 
+      case 'tool_start':
+        setMessages((prev) => {
+          const updated = [...prev];
+          const lastIndex = updated.length - 1;
+          if (updated[lastIndex]?.role === 'assistant') {
+            updated[lastIndex] = {
+              ...updated[lastIndex],
+              activeTool: data.tool,
+            };
+          }
+          return updated;
+        });
+        break;
+
       case 'content':
-        // Append content and clear any searching indicator
+        // Append content and clear any searching/tool indicator
         setMessages((prev) => {
           const updated = [...prev];
           const lastIndex = updated.length - 1;
@@ -167,6 +478,7 @@ export function useChat() {
               ...updated[lastIndex],
               content: updated[lastIndex].content + data.content,
               isSearching: false,
+              activeTool: null,
             };
           }
           return updated;
@@ -181,12 +493,12 @@ export function useChat() {
           if (updated[lastIndex]?.role === 'assistant') {
             updated[lastIndex] = {
               ...updated[lastIndex],
-              isStreaming: false
+              isStreaming: false,
+              status: data.stopped ? 'stopped' : null
             };
           }
           return updated;
         });
-        setIsStreaming(false);
         setStreamCompletedAt(Date.now());
         break;
         
@@ -205,9 +517,40 @@ export function useChat() {
           }
           return updated;
         });
-        setIsStreaming(false);
         break;
         
+      case 'job_completed':
+        // A background answer is done; the open conversation is reloaded via conversation_updated
+        setBackgroundJobs((prev) => {
+          const next = { ...prev };
+          if (data.conversationId === currentConversationIdRef.current) {
+            delete next[data.messageId];
+          } else {
+            next[data.messageId] = { conversationId: data.conversationId, status: data.status };
+          }
+          return next;
+        });
+        setStreamCompletedAt(Date.now());
+        break;
+
+      case 'stream_unavailable':
+        // The answer is no longer being generated (it finished a while ago): show the saved one
+        if (currentConversationIdRef.current) {
+          reloadMessages(currentConversationIdRef.current, data.id)
+            .then((path) => { if (path) setMessages(path); })
+            .catch((err) => console.error('Failed to reload conversation:', err));
+        }
+        break;
+
+      case 'cancelled':
+        // The stopped answer ends with its done event
+        break;
+
+      case 'cancel_failed':
+        // The answer could not be stopped; it keeps streaming
+        console.warn('Failed to stop answer:', data.message);
+        break;
+
       case 'pong':
         // Heartbeat response
         break;
@@ -215,7 +558,7 @@ export function useChat() {
       default:
         console.warn('Unhandled WebSocket message type:', data.type);
     }
-  }, []);
+  },[reloadMessages, routeAnswerEvent]);
 
   /**
    * Initialize WebSocket connection on mount
@@ -242,9 +585,64 @@ export function useChat() {
   }, [connectWebSocket]);
 
   /**
-   * Load messages for a conversation
+   * Receive live updates for the conversation being viewed (re-sent after reconnects)
+   */
+  useEffect(() => {
+    currentConversationIdRef.current = currentConversationId;
+    setConversationRole(null);
+    if (wsConnected && wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'subscribe', conversationId: currentConversationId }));
+    }
+  }, [currentConversationId, wsConnected]);
+
+  /**
+   * SSE fallback callbacks for an answer in conversationId: [onChunk, onComplete, onError, onEvent].
+   * They are handled like the WebSocket events.
+   */
+  const sseHandlersFor = useCallback((conversationId) => [
+    (chunk) => handleWsMessage({ type: 'content', content: chunk, conversationId }),
+    (messageId) => handleWsMessage({ type: 'done', id: messageId, messageId, conversationId }),
+    (err) => handleWsMessage({ type: 'error', message: err.message, conversationId }),
+    (event) => handleWsMessage({ ...event, conversationId }),
+  ], [handleWsMessage]);
+
+  /**
+   * Send a request whose answer streams into a conversation: over the WebSocket (queued while it
+   * connects), otherwise over SSE with startSse(...handlers) returning its stop function
+   * @returns {object} The stream of the answer
    */
-  const loadConversation = useCallback(async (conversationId) => {
+  const startStreaming = useCallback((conversationId, payload, startSse) => {
+    const ws = wsRef.current;
+    if (ws?.readyState === WebSocket.OPEN) {
+      const stream = beginStream(conversationId, 'ws');
+      ws.send(JSON.stringify(payload));
+      return stream;
+    }
+    if (ws?.readyState === WebSocket.CONNECTING) {
+      const stream = beginStream(conversationId, 'ws');
+      stream.queued = true;
+      pendingMessagesRef.current.push(payload);
+      return stream;
+    }
+    console.log('WebSocket not available, using SSE fallback');
+    const stream = beginStream(conversationId, 'sse');
+    stream.stop = startSse(sseHandlersFor(conversationId));
+    return stream;
+  }, [beginStream, sseHandlersFor]);
+
+  /**
+   * Follow an answer being generated on the server from its first event
+   */
+  const resumeAnswer = useCallback((conversationId, messageId) => {
+    startStreaming(conversationId, { type: 'resume', messageId },
+      (handlers) => resumeAnswerStream(messageId, null, ...handlers)).messageId = messageId;
+  }, [startStreaming]);
+
+  /**
+   * Load messages for a conversation.
+   * focusMessageId shows the branch containing that message (e.g. a search hit) instead of the latest one.
+   */
+  const loadConversation = useCallback(async (conversationId, { focusMessageId = null } = {}) => {
     if (!conversationId) {
       setMessages([]);
       setCurrentConversationId(null);
@@ -256,15 +654,65 @@ export function useChat() {
 
     try {
       const conversation = await getConversation(conversationId);
-      setMessages(conversation.messages || []);
+      const tree = normalizeParentLinks(parseMessageSources(conversation.messages || []));
+      setTreeMessages(tree);
+      const focused = focusMessageId && tree.some(m => m.ID === focusMessageId);
+      const branch = getBranchPath(tree, getLatestLeaf(tree, focused ? focusMessageId : null)?.ID);
+      // An answer this client is receiving already is shown from its stream
+      const stream = streamsRef.current.get(conversationId);
+      const { path, resumeId } = stream
+        ? { path: withStreamedAnswer(branch, stream), resumeId: null }
+        : withResumableAnswer(branch);
+      setMessages(path);
+      setSelectedModel(conversation.model || null);
+      setSelectedPersona(conversation.persona_ID || null);
       setCurrentConversationId(conversationId);
+      // Its finished background jobs have been seen
+      setBackgroundJobs((prev) => Object.fromEntries(
+        Object.entries(prev).filter(([, job]) => job.conversationId !== conversationId || job.status === 'running')
+      ));
+      // Follow an answer still being generated (e.g. after reloading the page)
+      if (resumeId) {
+        currentConversationIdRef.current = conversationId;
+        resumeAnswer(conversationId, resumeId);
+      }
     } catch (err) {
       setError(err.message);
       setMessages([]);
+      setTreeMessages([]);
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [resumeAnswer]);
+
+  /**
+   * Show the messages other members added, without a loading state. Deferred while
+   * the user's own answer is streaming; the latest branch is shown afterwards.
+   */
+  useEffect(() => {
+    if (!remoteUpdate || isStreaming || remoteUpdate.reason === 'renamed') return;
+    if (handledUpdateRef.current === remoteUpdate.receivedAt) return;
+
+    if (remoteUpdate.reason === 'deleted') {
+      handledUpdateRef.current = remoteUpdate.receivedAt;
+      setMessages([]);
+      setTreeMessages([]);
+      setCurrentConversationId(null);
+      return;
+    }
+
+    let cancelled = false;
+    getConversation(remoteUpdate.conversationId)
+      .then((conversation) => {
+        if (cancelled || currentConversationIdRef.current !== remoteUpdate.conversationId) return;
+        handledUpdateRef.current = remoteUpdate.receivedAt;
+        const tree = normalizeParentLinks(parseMessageSources(conversation.messages || []));
+        setTreeMessages(tree);
+        setMessages(getBranchPath(tree, getLatestLeaf(tree)?.ID));
+      })
+      .catch((err) => console.error('Failed to refresh conversation:', err));
+    return () => { cancelled = true; };
+  }, [remoteUpdate, isStreaming]);
 
   /**
    * Start a new conversation
@@ -274,9 +722,10 @@ export function useChat() {
     setError(null);
 
     try {
-      const conversation = await createConversation('New Chat');
+      const conversation = await createConversation('New Chat', selectedModel, workspaceId, selectedPersona);
       setCurrentConversationId(conversation.ID);
       setMessages([]);
+      setTreeMessages([]);
       return conversation;
     } catch (err) {
       setError(err.message);
@@ -284,15 +733,48 @@ export function useChat() {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [selectedModel, selectedPersona, workspaceId]);
+
+  /**
+   * Choose the model for the current conversation (or for the next new one)
+   */
+  const selectModel = useCallback(async (modelId) => {
+    const previous = selectedModel;
+    setSelectedModel(modelId || null);
+    if (!currentConversationId) return;
+    try {
+      await updateConversationModel(currentConversationId, modelId || null);
+    } catch (err) {
+      setError(err.message);
+      setSelectedModel(previous);
+    }
+  }, [currentConversationId, selectedModel]);
+
+  /**
+   * Choose the persona for the current conversation (or for the next new one);
+   * a persona with its own model switches to that model
+   */
+  const selectPersona = useCallback(async (persona) => {
+    const previous = { persona: selectedPersona, model: selectedModel };
+    setSelectedPersona(persona?.ID || null);
+    if (persona?.model) setSelectedModel(persona.model);
+    if (!currentConversationId) return;
+    try {
+      const { model } = await updateConversationPersona(currentConversationId, persona?.ID || null);
+      setSelectedModel(model || null);
+    } catch (err) {
+      setError(err.message);
+      setSelectedPersona(previous.persona);
+      setSelectedModel(previous.model);
+    }
+  }, [currentConversationId, selectedPersona, selectedModel]);
 
   /**
    * Send a message via WebSocket (with SSE fallback)
    */
   const sendMessage = useCallback(async (content, attachments = [], overrideConversationId = null) => {
-    if ((!content.trim() && attachments.length === 0) || isStreaming) return;
-
     let conversationId = overrideConversationId || currentConversationId;
+    if ((!content.trim() && attachments.length === 0) || streamsRef.current.has(conversationId)) return;
 
     // Create new conversation if needed
     if (!conversationId) {
@@ -305,7 +787,12 @@ export function useChat() {
     }
 
     setError(null);
-    setIsStreaming(true);
+
+    // Continue the visible branch (skipping unsaved and failed messages)
+    const lastSaved = conversationId === currentConversationId
+      ? [...messages].reverse().find(m => !m.ID?.startsWith('temp-') && !m.isError)
+      : null;
+    const parentId = lastSaved?.ID || null;
 
     // Prepare attachments for sending
     const attachmentData = attachments.map(a => ({
@@ -317,6 +804,7 @@ export function useChat() {
     // Add user message immediately
     const userMessage = {
       ID: `temp-user-${Date.now()}`,
+      parent_ID: parentId,
       role: 'user',
       content: content.trim(),
       attachments: attachments.map(a => ({
@@ -338,106 +826,215 @@ export function useChat() {
 
     setMessages((prev) => [...prev, userMessage, assistantMessage]);
 
+    const payload = {
+      type: 'chat',
+      conversationId,
+      content: content.trim(),
+      attachments: attachmentData,
+      ...(parentId ? { parentId } : {})
+    };
+
     // Try WebSocket first, fall back to SSE
-    if (wsRef.current?.readyState === WebSocket.OPEN) {
-      // Send via WebSocket
-      wsRef.current.send(JSON.stringify({
-        type: 'chat',
-        conversationId,
-        content: content.trim(),
-        attachments: attachmentData
-      }));
-    } else if (wsRef.current?.readyState === WebSocket.CONNECTING) {
-      // WebSocket is connecting, queue the message
-      pendingMessageRef.current = { conversationId, content: content.trim(), attachments: attachmentData };
-    } else {
-      // Fall back to SSE streaming
-      console.log('WebSocket not available, using SSE fallback');
-      abortRef.current = streamMessage(
+    startStreaming(conversationId, payload, (handlers) => streamMessage(
+      conversationId,
+      content.trim(),
+      attachmentData,
+      parentId,
+      ...handlers
+    ));
+  }, [currentConversationId, messages, startNewConversation, startStreaming]);
+
+  /**
+   * Send a message and have the answer generated as a background job instead of streaming it;
+   * the sidebar shows a badge on the conversation when it is done
+   */
+  const sendInBackground = useCallback(async (content, attachments = []) => {
+    if ((!content.trim() && attachments.length === 0) || isStreaming) return;
+
+    let conversationId = currentConversationId;
+    if (!conversationId) {
+      try {
+        const conversation = await startNewConversation();
+        conversationId = conversation.ID;
+      } catch {
+        return;
+      }
+    }
+
+    setError(null);
+    const lastSaved = conversationId === currentConversationId
+      ? [...messages].reverse().find(m => !m.ID?.startsWith('temp-') && !m.isError)
+      : null;
+    const parentId = lastSaved?.ID || null;
+    const tempId = `temp-user-${Date.now()}`;
+    setMessages((prev) => [...prev, {
+      ID: tempId,
+      parent_ID: parentId,
+      role: 'user',
+      content: content.trim(),
+      attachments: attachments.map(a => ({ name: a.name, type: a.type, preview: a.preview })),
+      createdAt: new Date().toISOString(),
+    }]);
+
+    try {
+      const job = await startBackgroundJob(
         conversationId,
         content.trim(),
-        attachmentData,
-        // On chunk
-        (chunk) => {
-          setMessages((prev) => {
-            const updated = [...prev];
-            const lastIndex = updated.length - 1;
-            if (updated[lastIndex]?.role === 'assistant') {
-              updated[lastIndex] = {
-                ...updated[lastIndex],
-                content: updated[lastIndex].content + chunk,
-                isSearching: false,
-              };
-            }
-            return updated;
-          });
-        },
-        // On complete - receives the message ID, not content (content was already streamed)
-        (messageId) => {
-          setMessages((prev) => {
-            const updated = [...prev];
-            const lastIndex = updated.length - 1;
-            if (updated[lastIndex]?.role === 'assistant') {
-              updated[lastIndex] = {
-                ...updated[lastIndex],
-                ID: messageId,
-                isStreaming: false,
-              };
-            }
-            return updated;
-          });
-          setIsStreaming(false);
-          setStreamCompletedAt(Date.now());
-        },
-        // On error
-        (err) => {
-          setError(err.message);
-          setMessages((prev) => {
-            const updated = [...prev];
-            const lastIndex = updated.length - 1;
-            if (updated[lastIndex]?.role === 'assistant') {
-              updated[lastIndex] = {
-                ...updated[lastIndex],
-                content: 'Sorry, an error occurred. Please try again.',
-                isStreaming: false,
-                isError: true,
-              };
-            }
-            return updated;
-          });
-          setIsStreaming(false);
-        },
-        // On event (e.g. web_search_start)
-        (event) => {
-          if (event.type === 'web_search_start') {
-            setMessages((prev) => {
-              const updated = [...prev];
-              const lastIndex = updated.length - 1;
-              if (updated[lastIndex]?.role === 'assistant') {
-                updated[lastIndex] = {
-                  ...updated[lastIndex],
-                  isSearching: true,
-                  searchQueries: event.queries,
-                };
-              }
-              return updated;
-            });
-          }
-        }
+        attachments.map(a => ({ name: a.name, type: a.type, data: a.data })),
+        parentId
       );
+      setBackgroundJobs((prev) => ({ ...prev, [job.messageId]: { conversationId, status: job.status } }));
+      setMessages((prev) => [
+        ...prev.map(m => (m.ID === tempId ? { ...m, ID: job.userMessageId } : m)),
+        {
+          ID: job.messageId,
+          parent_ID: job.userMessageId,
+          role: 'assistant',
+          content: '',
+          status: 'streaming',
+          createdAt: job.startedAt,
+        },
+      ]);
+      setStreamCompletedAt(Date.now());
+    } catch (err) {
+      setError(err.message);
+      setMessages((prev) => prev.filter(m => m.ID !== tempId));
+    }
+  }, [currentConversationId, isStreaming, messages, startNewConversation]);
+
+  /**
+   * Background job state per conversation for the sidebar: 'running', or the unseen
+   * result of a finished job ('completed' | 'stopped' | 'failed'). Answers streaming into
+   * other conversations than the one shown count as running jobs.
+   */
+  const jobStatuses = useMemo(() => {
+    const statuses = {};
+    for (const conversationId of streamingIds) {
+      if (conversationId !== currentConversationId) statuses[conversationId] = 'running';
+    }
+    for (const { conversationId, status } of Object.values(backgroundJobs)) {
+      if (!statuses[conversationId] || statuses[conversationId] === 'running') {
+        statuses[conversationId] = status;
+      }
     }
-  }, [currentConversationId, isStreaming, startNewConversation]);
+    return statuses;
+  }, [backgroundJobs, currentConversationId, streamingIds]);
+
+  /**
+   * Generate a new answer for the user message preceding an assistant message.
+   * The previous answer stays reachable as a sibling branch.
+   */
+  const regenerateMessage = useCallback((assistantMessageId) => {
+    if (isStreaming || !currentConversationId) return;
+
+    const index = messages.findIndex(m => m.ID === assistantMessageId);
+    const userMessage = messages[index - 1];
+    if (index < 1 || userMessage.role !== 'user' || userMessage.ID.startsWith('temp-')) return;
+
+    setTreeMessages((prev) => mergeIntoTree(prev, messages));
+    setError(null);
+
+    const assistantMessage = {
+      ID: `temp-assistant-${Date.now()}`,
+      parent_ID: userMessage.ID,
+      role: 'assistant',
+      content: '',
+      createdAt: new Date().toISOString(),
+      isStreaming: true,
+    };
+    setMessages([...messages.slice(0, index), assistantMessage]);
+
+    const payload = { type: 'regenerate', conversationId: currentConversationId, messageId: userMessage.ID };
+    startStreaming(currentConversationId, payload,
+      (handlers) => streamRegenerate(currentConversationId, userMessage.ID, ...handlers));
+  }, [currentConversationId, isStreaming, messages, startStreaming]);
+
+  /**
+   * Edit an earlier user message: the edited text is sent as a sibling of the original
+   * and answered afresh. The original message and its continuation stay reachable.
+   */
+  const editMessage = useCallback((messageId, content) => {
+    if (!content.trim() || isStreaming || !currentConversationId) return;
+
+    const index = messages.findIndex(m => m.ID === messageId);
+    const original = messages[index];
+    if (index < 0 || original.role !== 'user' || original.ID.startsWith('temp-')) return;
+
+    setTreeMessages((prev) => mergeIntoTree(prev, messages));
+    setError(null);
+
+    const userMessage = {
+      ID: `temp-user-${Date.now()}`,
+      parent_ID: original.parent_ID || null,
+      role: 'user',
+      content: content.trim(),
+      attachments: original.attachments,
+      createdAt: new Date().toISOString(),
+    };
+    const assistantMessage = {
+      ID: `temp-assistant-${Date.now()}`,
+      role: 'assistant',
+      content: '',
+      createdAt: new Date().toISOString(),
+      isStreaming: true,
+    };
+    setMessages([...messages.slice(0, index), userMessage, assistantMessage]);
+
+    const payload = { type: 'edit', conversationId: currentConversationId, messageId, content: content.trim() };
+    startStreaming(currentConversationId, payload,
+      (handlers) => streamEdit(currentConversationId, messageId, content.trim(), ...handlers));
+  }, [currentConversationId, isStreaming, messages, startStreaming]);
+
+  /**
+   * Show another alternative of a message, following its most recent continuation
+   */
+  const switchBranch = useCallback((messageId) => {
+    if (isStreaming) return;
+    const tree = mergeIntoTree(treeMessages, messages);
+    const leaf = getLatestLeaf(tree, messageId);
+    if (!leaf) return;
+    setTreeMessages(tree);
+    setMessages(getBranchPath(tree, leaf.ID));
+  }, [isStreaming, messages, treeMessages]);
+
+  /**
+   * Visible messages annotated with their position among sibling alternatives
+   */
+  const branchedMessages = useMemo(() => {
+    const tree = mergeIntoTree(treeMessages, messages);
+    return messages.map((msg) => {
+      if (msg.ID?.startsWith('temp-')) return msg;
+      const siblings = tree.filter(m => (m.parent_ID || null) === (msg.parent_ID || null));
+      if (siblings.length <= 1) return msg;
+      return {
+        ...msg,
+        siblingIds: siblings.map(m => m.ID),
+        siblingIndex: siblings.findIndex(m => m.ID === msg.ID),
+      };
+    });
+  }, [messages, treeMessages]);
 
   /**
-   * Stop streaming
+   * Stop streaming: the server stops generating the answer and saves the part written so far
    */
   const stopStreaming = useCallback(() => {
-    if (abortRef.current) {
-      abortRef.current();
-      abortRef.current = null;
+    const conversationId = currentConversationIdRef.current;
+    const stream = streamsRef.current.get(conversationId);
+    if (!stream) return;
+    if (stream.transport === 'ws' && !stream.queued && wsRef.current?.readyState === WebSocket.OPEN) {
+      // The stream ends with the answer's done event, once the server has saved it
+      if (stream.messageId) {
+        cancelStream(stream);
+      } else {
+        stream.stopRequested = true;
+      }
+    } else {
+      if (stream.queued) {
+        pendingMessagesRef.current = pendingMessagesRef.current.filter(p => p.conversationId !== conversationId);
+      }
+      stream.stop?.();
+      endStream(conversationId);
     }
-    // For WebSocket, we can't really stop the stream, but we can mark it as stopped
-    setIsStreaming(false);
     setMessages((prev) => {
       const updated = [...prev];
       const lastIndex = updated.length - 1;
@@ -445,30 +1042,43 @@ export function useChat() {
         updated[lastIndex] = {
           ...updated[lastIndex],
           isStreaming: false,
+          status: 'stopped',
         };
       }
       return updated;
     });
-  }, []);
+  }, [cancelStream, endStream]);
 
   /**
    * Clear current conversation
    */
   const clearConversation = useCallback(() => {
     setMessages([]);
+    setTreeMessages([]);
     setCurrentConversationId(null);
     setError(null);
   }, []);
 
   return {
-    messages,
+    messages: branchedMessages,
     isLoading,
     isStreaming,
     error,
     currentConversationId,
+    selectedModel,
+    selectModel,
+    selectedPersona,
+    selectPersona,
     wsConnected,
     streamCompletedAt,
+    conversationRole,
+    remoteUpdate,
     sendMessage,
+    sendInBackground,
+    jobStatuses,
+    regenerateMessage,
+    editMessage,
+    switchBranch,
     loadConversation,
     startNewConversation,
     stopStreaming,
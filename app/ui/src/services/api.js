@@ -71,11 +71,74 @@ async function fetchAPI(url, options = {}) {
 }
 
 /**
- * Get all conversations for the current user
+ * Get the first page of the conversations of a workspace (null = the current user's personal
+ * conversations), most recently modified first; pass a page's nextLink to get the next one.
+ * folderId, tag and pinned narrow the list by the user's own labels; archived lists the
+ * archived conversations instead of the others.
+ * Returns { conversations, nextLink, count } - nextLink is null on the last page
  */
-export async function getConversations() {
-  const data = await fetchAPI(`${ODATA_BASE}/Conversations?$orderby=modifiedAt desc`);
-  return data.value || [];
+export async function getConversations(workspaceId = null, { nextLink = null, folderId, tag, pinned, archived } = {}) {
+  const params = new URLSearchParams({
+    $filter: `workspace_ID eq ${workspaceId || 'null'}`,
+    $orderby: 'modifiedAt desc',
+    $count: 'true',
+  });
+  if (folderId) params.set('folder', folderId);
+  if (tag) params.set('tag', tag);
+  if (pinned !== undefined) params.set('pinned', String(pinned));
+  if (archived) params.set('archived', 'true');
+  const data = await fetchAPI(nextLink
+    ? `${ODATA_BASE}/${nextLink}`
+    : `${ODATA_BASE}/Conversations?${params.toString().replace(/\+/g, '%20')}`);
+  return {
+    conversations: data.value || [],
+    nextLink: data['@odata.nextLink'] || null,
+    count: data['@odata.count'] ?? null,
+  };
+}
+
+/**
+ * Pin, archive, move to a folder (null = none) or tag a conversation for the current user
+ * @param {object} labels - any of { pinned, archived, folderId, tags }
+ */
+export async function updateConversationLabels(id, labels) {
+  return fetchAPI(`${API_BASE}/conversation/${id}/labels`, {
+    method: 'PATCH',
+    body: JSON.stringify(labels),
+  });
+}
+
+/**
+ * Get the folders of the current user (with conversationCount)
+ */
+export async function getFolders() {
+  const data = await fetchAPI(`${API_BASE}/folders`);
+  return data.folders || [];
+}
+
+/**
+ * Create a folder
+ */
+export async function createFolder(name) {
+  return fetchAPI(`${API_BASE}/folders`, {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  });
+}
+
+/**
+ * Delete a folder (its conversations are kept)
+ */
+export async function deleteFolder(id) {
+  await fetchAPI(`${API_BASE}/folders/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Get the tags the current user has used ([{ tag, count }])
+ */
+export async function getTags() {
+  const data = await fetchAPI(`${API_BASE}/tags`);
+  return data.tags || [];
 }
 
 /**
@@ -87,18 +150,19 @@ export async function getConversation(id) {
 }
 
 /**
- * Create a new conversation
+ * Create a new conversation (in a workspace, or personal if workspaceId is null),
+ * optionally answering as one of the user's personas
  */
-export async function createConversation(title = 'New Chat') {
+export async function createConversation(title = 'New Chat', model = null, workspaceId = null, personaId = null) {
   const data = await fetchAPI(`${API_BASE}/conversation`, {
     method: 'POST',
-    body: JSON.stringify({ title }),
+    body: JSON.stringify({ title, model, workspaceId, personaId }),
   });
   return data;
 }
 
 /**
- * Delete a conversation
+ * Delete a conversation (moves it to the trash)
  */
 export async function deleteConversation(id) {
   await fetchAPI(`${API_BASE}/conversation/${id}`, {
@@ -106,6 +170,74 @@ export async function deleteConversation(id) {
   });
 }
 
+/**
+ * Download a conversation as md, html, pdf or json (HTML exports embed the attachments)
+ */
+export async function exportConversation(id, format) {
+  const params = new URLSearchParams({ format });
+  if (format === 'html') params.set('attachments', 'embed');
+  const response = await fetch(`${API_BASE}/conversation/${id}/export?${params}`);
+
+  if (response.status === 401) {
+    fireSessionExpired();
+    throw new Error('Session expired');
+  }
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+    throw new Error(error.error || 'Export failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `conversation.${format}`;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Get the conversations in the trash (with deletedAt and purgeAt)
+ */
+export async function getTrash() {
+  const data = await fetchAPI(`${API_BASE}/trash`);
+  return data.conversations || [];
+}
+
+/**
+ * Restore a conversation from the trash
+ */
+export async function restoreConversation(id) {
+  await fetchAPI(`${API_BASE}/trash/${id}/restore`, { method: 'POST' });
+}
+
+/**
+ * Delete a conversation in the trash for good
+ */
+export async function purgeConversation(id) {
+  await fetchAPI(`${API_BASE}/trash/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Delete all conversations in the trash for good
+ */
+export async function emptyTrash() {
+  await fetchAPI(`${API_BASE}/trash`, { method: 'DELETE' });
+}
+
+/**
+ * Import a ChatGPT or Claude export (ZIP archive or conversations.json as a data URL)
+ * @param {object} options - { data, workspaceId (null = personal), extractMemories }
+ * @returns {Promise<{ source, imported: Array<{ ID, title, messageCount }>, skipped }>}
+ */
+export async function importConversations({ data, workspaceId = null, extractMemories = false }) {
+  return fetchAPI(`${API_BASE}/import`, {
+    method: 'POST',
+    body: JSON.stringify({ data, workspaceId, extractMemories }),
+  });
+}
+
 /**
  * Rename a conversation
  */
@@ -116,6 +248,105 @@ export async function renameConversation(id, title) {
   });
 }
 
+/**
+ * Change the persona of a conversation (null = default assistant)
+ * @returns {Promise<{ model }>} The conversation's model, which follows the persona's model
+ */
+export async function updateConversationPersona(id, personaId) {
+  return fetchAPI(`${API_BASE}/conversation/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ personaId }),
+  });
+}
+
+/**
+ * Personas of the current user
+ */
+export async function getPersonas() {
+  const data = await fetchAPI(`${API_BASE}/personas`);
+  return data.personas || [];
+}
+
+/**
+ * Create a persona
+ * @param {object} persona - { name, description, systemPrompt, model, temperature, tools (null = all) }
+ */
+export async function createPersona(persona) {
+  return fetchAPI(`${API_BASE}/personas`, {
+    method: 'POST',
+    body: JSON.stringify(persona),
+  });
+}
+
+/**
+ * Update fields of a persona
+ */
+export async function updatePersona(id, changes) {
+  return fetchAPI(`${API_BASE}/personas/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+}
+
+/**
+ * Delete a persona; its conversations continue with the default assistant
+ */
+export async function deletePersona(id) {
+  await fetchAPI(`${API_BASE}/personas/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Tools a persona can enable: [{ name, description }]
+ */
+export async function getTools() {
+  const data = await fetchAPI(`${API_BASE}/tools`);
+  return data.tools || [];
+}
+
+/**
+ * Prompt library: the user's templates and those shared in the user's workspaces
+ * ([{ ID, name, description, content, workspace_ID, variables, canEdit }])
+ */
+export async function getPromptTemplates() {
+  const data = await fetchAPI(`${API_BASE}/prompt-templates`);
+  return data.templates || [];
+}
+
+/**
+ * Create a prompt template
+ * @param {object} template - { name (slash command), description, content, workspaceId (null = personal) }
+ */
+export async function createPromptTemplate(template) {
+  return fetchAPI(`${API_BASE}/prompt-templates`, {
+    method: 'POST',
+    body: JSON.stringify(template),
+  });
+}
+
+/**
+ * Update name, description or content of a prompt template
+ */
+export async function updatePromptTemplate(id, changes) {
+  return fetchAPI(`${API_BASE}/prompt-templates/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+}
+
+export async function deletePromptTemplate(id) {
+  await fetchAPI(`${API_BASE}/prompt-templates/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Change the model used for a conversation (null = default model)
+ */
+export async function updateConversationModel(id, model) {
+  await fetchAPI(`${API_BASE}/conversation/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ model }),
+  });
+}
+
 /**
  * Send a message (non-streaming)
  */
@@ -127,81 +358,260 @@ export async function sendMessage(conversationId, content) {
   return data;
 }
 
+// Reconnect attempts after an answer stream broke off, and the pause before each
+const SSE_RESUME_ATTEMPTS = 5;
+const SSE_RESUME_DELAY_MS = 2000;
+
 /**
- * Stream a message response
- * @param {string} conversationId - The conversation ID
- * @param {string} message - The user message
- * @param {Array} attachments - File attachments to include
+ * Read SSE events from a response until it ends
+ * @returns {Promise<boolean>} Whether the answer's final event (done or error) was received
+ */
+async function readSseEvents(response, dispatch) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return false;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line.startsWith('data: ')) {
+        try {
+          if (dispatch(JSON.parse(line.slice(6)))) return true;
+        } catch (e) {
+          // Skip invalid JSON
+        }
+      }
+    }
+  }
+}
+
+/**
+ * POST to a streaming endpoint (or GET a resumed answer) and dispatch the SSE events it returns.
+ * When the connection drops, the answer is resumed from the last received event
+ * (GET /chat/stream/:messageId with Last-Event-ID); it keeps being generated on the server meanwhile.
+ * @param {string} path - The endpoint path
+ * @param {object|null} body - The JSON request body (null = GET)
  * @param {function} onChunk - Callback for each chunk received
  * @param {function} onComplete - Callback when streaming is complete
  * @param {function} onError - Callback for errors
  * @param {function} [onEvent] - Callback for non-content events (e.g. web_search_start)
+ * @param {object} [position] - { messageId, lastEventId } of an answer being resumed
+ * @returns {function} Stop function: stops the answer on the server and closes the stream
  */
-export function streamMessage(conversationId, message, attachments, onChunk, onComplete, onError, onEvent) {
+function streamRequest(path, body, onChunk, onComplete, onError, onEvent, position = { messageId: null, lastEventId: null }) {
   const controller = new AbortController();
+  let stopRequested = false;
+
+  const stop = () => {
+    cancelAnswer(position.messageId).catch((error) => console.error('Failed to stop answer:', error));
+    controller.abort();
+  };
+
+  // Returns true for the final event of the answer
+  const dispatch = (data) => {
+    if (data.type === 'assistant_start') {
+      position.messageId = data.id;
+      // Stopped before the answer had an ID
+      if (stopRequested) {
+        stop();
+        return true;
+      }
+    }
+    if (data.seq !== undefined) position.lastEventId = data.seq;
 
-  getCsrfToken(`${API_BASE}/chat/stream`)
-    .then((csrfToken) => fetch(`${API_BASE}/chat/stream`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...(csrfToken ? { 'x-csrf-token': csrfToken } : {}),
-      },
-      body: JSON.stringify({ conversationId, content: message, attachments: attachments || [] }),
-      signal: controller.signal,
-    }))
-    .then(async (response) => {
-      if (response.status === 401) {
+    if (data.type === 'content') {
+      onChunk(data.content);
+    } else if (data.type === 'done') {
+      onComplete(data.id);
+      return true;
+    } else if (data.type === 'error') {
+      onError(new Error(data.message));
+      return true;
+    } else if (onEvent) {
+      onEvent(data);
+    }
+    return false;
+  };
+
+  const resume = () => fetch(`${API_BASE}/chat/stream/${position.messageId}`, {
+    headers: position.lastEventId !== null ? { 'Last-Event-ID': String(position.lastEventId) } : {},
+    signal: controller.signal,
+  });
+
+  const run = async () => {
+    let response;
+    if (body) {
+      const csrfToken = await getCsrfToken(path);
+      response = await fetch(path, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(csrfToken ? { 'x-csrf-token': csrfToken } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } else {
+      response = await resume();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      if (response?.status === 401) {
         fireSessionExpired();
         throw new Error('Session expired');
       }
-
-      if (!response.ok) {
+      if (response?.status === 404 && position.messageId) {
+        // No longer being generated (finished a while ago): the caller loads the saved answer
+        onEvent?.({ type: 'stream_unavailable', id: position.messageId });
+        return;
+      }
+      if (response && !response.ok) {
         const error = await response.json().catch(() => ({ error: 'Stream failed' }));
         throw new Error(error.error || 'Stream failed');
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              
-              if (data.type === 'content') {
-                onChunk(data.content);
-              } else if (data.type === 'done') {
-                onComplete(data.id);
-              } else if (data.type === 'error') {
-                onError(new Error(data.message));
-              } else if (onEvent) {
-                onEvent(data);
-              }
-            } catch (e) {
-              // Skip invalid JSON
-            }
-          }
+      if (response) {
+        const eventsBefore = position.lastEventId;
+        try {
+          if (await readSseEvents(response, dispatch)) return;
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
         }
+        // Events arrived since the last attempt: the connection worked, start counting again
+        if (position.lastEventId !== eventsBefore) attempt = 0;
       }
-    })
-    .catch((error) => {
-      if (error.name !== 'AbortError') {
-        onError(error);
+
+      if (!position.messageId || attempt >= SSE_RESUME_ATTEMPTS) {
+        throw new Error('Connection lost');
       }
-    });
+      await new Promise(resolve => setTimeout(resolve, SSE_RESUME_DELAY_MS));
+      response = await resume().catch((error) => {
+        if (error.name === 'AbortError') throw error;
+        return null;
+      });
+    }
+  };
+
+  run().catch((error) => {
+    if (error.name !== 'AbortError') {
+      onError(error);
+    }
+  });
+
+  // Return stop function (before assistant_start it waits for the answer's ID)
+  return () => {
+    if (position.messageId) {
+      stop();
+    } else {
+      stopRequested = true;
+    }
+  };
+}
+
+/**
+ * Follow an answer that is being generated, from the event after lastEventId
+ * (null = from the start), e.g. after reloading the page
+ * @param {string} messageId - The assistant message ID
+ * @param {number|null} lastEventId - The last event received
+ * @param {function} onChunk - Callback for each chunk received
+ * @param {function} onComplete - Callback when streaming is complete
+ * @param {function} onError - Callback for errors
+ * @param {function} [onEvent] - Callback for non-content events; stream_unavailable when the answer is no longer being generated
+ */
+export function resumeAnswerStream(messageId, lastEventId, onChunk, onComplete, onError, onEvent) {
+  return streamRequest(null, null, onChunk, onComplete, onError, onEvent, { messageId, lastEventId });
+}
+
+/**
+ * Stream a message response
+ * @param {string} conversationId - The conversation ID
+ * @param {string} message - The user message
+ * @param {Array} attachments - File attachments to include
+ * @param {string|null} parentId - The message this one follows (the branch being continued)
+ * @param {function} onChunk - Callback for each chunk received
+ * @param {function} onComplete - Callback when streaming is complete
+ * @param {function} onError - Callback for errors
+ * @param {function} [onEvent] - Callback for non-content events (e.g. web_search_start)
+ */
+export function streamMessage(conversationId, message, attachments, parentId, onChunk, onComplete, onError, onEvent) {
+  return streamRequest(
+    `${API_BASE}/chat/stream`,
+    { conversationId, content: message, attachments: attachments || [], ...(parentId ? { parentId } : {}) },
+    onChunk, onComplete, onError, onEvent
+  );
+}
+
+/**
+ * Send a message and have the answer generated as a background job (not streamed);
+ * job_completed arrives over the WebSocket when it is done
+ * @returns {Promise<object>} { userMessageId, messageId, conversationId, status, startedAt }
+ */
+export async function startBackgroundJob(conversationId, message, attachments, parentId) {
+  return fetchAPI(`${API_BASE}/chat/stream`, {
+    method: 'POST',
+    body: JSON.stringify({
+      conversationId, content: message, attachments: attachments || [], background: true,
+      ...(parentId ? { parentId } : {})
+    }),
+  });
+}
+
+/**
+ * Stop generating an answer; the part written so far is saved
+ * @param {string} messageId - The assistant message ID
+ * @returns {Promise<object>} { id, status } - 'stopped', or how the answer had already ended
+ */
+export async function cancelAnswer(messageId) {
+  return fetchAPI(`${API_BASE}/chat/stream/${messageId}/cancel`, { method: 'POST' });
+}
 
-  // Return abort function
-  return () => controller.abort();
+/**
+ * Get the user's background jobs (running, and recently finished)
+ */
+export async function getBackgroundJobs() {
+  const data = await fetchAPI(`${API_BASE}/chat/jobs`);
+  return data.jobs || [];
+}
+
+/**
+ * Stream a new answer for an existing user message (stored as a sibling branch)
+ * @param {string} conversationId - The conversation ID
+ * @param {string} messageId - The user message to answer again
+ * @param {function} onChunk - Callback for each chunk received
+ * @param {function} onComplete - Callback when streaming is complete
+ * @param {function} onError - Callback for errors
+ * @param {function} [onEvent] - Callback for non-content events (e.g. web_search_start)
+ */
+export function streamRegenerate(conversationId, messageId, onChunk, onComplete, onError, onEvent) {
+  return streamRequest(
+    `${API_BASE}/chat/regenerate`,
+    { conversationId, messageId },
+    onChunk, onComplete, onError, onEvent
+  );
+}
+
+/**
+ * Edit a user message and stream a fresh answer (the original stays as a sibling branch)
+ * @param {string} conversationId - The conversation ID
+ * @param {string} messageId - The user message being edited
+ * @param {string} content - The new message text (attachments of the original are kept)
+ * @param {function} onChunk - Callback for each chunk received
+ * @param {function} onComplete - Callback when streaming is complete
+ * @param {function} onError - Callback for errors
+ * @param {function} [onEvent] - Callback for non-content events (e.g. user_message)
+ */
+export function streamEdit(conversationId, messageId, content, onChunk, onComplete, onError, onEvent) {
+  return streamRequest(
+    `${API_BASE}/chat/edit`,
+    { conversationId, messageId, content },
+    onChunk, onComplete, onError, onEvent
+  );
 }
 
 /**
@@ -220,13 +630,25 @@ export async function getUserInfo() {
 }
 
 /**
- * Get attachment data by ID
+ * Get attachment data by ID (via the share link when viewing a shared conversation)
  */
-export async function getAttachment(attachmentId) {
-  const data = await fetchAPI(`${API_BASE}/attachment/${attachmentId}`);
+export async function getAttachment(attachmentId, shareToken = null) {
+  const url = shareToken
+    ? `${API_BASE}/shared/${encodeURIComponent(shareToken)}/attachment/${attachmentId}`
+    : `${API_BASE}/attachment/${attachmentId}`;
+  const data = await fetchAPI(url);
   return data;
 }
 
+/**
+ * Search all conversations of the current user (personal and workspaces)
+ * Returns [{ conversationId, title, workspaceId, messageId, role, snippet: { text, highlights }, match }]
+ */
+export async function searchConversations(query, { signal } = {}) {
+  const data = await fetchAPI(`${API_BASE}/search?q=${encodeURIComponent(query)}`, { signal });
+  return data.results || [];
+}
+
 /**
  * Get all memories for the current user
  */
@@ -248,3 +670,159 @@ export async function deleteMemory(id) {
 export async function clearMemories() {
   await fetchAPI(`${API_BASE}/memories`, { method: 'DELETE' });
 }
+
+/**
+ * Get the knowledge base collections of the current user
+ */
+export async function getCollections() {
+  const data = await fetchAPI(`${API_BASE}/collections`);
+  return data.collections || [];
+}
+
+/**
+ * Get a collection with its documents
+ */
+export async function getCollection(id) {
+  return fetchAPI(`${API_BASE}/collections/${id}`);
+}
+
+/**
+ * Create a collection
+ */
+export async function createCollection(name, description = '') {
+  return fetchAPI(`${API_BASE}/collections`, {
+    method: 'POST',
+    body: JSON.stringify({ name, description }),
+  });
+}
+
+/**
+ * Delete a collection with all its documents
+ */
+export async function deleteCollection(id) {
+  await fetchAPI(`${API_BASE}/collections/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Upload a document ({ name, type, data }) to a collection; it is indexed before this resolves
+ */
+export async function addCollectionDocument(collectionId, file) {
+  return fetchAPI(`${API_BASE}/collections/${collectionId}/documents`, {
+    method: 'POST',
+    body: JSON.stringify(file),
+  });
+}
+
+/**
+ * Delete a document from a collection
+ */
+export async function deleteCollectionDocument(collectionId, documentId) {
+  await fetchAPI(`${API_BASE}/collections/${collectionId}/documents/${documentId}`, { method: 'DELETE' });
+}
+
+/**
+ * Get the IDs of the collections attached to a conversation
+ */
+export async function getConversationCollections(conversationId) {
+  const data = await fetchAPI(`${API_BASE}/conversation/${conversationId}/collections`);
+  return data.collectionIds || [];
+}
+
+/**
+ * Replace the collections attached to a conversation
+ */
+export async function setConversationCollections(conversationId, collectionIds) {
+  const data = await fetchAPI(`${API_BASE}/conversation/${conversationId}/collections`, {
+    method: 'PUT',
+    body: JSON.stringify({ collectionIds }),
+  });
+  return data.collectionIds || [];
+}
+
+/**
+ * Get the share link of a conversation (null if not shared)
+ */
+export async function getShare(conversationId) {
+  const data = await fetchAPI(`${API_BASE}/conversation/${conversationId}/share`);
+  return data.share;
+}
+
+/**
+ * Create a read-only share link for a conversation (returns the existing one if shared already)
+ */
+export async function createShare(conversationId) {
+  const data = await fetchAPI(`${API_BASE}/conversation/${conversationId}/share`, { method: 'POST' });
+  return data.share;
+}
+
+/**
+ * Revoke the share link of a conversation
+ */
+export async function revokeShare(conversationId) {
+  await fetchAPI(`${API_BASE}/conversation/${conversationId}/share`, { method: 'DELETE' });
+}
+
+/**
+ * Get a conversation shared with a link (read-only)
+ */
+export async function getSharedConversation(token) {
+  return fetchAPI(`${API_BASE}/shared/${encodeURIComponent(token)}`);
+}
+
+/**
+ * URL of the app that opens a shared conversation
+ */
+export function shareUrl(token) {
+  return `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Get the workspaces the current user is a member of (with the user's role)
+ */
+export async function getWorkspaces() {
+  const data = await fetchAPI(`${API_BASE}/workspaces`);
+  return data.workspaces || [];
+}
+
+/**
+ * Create a workspace; the current user becomes its owner
+ */
+export async function createWorkspace(name) {
+  return fetchAPI(`${API_BASE}/workspaces`, {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  });
+}
+
+/**
+ * Delete a workspace; its conversations become personal conversations of their creators
+ */
+export async function deleteWorkspace(id) {
+  await fetchAPI(`${API_BASE}/workspaces/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Get the members of a workspace
+ */
+export async function getWorkspaceMembers(workspaceId) {
+  const data = await fetchAPI(`${API_BASE}/workspaces/${workspaceId}/members`);
+  return data.members || [];
+}
+
+/**
+ * Add a member to a workspace, or change a member's role (owner, editor or viewer)
+ */
+export async function setWorkspaceMember(workspaceId, userId, role) {
+  const data = await fetchAPI(`${API_BASE}/workspaces/${workspaceId}/members`, {
+    method: 'POST',
+    body: JSON.stringify({ userId, role }),
+  });
+  return data.members || [];
+}
+
+/**
+ * Remove a member from a workspace (or leave it when userId is the current user)
+ */
+export async function removeWorkspaceMember(workspaceId, userId) {
+  await fetchAPI(`${API_BASE}/workspaces/${workspaceId}/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+}
@@ -1,4 +1,7 @@
 const https = require('https');
+const { getToolRegistry } = require('./tool-registry');
+const { getDefaultModel, resolveModel } = require('./model-catalog');
+const { detectFormat } = require('./document-extractor');
 
 // Token estimation: ~2.3 characters per token (very conservative for PDF content)
 // Actual Claude tokenization is much more aggressive than typical estimates
@@ -27,6 +30,16 @@ function estimateTokens(text) {
 // Be very aggressive - allow only ~4K tokens per historical message
 const MAX_HISTORY_MESSAGE_CHARS = 4000 * CHARS_PER_TOKEN;
 
+// Maximum number of model calls that may request tools in one turn; the next call must answer
+const MAX_TOOL_ROUNDS = 5;
+
+// PDF document blocks: Anthropic renders every page as an image in addition to its text
+const PDF_PAGE_IMAGE_TOKENS = 1600;
+// Anthropic accepts at most 100 pages per PDF document block
+const MAX_PDF_DOCUMENT_PAGES = 100;
+// Larger PDFs are sent as extracted text, which is much cheaper
+const MAX_PDF_DOCUMENT_TOKENS = 100000;
+
 /**
  * Truncate message content from conversation history to prevent token overflow.
  * This is applied when loading messages from the database.
@@ -69,6 +82,217 @@ function truncateMessageContent(content, role = 'user') {
     return truncated + `\n\n[... content truncated from ${originalTokens.toLocaleString()} to ${truncatedTokens.toLocaleString()} tokens ...]`;
 }
 
+/**
+ * Estimate the page count of a PDF from its extracted text (page markers) and the
+ * page objects in the raw file (not visible when the PDF uses compressed object streams)
+ */
+function estimatePdfPages(buffer, text) {
+    const markers = [...(text || '').matchAll(/^--- Page (\d+) ---$/gm)].map(m => parseInt(m[1], 10));
+    const pageObjects = (buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+    return Math.max(1, pageObjects, ...markers);
+}
+
+/**
+ * Log the estimated token cost of each attachment of a request
+ */
+function logAttachmentUsage(attachmentUsage) {
+    for (const usage of attachmentUsage) {
+        const pages = usage.pages ? `, ${usage.pages} pages` : '';
+        console.log(`Attachment "${usage.filename}": sent as ${usage.sentAs}${pages}, ~${usage.estimatedTokens.toLocaleString()} tokens`);
+    }
+}
+
+/**
+ * Split a data URL (data:image/jpeg;base64,/9j/4AAQ...) into media type and base64 payload.
+ * Plain base64 strings are returned unchanged with the fallback media type.
+ */
+function parseDataUrl(data, fallbackType) {
+    if (data && data.startsWith('data:')) {
+        const matches = data.match(/^data:([^;]+);base64,(.+)$/);
+        if (matches) {
+            return { mediaType: matches[1], base64Data: matches[2] };
+        }
+    }
+    return { mediaType: fallbackType, base64Data: data };
+}
+
+/**
+ * Parse the JSON arguments of an OpenAI function call (empty or malformed → {})
+ */
+function parseToolArguments(args) {
+    if (!args) return {};
+    try {
+        return JSON.parse(args);
+    } catch (_) {
+        return {};
+    }
+}
+
+/**
+ * User message with the tool_result blocks for an Anthropic tool round
+ */
+function anthropicToolResultMessage(toolCalls, results) {
+    return {
+        role: 'user',
+        content: toolCalls.map((call, i) => ({
+            type: 'tool_result',
+            tool_use_id: call.id,
+            content: [{ type: 'text', text: results[i].content }],
+            ...(results[i].isError ? { is_error: true } : {})
+        }))
+    };
+}
+
+/**
+ * One "tool" message per call for an OpenAI tool round
+ */
+function openAIToolResultMessages(toolCalls, results) {
+    return toolCalls.map((call, i) => ({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: results[i].content
+    }));
+}
+
+/**
+ * Collects the text and tool_use blocks of one streamed Anthropic response.
+ * handle() returns the names of tools whose use started with the event.
+ */
+class AnthropicStreamCollector {
+    constructor() {
+        this.hasText = false;
+        this._byIndex = {};
+        this._content = [];
+    }
+
+    handle(json) {
+        switch (json.type) {
+            case 'content_block_start': {
+                const cb = json.content_block;
+                if (cb?.type === 'tool_use') {
+                    const block = { type: 'tool_use', id: cb.id, name: cb.name, input: {}, _partial: '' };
+                    this._byIndex[json.index] = block;
+                    this._content.push(block);
+                    return [cb.name];
+                }
+                if (cb?.type === 'text') {
+                    const block = { type: 'text', text: '' };
+                    this._byIndex[json.index] = block;
+                    this._content.push(block);
+                }
+                break;
+            }
+            case 'content_block_delta': {
+                const block = this._byIndex[json.index];
+                if (!block) break;
+                if (json.delta?.type === 'text_delta') {
+                    block.text = (block.text ?? '') + json.delta.text;
+                    this.hasText = this.hasText || Boolean(json.delta.text);
+                } else if (json.delta?.type === 'input_json_delta') {
+                    block._partial = (block._partial ?? '') + json.delta.partial_json;
+                }
+                break;
+            }
+            case 'content_block_stop': {
+                const block = this._byIndex[json.index];
+                if (block?._partial !== undefined) {
+                    try { block.input = JSON.parse(block._partial || '{}'); } catch (_) { block.input = {}; }
+                    delete block._partial;
+                }
+                break;
+            }
+        }
+        return [];
+    }
+
+    get toolCalls() {
+        return this._content
+            .filter(b => b.type === 'tool_use')
+            .map(b => ({ id: b.id, name: b.name, input: b.input }));
+    }
+
+    assistantMessage() {
+        // Strip internal fields before sending to API
+        const content = this._content.map(b =>
+            b.type === 'tool_use' ? { type: 'tool_use', id: b.id, name: b.name, input: b.input } : b
+        ).filter(b => b.type !== 'text' || b.text);
+        return { role: 'assistant', content };
+    }
+
+    toolResultMessages(results) {
+        return [anthropicToolResultMessage(this.toolCalls, results)];
+    }
+
+    textEvent(text) {
+        return { type: 'content_block_delta', delta: { type: 'text_delta', text } };
+    }
+}
+
+/**
+ * Collects the text and tool call deltas of one streamed OpenAI chat completion.
+ * Tool calls arrive as choices[0].delta.tool_calls fragments keyed by index;
+ * the function arguments are streamed as a JSON string in pieces.
+ */
+class OpenAIStreamCollector {
+    constructor() {
+        this.hasText = false;
+        this._text = '';
+        this._calls = [];
+    }
+
+    handle(json) {
+        const delta = json.choices?.[0]?.delta;
+        if (!delta) return [];
+
+        if (delta.content) {
+            this._text += delta.content;
+            this.hasText = true;
+        }
+
+        const started = [];
+        for (const fragment of delta.tool_calls || []) {
+            const index = fragment.index ?? 0;
+            if (!this._calls[index]) {
+                this._calls[index] = { id: '', name: '', arguments: '' };
+            }
+            const call = this._calls[index];
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name && !call.name) {
+                call.name = fragment.function.name;
+                started.push(call.name);
+            }
+            call.arguments += fragment.function?.arguments || '';
+        }
+        return started;
+    }
+
+    get toolCalls() {
+        return this._calls
+            .filter(c => c && c.name)
+            .map(c => ({ id: c.id, name: c.name, input: parseToolArguments(c.arguments) }));
+    }
+
+    assistantMessage() {
+        return {
+            role: 'assistant',
+            content: this._text || null,
+            tool_calls: this._calls.filter(c => c && c.name).map(c => ({
+                id: c.id,
+                type: 'function',
+                function: { name: c.name, arguments: c.arguments || '{}' }
+            }))
+        };
+    }
+
+    toolResultMessages(results) {
+        return openAIToolResultMessages(this.toolCalls, results);
+    }
+
+    textEvent(text) {
+        return { choices: [{ index: 0, delta: { content: text } }] };
+    }
+}
+
 /**
  * AI Core Client
  * Handles communication with SAP AI Core for chat completions
@@ -77,14 +301,22 @@ function truncateMessageContent(content, role = 'user') {
  * Supports web search via Perplexity Sonar (tool use)
  */
 class AiCoreClient {
-    constructor() {
-        this.deploymentId = process.env.AICORE_DEPLOYMENT_ID;
+    /**
+     * @param {object} [model] - Model catalogue entry ({ id, deploymentId, type }); defaults to the environment
+     * @param {AiCoreClient} [tokenSource] - Client whose OAuth token is reused (same AI Core instance)
+     */
+    constructor(model = {}, tokenSource = null) {
+        this.deploymentId = model.deploymentId || process.env.AICORE_DEPLOYMENT_ID;
         if (!this.deploymentId) {
             throw new Error('AICORE_DEPLOYMENT_ID environment variable is required');
         }
+        this.modelId = model.id || 'default';
         this.resourceGroup = process.env.AICORE_RESOURCE_GROUP || 'default';
         // Model type: 'anthropic' or 'openai' - detect from deployment or set explicitly
-        this.modelType = process.env.AICORE_MODEL_TYPE || 'anthropic';
+        this.modelType = model.type || process.env.AICORE_MODEL_TYPE || 'anthropic';
+        // Send PDFs as native document blocks (Anthropic models with PDF support)
+        this.pdfDocuments = this.modelType === 'anthropic' && model.pdfDocuments !== false;
+        this._tokenSource = tokenSource;
         // Optional: Perplexity Sonar deployment for web search tool use
         this.perplexityDeploymentId = process.env.AICORE_PERPLEXITY_DEPLOYMENT_ID;
 
@@ -163,6 +395,10 @@ class AiCoreClient {
      * Concurrent callers share a single in-flight fetch to avoid duplicate requests.
      */
     async getToken() {
+        if (this._tokenSource) {
+            return this._tokenSource.getToken();
+        }
+
         // Return cached token if still valid (with 60s safety margin)
         if (this._cachedToken && Date.now() < this._tokenExpiresAt - 60000) {
             return this._cachedToken;
@@ -263,10 +499,108 @@ class AiCoreClient {
         };
     }
 
+    /**
+     * Native document block for a PDF attachment, or null when the PDF should be sent as
+     * extracted text instead (model without PDF support, too many pages, or over budget)
+     * @param {object} attachment - { name, type, data, text }
+     * @param {number} usedTokens - Tokens already used by the request
+     * @returns {{ block: object, pages: number, estimatedTokens: number }|null}
+     */
+    _pdfDocumentBlock(attachment, usedTokens) {
+        if (!this.pdfDocuments || attachment.indexed || !attachment.data || detectFormat(attachment.type, attachment.name) !== 'pdf') {
+            return null;
+        }
+
+        const { base64Data } = parseDataUrl(attachment.data);
+        const pages = estimatePdfPages(Buffer.from(base64Data, 'base64'), attachment.text);
+        const estimatedTokens = estimateTokens(attachment.text) + pages * PDF_PAGE_IMAGE_TOKENS;
+        const budget = Math.min(MAX_INPUT_TOKENS - usedTokens - 1000, MAX_PDF_DOCUMENT_TOKENS);
+
+        if (pages > MAX_PDF_DOCUMENT_PAGES || estimatedTokens > budget) {
+            console.log(`PDF "${attachment.name}" (${pages} pages, ~${estimatedTokens} tokens) exceeds the document budget, sending extracted text`);
+            return null;
+        }
+
+        return {
+            block: {
+                type: 'document',
+                source: {
+                    type: 'base64',
+                    media_type: 'application/pdf',
+                    data: base64Data
+                },
+                title: attachment.name
+            },
+            pages,
+            estimatedTokens
+        };
+    }
+
+    /**
+     * Text of a non-image attachment, truncated to the remaining token budget
+     * @param {object} attachment - { name, type, data, text, indexed } (text = server-side extraction, see document-extractor.js)
+     * @param {number} usedTokens - Tokens already used by the request
+     * @param {Array} truncationWarnings - Collects a warning when the file is truncated
+     * @returns {string} "[File: name]" block for the model
+     */
+    _formatFileAttachment(attachment, usedTokens, truncationWarnings) {
+        if (attachment.indexed) {
+            // Indexed for document RAG: the relevant excerpts are in the system prompt
+            return `[File: ${attachment.name} — indexed for search; relevant excerpts are provided as numbered sources]`;
+        }
+
+        let fileContent = '';
+        if (typeof attachment.text === 'string') {
+            fileContent = attachment.text || '[No text could be extracted from this file]';
+        } else {
+            // Not extracted by the caller: try to decode as a text file
+            const { base64Data } = parseDataUrl(attachment.data);
+            try {
+                fileContent = Buffer.from(base64Data, 'base64').toString('utf8');
+            } catch (e) {
+                fileContent = '[Binary file content]';
+            }
+        }
+
+        // Calculate remaining token budget for this file
+        // We need to leave room for other messages and system prompt
+        const remainingTokenBudget = Math.min(
+            MAX_INPUT_TOKENS - usedTokens - 1000,
+            50000 // Hard cap at 50K tokens per file to be safe
+        );
+        // Extracted text tokenizes like normal prose. Raw decoded files may be binary data
+        // interpreted as UTF-8, where special characters and JSON escaping (2-6x) inflate the
+        // size, so those get a much more conservative char budget (0.5 chars per token)
+        const charsPerToken = typeof attachment.text === 'string' ? CHARS_PER_TOKEN : 0.5;
+        const remainingCharBudget = remainingTokenBudget * charsPerToken;
+
+        console.log(`File budget: ${remainingTokenBudget} tokens, ${remainingCharBudget} chars. File content: ${fileContent.length} chars`);
+
+        // Truncate if necessary
+        const { text: processedContent, wasTruncated, originalTokens, truncatedTokens } =
+            this.truncateText(fileContent, remainingCharBudget, attachment.name);
+
+        if (wasTruncated) {
+            console.warn(`Document "${attachment.name}" truncated from ${originalTokens} to ${truncatedTokens} tokens`);
+            truncationWarnings.push({
+                filename: attachment.name,
+                originalTokens,
+                truncatedTokens
+            });
+        }
+
+        // IMPORTANT: Clear the original attachment data to prevent it from being
+        // included in the JSON request (it was already decoded and processed above)
+        attachment.data = null;
+
+        return `[File: ${attachment.name}]\n\`\`\`\n${processedContent}\n\`\`\``;
+    }
+
     /**
      * Convert OpenAI-style messages to Anthropic format
-     * Supports file attachments (images) in the content
+     * Supports file attachments (images, PDF documents) in the content
      * Automatically truncates large documents to fit within token limits
+     * Returns the estimated token cost per attachment as attachmentUsage
      */
     convertToAnthropicFormat(messages) {
         // Extract system message if present
@@ -274,6 +608,7 @@ class AiCoreClient {
         const anthropicMessages = [];
         let totalEstimatedTokens = 0;
         const truncationWarnings = [];
+        const attachmentUsage = [];
 
         for (const msg of messages) {
             if (msg.role === 'system') {
@@ -290,19 +625,7 @@ class AiCoreClient {
                         console.log(`Processing attachment: ${attachment.name}, type: ${attachment.type}, data length: ${attachment.data?.length || 0}`);
                         if (attachment.type && attachment.type.startsWith('image/')) {
                             // Image attachment - use Anthropic's image format
-                            // Extract base64 data from data URL if present
-                            let base64Data = attachment.data;
-                            let mediaType = attachment.type;
-
-                            if (base64Data && base64Data.startsWith('data:')) {
-                                // Parse data URL: data:image/jpeg;base64,/9j/4AAQ...
-                                const matches = base64Data.match(/^data:([^;]+);base64,(.+)$/);
-                                if (matches) {
-                                    mediaType = matches[1];
-                                    base64Data = matches[2];
-                                }
-                            }
-
+                            const { mediaType, base64Data } = parseDataUrl(attachment.data, attachment.type);
                             contentParts.push({
                                 type: 'image',
                                 source: {
@@ -313,64 +636,28 @@ class AiCoreClient {
                             });
                             // Images are tokenized differently, rough estimate
                             totalEstimatedTokens += 1000;
+                            attachmentUsage.push({ filename: attachment.name, sentAs: 'image', estimatedTokens: 1000 });
                         } else {
-                            // Non-image file - include as text with file info
-                            // Try to decode text files
-                            let fileContent = '';
-                            let rawData = attachment.data;
-
-                            // Extract base64 from data URL if present
-                            if (rawData && rawData.startsWith('data:')) {
-                                const matches = rawData.match(/^data:[^;]+;base64,(.+)$/);
-                                if (matches) {
-                                    rawData = matches[1];
-                                }
-                            }
-
-                            try {
-                                fileContent = Buffer.from(rawData, 'base64').toString('utf8');
-                            } catch (e) {
-                                fileContent = '[Binary file content]';
-                            }
-
-                            // Calculate remaining token budget for this file
-                            // Use a very conservative budget because:
-                            // 1. PDF binary decoded as UTF-8 contains many special characters
-                            // 2. JSON escaping can 2-6x the size of special characters
-                            // 3. We need to leave room for other messages and system prompt
-                            const remainingTokenBudget = Math.min(
-                                MAX_INPUT_TOKENS - totalEstimatedTokens - 1000,
-                                50000 // Hard cap at 50K tokens per file to be safe
-                            );
-                            // Use a much more conservative char budget (0.5 chars per token)
-                            // to account for JSON escaping of binary data interpreted as UTF-8
-                            const remainingCharBudget = remainingTokenBudget * 0.5;
-                            
-                            console.log(`File budget: ${remainingTokenBudget} tokens, ${remainingCharBudget} chars. File content: ${fileContent.length} chars`);
-
-                            // Truncate if necessary
-                            const { text: processedContent, wasTruncated, originalTokens, truncatedTokens } = 
-                                this.truncateText(fileContent, remainingCharBudget, attachment.name);
-
-                            if (wasTruncated) {
-                                console.warn(`Document "${attachment.name}" truncated from ${originalTokens} to ${truncatedTokens} tokens`);
-                                truncationWarnings.push({
+                            const document = this._pdfDocumentBlock(attachment, totalEstimatedTokens);
+                            if (document) {
+                                contentParts.push(document.block);
+                                totalEstimatedTokens += document.estimatedTokens;
+                                attachmentUsage.push({
                                     filename: attachment.name,
-                                    originalTokens,
-                                    truncatedTokens
+                                    sentAs: 'document',
+                                    pages: document.pages,
+                                    estimatedTokens: document.estimatedTokens
                                 });
+                                continue;
                             }
 
-                            const formattedContent = `[File: ${attachment.name}]\n\`\`\`\n${processedContent}\n\`\`\``;
+                            const formattedContent = this._formatFileAttachment(attachment, totalEstimatedTokens, truncationWarnings);
                             contentParts.push({
                                 type: 'text',
                                 text: formattedContent
                             });
                             totalEstimatedTokens += estimateTokens(formattedContent);
-                            
-                            // IMPORTANT: Clear the original attachment data to prevent it from being
-                            // included in the JSON request (it was already decoded and processed above)
-                            attachment.data = null;
+                            attachmentUsage.push({ filename: attachment.name, sentAs: attachment.indexed ? 'indexed' : 'text', estimatedTokens: estimateTokens(formattedContent) });
                         }
                     }
 
@@ -399,33 +686,106 @@ class AiCoreClient {
         }
 
         // Log token usage summary
+        logAttachmentUsage(attachmentUsage);
         console.log(`Total estimated input tokens: ${totalEstimatedTokens.toLocaleString()} / ${MAX_INPUT_TOKENS.toLocaleString()}`);
 
-        return { systemPrompt, messages: anthropicMessages, truncationWarnings };
+        return { systemPrompt, messages: anthropicMessages, truncationWarnings, attachmentUsage };
     }
 
     /**
-     * The web_search tool definition passed to Claude
+     * Convert messages to OpenAI chat completions format
+     * Images become image_url parts (data URLs), other files are inlined as text
+     * like for Anthropic models
      */
-    get _webSearchTool() {
-        return [{
-            name: 'web_search',
-            description: 'Search the web for current, real-time, or recent information. Use this when the user asks about recent events, current news, live data, prices, or anything that may have changed after your training cutoff.',
-            input_schema: {
-                type: 'object',
-                properties: {
-                    query: { type: 'string', description: 'The search query' }
-                },
-                required: ['query']
+    convertToOpenAIFormat(messages) {
+        const openAIMessages = [];
+        let totalEstimatedTokens = 0;
+        const truncationWarnings = [];
+        const attachmentUsage = [];
+
+        for (const msg of messages) {
+            if (!msg.attachments || msg.attachments.length === 0 || msg.role === 'system') {
+                openAIMessages.push({ role: msg.role, content: msg.content });
+                totalEstimatedTokens += estimateTokens(msg.content);
+                continue;
+            }
+
+            const contentParts = [];
+            for (const attachment of msg.attachments) {
+                console.log(`Processing attachment: ${attachment.name}, type: ${attachment.type}, data length: ${attachment.data?.length || 0}`);
+                if (attachment.type && attachment.type.startsWith('image/')) {
+                    const { mediaType, base64Data } = parseDataUrl(attachment.data, attachment.type);
+                    contentParts.push({
+                        type: 'image_url',
+                        image_url: { url: `data:${mediaType};base64,${base64Data}` }
+                    });
+                    totalEstimatedTokens += 1000;
+                    attachmentUsage.push({ filename: attachment.name, sentAs: 'image', estimatedTokens: 1000 });
+                } else {
+                    const formattedContent = this._formatFileAttachment(attachment, totalEstimatedTokens, truncationWarnings);
+                    contentParts.push({ type: 'text', text: formattedContent });
+                    totalEstimatedTokens += estimateTokens(formattedContent);
+                    attachmentUsage.push({ filename: attachment.name, sentAs: attachment.indexed ? 'indexed' : 'text', estimatedTokens: estimateTokens(formattedContent) });
+                }
+            }
+
+            if (msg.content) {
+                contentParts.push({ type: 'text', text: msg.content });
+                totalEstimatedTokens += estimateTokens(msg.content);
             }
-        }];
+
+            openAIMessages.push({
+                role: msg.role === 'assistant' ? 'assistant' : 'user',
+                content: contentParts
+            });
+        }
+
+        logAttachmentUsage(attachmentUsage);
+        console.log(`Total estimated input tokens: ${totalEstimatedTokens.toLocaleString()} / ${MAX_INPUT_TOKENS.toLocaleString()}`);
+
+        return { messages: openAIMessages, truncationWarnings, attachmentUsage };
+    }
+
+    /**
+     * Context handed to tool handlers: this client, the caller's toolContext (userId, conversationId, ...)
+     * and options.signal, which aborts the tool call when the answer is cancelled
+     */
+    _toolContext(options) {
+        return { ...(options.toolContext || {}), client: this, signal: options.signal };
+    }
+
+    /**
+     * Tool definitions for a request (in the format of this client's model type),
+     * or an empty list when tools are disabled
+     */
+    _toolDefinitions(options) {
+        if (options.enableTools === false) return [];
+        const registry = options.toolRegistry || getToolRegistry();
+        const context = this._toolContext(options);
+        return this.modelType === 'anthropic'
+            ? registry.getAnthropicTools(context)
+            : registry.getOpenAITools(context);
+    }
+
+    /**
+     * Run all tool calls of one model response in parallel
+     * @param {Array<{ id, name, input }>} toolCalls
+     * @returns {Promise<Array<{ content: string, isError: boolean }>>} Results in call order
+     */
+    async _runToolCalls(toolCalls, options) {
+        const registry = options.toolRegistry || getToolRegistry();
+        const context = this._toolContext(options);
+
+        console.log(`Tools triggered (${toolCalls.length}): ${toolCalls.map(c => c.name).join(', ')}`);
+
+        return Promise.all(toolCalls.map(c => registry.execute(c.name, c.input, context)));
     }
 
     /**
      * Call Perplexity Sonar via AI Core for web search.
      * Returns the answer text with sources appended.
      */
-    async callPerplexity(query) {
+    async callPerplexity(query, { signal } = {}) {
         if (!this.perplexityDeploymentId) {
             throw new Error('AICORE_PERPLEXITY_DEPLOYMENT_ID not configured');
         }
@@ -452,7 +812,8 @@ class AiCoreClient {
                     'Authorization': `Bearer ${token}`,
                     'AI-Resource-Group': this.resourceGroup,
                     'Content-Length': Buffer.byteLength(body)
-                }
+                },
+                signal
             };
 
             const req = https.request(requestOptions, (res) => {
@@ -490,9 +851,10 @@ class AiCoreClient {
      * Non-streaming Anthropic invoke. Returns the full parsed JSON response.
      *
      * toolBehavior controls how tools are included in the request:
-     *   'auto' → offer tools and let Claude decide (first call)
-     *   'none' → include tool definitions but forbid usage (required when messages
-     *             already contain tool_use blocks, to satisfy Anthropic's API contract)
+     *   'auto' → offer the registered tools and let Claude decide
+     *   'none' → include tool definitions but forbid usage (used for the final call
+     *             of a tool loop; Anthropic requires the definitions when messages
+     *             already contain tool_use blocks)
      *   false  → no tools at all (e.g. for memory extraction)
      */
     async _invokeAnthropic(anthropicMessages, systemPrompt, options, toolBehavior = 'auto') {
@@ -506,9 +868,13 @@ class AiCoreClient {
             system: systemPrompt || 'You are a helpful AI Assistant.',
             messages: anthropicMessages
         };
+        if (options.temperature !== undefined) {
+            requestBody.temperature = options.temperature;
+        }
 
-        if (toolBehavior && this.perplexityDeploymentId) {
-            requestBody.tools = this._webSearchTool;
+        const tools = toolBehavior ? this._toolDefinitions(options) : [];
+        if (tools.length > 0) {
+            requestBody.tools = tools;
             requestBody.tool_choice = { type: toolBehavior };
         }
 
@@ -554,8 +920,7 @@ class AiCoreClient {
 
     /**
      * Streaming Anthropic invoke. Returns a Promise<stream>.
-     * toolBehavior: 'none' must be used when messages contain tool_use blocks
-     * (Anthropic requires tool definitions to be present even when forbidding usage).
+     * toolBehavior has the same meaning as for _invokeAnthropic.
      */
     async _streamAnthropic(anthropicMessages, systemPrompt, options, toolBehavior = false) {
         const token = await this.getToken();
@@ -568,14 +933,85 @@ class AiCoreClient {
             system: systemPrompt || 'You are a helpful AI Assistant.',
             messages: anthropicMessages
         };
+        if (options.temperature !== undefined) {
+            requestBody.temperature = options.temperature;
+        }
 
-        if (toolBehavior && this.perplexityDeploymentId) {
-            requestBody.tools = this._webSearchTool;
+        const tools = toolBehavior ? this._toolDefinitions(options) : [];
+        if (tools.length > 0) {
+            requestBody.tools = tools;
             requestBody.tool_choice = { type: toolBehavior };
         }
 
         const body = JSON.stringify(requestBody);
 
+        return new Promise((resolve, reject) => {
+            const parsedUrl = new URL(url);
+            const requestOptions = {
+                hostname: parsedUrl.hostname,
+                port: 443,
+                path: parsedUrl.pathname + parsedUrl.search,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`,
+                    'AI-Resource-Group': this.resourceGroup,
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                // Cancelling the answer aborts the request
+                signal: options.signal
+            };
+
+            const req = https.request(requestOptions, (res) => {
+                if (res.statusCode >= 400) {
+                    let errorData = '';
+                    res.on('data', chunk => errorData += chunk);
+                    res.on('end', () => {
+                        console.error('AI Core streaming error:', errorData);
+                        reject(new Error(`AI Core API error: ${res.statusCode}`));
+                    });
+                    return;
+                }
+                resolve(res);
+            });
+
+            req.on('error', reject);
+            req.write(body);
+            req.end();
+        });
+    }
+
+    /**
+     * Request body for the OpenAI-compatible chat completions endpoint.
+     * toolBehavior has the same meaning as for _invokeAnthropic.
+     */
+    _openAIRequestBody(openAIMessages, options, toolBehavior, stream) {
+        const requestBody = {
+            messages: openAIMessages,
+            max_tokens: options.maxTokens || 4096,
+            temperature: options.temperature ?? 0.7,
+            stream
+        };
+
+        const tools = toolBehavior ? this._toolDefinitions(options) : [];
+        if (tools.length > 0) {
+            requestBody.tools = tools;
+            requestBody.tool_choice = toolBehavior;
+        }
+
+        return JSON.stringify(requestBody);
+    }
+
+    /**
+     * Non-streaming OpenAI-compatible chat completion. Returns the full parsed JSON response.
+     */
+    async _invokeOpenAI(openAIMessages, options, toolBehavior = 'auto') {
+        const token = await this.getToken();
+        const baseUrl = this.credentials.serviceurls.AI_API_URL;
+        const url = new URL(`/v2/inference/deployments/${this.deploymentId}/chat/completions`, baseUrl);
+
+        const body = this._openAIRequestBody(openAIMessages, options, toolBehavior, false);
+
         return new Promise((resolve, reject) => {
             const parsedUrl = new URL(url);
             const requestOptions = {
@@ -591,6 +1027,55 @@ class AiCoreClient {
                 }
             };
 
+            const req = https.request(requestOptions, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => {
+                    try {
+                        if (res.statusCode >= 400) {
+                            console.error('AI Core error response:', data);
+                            reject(new Error(`AI Core API error: ${res.statusCode}`));
+                            return;
+                        }
+                        resolve(JSON.parse(data));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+
+            req.on('error', reject);
+            req.write(body);
+            req.end();
+        });
+    }
+
+    /**
+     * Streaming OpenAI-compatible chat completion. Returns a Promise<stream>.
+     */
+    async _streamOpenAI(openAIMessages, options, toolBehavior = false) {
+        const token = await this.getToken();
+        const baseUrl = this.credentials.serviceurls.AI_API_URL;
+        const url = new URL(`/v2/inference/deployments/${this.deploymentId}/chat/completions`, baseUrl);
+
+        const body = this._openAIRequestBody(openAIMessages, options, toolBehavior, true);
+
+        return new Promise((resolve, reject) => {
+            const parsedUrl = new URL(url);
+            const requestOptions = {
+                hostname: parsedUrl.hostname,
+                port: 443,
+                path: parsedUrl.pathname + parsedUrl.search,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`,
+                    'AI-Resource-Group': this.resourceGroup,
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                signal: options.signal
+            };
+
             const req = https.request(requestOptions, (res) => {
                 if (res.statusCode >= 400) {
                     let errorData = '';
@@ -612,149 +1097,132 @@ class AiCoreClient {
 
     /**
      * Transparent pass-through stream that enables true streaming for text-only responses
-     * while intercepting tool use transparently.
+     * while running tool loops transparently.
+     *
+     * - Events are forwarded to the output immediately (real streaming).
+     * - If the response requests tools, they are run via the tool registry and the
+     *   follow-up response is streamed into the same output. This repeats until the model
+     *   answers without tools; after MAX_TOOL_ROUNDS the follow-up forbids further tool use.
+     * - While tools run, the registry's status events (e.g. web_search_start) are emitted.
      *
-     * - Text delta events are forwarded to the output immediately (real streaming).
-     * - If a tool_use block is detected, forwarding stops, Perplexity is called,
-     *   and the final answer is emitted as a single synthetic event.
+     * Works for both model types: createCollector returns a fresh AnthropicStreamCollector or
+     * OpenAIStreamCollector per round, and streamRound(messages, toolBehavior) starts the next request.
      */
-    _interceptToolUseStream(inputStream, anthropicMessages, systemPrompt, options) {
+    _interceptToolUseStream(inputStream, initialMessages, options, createCollector, streamRound) {
         const { PassThrough } = require('stream');
         const output = new PassThrough();
+        const registry = options.toolRegistry || getToolRegistry();
+        const maxRounds = options.maxToolRounds || MAX_TOOL_ROUNDS;
+
+        let currentStream = inputStream;
+        // A cancelled answer ends the output at once, also while tools run or the next round starts
+        const abort = () => { if (!output.destroyed) output.destroy(); };
+        options.signal?.addEventListener('abort', abort, { once: true });
+        output.on('close', () => {
+            options.signal?.removeEventListener('abort', abort);
+            if (currentStream && !currentStream.destroyed) currentStream.destroy();
+        });
 
-        let lineBuffer = '';
-        let hasToolUse = false;
-        let contentByIndex = {};
-        let accumulatedContent = [];
-
-        const handleEvent = (json) => {
-            switch (json.type) {
-                case 'content_block_start': {
-                    const cb = json.content_block;
-                    if (cb?.type === 'tool_use') {
-                        hasToolUse = true;
-                        const block = { type: 'tool_use', id: cb.id, name: cb.name, input: {}, _partial: '' };
-                        contentByIndex[json.index] = block;
-                        accumulatedContent.push(block);
-                        // Emit indicator immediately when tool use is detected — the query text
-                        // isn't known yet (it arrives via input_json_delta) but this ensures the
-                        // client shows "Searching the web..." BEFORE yielding to await, giving
-                        // React enough time to render it before the final content arrives.
-                        if (!output.destroyed) {
-                            output.push(`data: ${JSON.stringify({ type: 'web_search_start', queries: [] })}\n\n`);
-                        }
-                    } else if (cb?.type === 'text') {
-                        const block = { type: 'text', text: '' };
-                        contentByIndex[json.index] = block;
-                        accumulatedContent.push(block);
-                    }
-                    break;
-                }
-                case 'content_block_delta': {
-                    const block = contentByIndex[json.index];
-                    if (!block) break;
-                    if (json.delta?.type === 'text_delta') {
-                        block.text = (block.text ?? '') + json.delta.text;
-                    } else if (json.delta?.type === 'input_json_delta') {
-                        block._partial = (block._partial ?? '') + json.delta.partial_json;
-                    }
-                    break;
-                }
-                case 'content_block_stop': {
-                    const block = contentByIndex[json.index];
-                    if (block?._partial !== undefined) {
-                        try { block.input = JSON.parse(block._partial); } catch (_) { block.input = {}; }
-                        delete block._partial;
-                    }
-                    break;
-                }
+        const pushEvent = (event) => {
+            if (!output.destroyed) {
+                output.push(`data: ${JSON.stringify(event)}\n\n`);
             }
         };
 
-        inputStream.on('data', (chunk) => {
-            lineBuffer += chunk.toString();
-            const lines = lineBuffer.split('\n');
-            lineBuffer = lines.pop() ?? '';
+        const consumeRound = (stream, messages, round) => {
+            let lineBuffer = '';
+            const collector = createCollector();
+
+            stream.on('data', (chunk) => {
+                lineBuffer += chunk.toString();
+                const lines = lineBuffer.split('\n');
+                lineBuffer = lines.pop() ?? '';
 
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const raw = line.slice(6).trim();
-                    if (raw && raw !== '[DONE]') {
-                        try { handleEvent(JSON.parse(raw)); } catch (_) {}
+                for (const line of lines) {
+                    if (line.startsWith('data: ')) {
+                        const raw = line.slice(6).trim();
+                        if (raw && raw !== '[DONE]') {
+                            try {
+                                // Emit the status indicator as soon as tool use is detected — the input
+                                // isn't known yet (it is still streaming) but this ensures the client
+                                // shows e.g. "Searching the web..." BEFORE yielding to await, giving
+                                // React enough time to render it before the final content arrives.
+                                for (const name of collector.handle(JSON.parse(raw))) {
+                                    pushEvent(registry.statusEvent(name, []));
+                                }
+                            } catch (_) {}
+                        }
+                    }
+                    if (!output.destroyed) {
+                        output.push(line + '\n');
                     }
                 }
-                // Forward events to the client immediately — unless tool use has been detected
-                if (!hasToolUse && !output.destroyed) {
-                    output.push(line + '\n');
-                }
-            }
-        });
+            });
 
-        inputStream.on('end', async () => {
-            if (!hasToolUse) {
-                if (lineBuffer && !output.destroyed) output.push(lineBuffer);
-                if (!output.destroyed) output.push(null);
-                return;
-            }
+            stream.on('end', async () => {
+                if (lineBuffer && !output.destroyed) output.push(lineBuffer + '\n');
 
-            // Tool use path: call Perplexity for every web_search block, then get final answer
-            try {
-                const webSearchBlocks = accumulatedContent.filter(b => b.type === 'tool_use' && b.name === 'web_search');
-                if (webSearchBlocks.length === 0) {
+                const toolCalls = collector.toolCalls;
+                if (toolCalls.length === 0 || output.destroyed) {
                     if (!output.destroyed) output.push(null);
                     return;
                 }
 
-                console.log(`Web search triggered (stream, ${webSearchBlocks.length} queries): ${webSearchBlocks.map(b => `"${b.input?.query}"`).join(', ')}`);
+                try {
+                    // Status events again, now with the complete inputs
+                    const byName = new Map();
+                    for (const call of toolCalls) {
+                        byName.set(call.name, [...(byName.get(call.name) || []), call.input]);
+                    }
+                    for (const [name, inputs] of byName) {
+                        pushEvent(registry.statusEvent(name, inputs));
+                    }
 
-                // Signal the client that a web search is in progress
-                if (!output.destroyed) {
-                    const searchingEvent = JSON.stringify({
-                        type: 'web_search_start',
-                        queries: webSearchBlocks.map(b => b.input?.query)
-                    });
-                    output.push(`data: ${searchingEvent}\n\n`);
-                }
+                    const results = await this._runToolCalls(toolCalls, options);
 
-                const searchResults = await Promise.all(
-                    webSearchBlocks.map(b => this.callPerplexity(b.input.query).catch(e => `Search failed: ${e.message}`))
-                );
-
-                const toolResults = webSearchBlocks.map((block, i) => ({
-                    type: 'tool_result',
-                    tool_use_id: block.id,
-                    content: [{ type: 'text', text: searchResults[i] }]
-                }));
-
-                // Strip internal fields before sending to API
-                const cleanContent = accumulatedContent.map(b =>
-                    b.type === 'tool_use' ? { type: 'tool_use', id: b.id, name: b.name, input: b.input } : b
-                );
-
-                const followUpMessages = [
-                    ...anthropicMessages,
-                    { role: 'assistant', content: cleanContent },
-                    { role: 'user', content: toolResults }
-                ];
+                    const followUpMessages = [
+                        ...messages,
+                        collector.assistantMessage(),
+                        ...collector.toolResultMessages(results)
+                    ];
+
+                    if (output.destroyed) return;
 
-                const finalJson = await this._invokeAnthropic(followUpMessages, systemPrompt, options, 'none');
-                const finalText = finalJson.content?.[0]?.text || '';
+                    // Keep text of consecutive rounds apart
+                    if (collector.hasText) {
+                        pushEvent(collector.textEvent('\n\n'));
+                    }
 
-                if (!output.destroyed) {
-                    const event = JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text: finalText } });
-                    output.push(`data: ${event}\n\n`);
-                    output.push(null);
+                    const nextBehavior = round >= maxRounds ? 'none' : 'auto';
+                    currentStream = await streamRound(followUpMessages, nextBehavior);
+                    if (output.destroyed) {
+                        currentStream.destroy();
+                        return;
+                    }
+                    consumeRound(currentStream, followUpMessages, round + 1);
+                } catch (e) {
+                    if (!output.destroyed) output.destroy(e);
                 }
-            } catch (e) {
-                if (!output.destroyed) output.destroy(e);
-            }
-        });
+            });
 
-        inputStream.on('error', (e) => { if (!output.destroyed) output.destroy(e); });
+            stream.on('error', (e) => { if (!output.destroyed) output.destroy(e); });
+        };
+
+        consumeRound(inputStream, initialMessages, 1);
 
         return output;
     }
 
+    /**
+     * Concatenate the text blocks of an Anthropic response
+     */
+    _extractText(json) {
+        return (json.content || [])
+            .filter(b => b.type === 'text')
+            .map(b => b.text)
+            .join('');
+    }
+
     /**
      * Get deployment information from AI Core
      */
@@ -803,98 +1271,71 @@ class AiCoreClient {
 
     /**
      * Non-streaming chat completion.
-     * For Anthropic models with Perplexity configured, automatically handles
-     * tool use: if Claude requests a web search, Perplexity is called and
-     * the result is fed back for the final answer.
+     * Tool use requested by the model (Anthropic tool_use or OpenAI function calls) is
+     * handled automatically: registered tools are run and their results fed back, for up
+     * to MAX_TOOL_ROUNDS rounds, until the model returns the final answer.
      */
     async chat(messages, options = {}) {
         if (this.modelType === 'anthropic') {
             const { systemPrompt, messages: anthropicMessages } = this.convertToAnthropicFormat(messages);
 
             // Allow callers (e.g. memory service) to opt out of tool use
-            const toolBehavior = options.enableTools === false ? false : 'auto';
-            const json = await this._invokeAnthropic(anthropicMessages, systemPrompt, options, toolBehavior);
-
-            if (json.stop_reason === 'tool_use') {
-                const toolUseBlocks = json.content.filter(b => b.type === 'tool_use' && b.name === 'web_search');
-                if (toolUseBlocks.length > 0) {
-                    console.log(`Web search triggered (${toolUseBlocks.length} queries): ${toolUseBlocks.map(b => `"${b.input.query}"`).join(', ')}`);
-
-                    // Run all searches in parallel, one result per tool_use block
-                    const searchResults = await Promise.all(
-                        toolUseBlocks.map(b => this.callPerplexity(b.input.query).catch(e => `Search failed: ${e.message}`))
-                    );
+            if (options.enableTools === false) {
+                const json = await this._invokeAnthropic(anthropicMessages, systemPrompt, options, false);
+                return this._extractText(json);
+            }
 
-                    const toolResults = toolUseBlocks.map((block, i) => ({
-                        type: 'tool_result',
-                        tool_use_id: block.id,
-                        content: [{ type: 'text', text: searchResults[i] }]
-                    }));
+            const maxRounds = options.maxToolRounds || MAX_TOOL_ROUNDS;
+            let conversation = anthropicMessages;
+            for (let round = 1; ; round++) {
+                const toolBehavior = round > maxRounds ? 'none' : 'auto';
+                const json = await this._invokeAnthropic(conversation, systemPrompt, options, toolBehavior);
 
-                    const followUpMessages = [
-                        ...anthropicMessages,
-                        { role: 'assistant', content: json.content },
-                        { role: 'user', content: toolResults }
-                    ];
-
-                    const finalJson = await this._invokeAnthropic(followUpMessages, systemPrompt, options, 'none');
-                    return finalJson.content?.[0]?.text || '';
+                const toolUseBlocks = (json.content || []).filter(b => b.type === 'tool_use');
+                if (json.stop_reason !== 'tool_use' || toolUseBlocks.length === 0) {
+                    return this._extractText(json);
                 }
-            }
 
-            return json.content?.[0]?.text || '';
+                const results = await this._runToolCalls(toolUseBlocks, options);
+                conversation = [
+                    ...conversation,
+                    { role: 'assistant', content: json.content },
+                    anthropicToolResultMessage(toolUseBlocks, results)
+                ];
+            }
         }
 
-        // OpenAI-compatible endpoint
-        const token = await this.getToken();
-        const baseUrl = this.credentials.serviceurls.AI_API_URL;
-        const url = new URL(`/v2/inference/deployments/${this.deploymentId}/chat/completions`, baseUrl);
+        // OpenAI-compatible endpoint: the same loop with function calling
+        const { messages: openAIMessages } = this.convertToOpenAIFormat(messages);
 
-        const body = JSON.stringify({
-            messages: messages,
-            max_tokens: options.maxTokens || 4096,
-            temperature: options.temperature || 0.7,
-            stream: false
-        });
-
-        return new Promise((resolve, reject) => {
-            const parsedUrl = new URL(url);
-
-            const requestOptions = {
-                hostname: parsedUrl.hostname,
-                port: 443,
-                path: parsedUrl.pathname + parsedUrl.search,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`,
-                    'AI-Resource-Group': this.resourceGroup,
-                    'Content-Length': Buffer.byteLength(body)
-                }
-            };
+        if (options.enableTools === false) {
+            const json = await this._invokeOpenAI(openAIMessages, options, false);
+            return json.choices?.[0]?.message?.content || '';
+        }
 
-            const req = https.request(requestOptions, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        if (res.statusCode >= 400) {
-                            console.error('AI Core error response:', data);
-                            reject(new Error(`AI Core API error: ${res.statusCode}`));
-                            return;
-                        }
-                        const json = JSON.parse(data);
-                        resolve(json.choices?.[0]?.message?.content || '');
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            });
+        const maxRounds = options.maxToolRounds || MAX_TOOL_ROUNDS;
+        let conversation = openAIMessages;
+        for (let round = 1; ; round++) {
+            const toolBehavior = round > maxRounds ? 'none' : 'auto';
+            const json = await this._invokeOpenAI(conversation, options, toolBehavior);
+
+            const message = json.choices?.[0]?.message || {};
+            const toolCalls = (message.tool_calls || []).map(c => ({
+                id: c.id,
+                name: c.function?.name,
+                input: parseToolArguments(c.function?.arguments)
+            }));
+            if (toolCalls.length === 0) {
+                return message.content || '';
+            }
 
-            req.on('error', reject);
-            req.write(body);
-            req.end();
-        });
+            const results = await this._runToolCalls(toolCalls, options);
+            conversation = [
+                ...conversation,
+                { role: 'assistant', content: message.content || null, tool_calls: message.tool_calls },
+                ...openAIToolResultMessages(toolCalls, results)
+            ];
+        }
     }
 
     /**
@@ -902,76 +1343,71 @@ class AiCoreClient {
      * Returns a readable stream that emits SSE events compatible with
      * the parseStreamChunk helper in server.js.
      *
-     * For Anthropic models: uses the streaming endpoint directly so text responses
-     * appear token-by-token in real time. Tool use is intercepted transparently via
-     * _interceptToolUseStream — Perplexity is called and the final answer is emitted
-     * as a single event, with no change needed in server.js.
+     * Uses the streaming endpoint directly so text responses appear token-by-token
+     * in real time. Tool loops (Anthropic and OpenAI) run transparently inside
+     * _interceptToolUseStream, with no change needed in server.js.
+     *
+     * options.toolContext is passed to tool handlers (e.g. { userId, conversationId }).
+     * options.signal (AbortSignal) aborts the requests and tool calls and ends the stream.
      */
     async chatStream(messages, options = {}) {
         if (this.modelType === 'anthropic') {
             const { systemPrompt, messages: anthropicMessages } = this.convertToAnthropicFormat(messages);
 
-            const toolBehavior = this.perplexityDeploymentId ? 'auto' : false;
+            const toolBehavior = options.enableTools === false ? false : 'auto';
             const inputStream = await this._streamAnthropic(anthropicMessages, systemPrompt, options, toolBehavior);
-            return this._interceptToolUseStream(inputStream, anthropicMessages, systemPrompt, options);
+            return this._interceptToolUseStream(
+                inputStream,
+                anthropicMessages,
+                options,
+                () => new AnthropicStreamCollector(),
+                (followUp, behavior) => this._streamAnthropic(followUp, systemPrompt, options, behavior)
+            );
         }
 
-        // OpenAI-compatible streaming endpoint (unchanged)
-        const token = await this.getToken();
-        const baseUrl = this.credentials.serviceurls.AI_API_URL;
-        const url = new URL(`/v2/inference/deployments/${this.deploymentId}/chat/completions`, baseUrl);
-
-        const body = JSON.stringify({
-            messages: messages,
-            max_tokens: options.maxTokens || 4096,
-            temperature: options.temperature || 0.7,
-            stream: true
-        });
-
-        return new Promise((resolve, reject) => {
-            const parsedUrl = new URL(url);
-
-            const requestOptions = {
-                hostname: parsedUrl.hostname,
-                port: 443,
-                path: parsedUrl.pathname + parsedUrl.search,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`,
-                    'AI-Resource-Group': this.resourceGroup,
-                    'Content-Length': Buffer.byteLength(body)
-                }
-            };
-
-            const req = https.request(requestOptions, (res) => {
-                if (res.statusCode >= 400) {
-                    let errorData = '';
-                    res.on('data', chunk => errorData += chunk);
-                    res.on('end', () => {
-                        console.error('AI Core streaming error:', errorData);
-                        reject(new Error(`AI Core API error: ${res.statusCode}`));
-                    });
-                    return;
-                }
+        // OpenAI-compatible streaming endpoint: tool call deltas are collected the same way
+        const { messages: openAIMessages } = this.convertToOpenAIFormat(messages);
+
+        const toolBehavior = options.enableTools === false ? false : 'auto';
+        const inputStream = await this._streamOpenAI(openAIMessages, options, toolBehavior);
+        return this._interceptToolUseStream(
+            inputStream,
+            openAIMessages,
+            options,
+            () => new OpenAIStreamCollector(),
+            (followUp, behavior) => this._streamOpenAI(followUp, options, behavior)
+        );
+    }
+}
 
-                // Return the response stream directly
-                resolve(res);
-            });
+// One client per catalogue model; all share the OAuth token of the default model's client
+const _clients = new Map();
 
-            req.on('error', reject);
-            req.write(body);
-            req.end();
-        });
+/**
+ * Client for a catalogue model. Unknown or empty IDs use the default model.
+ */
+function getAiCoreClient(modelId) {
+    const model = resolveModel(modelId);
+    if (!_clients.has(model.id)) {
+        const defaultModel = getDefaultModel();
+        const tokenSource = model.id === defaultModel.id ? null : getAiCoreClient(defaultModel.id);
+        _clients.set(model.id, new AiCoreClient(model, tokenSource));
     }
+    return _clients.get(model.id);
 }
 
-let _sharedClient = null;
+/**
+ * Client for the default model (memory extraction and other background calls)
+ */
 function getSharedAiCoreClient() {
-    if (!_sharedClient) {
-        _sharedClient = new AiCoreClient();
-    }
-    return _sharedClient;
+    return getAiCoreClient(null);
 }
 
-module.exports = { AiCoreClient, getSharedAiCoreClient, truncateMessageContent };
+module.exports = {
+    AiCoreClient,
+    AnthropicStreamCollector,
+    OpenAIStreamCollector,
+    getAiCoreClient,
+    getSharedAiCoreClient,
+    truncateMessageContent
+};
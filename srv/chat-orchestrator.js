@@ -0,0 +1,1173 @@
+const cds = require('@sap/cds');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { memoryService } = require('./memory-service');
+const { documentRagService } = require('./document-rag');
+const { workspaceService } = require('./workspace-service');
+const { searchService } = require('./search-service');
+const { personaService, buildSystemPrompt } = require('./persona-service');
+const { getAiCoreClient, truncateMessageContent } = require('./ai-core-client');
+const { extractDocumentText } = require('./document-extractor');
+const { getLatestLeaf, ensureParentLinks, loadBranchPath } = require('./message-tree');
+const { streamRegistry, isFinalEvent, parseEventId, toJob } = require('./stream-registry');
+const {
+    MAX_CONTENT_LENGTH,
+    isValidUUID,
+    isRateLimited,
+    sanitizeErrorMessage,
+    extractBase64Data,
+    validateAndNormalizeAttachments
+} = require('./request-validation');
+
+// How often the partial text of an answer being generated is saved (also while no text arrives,
+// which tells other instances that the answer is still being generated, see server.js)
+const STREAM_SAVE_INTERVAL_MS = Number(process.env.STREAM_SAVE_INTERVAL_MS || 2000);
+
+const RATE_LIMIT_ERROR = 'Too many requests. Please wait a moment.';
+
+// ─── Sinks ────────────────────────────────────────────────────────────────────
+// A sink delivers the events of one chat request to its client. The orchestrator only talks to
+// sinks, so every request type behaves the same on each transport. A sink implements:
+//   open()                       before the first event (SSE: response headers)
+//   send(event)                  false once the client is gone
+//   onClose(fn)                  fn is called when the client disconnects; returns a function removing it
+//   end()                        no more events for this request
+//   reject(status, error)        the request failed
+//   accepted(job)                a background job was started (see stream-registry.js toJob)
+//   unavailable(messageId, error) the answer to resume or cancel is not held (any more)
+//   cancelled(result)            an answer was cancelled: { id, conversationId, status } (status after it ended)
+//   origin                       the WebSocket of the request (skipped by live conversation updates)
+
+function sendWs(ws, payload) {
+    if (!ws || ws.readyState !== ws.OPEN) {
+        return false;
+    }
+    try {
+        ws.send(JSON.stringify(payload));
+        return true;
+    } catch (error) {
+        console.error('WebSocket send error:', error);
+        return false;
+    }
+}
+
+/**
+ * Write an SSE event; answer events carry their seq as the event ID (for Last-Event-ID)
+ */
+function sendSse(res, payload) {
+    if (!res || res.writableEnded || res.destroyed) {
+        return false;
+    }
+    try {
+        const id = payload.seq !== undefined ? `id: ${payload.seq}\n` : '';
+        res.write(`${id}data: ${JSON.stringify(payload)}\n\n`);
+        return true;
+    } catch (error) {
+        console.error('SSE send error:', error);
+        return false;
+    }
+}
+
+/**
+ * Server-Sent Events on an HTTP response; errors before the first event are JSON responses
+ */
+class SseSink {
+    constructor(res) {
+        this.res = res;
+        this.origin = null;
+    }
+
+    open() {
+        if (this.res.headersSent) return;
+        this.res.setHeader('Content-Type', 'text/event-stream');
+        this.res.setHeader('Cache-Control', 'no-cache');
+        this.res.setHeader('Connection', 'keep-alive');
+        this.res.setHeader('X-Accel-Buffering', 'no');
+        this.res.flushHeaders();
+    }
+
+    send(event) {
+        return sendSse(this.res, event);
+    }
+
+    onClose(fn) {
+        this.res.on('close', fn);
+        return () => this.res.off('close', fn);
+    }
+
+    end() {
+        if (!this.res.writableEnded) {
+            this.res.end();
+        }
+    }
+
+    reject(status, error) {
+        if (!this.res.headersSent) {
+            this.res.status(status).json({ error });
+            return;
+        }
+        this.send({ type: 'error', message: error });
+        this.end();
+    }
+
+    accepted(job) {
+        this.res.status(202).json(job);
+    }
+
+    unavailable(messageId, error) {
+        this.reject(404, error);
+    }
+
+    cancelled(result) {
+        this.res.json(result);
+    }
+}
+
+/**
+ * One request made over a WebSocket connection; a connection carries several requests at once.
+ * Replies that are not answer events name the conversation and message of the request. A cancel
+ * that fails is reported as cancel_failed, so it is not taken for the end of the answer.
+ * @param {object} [request] - { type, conversationId, messageId } of the request
+ */
+class WsSink {
+    constructor(ws, { type = null, conversationId = null, messageId = null } = {}) {
+        this.ws = ws;
+        this.origin = ws;
+        this.requestType = type;
+        this.conversationId = conversationId;
+        this.messageId = messageId;
+    }
+
+    open() {}
+
+    send(event) {
+        return sendWs(this.ws, event);
+    }
+
+    onClose(fn) {
+        this.ws.on('close', fn);
+        return () => this.ws.off('close', fn);
+    }
+
+    end() {}
+
+    reject(status, error) {
+        if (this.requestType === 'cancel') {
+            this.send({ type: 'cancel_failed', message: error, messageId: this.messageId });
+            return;
+        }
+        this.send({ type: 'error', message: error, conversationId: this.conversationId, messageId: this.messageId });
+    }
+
+    accepted(job) {
+        this.send({ type: 'job_started', ...job });
+    }
+
+    unavailable(messageId, error) {
+        if (this.requestType === 'cancel') {
+            this.reject(404, error);
+            return;
+        }
+        this.send({ type: 'stream_unavailable', id: messageId, messageId });
+    }
+
+    cancelled(result) {
+        this.send({ type: 'cancelled', ...result });
+    }
+}
+
+/**
+ * Collects the events of a request in memory (tests); close() simulates a disconnect
+ */
+class MemorySink {
+    constructor() {
+        this.origin = null;
+        this.events = [];
+        this.opened = false;
+        this.ended = false;
+        this.closed = false;
+        this.status = null;
+        this.error = null;
+        this.job = null;
+        this.result = null;
+        this.closeListeners = new Set();
+    }
+
+    open() {
+        this.opened = true;
+    }
+
+    send(event) {
+        if (this.closed) return false;
+        this.events.push(event);
+        return true;
+    }
+
+    onClose(fn) {
+        this.closeListeners.add(fn);
+        return () => this.closeListeners.delete(fn);
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    reject(status, error) {
+        this.status = status;
+        this.error = error;
+        this.ended = true;
+    }
+
+    accepted(job) {
+        this.status = 202;
+        this.job = job;
+    }
+
+    unavailable(messageId, error) {
+        this.reject(404, error);
+    }
+
+    cancelled(result) {
+        this.result = result;
+    }
+
+    close() {
+        this.closed = true;
+        for (const fn of this.closeListeners) fn();
+        this.closeListeners.clear();
+    }
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate a new chat message (chat request)
+ * @returns {{ error: string }|{ fields: object }} fields: { conversationId, content, attachments, parentId, background }
+ */
+function validateChatRequest({ conversationId, content, attachments, parentId, background = false } = {}) {
+    let normalizedAttachments;
+    try {
+        normalizedAttachments = validateAndNormalizeAttachments(attachments);
+    } catch (validationError) {
+        return { error: validationError.message };
+    }
+
+    if (!conversationId || (!content && normalizedAttachments.length === 0)) {
+        return { error: 'Missing conversationId or content' };
+    }
+    if (!isValidUUID(conversationId)) {
+        return { error: 'Invalid conversationId format' };
+    }
+    if (parentId && !isValidUUID(parentId)) {
+        return { error: 'Invalid parentId format' };
+    }
+    if (content && typeof content !== 'string') {
+        return { error: 'content must be a string' };
+    }
+    if (content && content.length > MAX_CONTENT_LENGTH) {
+        return { error: `Message too long (max ${MAX_CONTENT_LENGTH} characters)` };
+    }
+    if (typeof background !== 'boolean') {
+        return { error: 'background must be a boolean' };
+    }
+
+    return {
+        fields: {
+            conversationId,
+            content: content || '',
+            attachments: normalizedAttachments,
+            parentId: parentId || null,
+            background
+        }
+    };
+}
+
+/**
+ * Validate the reference to an existing user message (regenerate, edit); returns an error message or null
+ */
+function validateMessageRef({ conversationId, messageId } = {}) {
+    if (!conversationId || !messageId) {
+        return 'Missing conversationId or messageId';
+    }
+    if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+        return 'Invalid conversationId or messageId format';
+    }
+    return null;
+}
+
+// ─── Messages ─────────────────────────────────────────────────────────────────
+
+/**
+ * Save attachments for a message.
+ */
+async function saveAttachments(db, attachments, messageId) {
+    for (const att of attachments) {
+        const attachmentId = uuidv4();
+        const contentBuffer = att.data ? Buffer.from(att.data, 'base64') : null;
+
+        // Attachments copied from an existing message (edit) already carry their text
+        if (att.text === undefined) {
+            att.text = await extractAttachmentText(contentBuffer, att.type, att.name);
+        }
+        att.id = attachmentId;
+
+        await db.run(INSERT.into('ai.chat.MessageAttachments').entries({
+            ID: attachmentId,
+            message_ID: messageId,
+            filename: att.name || 'attachment',
+            mimeType: att.type || 'application/octet-stream',
+            content: contentBuffer,
+            extractedText: att.text,
+            status: 'Clean',
+            createdAt: new Date().toISOString(),
+            modifiedAt: new Date().toISOString()
+        }));
+    }
+}
+
+/**
+ * Text of a non-image attachment for the model ('' when nothing can be extracted).
+ * Images are sent to the model as images and have no text (null).
+ */
+async function extractAttachmentText(buffer, mimeType, filename) {
+    if (!buffer || (mimeType || '').startsWith('image/')) {
+        return null;
+    }
+    return (await extractDocumentText(buffer, mimeType, filename)) ?? '';
+}
+
+/**
+ * Insert a user message (and its attachments) below parentId.
+ */
+async function saveUserMessage(db, { conversationId, parentId, userId, content, attachments }) {
+    const userMessage = {
+        ID: uuidv4(),
+        conversation_ID: conversationId,
+        parent_ID: parentId || null,
+        role: 'user',
+        userId,
+        content: content,
+        createdAt: new Date().toISOString(),
+        modifiedAt: new Date().toISOString()
+    };
+    await db.run(INSERT.into('ai.chat.Messages').entries(userMessage));
+
+    if (attachments.length > 0) {
+        await saveAttachments(db, attachments, userMessage.ID);
+    }
+
+    return userMessage;
+}
+
+/**
+ * Read the binary content of an attachment as a Buffer (null if missing or unreadable).
+ * Uses the native HANA client when available; LOB columns are not returned reliably via CQL there.
+ */
+async function readAttachmentContent(db, attachmentId) {
+    const hana = db.dbc;
+
+    if (hana && hana.exec) {
+        const result = await new Promise((resolve, reject) => {
+            hana.exec(
+                `SELECT "CONTENT" FROM "AI_CHAT_MESSAGEATTACHMENTS" WHERE "ID" = ?`,
+                [attachmentId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+
+        const content = result?.[0]?.CONTENT;
+        return Buffer.isBuffer(content) ? content : null;
+    }
+
+    const tx = db.tx();
+    try {
+        const fullAttachment = await tx.run(
+            SELECT.one.from('ai.chat.MessageAttachments')
+                .columns('content')
+                .where({ ID: attachmentId })
+        );
+
+        let buffer = null;
+        const content = fullAttachment?.content;
+        if (Buffer.isBuffer(content)) {
+            buffer = content;
+        } else if (typeof content === 'string') {
+            buffer = content.startsWith('data:')
+                ? Buffer.from(extractBase64Data(content), 'base64')
+                : Buffer.from(content);
+        } else if (content && (content.pipe || content[Symbol.asyncIterator] || content.read)) {
+            const chunks = [];
+            for await (const chunk of content) {
+                chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            }
+            buffer = Buffer.concat(chunks);
+        }
+        await tx.commit();
+        return buffer;
+    } catch (txErr) {
+        await tx.rollback();
+        throw txErr;
+    }
+}
+
+/**
+ * Load the stored attachments of a message in the same shape as validateAndNormalizeAttachments.
+ * Used when a message is sent to the model again (e.g. regenerate).
+ */
+async function loadMessageAttachments(db, messageId) {
+    const attachments = await db.run(
+        SELECT.from('ai.chat.MessageAttachments')
+            .where({ message_ID: messageId })
+            .columns('ID', 'filename', 'mimeType', 'extractedText')
+    );
+
+    const normalized = [];
+    for (const att of attachments) {
+        const buffer = await readAttachmentContent(db, att.ID);
+        if (!buffer) continue;
+
+        // Attachments saved before text extraction existed are extracted once and cached
+        let text = att.extractedText;
+        if (text === null || text === undefined) {
+            text = await extractAttachmentText(buffer, att.mimeType, att.filename);
+            if (text !== null) {
+                await db.run(UPDATE('ai.chat.MessageAttachments').set({ extractedText: text }).where({ ID: att.ID }));
+            }
+        }
+
+        normalized.push({
+            id: att.ID,
+            name: att.filename || 'attachment',
+            type: att.mimeType || 'application/octet-stream',
+            data: buffer.toString('base64'),
+            text
+        });
+    }
+    return normalized;
+}
+
+/**
+ * Load an existing user message for regenerating its answer or editing it.
+ * Returns { error, status } when the request cannot be served.
+ */
+async function loadUserMessageContext(db, userId, conversationId, messageId) {
+    const access = await workspaceService.checkConversationAccess(conversationId, userId, 'write');
+    if (access.error) {
+        return access;
+    }
+    const { conversation } = access;
+
+    const userMessage = await db.run(
+        SELECT.one.from('ai.chat.Messages')
+            .where({ ID: messageId, conversation_ID: conversationId })
+            .columns('ID', 'role', 'content')
+    );
+    if (!userMessage) {
+        return { status: 404, error: 'Message not found' };
+    }
+    if (userMessage.role !== 'user') {
+        return { status: 400, error: 'Only user messages can be regenerated or edited' };
+    }
+
+    // Older conversations get their implicit chain persisted before a sibling is added
+    const branch = await ensureParentLinks(db, conversationId);
+    userMessage.parent_ID = branch.find(m => m.ID === messageId)?.parent_ID || null;
+    const attachments = await loadMessageAttachments(db, messageId);
+
+    return { conversation, userMessage, attachments };
+}
+
+/**
+ * Validate an edit of an existing user message. Omitted attachments keep the original ones.
+ * Returns { error, status } or { context, content, attachments } for the new sibling message.
+ */
+async function prepareEdit(db, userId, { conversationId, messageId, content, attachments }) {
+    if (!conversationId || !messageId) {
+        return { status: 400, error: 'Missing conversationId or messageId' };
+    }
+    if (!isValidUUID(conversationId) || !isValidUUID(messageId)) {
+        return { status: 400, error: 'Invalid conversationId or messageId format' };
+    }
+    if (content && typeof content !== 'string') {
+        return { status: 400, error: 'content must be a string' };
+    }
+    if (content && content.length > MAX_CONTENT_LENGTH) {
+        return { status: 400, error: `Message too long (max ${MAX_CONTENT_LENGTH} characters)` };
+    }
+
+    let normalizedAttachments = null;
+    if (attachments !== undefined) {
+        try {
+            normalizedAttachments = validateAndNormalizeAttachments(attachments);
+        } catch (validationError) {
+            return { status: 400, error: validationError.message };
+        }
+    }
+
+    const context = await loadUserMessageContext(db, userId, conversationId, messageId);
+    if (context.error) {
+        return context;
+    }
+
+    const editedAttachments = normalizedAttachments || context.attachments;
+    if (!content && editedAttachments.length === 0) {
+        return { status: 400, error: 'Missing content' };
+    }
+
+    return { context, content: content || '', attachments: editedAttachments };
+}
+
+// ─── Model input ──────────────────────────────────────────────────────────────
+
+/**
+ * Index the large attachments of the current message for document RAG. Indexed attachments
+ * are not sent in full; the model gets the relevant chunks instead (see buildAiMessages).
+ */
+async function indexLargeAttachments(userId, conversationId, attachments) {
+    for (const att of attachments) {
+        if (!att.id || !documentRagService.shouldIndex(att)) continue;
+        try {
+            await documentRagService.indexAttachment({
+                attachmentId: att.id,
+                conversationId,
+                userId,
+                filename: att.name,
+                text: att.text
+            });
+            att.indexed = true;
+        } catch (indexError) {
+            // The attachment is then sent as (truncated) text
+            console.error(`Error indexing attachment "${att.name}":`, indexError);
+        }
+    }
+}
+
+/**
+ * Build the AI messages array from the conversation branch ending at leafMessageId
+ * and the current attachments/memories/document excerpts, with the system prompt of the
+ * conversation's persona (see buildSystemPrompt for the order of its parts).
+ * Truncates large messages to prevent token limit errors.
+ * @returns {Promise<{ aiMessages: Array, sources: Array, persona: object|null }>} sources = document excerpts the answer may cite
+ */
+async function buildAiMessages(db, userId, conversationId, leafMessageId, content, attachments) {
+    const messages = await loadBranchPath(db, conversationId, leafMessageId, 20);
+
+    // Truncate large messages in conversation history to prevent token overflow
+    const aiMessages = messages.map(msg => ({
+        role: msg.role,
+        content: truncateMessageContent(msg.content, msg.role)
+    }));
+
+    // Attach current message's files to the last user message
+    if (attachments && attachments.length > 0) {
+        await indexLargeAttachments(userId, conversationId, attachments);
+        const lastUserMsg = aiMessages[aiMessages.length - 1];
+        if (lastUserMsg && lastUserMsg.role === 'user') {
+            lastUserMsg.attachments = attachments;
+        }
+    }
+
+    const persona = await personaService.getConversationPersona(conversationId);
+
+    // Retrieve relevant memories and inject into system prompt
+    let memoryPrompt = '';
+    try {
+        const relevantMemories = await memoryService.retrieveRelevantMemories(userId, content || '');
+        memoryPrompt = memoryService.formatMemoriesForPrompt(relevantMemories);
+        if (memoryPrompt) {
+            console.log(`Injecting ${relevantMemories.length} memories into system prompt for user ${userId}`);
+        }
+    } catch (memError) {
+        console.error('Error retrieving memories:', memError);
+    }
+
+    // Retrieve relevant excerpts of the conversation's indexed documents
+    const chunks = await documentRagService.retrieveRelevantChunks(conversationId, content || '');
+    const { prompt: documentPrompt, sources } = documentRagService.formatChunksForPrompt(chunks);
+    if (documentPrompt) {
+        console.log(`Injecting ${chunks.length} document excerpts into system prompt for conversation ${conversationId}`);
+    }
+
+    aiMessages.unshift({
+        role: 'system',
+        content: buildSystemPrompt({ persona, memoryPrompt, documentPrompt })
+    });
+
+    return { aiMessages, sources, persona };
+}
+
+/**
+ * Options of the AI stream for a reply: tool context plus the temperature and tools of the persona
+ */
+function chatStreamOptions(replyContext) {
+    const { persona, userId, conversationId } = replyContext;
+    return {
+        temperature: persona?.temperature ?? undefined,
+        toolContext: { userId, conversationId, allowedTools: persona?.tools ?? undefined }
+    };
+}
+
+/**
+ * Generate a conversation title from available sources.
+ */
+function generateTitle(content, attachments, fullContent) {
+    let titleSource = '';
+
+    if (content && content.trim()) {
+        titleSource = content.trim();
+    } else if (attachments && attachments.length > 0) {
+        const attachmentNames = attachments.map(a => a.name).filter(n => n);
+        if (attachmentNames.length > 0) {
+            titleSource = attachmentNames.length === 1
+                ? attachmentNames[0]
+                : `${attachmentNames[0]} (+${attachmentNames.length - 1} more)`;
+        }
+    }
+    if (!titleSource && fullContent) {
+        const firstLine = fullContent.split('\n')[0].trim();
+        titleSource = firstLine.replace(/^#+\s*/, '').trim();
+    }
+
+    if (!titleSource) return null;
+    return titleSource.substring(0, 50) + (titleSource.length > 50 ? '...' : '');
+}
+
+/**
+ * Stop reading an AI Core stream; this aborts the upstream request
+ */
+function closeAiStream(stream) {
+    if (!stream) return;
+    if (typeof stream.destroy === 'function') {
+        stream.destroy();
+        return;
+    }
+    if (typeof stream.abort === 'function') {
+        stream.abort();
+        return;
+    }
+    if (typeof stream.close === 'function') {
+        stream.close();
+    }
+}
+
+/**
+ * Parse streaming SSE chunks from AI Core and extract text deltas.
+ */
+function parseStreamChunk(buffer, isAnthropic) {
+    const deltas = [];
+    const events = [];
+    const lines = buffer.split('\n');
+    const remaining = lines.pop() || '';
+
+    for (const line of lines) {
+        if (line.startsWith('data: ')) {
+            const data = line.slice(6).trim();
+            if (data === '[DONE]' || data === '') continue;
+
+            try {
+                const json = JSON.parse(data);
+                let delta = null;
+
+                if (json.type === 'web_search_start' || json.type === 'tool_start') {
+                    // Tool status events are injected by AiCoreClient for both model types
+                    events.push(json);
+                } else if (isAnthropic) {
+                    if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
+                        delta = json.delta.text;
+                    }
+                } else {
+                    delta = json.choices?.[0]?.delta?.content;
+                }
+
+                if (delta) deltas.push(delta);
+            } catch {
+                // Ignore parse errors for incomplete chunks
+            }
+        }
+    }
+
+    return { deltas, events, remaining };
+}
+
+/**
+ * Chat Orchestrator
+ * Runs the chat requests (chat, regenerate, edit, resume) for every transport: validation,
+ * persistence, answer generation and delivery of the answer's events to a sink.
+ *
+ * Events:
+ *   'conversation_updated' (conversationId, event, origin) - a message was started or completed;
+ *                          for the other clients showing the conversation
+ *   'job_completed' (userId, event) - a background job finished; for the user's clients
+ */
+class ChatOrchestrator extends EventEmitter {
+    // ─── Requests ─────────────────────────────────────────────────────────────
+
+    /**
+     * Post a user message and answer it (streamed, or as a background job with background: true)
+     * @param {object} data - { conversationId, content, attachments, parentId, background }
+     */
+    async chat(sink, user, data) {
+        await this._run(sink, 'Chat request error', async () => {
+            if (isRateLimited(user.id)) {
+                return sink.reject(429, RATE_LIMIT_ERROR);
+            }
+            const { error, fields } = validateChatRequest(data);
+            if (error) {
+                return sink.reject(400, error);
+            }
+            const { conversationId, content, attachments, parentId, background } = fields;
+
+            const db = await cds.connect.to('db');
+
+            // Verify the user may post into the conversation
+            const access = await workspaceService.checkConversationAccess(conversationId, user.id, 'write');
+            if (access.error) {
+                return sink.reject(access.status, access.error);
+            }
+
+            // Continue the branch the client is showing (defaults to the latest message)
+            const branch = await ensureParentLinks(db, conversationId);
+            if (parentId && !branch.some(m => m.ID === parentId)) {
+                return sink.reject(404, 'Parent message not found');
+            }
+
+            const userMessage = await saveUserMessage(db, {
+                conversationId, userId: user.id, content, attachments,
+                parentId: parentId || getLatestLeaf(branch)?.ID
+            });
+
+            await this._reply(sink, db, {
+                conversationId, conversation: access.conversation, content, attachments,
+                userId: user.id, parentId: userMessage.ID
+            }, { userMessageId: userMessage.ID, background });
+        });
+    }
+
+    /**
+     * Answer an existing user message again; the new reply is stored as a sibling branch
+     * @param {object} data - { conversationId, messageId }
+     */
+    async regenerate(sink, user, data) {
+        await this._run(sink, 'Regenerate request error', async () => {
+            if (isRateLimited(user.id)) {
+                return sink.reject(429, RATE_LIMIT_ERROR);
+            }
+            const error = validateMessageRef(data);
+            if (error) {
+                return sink.reject(400, error);
+            }
+            const { conversationId, messageId } = data;
+
+            const db = await cds.connect.to('db');
+
+            const context = await loadUserMessageContext(db, user.id, conversationId, messageId);
+            if (context.error) {
+                return sink.reject(context.status, context.error);
+            }
+            const { conversation, userMessage, attachments } = context;
+
+            await this._reply(sink, db, {
+                conversationId, conversation, content: userMessage.content, attachments,
+                userId: user.id, parentId: userMessage.ID, regenerated: true
+            });
+        });
+    }
+
+    /**
+     * Store the edited text as a sibling of the original user message and answer it;
+     * the original branch stays reachable
+     * @param {object} data - { conversationId, messageId, content, attachments }
+     */
+    async edit(sink, user, data) {
+        await this._run(sink, 'Edit request error', async () => {
+            if (isRateLimited(user.id)) {
+                return sink.reject(429, RATE_LIMIT_ERROR);
+            }
+
+            const db = await cds.connect.to('db');
+
+            const edit = await prepareEdit(db, user.id, data);
+            if (edit.error) {
+                return sink.reject(edit.status, edit.error);
+            }
+            const { context: { conversation, userMessage: original }, content, attachments } = edit;
+            const conversationId = conversation.ID;
+
+            const userMessage = await saveUserMessage(db, {
+                conversationId, userId: user.id, content, attachments, parentId: original.parent_ID
+            });
+
+            await this._reply(sink, db, {
+                conversationId, conversation, content, attachments,
+                userId: user.id, parentId: userMessage.ID
+            }, { userMessageId: userMessage.ID });
+        });
+    }
+
+    /**
+     * Re-send the events after lastEventId of an answer that is being generated (or finished
+     * less than STREAM_RETENTION_MS ago), then follow it live
+     * @param {object} data - { messageId, lastEventId }
+     */
+    async resume(sink, user, data) {
+        await this._run(sink, 'Resume request error', async () => {
+            const { messageId } = data;
+            if (!isValidUUID(messageId)) {
+                return sink.reject(400, 'Invalid messageId format');
+            }
+            const lastEventId = parseEventId(data.lastEventId);
+            if (lastEventId === null) {
+                return sink.reject(400, 'Invalid lastEventId');
+            }
+            const found = await this.findAnswer(messageId, user.id);
+            if (found.error) {
+                return sink.unavailable(messageId, found.error);
+            }
+            sink.open();
+            this.deliver(sink, found.answer, lastEventId);
+        });
+    }
+
+    /**
+     * Stop generating an answer: the AI Core request is aborted and the partial answer is saved
+     * with status 'stopped'. Only the user who asked for the answer may stop it. The sink is told
+     * once the answer is saved, with its final status (an answer that had already ended keeps its own).
+     * @param {object} data - { messageId }
+     */
+    async cancel(sink, user, data) {
+        await this._run(sink, 'Cancel request error', async () => {
+            const { messageId } = data;
+            if (!isValidUUID(messageId)) {
+                return sink.reject(400, 'Invalid messageId format');
+            }
+            const found = await this.findAnswer(messageId, user.id);
+            if (found.error) {
+                return sink.unavailable(messageId, found.error);
+            }
+            const { answer } = found;
+            if (answer.userId !== user.id) {
+                return sink.reject(403, 'Only the user who asked for this answer can stop it');
+            }
+            if (!answer.finished) {
+                await new Promise((resolve) => {
+                    answer.subscribe((event) => {
+                        if (isFinalEvent(event)) resolve();
+                    }, answer.events.length);
+                    answer.cancel();
+                });
+            }
+            sink.cancelled({ id: messageId, conversationId: answer.conversationId, status: answer.status });
+        });
+    }
+
+    // ─── Delivery ─────────────────────────────────────────────────────────────
+
+    /**
+     * Send the events of an answer after lastEventId to a sink, ending it with the answer.
+     * A disconnected client only stops the delivery; the answer is still generated and saved.
+     */
+    deliver(sink, answer, lastEventId = 0) {
+        let isActive = true;
+        let removeOnClose = null;
+        const detach = answer.subscribe((event) => {
+            isActive = sink.send(event) && !isFinalEvent(event);
+            if (!isActive) {
+                removeOnClose?.();
+                sink.end();
+            }
+            return isActive;
+        }, lastEventId);
+        if (isActive) {
+            removeOnClose = sink.onClose(detach);
+        }
+    }
+
+    /**
+     * The answer a user may follow: being generated (or just finished) and in a readable conversation
+     * @returns {Promise<{ answer }|{ status: number, error: string }>}
+     */
+    async findAnswer(messageId, userId) {
+        const answer = streamRegistry.get(messageId);
+        const access = answer && await workspaceService.checkConversationAccess(answer.conversationId, userId, 'read');
+        if (!answer || access.error) {
+            return { status: 404, error: 'No answer is being generated for this message' };
+        }
+        return { answer };
+    }
+
+    // ─── Answer generation ────────────────────────────────────────────────────
+
+    /**
+     * Start generating an assistant reply, independent of the client connection: the answer is
+     * saved as a 'streaming' message right away and its events go into an AnswerStream that clients
+     * subscribe to (again, after reconnecting). replyContext is passed on to processStreamEnd;
+     * replyContext.background makes the answer a background job.
+     * @returns {Promise<AnswerStream>}
+     */
+    async startAnswer(db, aiMessages, replyContext) {
+        const { conversationId, userId, parentId, sources, origin, background = false } = replyContext;
+        const assistantMessageId = uuidv4();
+        const now = new Date().toISOString();
+        await db.run(INSERT.into('ai.chat.Messages').entries({
+            ID: assistantMessageId,
+            conversation_ID: conversationId,
+            parent_ID: parentId || null,
+            role: 'assistant',
+            content: '',
+            status: 'streaming',
+            sources: sources?.length ? JSON.stringify(sources) : null,
+            createdAt: now,
+            modifiedAt: now
+        }));
+
+        const answer = streamRegistry.create(assistantMessageId, { conversationId, userId, background });
+        answer.push({ type: 'assistant_start', id: assistantMessageId });
+        if (sources?.length) {
+            answer.push({ type: 'sources', sources });
+        }
+        if (background) {
+            this.watchBackgroundJob(answer);
+        }
+        this.emit('conversation_updated', conversationId, {
+            reason: 'message_started', userId, messageId: parentId
+        }, origin);
+
+        this.generateAnswer(db, answer, aiMessages, replyContext)
+            .catch(err => console.error('Unhandled answer generation error:', err));
+        return answer;
+    }
+
+    /**
+     * Run the AI stream of an answer to its end. The partial text is saved every
+     * STREAM_SAVE_INTERVAL_MS, so a reloaded page shows it; the full answer is saved by processStreamEnd.
+     * Cancelling the answer aborts the AI Core request and running tool calls (answer.signal) and
+     * saves the text received so far as 'stopped'.
+     */
+    async generateAnswer(db, answer, aiMessages, replyContext) {
+        const assistantMessageId = answer.messageId;
+        const client = getAiCoreClient(replyContext.conversation?.model);
+        const isAnthropic = client.modelType === 'anthropic';
+
+        // Saved on a timer rather than per chunk, so modifiedAt keeps moving during tool calls
+        let pendingSave = Promise.resolve();
+        const saveTimer = setInterval(() => {
+            const content = answer.content;
+            pendingSave = pendingSave
+                .then(() => db.run(
+                    UPDATE('ai.chat.Messages')
+                        .set({ content, modifiedAt: new Date().toISOString() })
+                        .where({ ID: assistantMessageId })
+                ))
+                .catch(err => console.error('Error saving partial answer:', err));
+        }, STREAM_SAVE_INTERVAL_MS);
+        saveTimer.unref?.();
+
+        const fail = async (message) => {
+            clearInterval(saveTimer);
+            await pendingSave;
+            // Failed answers are not kept (the client shows the error instead)
+            await db.run(DELETE.from('ai.chat.Messages').where({ ID: assistantMessageId }))
+                .catch(err => console.error('Error deleting failed answer:', err));
+            answer.push({ type: 'error', message });
+            streamRegistry.release(assistantMessageId);
+        };
+
+        let stream = null;
+        let buffer = '';
+        let isEnded = false;
+
+        const complete = async ({ stopped = false } = {}) => {
+            if (isEnded) return;
+            isEnded = true;
+            clearInterval(saveTimer);
+            // A partial save finishing late must not overwrite the full answer
+            await pendingSave;
+            try {
+                await this.processStreamEnd(db, { ...replyContext, assistantMessageId, fullContent: answer.content, stopped });
+            } catch (endError) {
+                console.error('Error in stream end processing:', endError);
+            }
+            answer.push({ type: 'done', id: assistantMessageId, ...(stopped ? { stopped: true } : {}) });
+            streamRegistry.release(assistantMessageId);
+        };
+
+        const stop = () => {
+            closeAiStream(stream);
+            complete({ stopped: true });
+        };
+        if (answer.signal.aborted) {
+            stop();
+            return;
+        }
+        answer.signal.addEventListener('abort', stop, { once: true });
+
+        // The signal also aborts the AI Core requests and tool calls before the stream is returned
+        try {
+            stream = await client.chatStream(aiMessages, { ...chatStreamOptions(replyContext), signal: answer.signal });
+        } catch (error) {
+            if (isEnded) return;
+            isEnded = true;
+            answer.signal.removeEventListener('abort', stop);
+            console.error('AI Core error:', error);
+            await fail(sanitizeErrorMessage(error, 'Failed to get AI response'));
+            return;
+        }
+        if (isEnded) {
+            closeAiStream(stream);
+            return;
+        }
+
+        stream.on('data', (chunk) => {
+            if (isEnded) return;
+            buffer += chunk.toString();
+            const { deltas, events, remaining } = parseStreamChunk(buffer, isAnthropic);
+            buffer = remaining;
+
+            for (const event of events) {
+                answer.push(event);
+            }
+            for (const delta of deltas) {
+                answer.push({ type: 'content', content: delta });
+            }
+        });
+
+        stream.on('end', () => complete());
+
+        stream.on('error', async (error) => {
+            if (isEnded) return;
+            isEnded = true;
+            console.error('Stream error:', error);
+            await fail(sanitizeErrorMessage(error, 'Stream error occurred'));
+        });
+    }
+
+    /**
+     * Process post-stream tasks: complete the assistant message, update title, extract memories.
+     * parentId is the user message being answered; regenerated answers become its further children.
+     * A stopped answer is saved with status 'stopped'.
+     */
+    async processStreamEnd(db, { assistantMessageId, conversationId, conversation, content, attachments, fullContent, userId, parentId, sources, origin, regenerated = false, stopped = false }) {
+        // Complete the assistant message saved when the answer started
+        await db.run(
+            UPDATE('ai.chat.Messages')
+                .set({ content: fullContent, status: stopped ? 'stopped' : null, modifiedAt: new Date().toISOString() })
+                .where({ ID: assistantMessageId })
+        );
+
+        // Update conversation title if it's still the default
+        const needsTitleUpdate = !conversation.title ||
+            conversation.title === 'New Conversation' ||
+            conversation.title === 'New Chat';
+
+        if (needsTitleUpdate) {
+            const title = generateTitle(content, attachments, fullContent);
+            if (title) {
+                await db.run(
+                    UPDATE('ai.chat.Conversations')
+                        .set({ title, modifiedAt: new Date().toISOString() })
+                        .where({ ID: conversationId })
+                );
+            }
+        }
+
+        this.emit('conversation_updated', conversationId, {
+            reason: 'message_completed', userId, messageId: assistantMessageId
+        }, origin);
+
+        // Embed the turn for semantic search asynchronously (a regenerated user message is already indexed)
+        Promise.resolve().then(async () => {
+            if (!regenerated && parentId) {
+                await searchService.indexMessage({ messageId: parentId, conversationId, content });
+            }
+            await searchService.indexMessage({ messageId: assistantMessageId, conversationId, content: fullContent });
+        }).catch(err => console.error('Unhandled message indexing error:', err));
+
+        // The user turn of a regenerated answer was already processed the first time around;
+        // a stopped answer is cut off, so nothing is learned from it
+        if (regenerated || stopped) return;
+
+        // Process memory extraction asynchronously
+        Promise.resolve().then(async () => {
+            try {
+                const recentMessages = [
+                    { role: 'user', content },
+                    { role: 'assistant', content: fullContent }
+                ];
+                await memoryService.processConversationTurn(userId, conversationId, recentMessages);
+            } catch (memError) {
+                console.error('Error processing memories:', memError);
+            }
+        }).catch(err => console.error('Unhandled memory processing error:', err));
+    }
+
+    /**
+     * Tell the user who started a background job when its answer is complete or has failed
+     */
+    watchBackgroundJob(answer) {
+        answer.subscribe((event) => {
+            if (!isFinalEvent(event)) return;
+            const { messageId, conversationId, status, error } = toJob(answer);
+            this.emit('job_completed', answer.userId, {
+                type: 'job_completed', messageId, conversationId, status, ...(error ? { error } : {})
+            });
+        }, answer.events.length);
+    }
+
+    // ─── Internals ────────────────────────────────────────────────────────────
+
+    /**
+     * Build the model input of a reply and start it: streamed to the sink (after user_message for a
+     * new user message), or as a background job reported to the sink as accepted
+     */
+    async _reply(sink, db, replyContext, { userMessageId = null, background = false } = {}) {
+        const { conversationId, userId, parentId, content, attachments } = replyContext;
+        const { aiMessages, sources, persona } = await buildAiMessages(db, userId, conversationId, parentId, content, attachments);
+        const context = { ...replyContext, sources, persona, origin: sink.origin, background };
+
+        if (background) {
+            const answer = await this.startAnswer(db, aiMessages, context);
+            sink.accepted({ userMessageId, ...toJob(answer) });
+            return;
+        }
+
+        sink.open();
+        const isConnected = !userMessageId ||
+            sink.send({ type: 'user_message', id: userMessageId, conversationId, messageId: userMessageId });
+        // The saved message is answered even if the client has gone (it can resume the answer)
+        const answer = await this.startAnswer(db, aiMessages, context);
+        if (!isConnected) {
+            sink.end();
+            return;
+        }
+        this.deliver(sink, answer);
+    }
+
+    /**
+     * Run a request; unexpected errors are logged and reported to the sink
+     */
+    async _run(sink, label, fn) {
+        try {
+            await fn();
+        } catch (error) {
+            console.error(`${label}:`, error);
+            sink.reject(500, sanitizeErrorMessage(error, 'Internal server error'));
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = {
+    ChatOrchestrator,
+    chatOrchestrator: new ChatOrchestrator(),
+    SseSink,
+    WsSink,
+    MemorySink,
+    sendWs,
+    validateChatRequest,
+    extractAttachmentText,
+    readAttachmentContent,
+    STREAM_SAVE_INTERVAL_MS
+};
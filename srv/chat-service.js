@@ -1,5 +1,13 @@
 const cds = require('@sap/cds');
 const { v4: uuidv4 } = require('uuid');
+const { getLatestLeaf, ensureParentLinks, loadBranchPath } = require('./message-tree');
+const { workspaceService } = require('./workspace-service');
+const { labelService } = require('./label-service');
+const { trashService } = require('./trash-service');
+const { personaService, buildSystemPrompt } = require('./persona-service');
+const {
+    DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, DEFAULT_ORDER, isDefaultOrder, encodeCursor, decodeCursor, afterCursor
+} = require('./conversation-paging');
 
 function extractReadKey(req, keyName = 'ID') {
     if (req.data && req.data[keyName]) {
@@ -23,19 +31,40 @@ function extractReadKey(req, keyName = 'ID') {
     return null;
 }
 
+/**
+ * Value of an equality condition in the $filter of a list request, e.g. workspace_ID eq null.
+ * Returns undefined if the filter has no such condition.
+ */
+function extractFilterValue(req, name) {
+    const where = req.query?.SELECT?.where;
+    if (!Array.isArray(where)) {
+        return undefined;
+    }
+
+    for (let i = 0; i < where.length - 2; i++) {
+        const left = where[i];
+        const op = where[i + 1];
+        const right = where[i + 2];
+        if (left?.ref?.[0] === name && (op === '=' || op === 'is')) {
+            if (right === 'null') return null;
+            if (right?.val !== undefined) return right.val;
+        }
+    }
+
+    return undefined;
+}
+
 /**
  * Chat Service Implementation
  * Handles chat operations and integrates with SAP AI Core
  */
-const DEFAULT_CONVERSATION_LIMIT = 50;
-
 module.exports = class ChatService extends cds.ApplicationService {
 
     async init() {
         // Acquire db connection once; CDS caches it internally
         this.db = await cds.connect.to('db');
 
-        // Filter conversations by current user - use on() handler to query db directly
+        // Filter conversations by the user's personal chats and workspaces - use on() handler to query db directly
         this.on('READ', 'Conversations', async (req) => {
             const userId = req.user.id;
             const db = this.db;
@@ -51,16 +80,17 @@ module.exports = class ChatService extends cds.ApplicationService {
                     return null;
                 }
                 
-                // Get the single conversation with user filter
+                // Get the single conversation if the user may read it
+                const access = await workspaceService.checkConversationAccess(conversationId, userId, 'read');
+                if (access.error) {
+                    return null;
+                }
                 const conversation = await db.run(
                     SELECT.one.from('ai.chat.Conversations')
-                        .where({ ID: conversationId, userId: userId })
-                        .columns('ID', 'title', 'createdAt', 'createdBy', 'modifiedAt', 'modifiedBy')
+                        .where({ ID: conversationId })
+                        .columns('ID', 'title', 'model', 'persona_ID', 'workspace_ID', 'createdAt', 'createdBy', 'modifiedAt', 'modifiedBy')
                 );
-                
-                if (!conversation) {
-                    return null;
-                }
+                Object.assign(conversation, (await labelService.getLabels(userId, [conversationId])).get(conversationId));
                 
                 // Check if messages should be expanded
                 const expand = req.query.SELECT?.columns?.find(c => c.expand);
@@ -68,7 +98,7 @@ module.exports = class ChatService extends cds.ApplicationService {
                     // Get messages for this conversation
                     let messagesQuery = SELECT.from('ai.chat.Messages')
                         .where({ conversation_ID: conversationId })
-                        .columns('ID', 'role', 'content', 'createdAt', 'modifiedAt');
+                        .columns('ID', 'parent_ID', 'role', 'userId', 'content', 'sources', 'status', 'createdAt', 'modifiedAt');
                     
                     // Apply orderby from expand if present
                     if (expand.expand?.orderBy) {
@@ -104,19 +134,62 @@ module.exports = class ChatService extends cds.ApplicationService {
                 return conversation;
             }
             
-            // Query the database table directly with user filter (list query)
-            const top = req.query.SELECT?.limit?.rows?.val || DEFAULT_CONVERSATION_LIMIT;
-            let query = SELECT.from('ai.chat.Conversations')
-                .where({ userId: userId })
-                .columns('ID', 'title', 'createdAt', 'createdBy', 'modifiedAt', 'modifiedBy')
-                .limit(top);
-
-            // Apply $orderby if present
-            if (req.query.SELECT?.orderBy) {
-                query = query.orderBy(req.query.SELECT.orderBy);
+            // Query the database table directly (list query); $filter=workspace_ID eq <ID|null>
+            // narrows the list to one workspace or to personal chats
+            const scope = await workspaceService.conversationScope(userId, extractFilterValue(req, 'workspace_ID'));
+            if (!scope) {
+                return [];
             }
 
+            // Custom query options folder=<ID>, tag=<tag> and pinned=true|false narrow the list by the user's labels;
+            // archived conversations are only listed with archived=true
+            const params = cds.context?.http?.req?.query || {};
+            const labelConditions = labelService.listConditions(userId, {
+                folderId: params.folder || undefined,
+                tag: params.tag ? String(params.tag).toLowerCase() : undefined,
+                pinned: params.pinned === 'true' ? true : params.pinned === 'false' ? false : undefined,
+                archived: params.archived === 'true'
+            });
+            const inList = (query) => {
+                for (const condition of labelConditions) query.and(condition);
+                return query;
+            };
+
+            // Pages of at most MAX_PAGE_SIZE; the next one is announced as @odata.nextLink (see conversation-paging.js)
+            const select = req.query.SELECT;
+            const clientTop = parseInt(params.$top, 10) || null;
+            const byCursor = isDefaultOrder(select.orderBy);
+            const cursor = byCursor ? decodeCursor(params.$skiptoken) : null;
+            // Without $top, CAP passes its maximum page size as limit; on follow-up pages it reduces $top by r
+            const pageSize = clientTop ? Math.min(select.limit?.rows?.val || clientTop, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+            // A cursor replaces $skip: it already points behind the skipped conversations
+            const offset = cursor ? 0 : (select.limit?.offset?.val || 0);
+
+            const query = inList(SELECT.from('ai.chat.Conversations').where(scope))
+                .columns('ID', 'title', 'model', 'persona_ID', 'workspace_ID', 'createdAt', 'createdBy', 'modifiedAt', 'modifiedBy')
+                .orderBy(byCursor ? DEFAULT_ORDER : select.orderBy)
+                .limit(pageSize, offset);
+            if (cursor) {
+                query.and(afterCursor(cursor));
+            }
             const results = await db.run(query);
+            const labels = await labelService.getLabels(userId, results.map(c => c.ID));
+            for (const conversation of results) {
+                Object.assign(conversation, labels.get(conversation.ID));
+            }
+
+            const returned = (cursor ? cursor.returned : parseInt(params.$skiptoken, 10) || 0) + results.length;
+            if (results.length === pageSize && (!clientTop || returned < clientTop)) {
+                results.$nextLink = byCursor ? encodeCursor(results[results.length - 1], returned) : String(returned);
+            }
+
+            // $count=true: total number of conversations in the list, independent of paging
+            if (select.count) {
+                const total = await db.run(
+                    inList(SELECT.one.from('ai.chat.Conversations').where(scope)).columns('count(*) as count')
+                );
+                results.$count = Number(total?.count || 0);
+            }
             return results;
         });
         
@@ -139,39 +212,19 @@ module.exports = class ChatService extends cds.ApplicationService {
             return { ID: conversation.ID, title: conversation.title, createdAt: conversation.createdAt };
         });
         
-        // Delete a conversation
+        // Move a conversation to the trash
         this.on('deleteConversation', async (req) => {
             const { conversationId } = req.data;
             const userId = req.user.id;
 
-            const db = this.db;
-            
-            // Verify ownership
-            const conversation = await db.run(
-                SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId, userId: userId })
-            );
-            
-            if (!conversation) {
-                req.error(404, 'Conversation not found or access denied');
+            // Verify the user owns the conversation (creator or workspace owner)
+            const access = await workspaceService.checkConversationAccess(conversationId, userId, 'manage');
+            if (access.error) {
+                req.error(access.status, access.error);
                 return false;
             }
-            
-            // Get all message IDs for this conversation
-            const messages = await db.run(
-                SELECT.from('ai.chat.Messages').where({ conversation_ID: conversationId }).columns('ID')
-            );
-            
-            // Delete attachments for all messages in a single query
-            const messageIds = messages.map(m => m.ID);
-            if (messageIds.length > 0) {
-                await db.run(DELETE.from('ai.chat.MessageAttachments').where({ message_ID: { in: messageIds } }));
-            }
-            
-            // Delete messages
-            await db.run(DELETE.from('ai.chat.Messages').where({ conversation_ID: conversationId }));
-            // Delete conversation
-            await db.run(DELETE.from('ai.chat.Conversations').where({ ID: conversationId }));
-            
+
+            await trashService.moveToTrash(conversationId, userId);
             return true;
         });
         
@@ -182,21 +235,24 @@ module.exports = class ChatService extends cds.ApplicationService {
 
             const db = this.db;
             
-            // Verify ownership
-            const conversation = await db.run(
-                SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId, userId: userId })
-            );
-            
-            if (!conversation) {
-                req.error(404, 'Conversation not found or access denied');
+            // Verify the user may post into the conversation
+            const access = await workspaceService.checkConversationAccess(conversationId, userId, 'write');
+            if (access.error) {
+                req.error(access.status, access.error);
                 return null;
             }
+            const { conversation } = access;
             
+            // Append to the latest branch
+            const branch = await ensureParentLinks(db, conversationId);
+
             // Save user message
             const userMessage = {
                 ID: uuidv4(),
                 conversation_ID: conversationId,
+                parent_ID: getLatestLeaf(branch)?.ID || null,
                 role: 'user',
+                userId,
                 content: content,
                 createdAt: new Date().toISOString(),
                 modifiedAt: new Date().toISOString()
@@ -205,12 +261,13 @@ module.exports = class ChatService extends cds.ApplicationService {
             await db.run(INSERT.into('ai.chat.Messages').entries(userMessage));
             
             // Get AI response
-            const aiResponse = await this.getAIResponse(conversationId, content, db);
+            const aiResponse = await this.getAIResponse(conversationId, userMessage.ID, db, conversation.model, userId);
             
             // Save assistant message
             const assistantMessage = {
                 ID: uuidv4(),
                 conversation_ID: conversationId,
+                parent_ID: userMessage.ID,
                 role: 'assistant',
                 content: aiResponse,
                 createdAt: new Date().toISOString(),
@@ -239,26 +296,29 @@ module.exports = class ChatService extends cds.ApplicationService {
     }
     
     /**
-     * Get AI response from SAP AI Core
+     * Get AI response from SAP AI Core (using the conversation's model), answering as the
+     * conversation's persona like the streaming endpoints: its system prompt, temperature and tools
      */
-    async getAIResponse(conversationId, userMessage, db) {
+    async getAIResponse(conversationId, userMessageId, db, modelId, userId) {
         try {
-            // Get conversation history (includes the already-saved user message)
-            const messages = await db.run(
-                SELECT.from('ai.chat.Messages')
-                    .where({ conversation_ID: conversationId })
-                    .orderBy('createdAt asc')
-                    .limit(20) // Limit context window
-            );
+            // Get the branch history ending at the already-saved user message (limit context window)
+            const messages = await loadBranchPath(db, conversationId, userMessageId, 20);
+            const persona = await personaService.getConversationPersona(conversationId);
 
             // Build messages array for AI — user message is already present from DB
-            const aiMessages = messages.map(msg => ({
-                role: msg.role,
-                content: msg.content
-            }));
+            const aiMessages = [
+                { role: 'system', content: buildSystemPrompt({ persona }) },
+                ...messages.map(msg => ({
+                    role: msg.role,
+                    content: msg.content
+                }))
+            ];
 
             // Call AI Core
-            const response = await this.callAICore(aiMessages);
+            const response = await this.callAICore(aiMessages, modelId, {
+                temperature: persona?.temperature ?? undefined,
+                toolContext: { userId, conversationId, allowedTools: persona?.tools ?? undefined }
+            });
             return response;
             
         } catch (error) {
@@ -270,8 +330,8 @@ module.exports = class ChatService extends cds.ApplicationService {
     /**
      * Call SAP AI Core API
      */
-    async callAICore(messages) {
-        const { getSharedAiCoreClient } = require('./ai-core-client');
-        return await getSharedAiCoreClient().chat(messages);
+    async callAICore(messages, modelId, options = {}) {
+        const { getAiCoreClient } = require('./ai-core-client');
+        return await getAiCoreClient(modelId).chat(messages, options);
     }
 };
@@ -0,0 +1,232 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const { documentRagService } = require('./document-rag');
+
+/**
+ * Collection Service
+ * User-owned knowledge bases: collections of documents that are indexed once
+ * (see document-rag.js) and searched in every conversation they are attached to.
+ *
+ * All methods verify ownership via userId; "not found" and "not owned" are the same to callers.
+ */
+class CollectionService {
+    /**
+     * Collections of a user with their document count, most recently changed first
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async listCollections(userId) {
+        const db = await cds.connect.to('db');
+        const collections = await db.run(
+            SELECT.from('ai.chat.Collections')
+                .where({ userId })
+                .columns('ID', 'name', 'description', 'createdAt', 'modifiedAt')
+                .orderBy('modifiedAt desc')
+        );
+        if (collections.length === 0) return [];
+
+        const counts = await db.run(
+            SELECT.from('ai.chat.CollectionDocuments')
+                .where({ collection_ID: { in: collections.map(c => c.ID) } })
+                .columns('collection_ID', 'count(*) as count')
+                .groupBy('collection_ID')
+        );
+        const countById = new Map(counts.map(c => [c.collection_ID, Number(c.count)]));
+        return collections.map(c => ({ ...c, documentCount: countById.get(c.ID) || 0 }));
+    }
+
+    /**
+     * A collection with its documents (without their text), or null
+     */
+    async getCollection(collectionId, userId) {
+        const db = await cds.connect.to('db');
+        const collection = await db.run(
+            SELECT.one.from('ai.chat.Collections')
+                .where({ ID: collectionId, userId })
+                .columns('ID', 'name', 'description', 'createdAt', 'modifiedAt')
+        );
+        if (!collection) return null;
+
+        collection.documents = await db.run(
+            SELECT.from('ai.chat.CollectionDocuments')
+                .where({ collection_ID: collectionId })
+                .columns('ID', 'filename', 'mimeType', 'size', 'chunkCount', 'createdAt')
+                .orderBy('createdAt asc')
+        );
+        return collection;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {object} fields - { name, description }
+     */
+    async createCollection(userId, { name, description }) {
+        const db = await cds.connect.to('db');
+        const now = new Date().toISOString();
+        const collection = {
+            ID: uuidv4(),
+            userId,
+            name,
+            description: description || null,
+            createdAt: now,
+            modifiedAt: now
+        };
+        await db.run(INSERT.into('ai.chat.Collections').entries(collection));
+
+        return { ID: collection.ID, name, description: collection.description, createdAt: now, modifiedAt: now, documentCount: 0 };
+    }
+
+    /**
+     * @param {object} changes - { name?, description? }
+     * @returns {Promise<boolean>} false if the collection does not exist
+     */
+    async updateCollection(collectionId, userId, changes) {
+        const db = await cds.connect.to('db');
+        if (!await this._isOwner(db, collectionId, userId)) return false;
+
+        await db.run(
+            UPDATE('ai.chat.Collections')
+                .set({ ...changes, modifiedAt: new Date().toISOString() })
+                .where({ ID: collectionId })
+        );
+        return true;
+    }
+
+    /**
+     * Delete a collection with its documents, chunks and conversation links
+     * @returns {Promise<boolean>} false if the collection does not exist
+     */
+    async deleteCollection(collectionId, userId) {
+        const db = await cds.connect.to('db');
+        if (!await this._isOwner(db, collectionId, userId)) return false;
+
+        await db.run(DELETE.from('ai.chat.DocumentChunks').where({ collection_ID: collectionId }));
+        await db.run(DELETE.from('ai.chat.CollectionDocuments').where({ collection_ID: collectionId }));
+        await db.run(DELETE.from('ai.chat.ConversationCollections').where({ collection_ID: collectionId }));
+        await db.run(DELETE.from('ai.chat.Collections').where({ ID: collectionId }));
+        console.log(`Deleted collection ${collectionId}`);
+        return true;
+    }
+
+    // ─── Documents ────────────────────────────────────────────────────────────
+
+    /**
+     * Store and index a document of a collection
+     * @param {object} document - { filename, mimeType, size, text } (text = extracted text, not empty)
+     * @returns {Promise<object|null>} The stored document, or null if the collection does not exist
+     */
+    async addDocument(collectionId, userId, { filename, mimeType, size, text }) {
+        const db = await cds.connect.to('db');
+        if (!await this._isOwner(db, collectionId, userId)) return null;
+
+        const now = new Date().toISOString();
+        const document = {
+            ID: uuidv4(),
+            collection_ID: collectionId,
+            filename,
+            mimeType,
+            size,
+            extractedText: text,
+            chunkCount: 0,
+            createdAt: now,
+            modifiedAt: now
+        };
+        await db.run(INSERT.into('ai.chat.CollectionDocuments').entries(document));
+
+        try {
+            document.chunkCount = await documentRagService.indexCollectionDocument({
+                documentId: document.ID,
+                collectionId,
+                userId,
+                filename,
+                text
+            });
+        } catch (error) {
+            // Keep the collection consistent: a document is either indexed or not stored
+            await db.run(DELETE.from('ai.chat.DocumentChunks').where({ document_ID: document.ID }));
+            await db.run(DELETE.from('ai.chat.CollectionDocuments').where({ ID: document.ID }));
+            throw error;
+        }
+
+        await db.run(UPDATE('ai.chat.CollectionDocuments').set({ chunkCount: document.chunkCount }).where({ ID: document.ID }));
+        await db.run(UPDATE('ai.chat.Collections').set({ modifiedAt: now }).where({ ID: collectionId }));
+
+        const { extractedText, collection_ID, ...result } = document;
+        return result;
+    }
+
+    /**
+     * @returns {Promise<boolean>} false if the document does not exist in the user's collection
+     */
+    async deleteDocument(collectionId, documentId, userId) {
+        const db = await cds.connect.to('db');
+        if (!await this._isOwner(db, collectionId, userId)) return false;
+
+        const document = await db.run(
+            SELECT.one.from('ai.chat.CollectionDocuments').where({ ID: documentId, collection_ID: collectionId }).columns('ID')
+        );
+        if (!document) return false;
+
+        await db.run(DELETE.from('ai.chat.DocumentChunks').where({ document_ID: documentId }));
+        await db.run(DELETE.from('ai.chat.CollectionDocuments').where({ ID: documentId }));
+        await db.run(UPDATE('ai.chat.Collections').set({ modifiedAt: new Date().toISOString() }).where({ ID: collectionId }));
+        return true;
+    }
+
+    // ─── Conversation links ───────────────────────────────────────────────────
+
+    /**
+     * IDs of the collections attached to a conversation
+     */
+    async getConversationCollectionIds(conversationId) {
+        const db = await cds.connect.to('db');
+        const links = await db.run(
+            SELECT.from('ai.chat.ConversationCollections')
+                .where({ conversation_ID: conversationId })
+                .columns('collection_ID')
+        );
+        return links.map(l => l.collection_ID);
+    }
+
+    /**
+     * Replace the collections attached to a conversation (access to the conversation is
+     * checked by the caller). Users can attach only their own collections; collections other
+     * members of a workspace attached stay attached while they are in the list.
+     * @returns {Promise<string[]>} The attached collection IDs
+     */
+    async setConversationCollections(conversationId, userId, collectionIds) {
+        const db = await cds.connect.to('db');
+        const owned = collectionIds.length > 0
+            ? await db.run(
+                SELECT.from('ai.chat.Collections')
+                    .where({ ID: { in: collectionIds }, userId })
+                    .columns('ID')
+            )
+            : [];
+        const attached = await this.getConversationCollectionIds(conversationId);
+        const ids = collectionIds.filter(id => owned.some(c => c.ID === id) || attached.includes(id));
+
+        await db.run(DELETE.from('ai.chat.ConversationCollections').where({ conversation_ID: conversationId }));
+        if (ids.length > 0) {
+            const now = new Date().toISOString();
+            await db.run(INSERT.into('ai.chat.ConversationCollections').entries(ids.map(collectionId => ({
+                ID: uuidv4(),
+                conversation_ID: conversationId,
+                collection_ID: collectionId,
+                createdAt: now,
+                modifiedAt: now
+            }))));
+        }
+        return ids;
+    }
+
+    async _isOwner(db, collectionId, userId) {
+        const collection = await db.run(
+            SELECT.one.from('ai.chat.Collections').where({ ID: collectionId, userId }).columns('ID')
+        );
+        return Boolean(collection);
+    }
+}
+
+// Export singleton instance
+module.exports = { CollectionService, collectionService: new CollectionService() };
@@ -0,0 +1,294 @@
+/**
+ * Conversation Export
+ * Renders a conversation (the messages of its latest branch with their attachments,
+ * sources and metadata) as Markdown, HTML, PDF or JSON. The export document is
+ * loaded by server.js; this module only formats it.
+ *
+ * Export document:
+ *   { conversationId, title, model, workspace, createdAt, modifiedAt, exportedAt, exportedBy,
+ *     messages: [{ ID, role, author, content, createdAt, sources, attachments: [{ ID, filename, mimeType, data? }] }] }
+ * Attachment data (base64) is only present when attachments are embedded.
+ */
+
+const { createPdf } = require('./pdf-writer');
+
+const EXPORT_FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Split message content into text and fenced code blocks
+ * @returns {Array<{ type: 'text', text: string }|{ type: 'code', language: string, text: string }>}
+ */
+function splitCodeBlocks(content) {
+    const parts = [];
+    const fence = /^(```|~~~)[ \t]*([\w+#.-]*)[^\n]*\n([\s\S]*?)(?:^\1[ \t]*$|(?![\s\S]))/gm;
+    let last = 0;
+    let match;
+    while ((match = fence.exec(content || '')) !== null) {
+        if (match.index > last) parts.push({ type: 'text', text: content.slice(last, match.index) });
+        parts.push({ type: 'code', language: match[2] || '', text: match[3].replace(/\n$/, '') });
+        last = fence.lastIndex;
+    }
+    if (last < (content || '').length) parts.push({ type: 'text', text: content.slice(last) });
+    return parts.filter(p => p.type === 'code' || p.text.trim());
+}
+
+/**
+ * File name for an export: the title with unsafe characters removed
+ */
+function exportFilename(title, format) {
+    const base = String(title || '')
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .slice(0, 80) || 'conversation';
+    return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function roleLabel(message) {
+    if (message.role === 'assistant') return 'Assistant';
+    return message.author ? `User (${message.author})` : 'User';
+}
+
+function formatTimestamp(iso) {
+    return iso ? new Date(iso).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+}
+
+function sourceLabel(source) {
+    return source.location ? `${source.filename}, ${source.location}` : source.filename;
+}
+
+function isImage(attachment) {
+    return /^image\//.test(attachment.mimeType || '');
+}
+
+function metadataLines(doc) {
+    return [
+        ['Conversation', doc.conversationId],
+        ['Model', doc.model],
+        ['Workspace', doc.workspace],
+        ['Created', formatTimestamp(doc.createdAt)],
+        ['Last modified', formatTimestamp(doc.modifiedAt)],
+        ['Exported', `${formatTimestamp(doc.exportedAt)}${doc.exportedBy ? ` by ${doc.exportedBy}` : ''}`]
+    ].filter(([, value]) => value);
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+function renderMarkdown(doc) {
+    const out = [`# ${doc.title || 'Conversation'}`, ''];
+    for (const [label, value] of metadataLines(doc)) {
+        out.push(`- **${label}:** ${value}`);
+    }
+
+    for (const message of doc.messages) {
+        out.push('', '---', '', `## ${roleLabel(message)} · ${formatTimestamp(message.createdAt)}`, '', message.content.trim());
+
+        if (message.attachments.length > 0) {
+            out.push('', '**Attachments:**', '');
+            for (const attachment of message.attachments) {
+                out.push(attachment.data && isImage(attachment)
+                    ? `- ![${attachment.filename}](data:${attachment.mimeType};base64,${attachment.data})`
+                    : `- ${attachment.filename} (${attachment.mimeType})`);
+            }
+        }
+        if (message.sources?.length > 0) {
+            out.push('', '**Sources:**', '');
+            for (const source of message.sources) {
+                out.push(`${source.index}. ${sourceLabel(source)}`);
+            }
+        }
+    }
+    return out.join('\n') + '\n';
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Inline Markdown (code, bold, italics, http(s) links) of already escaped text
+ */
+function renderInline(escaped) {
+    const codeSpans = [];
+    return escaped
+        .replace(/`([^`\n]+)`/g, (_, code) => `\u0000${codeSpans.push(code) - 1}\u0000`)
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codeSpans[i]}</code>`);
+}
+
+/**
+ * Markdown text (without code fences) as HTML: headings, lists, quotes and paragraphs
+ */
+function renderTextBlock(text) {
+    const html = [];
+    for (const block of text.trim().split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const heading = block.match(/^(#{1,6})\s+(.*)$/);
+        if (heading && lines.length === 1) {
+            // Message headings sit below the h2 of the message itself
+            const level = Math.min(heading[1].length + 2, 6);
+            html.push(`<h${level}>${renderInline(escapeHtml(heading[2]))}</h${level}>`);
+        } else if (lines.every(l => /^\s*[-*+]\s+/.test(l))) {
+            html.push(`<ul>${lines.map(l => `<li>${renderInline(escapeHtml(l.replace(/^\s*[-*+]\s+/, '')))}</li>`).join('')}</ul>`);
+        } else if (lines.every(l => /^\s*\d+[.)]\s+/.test(l))) {
+            html.push(`<ol>${lines.map(l => `<li>${renderInline(escapeHtml(l.replace(/^\s*\d+[.)]\s+/, '')))}</li>`).join('')}</ol>`);
+        } else if (lines.every(l => /^>\s?/.test(l))) {
+            html.push(`<blockquote>${lines.map(l => renderInline(escapeHtml(l.replace(/^>\s?/, '')))).join('<br>')}</blockquote>`);
+        } else {
+            html.push(`<p>${lines.map(l => renderInline(escapeHtml(l))).join('<br>')}</p>`);
+        }
+    }
+    return html.join('\n');
+}
+
+function renderMessageContent(content) {
+    return splitCodeBlocks(content).map(part => (part.type === 'code'
+        ? `<pre><code${part.language ? ` class="language-${escapeHtml(part.language)}"` : ''}>${escapeHtml(part.text)}</code></pre>`
+        : renderTextBlock(part.text)
+    )).join('\n');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.55; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #6b7280; font-size: 0.85rem; margin: 0 0 2rem; padding: 0; list-style: none; }
+.message { border-top: 1px solid #e5e7eb; padding: 1rem 0; }
+.message h2 { font-size: 0.95rem; margin: 0 0 0.5rem; color: #374151; }
+.message h2 time { font-weight: normal; color: #9ca3af; margin-left: 0.5rem; }
+.assistant h2 { color: #2563eb; }
+pre { background: #f3f4f6; border-radius: 6px; padding: 0.75rem; overflow-x: auto; font-size: 0.85rem; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+p code, li code { background: #f3f4f6; padding: 0.1rem 0.3rem; border-radius: 4px; }
+blockquote { border-left: 3px solid #d1d5db; margin: 0; padding-left: 0.75rem; color: #4b5563; }
+.attachments, .sources { font-size: 0.85rem; color: #4b5563; }
+.attachments img { max-width: 100%; border-radius: 6px; display: block; margin: 0.5rem 0; }
+`;
+
+function renderHtml(doc) {
+    const title = escapeHtml(doc.title || 'Conversation');
+    const meta = metadataLines(doc)
+        .map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+        .join('\n');
+
+    const messages = doc.messages.map(message => {
+        const attachments = message.attachments.length === 0 ? '' : `
+<div class="attachments"><strong>Attachments:</strong><ul>${message.attachments.map(a => (a.data && isImage(a)
+    ? `<li>${escapeHtml(a.filename)}<img src="data:${escapeHtml(a.mimeType)};base64,${a.data}" alt="${escapeHtml(a.filename)}"></li>`
+    : a.data
+        ? `<li><a download="${escapeHtml(a.filename)}" href="data:${escapeHtml(a.mimeType)};base64,${a.data}">${escapeHtml(a.filename)}</a> (${escapeHtml(a.mimeType)})</li>`
+        : `<li>${escapeHtml(a.filename)} (${escapeHtml(a.mimeType)})</li>`
+)).join('')}</ul></div>`;
+        const sources = !message.sources?.length ? '' : `
+<div class="sources"><strong>Sources:</strong><ol>${message.sources.map(s => `<li value="${Number(s.index)}">${escapeHtml(sourceLabel(s))}</li>`).join('')}</ol></div>`;
+        return `<section class="message ${message.role === 'assistant' ? 'assistant' : 'user'}">
+<h2>${escapeHtml(roleLabel(message))}<time datetime="${escapeHtml(message.createdAt)}">${escapeHtml(formatTimestamp(message.createdAt))}</time></h2>
+${renderMessageContent(message.content)}${attachments}${sources}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<ul class="meta">
+${meta}
+</ul>
+${messages}
+</body>
+</html>
+`;
+}
+
+// ─── PDF ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Markdown text as plain PDF text: emphasis markers and heading hashes removed
+ */
+function plainText(text) {
+    return text
+        .trim()
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/\*\*([^*\n]+)\*\*/g, '$1')
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '$1 ($2)');
+}
+
+function renderPdf(doc) {
+    const blocks = [
+        { text: doc.title || 'Conversation', font: 'bold', size: 16, spaceBefore: 0 },
+        ...metadataLines(doc).map(([label, value]) => ({ text: `${label}: ${value}`, size: 8, color: 0.4, spaceBefore: 2 }))
+    ];
+    blocks[blocks.length - 1].rule = true;
+
+    for (const message of doc.messages) {
+        blocks.push({
+            text: `${roleLabel(message)} - ${formatTimestamp(message.createdAt)}`,
+            font: 'bold', size: 11, spaceBefore: 14, color: message.role === 'assistant' ? 0.2 : 0
+        });
+        for (const part of splitCodeBlocks(message.content)) {
+            blocks.push(part.type === 'code'
+                ? { text: part.text, font: 'mono', size: 8.5, spaceBefore: 6 }
+                : { text: plainText(part.text), size: 10, spaceBefore: 6 });
+        }
+        if (message.attachments.length > 0) {
+            blocks.push({
+                text: `Attachments: ${message.attachments.map(a => `${a.filename} (${a.mimeType})`).join(', ')}`,
+                size: 8.5, color: 0.35, spaceBefore: 6
+            });
+        }
+        if (message.sources?.length > 0) {
+            blocks.push({ text: 'Sources:', size: 8.5, color: 0.35, spaceBefore: 6 });
+            for (const source of message.sources) {
+                blocks.push({ text: `[${source.index}] ${sourceLabel(source)}`, size: 8.5, color: 0.35, indent: 10, spaceBefore: 1 });
+            }
+        }
+    }
+    return createPdf(blocks, { title: doc.title || 'Conversation' });
+}
+
+// ─── JSON ─────────────────────────────────────────────────────────────────────
+
+function renderJson(doc) {
+    return JSON.stringify({ format: 'ai-chat-export', version: 1, ...doc }, null, 2);
+}
+
+/**
+ * Render an export document in one of EXPORT_FORMATS
+ * @returns {{ body: string|Buffer, contentType: string, filename: string }}
+ */
+function renderExport(format, doc) {
+    const render = { md: renderMarkdown, html: renderHtml, pdf: renderPdf, json: renderJson }[format];
+    return {
+        body: render(doc),
+        contentType: EXPORT_FORMATS[format].contentType,
+        filename: exportFilename(doc.title, format)
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    renderExport,
+    splitCodeBlocks,
+    exportFilename,
+    renderMessageContent
+};
@@ -0,0 +1,84 @@
+/**
+ * Conversation Paging
+ * Server-driven paging of the conversation list (OData @odata.nextLink / $skiptoken).
+ *
+ * Lists in the default order (most recently modified first) page with a cursor: the
+ * $skiptoken holds modifiedAt and ID of the last conversation of the page, so chats
+ * that move to the top while a user scrolls are neither skipped nor listed twice.
+ * The token uses the format of CAP's reliable paging skiptoken (base64 JSON
+ * { r, c: [{ k, v, a }] }), which the OData adapter accepts without complaint.
+ * Any other order pages by offset ($skip/$top, numeric $skiptoken).
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Default order; ID breaks ties between conversations modified at the same time
+const DEFAULT_ORDER = [
+    { ref: ['modifiedAt'], sort: 'desc' },
+    { ref: ['ID'], sort: 'desc' }
+];
+
+/**
+ * Whether a $orderby is the default order (or absent), i.e. the list can be paged by cursor
+ */
+function isDefaultOrder(orderBy) {
+    // CAP appends the key as implicit order (ID asc) when $orderby is missing or not unique
+    const explicit = (orderBy || []).filter(o => !o.implicit);
+    if (explicit.length === 0) return true;
+    return explicit.every((o, i) => o.ref?.[0] === DEFAULT_ORDER[i].ref[0] && (o.sort || 'asc') === 'desc');
+}
+
+/**
+ * Cursor after the last conversation of a page
+ * @param {object} last - { modifiedAt, ID }
+ * @param {number} returned - Conversations returned so far, including this page
+ */
+function encodeCursor(last, returned) {
+    return Buffer.from(JSON.stringify({
+        r: returned,
+        c: [
+            { k: 'modifiedAt', v: last.modifiedAt, a: false },
+            { k: 'ID', v: last.ID, a: false }
+        ]
+    })).toString('base64');
+}
+
+/**
+ * @returns {{ modifiedAt: string, ID: string, returned: number }|null} null if the token is not a cursor
+ */
+function decodeCursor(token) {
+    if (typeof token !== 'string' || !token || /^\d+$/.test(token)) return null;
+    try {
+        const { r, c } = JSON.parse(Buffer.from(token, 'base64').toString());
+        const modifiedAt = c?.find(k => k.k === 'modifiedAt')?.v;
+        const ID = c?.find(k => k.k === 'ID')?.v;
+        if (typeof modifiedAt !== 'string' || typeof ID !== 'string') return null;
+        return { modifiedAt, ID, returned: Number(r) || 0 };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * CQL condition for the conversations after a cursor in the default order
+ */
+function afterCursor(cursor) {
+    return {
+        xpr: [
+            { ref: ['modifiedAt'] }, '<', { val: cursor.modifiedAt },
+            'or',
+            { xpr: [{ ref: ['modifiedAt'] }, '=', { val: cursor.modifiedAt }, 'and', { ref: ['ID'] }, '<', { val: cursor.ID }] }
+        ]
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    DEFAULT_ORDER,
+    isDefaultOrder,
+    encodeCursor,
+    decodeCursor,
+    afterCursor
+};
@@ -0,0 +1,272 @@
+/**
+ * Document Extractor
+ * Turns attachment files into plain text for the model.
+ *
+ * Supported formats:
+ *   PDF   → text per page, separated by "--- Page N ---" markers
+ *   DOCX  → paragraphs (tables as tab-separated rows)
+ *   XLSX  → tab-separated rows per sheet, separated by "--- Sheet: name ---" markers
+ *   PPTX  → text per slide, separated by "--- Slide N ---" markers
+ *   HTML  → visible text with block elements on separate lines
+ *   Text-like files (txt, md, csv, json, xml, ...) are decoded as UTF-8.
+ *
+ * Other binary files (and files that fail to parse) yield null.
+ */
+
+const JSZip = require('jszip');
+
+const FORMAT_BY_MIME = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html'
+};
+
+const FORMAT_BY_EXTENSION = {
+    pdf: 'pdf',
+    docx: 'docx',
+    xlsx: 'xlsx',
+    pptx: 'pptx',
+    html: 'html',
+    htm: 'html'
+};
+
+const TEXT_MIME_TYPES = new Set([
+    'application/json',
+    'application/xml',
+    'application/javascript',
+    'application/x-yaml',
+    'application/yaml',
+    'application/sql'
+]);
+
+/**
+ * Determine the extraction format from MIME type and file extension
+ * @returns {'pdf'|'docx'|'xlsx'|'pptx'|'html'|'text'|null}
+ */
+function detectFormat(mimeType, filename) {
+    const type = (mimeType || '').toLowerCase().split(';')[0].trim();
+    if (FORMAT_BY_MIME[type]) return FORMAT_BY_MIME[type];
+
+    const extension = (filename || '').toLowerCase().split('.').pop();
+    if (FORMAT_BY_EXTENSION[extension]) return FORMAT_BY_EXTENSION[extension];
+
+    if (type.startsWith('text/') || TEXT_MIME_TYPES.has(type)) return 'text';
+    return null;
+}
+
+/**
+ * Heuristic for files with unknown types: treat them as text when they contain no NUL bytes
+ */
+function looksLikeText(buffer) {
+    return !buffer.subarray(0, 8192).includes(0);
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Concatenate the runs of a text element (e.g. <w:t>, <a:t>, <t>) within an XML fragment
+ */
+function xmlText(fragment, tag) {
+    const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`, 'g');
+    let text = '';
+    let match;
+    while ((match = re.exec(fragment)) !== null) {
+        text += match[1];
+    }
+    return decodeXmlEntities(text);
+}
+
+function joinSections(sections) {
+    return sections
+        .filter(s => s.text.trim())
+        .map(s => `--- ${s.label} ---\n${s.text.trim()}`)
+        .join('\n\n');
+}
+
+async function extractPdf(buffer) {
+    // unpdf ships a serverless pdf.js build; loaded lazily as it is large
+    const { getDocumentProxy, extractText } = require('unpdf');
+    const pdf = await getDocumentProxy(new Uint8Array(buffer));
+    try {
+        const { text } = await extractText(pdf, { mergePages: false });
+        return joinSections(text.map((pageText, i) => ({ label: `Page ${i + 1}`, text: pageText })));
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+async function extractDocx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const xml = await zip.file('word/document.xml')?.async('string');
+    if (!xml) throw new Error('word/document.xml not found');
+
+    const lines = [];
+    // Table rows become one tab-separated line; other paragraphs one line each
+    const blockRe = /<w:tr[\s>][\s\S]*?<\/w:tr>|<w:p[\s>][\s\S]*?<\/w:p>/g;
+    let match;
+    while ((match = blockRe.exec(xml)) !== null) {
+        const block = match[0].replace(/<w:tab\/>/g, '<w:t>\t</w:t>').replace(/<w:br\/>/g, '<w:t>\n</w:t>');
+        if (block.startsWith('<w:tr')) {
+            const cells = block.match(/<w:tc[\s>][\s\S]*?<\/w:tc>/g) || [];
+            lines.push(cells.map(cell => xmlText(cell, 'w:t')).join('\t'));
+        } else {
+            lines.push(xmlText(block, 'w:t'));
+        }
+    }
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Resolve the worksheet/slide parts of a workbook/presentation in document order
+ */
+async function orderedParts(zip, mainPart, relsPart, idPattern, baseDir) {
+    const main = await zip.file(mainPart)?.async('string');
+    const rels = await zip.file(relsPart)?.async('string');
+    if (!main || !rels) throw new Error(`${mainPart} not found`);
+
+    const targets = {};
+    for (const [, attributes] of rels.matchAll(/<Relationship\s([^>]*)\/?>/g)) {
+        const id = attributes.match(/\bId="([^"]+)"/)?.[1];
+        const target = attributes.match(/\bTarget="([^"]+)"/)?.[1];
+        if (id && target) {
+            targets[id] = target.startsWith('/') ? target.slice(1) : `${baseDir}/${target}`;
+        }
+    }
+
+    return [...main.matchAll(idPattern)].map(m => ({
+        attributes: m[1],
+        path: targets[m[1].match(/\br:id="([^"]+)"/)?.[1]]
+    })).filter(p => p.path);
+}
+
+function columnIndex(cellRef) {
+    const letters = (cellRef || '').match(/^[A-Z]+/)?.[0];
+    if (!letters) return null;
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+async function extractXlsx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const sharedXml = await zip.file('xl/sharedStrings.xml')?.async('string');
+    const sharedStrings = sharedXml
+        ? (sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(si => xmlText(si, 't'))
+        : [];
+
+    const sheets = await orderedParts(zip, 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', /<sheet\s([^>]*)\/?>/g, 'xl');
+
+    const sections = [];
+    for (const sheet of sheets) {
+        const name = decodeXmlEntities(sheet.attributes.match(/\bname="([^"]*)"/)?.[1] || sheet.path);
+        const xml = await zip.file(sheet.path)?.async('string');
+        if (!xml) continue;
+
+        const rows = [];
+        for (const [rowXml] of xml.matchAll(/<row[\s>][\s\S]*?<\/row>/g)) {
+            const values = [];
+            for (const [, attributes, body] of rowXml.matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const type = attributes.match(/\bt="([^"]+)"/)?.[1];
+                const raw = body?.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+                let value;
+                if (type === 's') {
+                    value = sharedStrings[parseInt(raw, 10)] ?? '';
+                } else if (type === 'inlineStr') {
+                    value = xmlText(body || '', 't');
+                } else {
+                    value = raw !== undefined ? decodeXmlEntities(raw) : '';
+                }
+
+                const index = columnIndex(attributes.match(/\br="([^"]+)"/)?.[1]);
+                // Keep empty columns so values stay aligned with their headers
+                if (index !== null && index > values.length) {
+                    values.length = index;
+                }
+                values.push(value);
+            }
+            const line = Array.from(values, v => v ?? '').join('\t');
+            if (line.trim()) rows.push(line);
+        }
+        sections.push({ label: `Sheet: ${name}`, text: rows.join('\n') });
+    }
+    return joinSections(sections);
+}
+
+async function extractPptx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const slides = await orderedParts(
+        zip, 'ppt/presentation.xml', 'ppt/_rels/presentation.xml.rels', /<p:sldId\s([^>]*)\/?>/g, 'ppt'
+    );
+
+    const sections = [];
+    for (const [i, slide] of slides.entries()) {
+        const xml = await zip.file(slide.path)?.async('string');
+        if (!xml) continue;
+        const paragraphs = (xml.match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || [])
+            .map(p => xmlText(p.replace(/<a:br\/>/g, '<a:t>\n</a:t>'), 'a:t'))
+            .filter(t => t.trim());
+        sections.push({ label: `Slide ${i + 1}`, text: paragraphs.join('\n') });
+    }
+    return joinSections(sections);
+}
+
+function extractHtml(buffer) {
+    return decodeXmlEntities(
+        buffer.toString('utf8')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style|noscript|template|svg)[\s>][\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|tr|h[1-6]|section|article|header|footer|blockquote|pre|table)>/gi, '\n')
+            .replace(/<\/t[dh]>/gi, '\t')
+            .replace(/<[^>]+>/g, '')
+    )
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Extract the text of an attachment
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - MIME type reported by the browser
+ * @param {string} filename - File name (used when the MIME type is missing or generic)
+ * @returns {Promise<string|null>} Extracted text, or null if the file is not a supported document
+ */
+async function extractDocumentText(buffer, mimeType, filename) {
+    if (!buffer || buffer.length === 0) return null;
+
+    const format = detectFormat(mimeType, filename);
+    try {
+        switch (format) {
+            case 'pdf': return await extractPdf(buffer);
+            case 'docx': return await extractDocx(buffer);
+            case 'xlsx': return await extractXlsx(buffer);
+            case 'pptx': return await extractPptx(buffer);
+            case 'html': return extractHtml(buffer);
+            case 'text': return buffer.toString('utf8');
+            default: return looksLikeText(buffer) ? buffer.toString('utf8') : null;
+        }
+    } catch (e) {
+        console.error(`Text extraction failed for "${filename}" (${format}):`, e.message);
+        return null;
+    }
+}
+
+module.exports = { extractDocumentText, detectFormat };
@@ -0,0 +1,334 @@
+const cds = require('@sap/cds');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { memoryService } = require('./memory-service');
+
+// Characters per chunk (~850 tokens) and overlap between consecutive chunks of a section
+const CHUNK_SIZE = 2000;
+const CHUNK_OVERLAP = 200;
+// Upper bound per document (~4M characters) to keep embedding cost predictable
+const MAX_CHUNKS_PER_DOCUMENT = 2000;
+// Parallel embedding requests while indexing
+const EMBED_CONCURRENCY = 4;
+
+const SECTION_MARKER_RE = /^--- (.+) ---$/;
+
+/**
+ * Split extracted document text into overlapping chunks. Section markers written by the
+ * document extractor ("--- Page 12 ---", "--- Slide 3 ---", "--- Sheet: Data ---") start a new
+ * section and become the chunk location, so citations can point back to the page.
+ * @param {string} text
+ * @returns {Array<{ location: string|null, content: string }>}
+ */
+function chunkDocument(text, chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
+    const sections = [];
+    let current = { location: null, lines: [] };
+    for (const line of (text || '').split('\n')) {
+        const marker = line.match(SECTION_MARKER_RE);
+        if (marker) {
+            sections.push(current);
+            current = { location: marker[1], lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    const chunks = [];
+    for (const section of sections) {
+        const paragraphs = section.lines.join('\n')
+            .split(/\n{2,}/)
+            .map(p => p.trim())
+            .filter(Boolean)
+            .flatMap(p => splitLongParagraph(p, chunkSize));
+
+        let buffer = '';
+        for (const paragraph of paragraphs) {
+            if (buffer && buffer.length + paragraph.length + 2 > chunkSize) {
+                chunks.push({ location: section.location, content: buffer });
+                buffer = overlapTail(buffer, overlap);
+            }
+            buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+        }
+        if (buffer.trim()) {
+            chunks.push({ location: section.location, content: buffer });
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Break a paragraph longer than chunkSize at sentence or word boundaries
+ */
+function splitLongParagraph(paragraph, chunkSize) {
+    const parts = [];
+    let rest = paragraph;
+    while (rest.length > chunkSize) {
+        let cut = rest.lastIndexOf('. ', chunkSize);
+        if (cut < chunkSize * 0.5) cut = rest.lastIndexOf(' ', chunkSize);
+        if (cut < chunkSize * 0.5) cut = chunkSize;
+        parts.push(rest.slice(0, cut + 1).trim());
+        rest = rest.slice(cut + 1).trim();
+    }
+    if (rest) parts.push(rest);
+    return parts;
+}
+
+/**
+ * Last `overlap` characters of a chunk, starting at a word boundary
+ */
+function overlapTail(text, overlap) {
+    if (overlap <= 0 || text.length <= overlap) return '';
+    const tail = text.slice(-overlap);
+    const space = tail.indexOf(' ');
+    return space >= 0 ? tail.slice(space + 1) : tail;
+}
+
+/**
+ * Document RAG Service
+ * Indexes large attachments and collection documents as embedded chunks (HANA vector engine)
+ * and retrieves the chunks relevant to a question, so long documents need not be truncated
+ * into the prompt.
+ *
+ * Attachment chunks belong to the conversation the document was uploaded to; identical
+ * documents (e.g. attachments copied by an edit) are indexed once per conversation.
+ * Collection chunks belong to the collection and are searched in every conversation the
+ * collection is attached to (ConversationCollections).
+ */
+class DocumentRagService {
+    constructor() {
+        // Attachments with more extracted text than this are indexed instead of sent in full
+        this.minIndexChars = parseInt(process.env.DOCUMENT_RAG_MIN_CHARS || '80000', 10);
+        this.maxRetrievedChunks = parseInt(process.env.DOCUMENT_RAG_TOP_K || '6', 10);
+    }
+
+    /**
+     * Whether an attachment is large enough to be indexed rather than sent in full
+     */
+    shouldIndex(attachment) {
+        return typeof attachment.text === 'string' && attachment.text.length > this.minIndexChars;
+    }
+
+    // ─── Indexing ─────────────────────────────────────────────────────────────
+
+    /**
+     * Chunk, embed and store the extracted text of an attachment (no-op if already indexed).
+     * @param {object} params - { attachmentId, conversationId, userId, filename, text }
+     * @returns {Promise<number>} Number of chunks stored for the document
+     */
+    async indexAttachment({ attachmentId, conversationId, userId, filename, text }) {
+        const db = await cds.connect.to('db');
+        const contentHash = crypto.createHash('sha256').update(text).digest('hex');
+
+        const existing = await db.run(
+            SELECT.one.from('ai.chat.DocumentChunks')
+                .where({ conversation_ID: conversationId, contentHash })
+                .columns('count(*) as count')
+        );
+        if (existing?.count > 0) {
+            return existing.count;
+        }
+
+        return this._indexText(db, text, {
+            attachment_ID: attachmentId,
+            conversation_ID: conversationId,
+            userId,
+            filename,
+            contentHash
+        });
+    }
+
+    /**
+     * Chunk, embed and store the extracted text of a collection document
+     * @param {object} params - { documentId, collectionId, userId, filename, text }
+     * @returns {Promise<number>} Number of chunks stored for the document
+     */
+    async indexCollectionDocument({ documentId, collectionId, userId, filename, text }) {
+        const db = await cds.connect.to('db');
+        return this._indexText(db, text, {
+            document_ID: documentId,
+            collection_ID: collectionId,
+            userId,
+            filename,
+            contentHash: crypto.createHash('sha256').update(text).digest('hex')
+        });
+    }
+
+    /**
+     * Store the chunks of a text, each with `owner` (the attachment or document fields)
+     */
+    async _indexText(db, text, owner) {
+        const chunks = chunkDocument(text).slice(0, MAX_CHUNKS_PER_DOCUMENT);
+        console.log(`Indexing "${owner.filename}": ${chunks.length} chunks`);
+
+        const rows = chunks.map((chunk, chunkIndex) => ({
+            ID: uuidv4(),
+            attachment_ID: null,
+            conversation_ID: null,
+            document_ID: null,
+            collection_ID: null,
+            ...owner,
+            chunkIndex,
+            location: chunk.location,
+            content: chunk.content
+        }));
+
+        let useVectors = true;
+        for (let i = 0; i < rows.length; i += EMBED_CONCURRENCY) {
+            const batch = rows.slice(i, i + EMBED_CONCURRENCY);
+            const embeddings = useVectors
+                ? await Promise.all(batch.map(row => memoryService.embedText(row.content)))
+                : [];
+
+            for (const [j, row] of batch.entries()) {
+                if (useVectors && embeddings[j]) {
+                    try {
+                        await this._insertChunkWithEmbedding(db, row, embeddings[j]);
+                        continue;
+                    } catch (e) {
+                        // No vector engine (e.g. SQLite in development): store text only
+                        console.warn('Vector insert failed, indexing without embeddings:', e.message);
+                        useVectors = false;
+                    }
+                }
+                await db.run(INSERT.into('ai.chat.DocumentChunks').entries({ ...row, createdAt: new Date().toISOString() }));
+            }
+        }
+
+        return rows.length;
+    }
+
+    async _insertChunkWithEmbedding(db, row, embedding) {
+        // Embedding literal is inlined (not bound as ?), see MemoryService.retrieveRelevantMemories
+        const embeddingStr = `[${embedding.join(',')}]`;
+        await db.run(
+            `INSERT INTO "AI_CHAT_DOCUMENTCHUNKS"
+             ("ID", "ATTACHMENT_ID", "CONVERSATION_ID", "DOCUMENT_ID", "COLLECTION_ID", "USERID", "FILENAME", "CONTENTHASH",
+              "CHUNKINDEX", "LOCATION", "CONTENT", "EMBEDDING", "CREATEDAT")
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TO_REAL_VECTOR('${embeddingStr}'), ?)`,
+            [row.ID, row.attachment_ID, row.conversation_ID, row.document_ID, row.collection_ID, row.userId, row.filename,
+                row.contentHash, row.chunkIndex, row.location, row.content, new Date().toISOString()]
+        );
+    }
+
+    // ─── Retrieval ────────────────────────────────────────────────────────────
+
+    /**
+     * Chunks of the conversation's indexed attachments and attached collections most relevant to the query
+     * @returns {Promise<Array<{ attachmentId, documentId, filename, location, content }>>}
+     */
+    async retrieveRelevantChunks(conversationId, query) {
+        try {
+            const db = await cds.connect.to('db');
+
+            const links = await db.run(
+                SELECT.from('ai.chat.ConversationCollections')
+                    .where({ conversation_ID: conversationId })
+                    .columns('collection_ID')
+            );
+            const collectionIds = links.map(l => l.collection_ID);
+            const scope = collectionIds.length > 0
+                ? { conversation_ID: conversationId, or: { collection_ID: { in: collectionIds } } }
+                : { conversation_ID: conversationId };
+
+            const indexed = await db.run(
+                SELECT.one.from('ai.chat.DocumentChunks')
+                    .where(scope)
+                    .columns('count(*) as count')
+            );
+            if (!indexed?.count || !query?.trim()) return [];
+
+            const embedding = await memoryService.embedText(query);
+            if (embedding) {
+                const embeddingStr = `[${embedding.join(',')}]`;
+                try {
+                    const collectionFilter = collectionIds.length > 0
+                        ? ` OR "COLLECTION_ID" IN (${collectionIds.map(() => '?').join(', ')})`
+                        : '';
+                    const rows = await db.run(
+                        `SELECT TOP ${this.maxRetrievedChunks} "ATTACHMENT_ID", "DOCUMENT_ID", "FILENAME", "LOCATION", "CONTENT",
+                                COSINE_SIMILARITY("EMBEDDING", TO_REAL_VECTOR('${embeddingStr}')) AS score
+                         FROM "AI_CHAT_DOCUMENTCHUNKS"
+                         WHERE ("CONVERSATION_ID" = ?${collectionFilter}) AND "EMBEDDING" IS NOT NULL
+                         ORDER BY score DESC`,
+                        [conversationId, ...collectionIds]
+                    );
+                    if (rows?.length > 0) {
+                        return rows.map(r => ({
+                            attachmentId: r.ATTACHMENT_ID ?? r.attachment_ID,
+                            documentId: r.DOCUMENT_ID ?? r.document_ID,
+                            filename: r.FILENAME ?? r.filename,
+                            location: r.LOCATION ?? r.location,
+                            content: String(r.CONTENT ?? r.content ?? '')
+                        }));
+                    }
+                } catch (queryErr) {
+                    console.error('Document vector search error, falling back to keyword search:', queryErr.message);
+                }
+            }
+
+            return this._keywordFallbackRetrieval(db, scope, query);
+        } catch (error) {
+            console.error('Error retrieving document chunks:', error);
+            return [];
+        }
+    }
+
+    async _keywordFallbackRetrieval(db, scope, query) {
+        const keywords = [...new Set(query.toLowerCase().split(/\W+/).filter(w => w.length > 3))];
+        if (keywords.length === 0) return [];
+
+        const candidates = await db.run(
+            SELECT.from('ai.chat.DocumentChunks')
+                .where(scope)
+                .columns('attachment_ID', 'document_ID', 'filename', 'location', 'content', 'chunkIndex')
+                .limit(MAX_CHUNKS_PER_DOCUMENT * 2)
+        );
+
+        return candidates
+            .map(c => {
+                const text = c.content.toLowerCase();
+                return { chunk: c, score: keywords.filter(kw => text.includes(kw)).length };
+            })
+            .filter(c => c.score > 0)
+            .sort((a, b) => b.score - a.score || a.chunk.chunkIndex - b.chunk.chunkIndex)
+            .slice(0, this.maxRetrievedChunks)
+            .map(({ chunk }) => ({
+                attachmentId: chunk.attachment_ID,
+                documentId: chunk.document_ID,
+                filename: chunk.filename,
+                location: chunk.location,
+                content: chunk.content
+            }));
+    }
+
+    // ─── Prompt formatting ────────────────────────────────────────────────────
+
+    /**
+     * Format retrieved chunks as numbered sources for the system prompt.
+     * @returns {{ prompt: string, sources: Array<{ index, attachmentId, documentId, filename, location }> }}
+     */
+    formatChunksForPrompt(chunks) {
+        if (!chunks || chunks.length === 0) return { prompt: '', sources: [] };
+
+        const sources = chunks.map((chunk, i) => ({
+            index: i + 1,
+            attachmentId: chunk.attachmentId || null,
+            documentId: chunk.documentId || null,
+            filename: chunk.filename,
+            location: chunk.location || null
+        }));
+        const excerpts = chunks.map((chunk, i) => {
+            const where = chunk.location ? `${chunk.filename}, ${chunk.location}` : chunk.filename;
+            return `[${i + 1}] ${where}\n${chunk.content}`;
+        }).join('\n\n');
+
+        return {
+            prompt: `\n\nExcerpts from documents attached to this conversation and its knowledge base collections:\n\n${excerpts}\n\nWhen you use these excerpts, cite them inline by number, e.g. [1] or [2][3]. If they do not contain the answer, say so rather than guessing.`,
+            sources
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = { DocumentRagService, documentRagService: new DocumentRagService(), chunkDocument };
@@ -0,0 +1,433 @@
+const cds = require('@sap/cds');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const { memoryService } = require('./memory-service');
+const { searchService } = require('./search-service');
+const { getBranchPath, getLatestLeaf, normalizeParentLinks } = require('./message-tree');
+
+// Largest file read from an export archive as a message attachment
+const MAX_IMPORT_ATTACHMENT_BYTES = Number(process.env.MAX_IMPORT_ATTACHMENT_BYTES || 10 * 1024 * 1024);
+// Most bytes unpacked from one export archive (conversations.json and attachments together)
+const MAX_IMPORT_UNCOMPRESSED_BYTES = Number(process.env.MAX_IMPORT_UNCOMPRESSED_BYTES || 300 * 1024 * 1024);
+// Conversation turns (user message + answer) per import that memory extraction runs over, newest first
+const IMPORT_MEMORY_MAX_TURNS = Number(process.env.IMPORT_MEMORY_MAX_TURNS || 100);
+
+const DEFAULT_TITLE = 'Imported chat';
+
+const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown', csv: 'text/csv', json: 'application/json',
+    html: 'text/html', docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+function guessMimeType(filename) {
+    const extension = String(filename || '').split('.').pop().toLowerCase();
+    return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * ISO timestamp of an export date (epoch seconds in ChatGPT, ISO strings in Claude), or null
+ */
+function toIsoDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Which tool a parsed conversations.json comes from
+ * @returns {'chatgpt'|'claude'|null}
+ */
+function detectExportSource(data) {
+    const first = Array.isArray(data) ? data[0] : data;
+    if (!first || typeof first !== 'object') return null;
+    if (first.mapping && typeof first.mapping === 'object') return 'chatgpt';
+    if (Array.isArray(first.chat_messages)) return 'claude';
+    return null;
+}
+
+/**
+ * Give every message a creation time after its parent's, so that the message order
+ * (and with it the active branch, see message-tree.js) survives missing or equal timestamps
+ */
+function orderTimestamps(messages, fallback) {
+    const byKey = new Map(messages.map(m => [m.key, m]));
+    const base = new Date(fallback || Date.now()).getTime();
+    const resolved = new Map();
+    const resolve = (message) => {
+        if (resolved.has(message.key)) return resolved.get(message.key);
+        const parent = message.parentKey && byKey.get(message.parentKey);
+        const parentTime = parent ? resolve(parent) : base - 1;
+        const own = message.createdAt ? new Date(message.createdAt).getTime() : NaN;
+        const time = own > parentTime ? own : parentTime + 1;
+        resolved.set(message.key, time);
+        return time;
+    };
+    for (const message of messages) {
+        message.createdAt = new Date(resolve(message)).toISOString();
+    }
+    return messages;
+}
+
+// ─── ChatGPT ──────────────────────────────────────────────────────────────────
+
+/**
+ * File ID of a ChatGPT asset pointer ("file-service://file-abc", "sediment://file_abc")
+ */
+function assetFileId(pointer) {
+    return typeof pointer === 'string' ? pointer.replace(/^[a-z-]+:\/\//, '') : null;
+}
+
+/**
+ * Map a ChatGPT conversation (a tree of nodes in `mapping`) to the import format.
+ * System, tool and hidden messages are dropped and their children attached to the nearest
+ * kept ancestor; regenerated answers and edited prompts stay branches.
+ */
+function parseChatGptConversation(conversation) {
+    const mapping = conversation.mapping || {};
+    const kept = new Map();
+
+    for (const [nodeId, node] of Object.entries(mapping)) {
+        const message = node?.message;
+        const role = message?.author?.role;
+        if (role !== 'user' && role !== 'assistant') continue;
+        if (message.metadata?.is_visually_hidden_from_conversation) continue;
+
+        const contentType = message.content?.content_type;
+        if (contentType !== 'text' && contentType !== 'multimodal_text') continue;
+
+        const parts = Array.isArray(message.content.parts) ? message.content.parts : [];
+        const content = parts.filter(p => typeof p === 'string').join('\n').trim();
+
+        const files = new Map();
+        for (const part of parts) {
+            const fileId = part && typeof part === 'object' && assetFileId(part.asset_pointer);
+            if (fileId) files.set(fileId, { fileId });
+        }
+        // Name and type of uploaded files (images in parts only have the pointer)
+        for (const att of message.metadata?.attachments || []) {
+            if (att?.id) files.set(att.id, { fileId: att.id, filename: att.name, mimeType: att.mime_type });
+        }
+        if (!content && files.size === 0) continue;
+
+        kept.set(nodeId, {
+            key: nodeId,
+            role,
+            content,
+            createdAt: toIsoDate(message.create_time),
+            attachments: [...files.values()]
+        });
+    }
+
+    // Parent = nearest ancestor that was kept
+    for (const [nodeId, message] of kept) {
+        let parentId = mapping[nodeId]?.parent;
+        const seen = new Set();
+        while (parentId && !kept.has(parentId) && !seen.has(parentId)) {
+            seen.add(parentId);
+            parentId = mapping[parentId]?.parent;
+        }
+        message.parentKey = kept.has(parentId) ? parentId : null;
+    }
+
+    const createdAt = toIsoDate(conversation.create_time);
+    const messages = orderTimestamps([...kept.values()], createdAt);
+    return {
+        sourceId: String(conversation.conversation_id || conversation.id || ''),
+        title: conversation.title || DEFAULT_TITLE,
+        createdAt: createdAt || messages[0]?.createdAt,
+        modifiedAt: toIsoDate(conversation.update_time) || createdAt,
+        messages
+    };
+}
+
+// ─── Claude ───────────────────────────────────────────────────────────────────
+
+/**
+ * Map a Claude conversation (chat_messages in order) to the import format. Newer exports
+ * link messages by parent_message_uuid, which keeps branches; older ones are a single thread.
+ * Uploaded documents come with their extracted text only, which becomes a text attachment;
+ * images are not part of the export.
+ */
+function parseClaudeConversation(conversation) {
+    const chatMessages = (conversation.chat_messages || []).filter(m => m && (m.sender === 'human' || m.sender === 'assistant'));
+    const keys = new Set(chatMessages.map(m => m.uuid));
+    const messages = [];
+
+    chatMessages.forEach((message, i) => {
+        const textBlocks = Array.isArray(message.content)
+            ? message.content.filter(block => block?.type === 'text' && typeof block.text === 'string').map(block => block.text)
+            : [];
+        const content = (textBlocks.length > 0 ? textBlocks.join('\n\n') : message.text || '').trim();
+        const attachments = (message.attachments || [])
+            .filter(att => att && typeof att.extracted_content === 'string' && att.extracted_content)
+            .map(att => ({ filename: att.file_name || 'attachment.txt', mimeType: 'text/plain', text: att.extracted_content }));
+        if (!content && attachments.length === 0) return;
+
+        const previous = messages[messages.length - 1];
+        const parentKey = message.parent_message_uuid !== undefined
+            ? (keys.has(message.parent_message_uuid) ? message.parent_message_uuid : null)
+            : previous?.key || null;
+        messages.push({
+            key: message.uuid || `message-${i}`,
+            parentKey,
+            role: message.sender === 'human' ? 'user' : 'assistant',
+            content,
+            createdAt: toIsoDate(message.created_at),
+            attachments
+        });
+    });
+
+    // A parent may have been dropped (empty message); attach its children to the root
+    const kept = new Set(messages.map(m => m.key));
+    for (const message of messages) {
+        if (message.parentKey && !kept.has(message.parentKey)) message.parentKey = null;
+    }
+
+    const createdAt = toIsoDate(conversation.created_at);
+    orderTimestamps(messages, createdAt);
+    return {
+        sourceId: String(conversation.uuid || ''),
+        title: conversation.name || DEFAULT_TITLE,
+        createdAt: createdAt || messages[0]?.createdAt,
+        modifiedAt: toIsoDate(conversation.updated_at) || createdAt,
+        messages
+    };
+}
+
+// ─── Archives ─────────────────────────────────────────────────────────────────
+
+/**
+ * Unpack a ZIP entry, stopping as soon as it exceeds maxBytes: the size in the entry header
+ * is checked first, and the inflated data is counted because the header can lie
+ * @returns {Promise<Buffer|null>} null if the entry is too large
+ */
+async function readZipEntry(entry, maxBytes) {
+    if (entry._data?.uncompressedSize > maxBytes) return null;
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = entry.internalStream('nodebuffer');
+        stream
+            .on('data', (chunk) => {
+                if (size > maxBytes) return;
+                size += chunk.length;
+                if (size > maxBytes) {
+                    stream.pause();
+                    chunks.length = 0;
+                    resolve(null);
+                    return;
+                }
+                chunks.push(chunk);
+            })
+            .on('error', reject)
+            .on('end', () => resolve(size > maxBytes ? null : Buffer.concat(chunks)))
+            .resume();
+    });
+}
+
+/**
+ * Read an export: the ZIP archive as downloaded from ChatGPT or Claude, or its conversations.json.
+ * Files referenced by ChatGPT messages are read from the archive (missing or too large ones are skipped).
+ * @param {Buffer} buffer
+ * @returns {Promise<{ source: string, conversations: Array }>}
+ * @throws {Error} If the file is not a supported export or unpacks to more than maxUncompressedBytes
+ */
+async function readExportArchive(buffer, {
+    maxAttachmentBytes = MAX_IMPORT_ATTACHMENT_BYTES,
+    maxUncompressedBytes = MAX_IMPORT_UNCOMPRESSED_BYTES
+} = {}) {
+    let zip = null;
+    let json;
+    let remainingBytes = maxUncompressedBytes;
+    if (buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04') {
+        zip = await JSZip.loadAsync(buffer);
+        const entry = Object.values(zip.files).find(f => !f.dir && /(^|\/)conversations\.json$/.test(f.name));
+        if (!entry) throw new Error('The archive contains no conversations.json');
+        const data = await readZipEntry(entry, remainingBytes);
+        if (!data) {
+            throw new Error(`conversations.json exceeds max size (${Math.round(maxUncompressedBytes / 1024 / 1024)}MB unpacked)`);
+        }
+        remainingBytes -= data.length;
+        json = data.toString('utf8');
+    } else {
+        json = buffer.toString('utf8');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(json.replace(/^\uFEFF/, ''));
+    } catch {
+        throw new Error('The file is neither a ZIP archive nor valid JSON');
+    }
+    const source = detectExportSource(data);
+    if (!source) throw new Error('Not a ChatGPT or Claude export');
+
+    const list = Array.isArray(data) ? data : [data];
+    const conversations = list
+        .map(c => source === 'chatgpt' ? parseChatGptConversation(c) : parseClaudeConversation(c))
+        .filter(c => c.messages.length > 0);
+
+    for (const message of conversations.flatMap(c => c.messages)) {
+        const attachments = [];
+        for (const att of message.attachments) {
+            if (att.text !== undefined) {
+                attachments.push({ ...att, data: Buffer.from(att.text, 'utf8') });
+                continue;
+            }
+            // Files are stored as "<file ID>-<name>" or "<file ID>.<extension>", possibly in a folder
+            const entry = zip && Object.values(zip.files).find(f => !f.dir && f.name.split('/').pop().startsWith(att.fileId));
+            if (!entry) continue;
+            // Too large files are skipped, and so is everything once the archive's size budget is used up
+            const data = await readZipEntry(entry, Math.min(maxAttachmentBytes, remainingBytes));
+            if (!data) continue;
+            remainingBytes -= data.length;
+            const filename = att.filename || entry.name.split('/').pop();
+            attachments.push({ filename, mimeType: att.mimeType || guessMimeType(filename), data });
+        }
+        message.attachments = attachments;
+    }
+
+    return { source, conversations };
+}
+
+/**
+ * Import Service
+ * Moves chat history from other tools into this app: conversations exported from ChatGPT
+ * or Claude become Conversations with their Messages (branches included) and MessageAttachments.
+ * Conversations imported before (same source and ID) are skipped.
+ */
+class ImportService {
+    // ─── Import ───────────────────────────────────────────────────────────────
+
+    /**
+     * Import an export archive for a user
+     * @param {object} [options] - { workspaceId } to import into a workspace (write access checked by the caller)
+     * @returns {Promise<{ source: string, imported: Array<{ ID, title, messageCount }>, skipped: number }|{ error: string }>}
+     */
+    async importArchive(userId, buffer, { workspaceId = null } = {}) {
+        let source, conversations;
+        try {
+            ({ source, conversations } = await readExportArchive(buffer));
+        } catch (error) {
+            return { error: error.message };
+        }
+        const db = await cds.connect.to('db');
+
+        const existing = await db.run(
+            SELECT.from('ai.chat.Conversations').where({ userId, importSource: source }).columns('importId')
+        );
+        const importedIds = new Set(existing.map(c => c.importId));
+
+        const imported = [];
+        let skipped = 0;
+        for (const conversation of conversations) {
+            if (conversation.sourceId && importedIds.has(conversation.sourceId)) {
+                skipped++;
+                continue;
+            }
+            const ID = await this._insertConversation(db, userId, workspaceId, source, conversation);
+            imported.push({ ID, title: conversation.title.slice(0, 255), messageCount: conversation.messages.length });
+        }
+        console.log(`Imported ${imported.length} ${source} conversation(s) for user ${userId} (${skipped} skipped)`);
+        return { source, imported, skipped };
+    }
+
+    async _insertConversation(db, userId, workspaceId, source, conversation) {
+        const ID = uuidv4();
+        const idByKey = new Map(conversation.messages.map(m => [m.key, uuidv4()]));
+        const rows = conversation.messages.map(m => ({
+            ID: idByKey.get(m.key),
+            conversation_ID: ID,
+            parent_ID: m.parentKey ? idByKey.get(m.parentKey) : null,
+            role: m.role,
+            userId: m.role === 'user' ? userId : null,
+            content: m.content,
+            createdAt: m.createdAt,
+            modifiedAt: m.createdAt
+        }));
+        const attachments = conversation.messages.flatMap(m => m.attachments.map(att => ({
+            ID: uuidv4(),
+            message_ID: idByKey.get(m.key),
+            filename: att.filename.slice(0, 255),
+            mimeType: att.mimeType.slice(0, 100),
+            content: att.data,
+            extractedText: att.text,
+            status: 'Clean',
+            createdAt: m.createdAt,
+            modifiedAt: m.createdAt
+        })));
+        const lastMessageAt = rows[rows.length - 1].createdAt;
+
+        await db.run(INSERT.into('ai.chat.Conversations').entries({
+            ID,
+            title: conversation.title.slice(0, 255),
+            userId,
+            workspace_ID: workspaceId,
+            importSource: source,
+            importId: conversation.sourceId ? conversation.sourceId.slice(0, 100) : null,
+            createdAt: conversation.createdAt || lastMessageAt,
+            modifiedAt: conversation.modifiedAt && conversation.modifiedAt > lastMessageAt ? conversation.modifiedAt : lastMessageAt
+        }));
+        await db.run(INSERT.into('ai.chat.Messages').entries(rows));
+        if (attachments.length > 0) {
+            await db.run(INSERT.into('ai.chat.MessageAttachments').entries(attachments));
+        }
+        return ID;
+    }
+
+    // ─── Follow-up processing ─────────────────────────────────────────────────
+
+    /**
+     * Embed the imported messages for semantic search and, if asked, extract memories from the
+     * active branch of the imported conversations (newest first, up to IMPORT_MEMORY_MAX_TURNS turns).
+     * Runs after the import has been answered; errors are logged.
+     */
+    async processImported(userId, conversationIds, { extractMemories = false } = {}) {
+        const db = await cds.connect.to('db');
+        const turns = [];
+
+        for (const conversationId of conversationIds) {
+            const rows = await db.run(
+                SELECT.from('ai.chat.Messages')
+                    .where({ conversation_ID: conversationId })
+                    .columns('ID', 'role', 'content', 'parent_ID', 'createdAt')
+                    .orderBy('createdAt asc')
+            );
+            for (const message of rows) {
+                await searchService.indexMessage({ messageId: message.ID, conversationId, content: message.content });
+            }
+            if (!extractMemories) continue;
+
+            const messages = normalizeParentLinks(rows);
+            const path = getBranchPath(messages, getLatestLeaf(messages)?.ID);
+            for (let i = 1; i < path.length; i++) {
+                if (path[i - 1].role === 'user' && path[i].role === 'assistant') {
+                    turns.push({ conversationId, createdAt: String(path[i].createdAt), messages: [path[i - 1], path[i]] });
+                }
+            }
+        }
+
+        const selected = turns.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, IMPORT_MEMORY_MAX_TURNS);
+        for (const turn of selected.reverse()) {
+            await memoryService.processConversationTurn(
+                userId, turn.conversationId, turn.messages.map(m => ({ role: m.role, content: m.content }))
+            );
+        }
+        if (selected.length > 0) {
+            console.log(`Extracted memories from ${selected.length} imported turn(s) for user ${userId}`);
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = {
+    ImportService,
+    importService: new ImportService(),
+    detectExportSource,
+    parseChatGptConversation,
+    parseClaudeConversation,
+    readExportArchive
+};
@@ -0,0 +1,218 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+
+// Limits for tags (stored lowercase) and folders
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * Trim, lowercase and de-duplicate tags; a leading # is dropped
+ * @returns {string[]|null} null if tags is not an array of strings or has too many tags
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) return null;
+    const normalized = [...new Set(
+        tags.map(t => t.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase()).filter(Boolean)
+    )];
+    if (normalized.length > MAX_TAGS || normalized.some(t => t.length > MAX_TAG_LENGTH)) return null;
+    return normalized;
+}
+
+/**
+ * Subquery for the IDs of conversations that are not in the trash (for counts)
+ */
+function conversationsNotInTrash() {
+    return SELECT('ID').from('ai.chat.Conversations').where({ deletedAt: null });
+}
+
+/**
+ * Label Service
+ * A user's own organisation of conversations: pinning, archiving, folders and tags. Labels are
+ * per user, so every member of a workspace can organise its conversations differently.
+ */
+class LabelService {
+    // ─── Labels of conversations ──────────────────────────────────────────────
+
+    /**
+     * Labels of the user for the given conversations
+     * @returns {Promise<Map<string, { pinned: boolean, archived: boolean, folderId: string|null, tags: string[] }>>}
+     */
+    async getLabels(userId, conversationIds) {
+        const labels = new Map();
+        if (conversationIds.length === 0) return labels;
+
+        const db = await cds.connect.to('db');
+        const [rows, tags] = await Promise.all([
+            db.run(
+                SELECT.from('ai.chat.ConversationLabels')
+                    .where({ userId, conversation_ID: { in: conversationIds } })
+                    .columns('conversation_ID', 'pinned', 'archived', 'folder_ID')
+            ),
+            db.run(
+                SELECT.from('ai.chat.ConversationTags')
+                    .where({ userId, conversation_ID: { in: conversationIds } })
+                    .columns('conversation_ID', 'tag')
+                    .orderBy('tag asc')
+            )
+        ]);
+        for (const id of conversationIds) {
+            labels.set(id, { pinned: false, archived: false, folderId: null, tags: [] });
+        }
+        for (const row of rows) {
+            Object.assign(labels.get(row.conversation_ID), {
+                pinned: Boolean(row.pinned), archived: Boolean(row.archived), folderId: row.folder_ID || null
+            });
+        }
+        for (const row of tags) {
+            labels.get(row.conversation_ID).tags.push(row.tag);
+        }
+        return labels;
+    }
+
+    /**
+     * Change the user's labels of a conversation; omitted fields stay as they are
+     * @param {object} changes - { pinned?: boolean, archived?: boolean, folderId?: string|null, tags?: string[] } (tags normalized)
+     * @returns {Promise<{ pinned, archived, folderId, tags }|{ error: string }>}
+     */
+    async setLabels(userId, conversationId, { pinned, archived, folderId, tags }) {
+        const db = await cds.connect.to('db');
+        if (folderId && !await this._ownFolder(db, userId, folderId)) {
+            return { error: 'Folder not found' };
+        }
+
+        const now = new Date().toISOString();
+        const changes = {};
+        if (pinned !== undefined) changes.pinned = pinned;
+        if (archived !== undefined) changes.archived = archived;
+        if (folderId !== undefined) changes.folder_ID = folderId;
+
+        if (Object.keys(changes).length > 0) {
+            const existing = await db.run(
+                SELECT.one.from('ai.chat.ConversationLabels').where({ userId, conversation_ID: conversationId }).columns('ID')
+            );
+            if (existing) {
+                await db.run(
+                    UPDATE('ai.chat.ConversationLabels').set({ ...changes, modifiedAt: now }).where({ ID: existing.ID })
+                );
+            } else {
+                await db.run(INSERT.into('ai.chat.ConversationLabels').entries({
+                    ID: uuidv4(), conversation_ID: conversationId, userId,
+                    pinned: false, archived: false, folder_ID: null, ...changes, createdAt: now, modifiedAt: now
+                }));
+            }
+        }
+
+        if (tags !== undefined) {
+            await db.run(DELETE.from('ai.chat.ConversationTags').where({ userId, conversation_ID: conversationId }));
+            if (tags.length > 0) {
+                await db.run(INSERT.into('ai.chat.ConversationTags').entries(tags.map(tag => ({
+                    ID: uuidv4(), conversation_ID: conversationId, userId, tag, createdAt: now, modifiedAt: now
+                }))));
+            }
+        }
+
+        return (await this.getLabels(userId, [conversationId])).get(conversationId);
+    }
+
+    /**
+     * CQL conditions narrowing a conversation list to the user's folder, tag, pinned or archived state
+     * @param {object} filter - { folderId?, tag?, pinned?: boolean, archived?: boolean } (undefined = no condition)
+     * @returns {Array<object>} conditions to AND with the list's where clause
+     */
+    listConditions(userId, { folderId, tag, pinned, archived }) {
+        const conditions = [];
+        if (folderId !== undefined) {
+            conditions.push({
+                ID: { in: SELECT('conversation_ID').from('ai.chat.ConversationLabels').where({ userId, folder_ID: folderId }) }
+            });
+        }
+        if (tag !== undefined) {
+            conditions.push({
+                ID: { in: SELECT('conversation_ID').from('ai.chat.ConversationTags').where({ userId, tag }) }
+            });
+        }
+        for (const [flag, value] of [['pinned', pinned], ['archived', archived]]) {
+            if (value === undefined) continue;
+            const flaggedIds = SELECT('conversation_ID').from('ai.chat.ConversationLabels').where({ userId, [flag]: true });
+            conditions.push(value
+                ? { ID: { in: flaggedIds } }
+                : { xpr: [{ ref: ['ID'] }, 'not', 'in', flaggedIds] });
+        }
+        return conditions;
+    }
+
+    // ─── Folders ──────────────────────────────────────────────────────────────
+
+    /**
+     * Folders of a user with the number of conversations in each
+     */
+    async listFolders(userId) {
+        const db = await cds.connect.to('db');
+        const folders = await db.run(
+            SELECT.from('ai.chat.Folders').where({ userId }).columns('ID', 'name', 'createdAt').orderBy('name asc')
+        );
+        const counts = await db.run(
+            SELECT.from('ai.chat.ConversationLabels')
+                .where({ userId, folder_ID: { '!=': null }, conversation_ID: { in: conversationsNotInTrash() } })
+                .columns('folder_ID', 'count(*) as count')
+                .groupBy('folder_ID')
+        );
+        const countById = new Map(counts.map(c => [c.folder_ID, Number(c.count)]));
+        return folders.map(f => ({ ...f, conversationCount: countById.get(f.ID) || 0 }));
+    }
+
+    async createFolder(userId, name) {
+        const db = await cds.connect.to('db');
+        const now = new Date().toISOString();
+        const folder = { ID: uuidv4(), userId, name, createdAt: now, modifiedAt: now };
+        await db.run(INSERT.into('ai.chat.Folders').entries(folder));
+        return { ID: folder.ID, name, createdAt: now, conversationCount: 0 };
+    }
+
+    /**
+     * @returns {Promise<boolean>} false if the folder does not exist or belongs to someone else
+     */
+    async renameFolder(userId, folderId, name) {
+        const db = await cds.connect.to('db');
+        if (!await this._ownFolder(db, userId, folderId)) return false;
+        await db.run(UPDATE('ai.chat.Folders').set({ name, modifiedAt: new Date().toISOString() }).where({ ID: folderId }));
+        return true;
+    }
+
+    /**
+     * Delete a folder; its conversations are kept (no longer in a folder)
+     * @returns {Promise<boolean>} false if the folder does not exist or belongs to someone else
+     */
+    async deleteFolder(userId, folderId) {
+        const db = await cds.connect.to('db');
+        if (!await this._ownFolder(db, userId, folderId)) return false;
+        await db.run(UPDATE('ai.chat.ConversationLabels').set({ folder_ID: null }).where({ folder_ID: folderId }));
+        await db.run(DELETE.from('ai.chat.Folders').where({ ID: folderId }));
+        return true;
+    }
+
+    // ─── Tags ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Tags the user has used, with the number of conversations carrying each
+     */
+    async listTags(userId) {
+        const db = await cds.connect.to('db');
+        const rows = await db.run(
+            SELECT.from('ai.chat.ConversationTags')
+                .where({ userId, conversation_ID: { in: conversationsNotInTrash() } })
+                .columns('tag', 'count(*) as count')
+                .groupBy('tag')
+                .orderBy('tag asc')
+        );
+        return rows.map(r => ({ tag: r.tag, count: Number(r.count) }));
+    }
+
+    async _ownFolder(db, userId, folderId) {
+        return Boolean(await db.run(SELECT.one.from('ai.chat.Folders').where({ ID: folderId, userId }).columns('ID')));
+    }
+}
+
+// Export singleton instance
+module.exports = { LabelService, labelService: new LabelService(), normalizeTags, MAX_FOLDER_NAME_LENGTH };
@@ -0,0 +1,445 @@
+/**
+ * MCP Client
+ * Connects to configured Model Context Protocol servers and exposes their tools
+ * to the model through the tool registry.
+ *
+ * Servers are configured via MCP_SERVERS (JSON) or MCP_CONFIG_FILE (path to a JSON file):
+ *   {
+ *     "mcpServers": {
+ *       "files":  { "command": "node", "args": ["./mcp/files.js"], "env": { "ROOT": "/data" } },
+ *       "erp":    { "url": "https://erp-mcp.example.com/mcp", "headers": { "Authorization": "Bearer ..." } }
+ *     }
+ *   }
+ * (the top-level "mcpServers" wrapper is optional).
+ *
+ * Tools are registered as "<server>__<tool>" so names from different servers cannot clash.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+const MCP_REQUEST_TIMEOUT_MS = parseInt(process.env.MCP_REQUEST_TIMEOUT_MS || '60000', 10);
+const CLIENT_INFO = { name: 'not-joule', version: '1.0.0' };
+
+// ============ Transports ============
+
+/**
+ * stdio transport: spawns the server process and exchanges newline-delimited JSON-RPC messages.
+ */
+class StdioTransport {
+    constructor({ command, args = [], env = {}, cwd }) {
+        this.command = command;
+        this.args = args;
+        this.env = env;
+        this.cwd = cwd;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+        this._process = null;
+    }
+
+    async start() {
+        this._process = spawn(this.command, this.args, {
+            cwd: this.cwd,
+            env: { ...process.env, ...this.env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let buffer = '';
+        this._process.stdout.on('data', (chunk) => {
+            buffer += chunk.toString();
+            const lines = buffer.split('\n');
+            buffer = lines.pop() ?? '';
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.onMessage(JSON.parse(line));
+                } catch (e) {
+                    console.warn(`MCP ${this.command}: ignoring non-JSON output`);
+                }
+            }
+        });
+        this._process.stderr.on('data', (chunk) => {
+            console.log(`[mcp:${this.command}] ${chunk.toString().trimEnd()}`);
+        });
+        this._process.stdin.on('error', (e) => {
+            console.warn(`MCP ${this.command}: stdin error:`, e.message);
+        });
+        this._process.on('exit', (code) => {
+            this._process = null;
+            this.onClose(new Error(`MCP server process exited with code ${code}`));
+        });
+
+        const child = this._process;
+        await new Promise((resolve, reject) => {
+            child.once('spawn', resolve);
+            child.once('error', reject);
+        });
+        child.on('error', (e) => console.error(`MCP ${this.command}: process error:`, e.message));
+    }
+
+    async send(message) {
+        if (!this._process) {
+            throw new Error('MCP server process is not running');
+        }
+        this._process.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    async close() {
+        if (this._process) {
+            this._process.stdin.end();
+            this._process.kill();
+            this._process = null;
+        }
+    }
+}
+
+/**
+ * Streamable HTTP transport: every message is POSTed to the server URL. Responses arrive
+ * either as a JSON body or as an SSE stream carrying one or more JSON-RPC messages.
+ */
+class HttpTransport {
+    constructor({ url, headers = {} }) {
+        this.url = url;
+        this.headers = headers;
+        this.sessionId = null;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+    }
+
+    async start() {}
+
+    async send(message) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                ...this.headers,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream',
+                ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {})
+            },
+            body: JSON.stringify(message),
+            signal: AbortSignal.timeout(MCP_REQUEST_TIMEOUT_MS)
+        });
+
+        const sessionId = response.headers.get('mcp-session-id');
+        if (sessionId) {
+            this.sessionId = sessionId;
+        }
+
+        if (!response.ok) {
+            throw new Error(`MCP HTTP error: ${response.status}`);
+        }
+        if (response.status === 202 || !response.body) {
+            return;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('text/event-stream')) {
+            await this._readEventStream(response.body);
+        } else {
+            const text = await response.text();
+            if (!text.trim()) return;
+            const payload = JSON.parse(text);
+            for (const msg of Array.isArray(payload) ? payload : [payload]) {
+                this.onMessage(msg);
+            }
+        }
+    }
+
+    async _readEventStream(body) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop() ?? '';
+            for (const event of events) {
+                const data = event.split('\n')
+                    .filter(line => line.startsWith('data:'))
+                    .map(line => line.slice(5).trimStart())
+                    .join('\n');
+                if (!data) continue;
+                try {
+                    this.onMessage(JSON.parse(data));
+                } catch (e) {
+                    console.warn('MCP HTTP: ignoring malformed event');
+                }
+            }
+        }
+    }
+
+    async close() {
+        if (!this.sessionId) return;
+        try {
+            await fetch(this.url, {
+                method: 'DELETE',
+                headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId },
+                signal: AbortSignal.timeout(5000)
+            });
+        } catch (e) {
+            // Session cleanup is best effort
+        }
+        this.sessionId = null;
+    }
+}
+
+// ============ Client ============
+
+/**
+ * JSON-RPC client for a single MCP server
+ */
+class McpClient {
+    constructor(name, transport) {
+        this.name = name;
+        this.transport = transport;
+        this.serverInfo = null;
+        this.onToolsChanged = () => {};
+        this._nextId = 1;
+        this._pending = new Map();
+
+        transport.onMessage = (message) => this._handleMessage(message);
+        transport.onClose = (error) => this._rejectAll(error);
+    }
+
+    async connect() {
+        await this.transport.start();
+        const result = await this.request('initialize', {
+            protocolVersion: MCP_PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: CLIENT_INFO
+        });
+        this.serverInfo = result.serverInfo || null;
+        await this.notify('notifications/initialized');
+        return result;
+    }
+
+    /**
+     * List all tools, following pagination cursors
+     */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    async callTool(name, args, { signal } = {}) {
+        return this.request('tools/call', { name, arguments: args || {} }, { signal });
+    }
+
+    /**
+     * Send a request; an aborted signal rejects it and tells the server to stop working on it
+     */
+    request(method, params = {}, { signal } = {}) {
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new Error(`MCP ${this.name}: ${method} cancelled`));
+                return;
+            }
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                reject(new Error(`MCP ${this.name}: ${method} timed out`));
+            }, MCP_REQUEST_TIMEOUT_MS);
+            this._pending.set(id, { resolve, reject, timer });
+
+            signal?.addEventListener('abort', () => {
+                if (!this._pending.delete(id)) return;
+                clearTimeout(timer);
+                reject(new Error(`MCP ${this.name}: ${method} cancelled`));
+                this.notify('notifications/cancelled', { requestId: id, reason: 'The answer was cancelled' }).catch(() => {});
+            }, { once: true });
+
+            this.transport.send({ jsonrpc: '2.0', id, method, params }).catch((e) => {
+                const pending = this._pending.get(id);
+                if (!pending) return;
+                clearTimeout(pending.timer);
+                this._pending.delete(id);
+                reject(e);
+            });
+        });
+    }
+
+    notify(method, params) {
+        return this.transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+
+    async close() {
+        this._rejectAll(new Error(`MCP ${this.name}: connection closed`));
+        await this.transport.close();
+    }
+
+    _handleMessage(message) {
+        // Response to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = this._pending.get(message.id);
+            if (!pending) return;
+            clearTimeout(pending.timer);
+            this._pending.delete(message.id);
+            if (message.error) {
+                pending.reject(new Error(`MCP ${this.name}: ${message.error.message || 'request failed'}`));
+            } else {
+                pending.resolve(message.result || {});
+            }
+            return;
+        }
+
+        // Request from the server: only ping is supported
+        if (message.id !== undefined && message.method) {
+            const reply = message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+            this.transport.send(reply).catch(() => {});
+            return;
+        }
+
+        if (message.method === 'notifications/tools/list_changed') {
+            this.onToolsChanged();
+        }
+    }
+
+    _rejectAll(error) {
+        for (const { reject, timer } of this._pending.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        this._pending.clear();
+    }
+}
+
+// ============ Registry Integration ============
+
+/**
+ * Read the MCP server configuration from MCP_SERVERS or MCP_CONFIG_FILE
+ * @returns {object} Map of server name → config
+ */
+function loadMcpConfig() {
+    let raw = process.env.MCP_SERVERS;
+    if (!raw && process.env.MCP_CONFIG_FILE) {
+        raw = fs.readFileSync(process.env.MCP_CONFIG_FILE, 'utf8');
+    }
+    if (!raw) return {};
+
+    const parsed = JSON.parse(raw);
+    return parsed.mcpServers || parsed;
+}
+
+function createTransport(config) {
+    if (config.url) {
+        return new HttpTransport(config);
+    }
+    if (config.command) {
+        return new StdioTransport(config);
+    }
+    throw new Error('MCP server config needs either "command" or "url"');
+}
+
+/**
+ * Flatten an MCP tool result into text for the model. Error results throw,
+ * so the registry reports them to the model as failed tool calls.
+ */
+function toolResultToText(result) {
+    const text = (result.content || []).map(item => {
+        if (item.type === 'text') return item.text;
+        if (item.type === 'resource') return item.resource?.text || `[resource ${item.resource?.uri}]`;
+        return `[${item.type} content omitted]`;
+    }).join('\n');
+
+    if (result.isError) {
+        throw new Error(text || 'Tool returned an error');
+    }
+    if (!text && result.structuredContent) {
+        return JSON.stringify(result.structuredContent);
+    }
+    return text;
+}
+
+function registryName(serverName, toolName) {
+    return `${serverName}__${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+const _clients = new Map();
+
+/**
+ * Register the tools of one connected server, replacing any it registered before
+ */
+async function registerServerTools(registry, client, registeredNames) {
+    for (const name of registeredNames) {
+        registry.unregister(name);
+    }
+    registeredNames.clear();
+
+    const tools = await client.listTools();
+    for (const tool of tools) {
+        const name = registryName(client.name, tool.name);
+        registry.register({
+            name,
+            description: tool.description || `${tool.name} (MCP server ${client.name})`,
+            inputSchema: tool.inputSchema?.type === 'object' ? tool.inputSchema : { type: 'object', properties: {} },
+            statusEvent: () => ({ type: 'tool_start', tool: tool.title || tool.name }),
+            handler: async (input, { signal }) => toolResultToText(await client.callTool(tool.name, input, { signal }))
+        });
+        registeredNames.add(name);
+    }
+    console.log(`MCP ${client.name}: registered ${tools.length} tool(s)`);
+}
+
+/**
+ * Connect to all configured MCP servers and register their tools.
+ * Servers that fail to connect are logged and skipped.
+ */
+async function connectMcpServers(registry) {
+    let config;
+    try {
+        config = loadMcpConfig();
+    } catch (e) {
+        console.error('Invalid MCP configuration:', e.message);
+        return;
+    }
+
+    await Promise.all(Object.entries(config).map(async ([name, serverConfig]) => {
+        if (serverConfig.disabled) return;
+        let client = null;
+        try {
+            client = new McpClient(name, createTransport(serverConfig));
+            await client.connect();
+            _clients.set(name, client);
+
+            const registeredNames = new Set();
+            client.onToolsChanged = () => {
+                registerServerTools(registry, client, registeredNames)
+                    .catch(e => console.error(`MCP ${name}: failed to refresh tools:`, e.message));
+            };
+            await registerServerTools(registry, client, registeredNames);
+        } catch (e) {
+            console.error(`MCP ${name}: connection failed:`, e.message);
+            // Stop a stdio server process that started but failed the handshake or tool listing
+            _clients.delete(name);
+            await client?.close().catch(() => {});
+        }
+    }));
+}
+
+/**
+ * Close all MCP connections (stops stdio server processes)
+ */
+async function closeMcpServers() {
+    const clients = [..._clients.values()];
+    _clients.clear();
+    await Promise.all(clients.map(c => c.close().catch(() => {})));
+}
+
+module.exports = {
+    McpClient,
+    StdioTransport,
+    HttpTransport,
+    loadMcpConfig,
+    toolResultToText,
+    connectMcpServers,
+    closeMcpServers
+};
@@ -0,0 +1,122 @@
+/**
+ * Message Tree
+ * Helpers for branching conversation history.
+ *
+ * Every message points to the message it follows via parent_ID. Regenerated
+ * answers and edited prompts become siblings (same parent), so a conversation
+ * is a tree and the visible chat is one root-to-leaf path through it.
+ *
+ * Conversations stored before branching existed have no parent_ID at all; they
+ * are treated as a single chronological chain.
+ */
+
+function byCreatedAt(a, b) {
+    const ta = a.createdAt ? new Date(a.createdAt).getTime() : 0;
+    const tb = b.createdAt ? new Date(b.createdAt).getTime() : 0;
+    return ta - tb;
+}
+
+/**
+ * Sort messages chronologically and fill in parent links for legacy conversations.
+ * @param {Array} messages - Rows with at least ID, parent_ID and createdAt
+ * @returns {Array} New array (legacy rows are copied, never mutated)
+ */
+function normalizeParentLinks(messages) {
+    const sorted = [...(messages || [])].sort(byCreatedAt);
+    if (sorted.some(m => m.parent_ID)) {
+        return sorted;
+    }
+    return sorted.map((msg, i) => ({ ...msg, parent_ID: i > 0 ? sorted[i - 1].ID : null }));
+}
+
+/**
+ * Return the path from the root to the given message (inclusive).
+ * @param {Array} messages - Normalized messages
+ * @param {string} leafId
+ * @returns {Array} Messages ordered root → leaf, empty if leafId is unknown
+ */
+function getBranchPath(messages, leafId) {
+    const byId = new Map(messages.map(m => [m.ID, m]));
+    const path = [];
+    const seen = new Set();
+    let current = byId.get(leafId);
+
+    while (current && !seen.has(current.ID)) {
+        seen.add(current.ID);
+        path.push(current);
+        current = current.parent_ID ? byId.get(current.parent_ID) : null;
+    }
+
+    return path.reverse();
+}
+
+/**
+ * Return the most recently created message, i.e. the leaf of the active branch.
+ * @param {Array} messages - Normalized messages
+ * @returns {object|null}
+ */
+function getLatestLeaf(messages) {
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+}
+
+/**
+ * Load the message skeleton of a conversation and persist parent links for legacy rows,
+ * so that new branches can be attached to them safely.
+ * @param {object} db - CDS database service
+ * @param {string} conversationId
+ * @returns {Promise<Array>} Normalized messages (ID, role, parent_ID, createdAt)
+ */
+async function ensureParentLinks(db, conversationId) {
+    const rows = await db.run(
+        SELECT.from('ai.chat.Messages')
+            .where({ conversation_ID: conversationId })
+            .columns('ID', 'role', 'parent_ID', 'createdAt')
+    );
+    const messages = normalizeParentLinks(rows);
+    if (rows.some(r => r.parent_ID)) {
+        return messages;
+    }
+
+    // Legacy conversation: persist the implicit chronological chain
+    for (const msg of messages.slice(1)) {
+        await db.run(UPDATE('ai.chat.Messages').set({ parent_ID: msg.parent_ID }).where({ ID: msg.ID }));
+    }
+
+    return messages;
+}
+
+/**
+ * Load the branch of a conversation ending at leafId, including message content.
+ * @param {object} db - CDS database service
+ * @param {string} conversationId
+ * @param {string} leafId
+ * @param {number} [limit] - Keep only the last N messages of the path
+ * @returns {Promise<Array>} Messages ordered root → leaf
+ */
+async function loadBranchPath(db, conversationId, leafId, limit = 20) {
+    const skeleton = await db.run(
+        SELECT.from('ai.chat.Messages')
+            .where({ conversation_ID: conversationId })
+            .columns('ID', 'parent_ID', 'createdAt')
+    );
+    const pathIds = getBranchPath(normalizeParentLinks(skeleton), leafId)
+        .slice(-limit)
+        .map(m => m.ID);
+    if (pathIds.length === 0) return [];
+
+    const rows = await db.run(
+        SELECT.from('ai.chat.Messages')
+            .where({ ID: { in: pathIds } })
+            .columns('ID', 'role', 'content', 'parent_ID', 'createdAt')
+    );
+    const byId = new Map(rows.map(r => [r.ID, r]));
+    return pathIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+module.exports = {
+    normalizeParentLinks,
+    getBranchPath,
+    getLatestLeaf,
+    ensureParentLinks,
+    loadBranchPath
+};
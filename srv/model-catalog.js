@@ -0,0 +1,129 @@
+/**
+ * Model Catalogue
+ * The AI Core deployments users can chat with.
+ *
+ * Configured via AICORE_MODELS (JSON array):
+ *   [
+ *     { "id": "sonnet", "name": "Claude Sonnet", "deploymentId": "d123", "type": "anthropic",
+ *       "description": "Balanced quality and speed", "default": true },
+ *     { "id": "gpt-mini", "name": "GPT-4o mini", "deploymentId": "d456", "type": "openai",
+ *       "description": "Fast drafts" }
+ *   ]
+ *
+ * Anthropic models receive PDFs as native document blocks unless the entry sets
+ * "pdfDocuments": false (for models without PDF support); they then get the extracted text.
+ *
+ * Without AICORE_MODELS the catalogue holds a single "default" entry built from
+ * AICORE_DEPLOYMENT_ID, AICORE_MODEL_TYPE, AICORE_MODEL_NAME and AICORE_PDF_DOCUMENTS.
+ */
+
+const MODEL_ID_RE = /^[a-zA-Z0-9._-]{1,100}$/;
+const MODEL_TYPES = new Set(['anthropic', 'openai']);
+
+let _catalog = null;
+
+/**
+ * Parse the catalogue from the environment
+ */
+function loadModelCatalog() {
+    if (process.env.AICORE_MODELS) {
+        let entries;
+        try {
+            entries = JSON.parse(process.env.AICORE_MODELS);
+        } catch (e) {
+            throw new Error(`AICORE_MODELS is not valid JSON: ${e.message}`);
+        }
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('AICORE_MODELS must be a non-empty array');
+        }
+
+        const models = entries.map((entry, i) => {
+            if (!entry || !MODEL_ID_RE.test(entry.id || '')) {
+                throw new Error(`AICORE_MODELS[${i}]: invalid id`);
+            }
+            if (!entry.deploymentId) {
+                throw new Error(`AICORE_MODELS[${i}]: deploymentId is required`);
+            }
+            const type = entry.type || 'anthropic';
+            if (!MODEL_TYPES.has(type)) {
+                throw new Error(`AICORE_MODELS[${i}]: unsupported type "${type}"`);
+            }
+            return {
+                id: entry.id,
+                name: entry.name || entry.id,
+                description: entry.description || '',
+                deploymentId: entry.deploymentId,
+                type,
+                pdfDocuments: type === 'anthropic' && entry.pdfDocuments !== false,
+                isDefault: Boolean(entry.default)
+            };
+        });
+
+        if (new Set(models.map(m => m.id)).size !== models.length) {
+            throw new Error('AICORE_MODELS contains duplicate ids');
+        }
+        if (!models.some(m => m.isDefault)) {
+            models[0].isDefault = true;
+        }
+        return models;
+    }
+
+    if (!process.env.AICORE_DEPLOYMENT_ID) {
+        throw new Error('AICORE_DEPLOYMENT_ID environment variable is required');
+    }
+    const type = process.env.AICORE_MODEL_TYPE || 'anthropic';
+    return [{
+        id: 'default',
+        name: process.env.AICORE_MODEL_NAME || 'Default model',
+        description: '',
+        deploymentId: process.env.AICORE_DEPLOYMENT_ID,
+        type,
+        pdfDocuments: type === 'anthropic' && process.env.AICORE_PDF_DOCUMENTS !== 'false',
+        isDefault: true
+    }];
+}
+
+/**
+ * All configured models (parsed once)
+ */
+function getModelCatalog() {
+    if (!_catalog) {
+        _catalog = loadModelCatalog();
+    }
+    return _catalog;
+}
+
+function getDefaultModel() {
+    return getModelCatalog().find(m => m.isDefault);
+}
+
+/**
+ * Catalogue entry for a model ID; null/unknown IDs resolve to null
+ */
+function findModel(modelId) {
+    if (!modelId) return null;
+    return getModelCatalog().find(m => m.id === modelId) || null;
+}
+
+/**
+ * Catalogue entry for a model ID, falling back to the default model
+ * (e.g. for conversations whose model was removed from the catalogue)
+ */
+function resolveModel(modelId) {
+    return findModel(modelId) || getDefaultModel();
+}
+
+/**
+ * Public view of a catalogue entry (no deployment details)
+ */
+function describeModel(model) {
+    return {
+        id: model.id,
+        name: model.name,
+        description: model.description,
+        type: model.type,
+        isDefault: model.isDefault
+    };
+}
+
+module.exports = { loadModelCatalog, getModelCatalog, getDefaultModel, findModel, resolveModel, describeModel };
@@ -0,0 +1,222 @@
+/**
+ * PDF Writer
+ * A minimal PDF generator for text documents (conversation exports): headings,
+ * wrapped paragraphs and monospaced code blocks on A4 pages, using the standard
+ * Helvetica and Courier fonts, so no font files or PDF library are needed.
+ *
+ * The standard fonts only cover WinAnsi (Latin-1 plus typographic quotes, dashes
+ * and the like); other characters are written as '?'.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595;   // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const CODE_PADDING = 4;
+
+// Widths of the printable ASCII characters (32-126) in Helvetica, per 1000 units of font size
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Helvetica-Bold is slightly wider; wrapping uses the regular widths scaled by this factor
+const BOLD_FACTOR = 1.08;
+
+// Unicode characters outside Latin-1 that WinAnsiEncoding has a code for
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+    '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c,
+    'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+    '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+const FONTS = {
+    regular: { resource: 'F1', base: 'Helvetica' },
+    bold: { resource: 'F2', base: 'Helvetica-Bold' },
+    mono: { resource: 'F3', base: 'Courier' }
+};
+
+/**
+ * Map text to WinAnsi character codes (unsupported characters become '?', tabs four spaces;
+ * line breaks are kept for wrapText)
+ * @returns {string} One char per byte (latin1)
+ */
+function toWinAnsi(text) {
+    let out = '';
+    for (const ch of String(text).replace(/\t/g, '    ')) {
+        const code = ch.codePointAt(0);
+        if (WIN_ANSI_EXTRAS[ch]) out += String.fromCharCode(WIN_ANSI_EXTRAS[ch]);
+        else if (ch === '\n' || (code >= 32 && code < 127) || (code >= 160 && code <= 255)) out += ch;
+        else out += '?';
+    }
+    return out;
+}
+
+/**
+ * Width of WinAnsi text in points
+ */
+function textWidth(text, font, size) {
+    if (font === 'mono') return text.length * 0.6 * size;
+    let units = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return units / 1000 * size * (font === 'bold' ? BOLD_FACTOR : 1);
+}
+
+/**
+ * Break WinAnsi text into lines no wider than maxWidth; words longer than a line are split
+ */
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    for (const paragraphLine of text.split('\n')) {
+        let line = '';
+        for (const word of paragraphLine.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+            line = word;
+            while (textWidth(line, font, size) > maxWidth) {
+                let cut = line.length - 1;
+                while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+function escapePdfString(text) {
+    return text.replace(/[\\()]/g, m => `\\${m}`);
+}
+
+/**
+ * Lay out blocks on pages
+ * @returns {string[]} Content stream of every page
+ */
+function layoutPages(blocks, footer) {
+    const pages = [];
+    let ops = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    const newPage = () => {
+        pages.push(ops);
+        ops = [];
+        y = PAGE_HEIGHT - MARGIN;
+    };
+
+    for (const block of blocks) {
+        const font = block.font || 'regular';
+        const size = block.size || 10;
+        const leading = size * 1.35;
+        const indent = block.indent || 0;
+        const isCode = font === 'mono';
+        const width = CONTENT_WIDTH - indent - (isCode ? 2 * CODE_PADDING : 0);
+        const lines = wrapText(toWinAnsi(block.text), font, size, width);
+        const gray = block.color ?? 0;
+
+        y -= block.spaceBefore ?? size * 0.6;
+        for (const line of lines) {
+            if (y - leading < MARGIN) newPage();
+            y -= leading;
+            if (isCode) {
+                ops.push(`0.94 g ${MARGIN + indent} ${(y - size * 0.35).toFixed(2)} ${CONTENT_WIDTH - indent} ${leading.toFixed(2)} re f`);
+            }
+            const x = MARGIN + indent + (isCode ? CODE_PADDING : 0);
+            ops.push(`BT /${FONTS[font].resource} ${size} Tf ${gray} g ${x} ${y.toFixed(2)} Td (${escapePdfString(line)}) Tj ET`);
+        }
+        if (block.rule) {
+            y -= size * 0.6;
+            ops.push(`0.8 G 0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+        }
+    }
+    pages.push(ops);
+
+    return pages.map((pageOps, i) => {
+        const label = toWinAnsi(`${footer ? `${footer} - ` : ''}${i + 1} / ${pages.length}`);
+        const x = PAGE_WIDTH - MARGIN - textWidth(label, 'regular', 8);
+        pageOps.push(`BT /F1 8 Tf 0.5 g ${x.toFixed(2)} ${MARGIN / 2} Td (${escapePdfString(label)}) Tj ET`);
+        return pageOps.join('\n');
+    });
+}
+
+/**
+ * Create a PDF document
+ * @param {Array<{ text: string, font?: 'regular'|'bold'|'mono', size?: number, color?: number,
+ *   indent?: number, spaceBefore?: number, rule?: boolean }>} blocks - Text blocks in reading order;
+ *   color is a gray level (0 = black), rule draws a line below the block
+ * @param {object} [options] - { title } for the document info and the page footer
+ * @returns {Buffer}
+ */
+function createPdf(blocks, { title } = {}) {
+    const streams = layoutPages(blocks, title);
+    const objects = [];
+    const add = (body) => { objects.push(body); return objects.length; };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontIds = Object.values(FONTS).map(f =>
+        add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`)
+    );
+    const fontResources = Object.values(FONTS).map((f, i) => `/${f.resource} ${fontIds[i]} 0 R`).join(' ');
+
+    const pageIds = streams.map(stream => {
+        const data = zlib.deflateSync(Buffer.from(stream, 'latin1'));
+        const contentId = add({ dict: `<< /Length ${data.length} /Filter /FlateDecode >>`, data });
+        return add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< /Title (${escapePdfString(toWinAnsi(title || ''))}) /Producer (AI Chat) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+        offsets.push(offset);
+        const parts = typeof body === 'string'
+            ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+            : [
+                Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, 'latin1'),
+                body.data,
+                Buffer.from('\nendstream\nendobj\n', 'latin1')
+            ];
+        for (const part of parts) {
+            chunks.push(part);
+            offset += part.length;
+        }
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+module.exports = { createPdf, wrapText, toWinAnsi, textWidth };
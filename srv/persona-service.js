@@ -0,0 +1,153 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+
+// System prompt of conversations without a persona (or with a persona without its own prompt)
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful AI Assistant.';
+const MAX_PERSONA_NAME_LENGTH = 100;
+const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+
+const PERSONA_COLUMNS = ['ID', 'name', 'description', 'systemPrompt', 'model', 'temperature', 'tools', 'createdAt', 'modifiedAt'];
+
+/**
+ * System prompt of a reply, in this order: the persona's instructions (or the default
+ * prompt), then the user's memories, then the document excerpts for the question
+ * @param {object} parts - { persona, memoryPrompt, documentPrompt }; the prompts start with their own blank line
+ */
+function buildSystemPrompt({ persona = null, memoryPrompt = '', documentPrompt = '' } = {}) {
+    const instructions = persona?.systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT;
+    return `${instructions}${memoryPrompt}${documentPrompt}`;
+}
+
+/**
+ * Persona row as returned to callers: tools parsed (null = all tools)
+ */
+function toPersona(row) {
+    if (!row) return null;
+    let tools = null;
+    try {
+        tools = row.tools ? JSON.parse(row.tools) : null;
+    } catch {
+        // Unreadable list: fall back to all tools
+    }
+    return {
+        ...row,
+        temperature: row.temperature === null || row.temperature === undefined ? null : Number(row.temperature),
+        tools: Array.isArray(tools) ? tools : null
+    };
+}
+
+/**
+ * Fields of a persona as stored (tools serialized)
+ */
+function toRow(fields) {
+    const row = { ...fields };
+    if (fields.tools !== undefined) row.tools = fields.tools === null ? null : JSON.stringify(fields.tools);
+    return row;
+}
+
+/**
+ * Persona Service
+ * User-defined assistants (name, system prompt, default model, temperature, enabled tools).
+ * A conversation answers as the persona in Conversations.persona, whoever posts in it.
+ *
+ * Management methods verify ownership via userId; "not found" and "not owned" are the same to callers.
+ */
+class PersonaService {
+    // ─── Personas ─────────────────────────────────────────────────────────────
+
+    /**
+     * Personas of a user, by name
+     */
+    async listPersonas(userId) {
+        const db = await cds.connect.to('db');
+        const rows = await db.run(
+            SELECT.from('ai.chat.Personas').where({ userId }).columns(...PERSONA_COLUMNS).orderBy('name asc')
+        );
+        return rows.map(toPersona);
+    }
+
+    /**
+     * A persona of the user, or null
+     */
+    async getPersona(personaId, userId) {
+        const db = await cds.connect.to('db');
+        return toPersona(await db.run(
+            SELECT.one.from('ai.chat.Personas').where({ ID: personaId, userId }).columns(...PERSONA_COLUMNS)
+        ));
+    }
+
+    /**
+     * The persona a conversation answers as, or null (whoever owns it: workspace members
+     * share the persona chosen for the conversation)
+     */
+    async getConversationPersona(conversationId) {
+        const db = await cds.connect.to('db');
+        const conversation = await db.run(
+            SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId }).columns('persona_ID')
+        );
+        if (!conversation?.persona_ID) return null;
+        return toPersona(await db.run(
+            SELECT.one.from('ai.chat.Personas').where({ ID: conversation.persona_ID }).columns(...PERSONA_COLUMNS)
+        ));
+    }
+
+    /**
+     * @param {object} fields - { name, description, systemPrompt, model, temperature, tools }, validated by the caller
+     */
+    async createPersona(userId, fields) {
+        const db = await cds.connect.to('db');
+        const now = new Date().toISOString();
+        const persona = {
+            ID: uuidv4(),
+            userId,
+            name: fields.name,
+            description: null,
+            systemPrompt: null,
+            model: null,
+            temperature: null,
+            tools: null,
+            ...fields,
+            createdAt: now,
+            modifiedAt: now
+        };
+        await db.run(INSERT.into('ai.chat.Personas').entries(toRow(persona)));
+        const { userId: _owner, ...created } = persona;
+        return created;
+    }
+
+    /**
+     * @returns {Promise<object|null>} The updated persona, null if not found
+     */
+    async updatePersona(personaId, userId, fields) {
+        const db = await cds.connect.to('db');
+        const updated = await db.run(
+            UPDATE('ai.chat.Personas')
+                .set({ ...toRow(fields), modifiedAt: new Date().toISOString() })
+                .where({ ID: personaId, userId })
+        );
+        return updated > 0 ? this.getPersona(personaId, userId) : null;
+    }
+
+    /**
+     * Delete a persona; conversations using it fall back to the default assistant
+     * @returns {Promise<boolean>} false if not found
+     */
+    async deletePersona(personaId, userId) {
+        const db = await cds.connect.to('db');
+        const persona = await this.getPersona(personaId, userId);
+        if (!persona) return false;
+        await db.run(UPDATE('ai.chat.Conversations').set({ persona_ID: null }).where({ persona_ID: personaId }));
+        await db.run(DELETE.from('ai.chat.Personas').where({ ID: personaId }));
+        return true;
+    }
+}
+
+// Export singleton instance
+module.exports = {
+    PersonaService,
+    personaService: new PersonaService(),
+    buildSystemPrompt,
+    DEFAULT_SYSTEM_PROMPT,
+    MAX_PERSONA_NAME_LENGTH,
+    MAX_SYSTEM_PROMPT_LENGTH
+};
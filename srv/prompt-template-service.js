@@ -0,0 +1,160 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const { workspaceService, hasPermission, conversationRole } = require('./workspace-service');
+
+const MAX_TEMPLATE_NAME_LENGTH = 50;
+const MAX_TEMPLATE_CONTENT_LENGTH = 16000;
+
+// Slash command names: lowercase letters, digits, '-' and '_' (typed as /name in the chat input)
+const TEMPLATE_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+// {{variable}} placeholders; other {{...}} text (e.g. in code samples) is left as it is
+const VARIABLE_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+const TEMPLATE_COLUMNS = ['ID', 'userId', 'workspace_ID', 'name', 'description', 'content', 'createdAt', 'modifiedAt'];
+
+/**
+ * Names of the {{variable}} placeholders of a template, in order of first appearance
+ */
+function extractVariables(content) {
+    const names = [];
+    for (const match of String(content || '').matchAll(VARIABLE_RE)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Template as returned to a user: variables listed, whether the user may change it
+ */
+function toTemplate(row, role) {
+    return {
+        ...row,
+        variables: extractVariables(row.content),
+        canEdit: hasPermission(role, 'manage')
+    };
+}
+
+/**
+ * Prompt Template Service
+ * The prompt library: templates with {{variable}} placeholders, personal or shared with a workspace.
+ * Access follows the rules for conversations: all members of the workspace can use a shared
+ * template; its creator (unless only a viewer) and the workspace owners can change it.
+ */
+class PromptTemplateService {
+    // ─── Templates ────────────────────────────────────────────────────────────
+
+    /**
+     * The user's personal templates and those of the user's workspaces, by name
+     */
+    async listTemplates(userId) {
+        const db = await cds.connect.to('db');
+        const workspaces = await workspaceService.listWorkspaces(userId);
+        const roleByWorkspace = new Map(workspaces.map(w => [w.ID, w.role]));
+
+        const where = roleByWorkspace.size > 0
+            ? { userId, workspace_ID: null, or: { workspace_ID: { in: [...roleByWorkspace.keys()] } } }
+            : { userId, workspace_ID: null };
+        const rows = await db.run(
+            SELECT.from('ai.chat.PromptTemplates').where(where).columns(...TEMPLATE_COLUMNS).orderBy('name asc')
+        );
+        return rows.map(row => toTemplate(row, conversationRole(row, userId, roleByWorkspace.get(row.workspace_ID))));
+    }
+
+    /**
+     * Load a template and check the user's permission on it ('read' or 'manage')
+     * @returns {Promise<{ template }|{ status: number, error: string }>}
+     */
+    async checkTemplateAccess(templateId, userId, permission = 'read') {
+        const db = await cds.connect.to('db');
+        const row = await db.run(
+            SELECT.one.from('ai.chat.PromptTemplates').where({ ID: templateId }).columns(...TEMPLATE_COLUMNS)
+        );
+        const role = row && conversationRole(
+            row, userId,
+            row.workspace_ID ? await workspaceService.getMemberRole(row.workspace_ID, userId) : null
+        );
+        if (!role) {
+            return { status: 404, error: 'Prompt template not found' };
+        }
+        if (!hasPermission(role, permission)) {
+            return { status: 403, error: 'Only its creator or a workspace owner can change this template' };
+        }
+        return { template: toTemplate(row, role) };
+    }
+
+    /**
+     * @param {object} fields - { name, description, content }, validated by the caller
+     * @param {string|null} workspaceId - workspace to share it with (write access checked by the caller)
+     * @returns {Promise<{ template }|{ status: number, error: string }>}
+     */
+    async createTemplate(userId, fields, workspaceId = null) {
+        const db = await cds.connect.to('db');
+        const conflict = await this._nameConflict(db, userId, workspaceId, fields.name);
+        if (conflict) return conflict;
+
+        const now = new Date().toISOString();
+        const row = {
+            ID: uuidv4(),
+            userId,
+            workspace_ID: workspaceId,
+            name: fields.name,
+            description: fields.description ?? null,
+            content: fields.content,
+            createdAt: now,
+            modifiedAt: now
+        };
+        await db.run(INSERT.into('ai.chat.PromptTemplates').entries(row));
+        return { template: toTemplate(row, 'owner') };
+    }
+
+    /**
+     * @returns {Promise<{ template }|{ status: number, error: string }>}
+     */
+    async updateTemplate(templateId, userId, fields) {
+        const access = await this.checkTemplateAccess(templateId, userId, 'manage');
+        if (access.error) return access;
+
+        const db = await cds.connect.to('db');
+        const { template } = access;
+        if (fields.name !== undefined && fields.name !== template.name) {
+            const conflict = await this._nameConflict(db, template.userId, template.workspace_ID, fields.name);
+            if (conflict) return conflict;
+        }
+        const modifiedAt = new Date().toISOString();
+        await db.run(UPDATE('ai.chat.PromptTemplates').set({ ...fields, modifiedAt }).where({ ID: templateId }));
+        return { template: toTemplate({ ...template, ...fields, modifiedAt }, 'owner') };
+    }
+
+    /**
+     * @returns {Promise<{ status?: number, error?: string }>}
+     */
+    async deleteTemplate(templateId, userId) {
+        const access = await this.checkTemplateAccess(templateId, userId, 'manage');
+        if (access.error) return access;
+
+        const db = await cds.connect.to('db');
+        await db.run(DELETE.from('ai.chat.PromptTemplates').where({ ID: templateId }));
+        return {};
+    }
+
+    /**
+     * Conflict error if the name is taken among the personal templates of the user,
+     * or among the templates of the workspace
+     */
+    async _nameConflict(db, userId, workspaceId, name) {
+        const where = workspaceId ? { workspace_ID: workspaceId, name } : { userId, workspace_ID: null, name };
+        const existing = await db.run(SELECT.one.from('ai.chat.PromptTemplates').where(where).columns('ID'));
+        return existing ? { status: 409, error: `A template named /${name} already exists` } : null;
+    }
+}
+
+// Export singleton instance
+module.exports = {
+    PromptTemplateService,
+    promptTemplateService: new PromptTemplateService(),
+    extractVariables,
+    TEMPLATE_NAME_RE,
+    MAX_TEMPLATE_NAME_LENGTH,
+    MAX_TEMPLATE_CONTENT_LENGTH
+};
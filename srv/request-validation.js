@@ -0,0 +1,146 @@
+// Limits of chat messages and their attachments
+const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS || 5);
+const MAX_ATTACHMENT_SIZE_BYTES = Number(process.env.MAX_ATTACHMENT_SIZE_BYTES || 5 * 1024 * 1024);
+const MAX_TOTAL_ATTACHMENT_SIZE_BYTES = Number(process.env.MAX_TOTAL_ATTACHMENT_SIZE_BYTES || 20 * 1024 * 1024);
+const MAX_CONTENT_LENGTH = Number(process.env.MAX_CONTENT_LENGTH || 32 * 1024); // 32KB default
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+function isValidUUID(value) {
+    return typeof value === 'string' && UUID_RE.test(value);
+}
+
+// ============ Rate Limiting ============
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60000); // 1 minute
+const RATE_LIMIT_MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX_REQUESTS || 30); // 30 requests per minute
+const rateLimitStore = new Map();
+
+/**
+ * Check if a user has exceeded the rate limit.
+ * @param {string} userId - The user ID
+ * @returns {boolean} True if rate limit exceeded
+ */
+function isRateLimited(userId) {
+    const now = Date.now();
+    const userRequests = rateLimitStore.get(userId) || [];
+    
+    // Filter to only requests within the window
+    const recentRequests = userRequests.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+    
+    if (recentRequests.length >= RATE_LIMIT_MAX_REQUESTS) {
+        return true;
+    }
+    
+    // Add current request and update store
+    recentRequests.push(now);
+    rateLimitStore.set(userId, recentRequests);
+    
+    return false;
+}
+
+// Clean up old rate limit entries periodically.
+// unref() prevents this interval from keeping the Node.js process alive on shutdown.
+setInterval(() => {
+    const now = Date.now();
+    for (const [userId, requests] of rateLimitStore.entries()) {
+        const recent = requests.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+        if (recent.length === 0) {
+            rateLimitStore.delete(userId);
+        } else {
+            rateLimitStore.set(userId, recent);
+        }
+    }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// ============ Error Sanitization ============
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Sanitize error message for client response.
+ * In production, hide internal details.
+ * @param {Error|string} error - The error
+ * @param {string} fallbackMessage - Message to show in production
+ * @returns {string} Sanitized error message
+ */
+function sanitizeErrorMessage(error, fallbackMessage = 'An error occurred') {
+    if (!IS_PRODUCTION) {
+        return error instanceof Error ? error.message : String(error);
+    }
+    // In production, only show generic messages
+    return fallbackMessage;
+}
+
+// ============ Attachments ============
+
+function extractBase64Data(data) {
+    if (typeof data !== 'string') return '';
+    if (data.startsWith('data:')) {
+        // Use regex to correctly handle data URLs (data.split(',')[1] breaks on embedded commas)
+        const match = data.match(/^data:[^;]+;base64,(.+)$/s);
+        return match ? match[1] : '';
+    }
+    return data;
+}
+
+function estimateBytesFromBase64(base64Data) {
+    if (!base64Data) return 0;
+    const padding = base64Data.endsWith('==') ? 2 : (base64Data.endsWith('=') ? 1 : 0);
+    return Math.floor((base64Data.length * 3) / 4) - padding;
+}
+
+function validateAndNormalizeAttachments(attachments) {
+    if (!attachments) return [];
+    if (!Array.isArray(attachments)) {
+        throw new Error('Attachments must be an array');
+    }
+    if (attachments.length > MAX_ATTACHMENTS) {
+        throw new Error(`Too many attachments (max ${MAX_ATTACHMENTS})`);
+    }
+
+    let totalBytes = 0;
+    const normalized = [];
+
+    for (const att of attachments) {
+        if (!att || typeof att !== 'object') {
+            throw new Error('Invalid attachment format');
+        }
+
+        const base64Data = extractBase64Data(att.data);
+        if (!base64Data) {
+            throw new Error('Attachment data is missing');
+        }
+
+        const bytes = estimateBytesFromBase64(base64Data);
+        if (bytes <= 0) {
+            throw new Error('Attachment data is invalid');
+        }
+        if (bytes > MAX_ATTACHMENT_SIZE_BYTES) {
+            throw new Error(`Attachment exceeds max size (${Math.round(MAX_ATTACHMENT_SIZE_BYTES / 1024 / 1024)}MB)`);
+        }
+
+        totalBytes += bytes;
+        if (totalBytes > MAX_TOTAL_ATTACHMENT_SIZE_BYTES) {
+            throw new Error(`Total attachment size exceeds ${Math.round(MAX_TOTAL_ATTACHMENT_SIZE_BYTES / 1024 / 1024)}MB`);
+        }
+
+        normalized.push({
+            name: typeof att.name === 'string' && att.name.trim() ? att.name.trim().slice(0, 255) : 'attachment',
+            type: typeof att.type === 'string' && att.type.trim() ? att.type.trim().slice(0, 100) : 'application/octet-stream',
+            data: base64Data
+        });
+    }
+
+    return normalized;
+}
+
+module.exports = {
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_SIZE_BYTES,
+    MAX_TOTAL_ATTACHMENT_SIZE_BYTES,
+    MAX_CONTENT_LENGTH,
+    isValidUUID,
+    isRateLimited,
+    sanitizeErrorMessage,
+    extractBase64Data,
+    estimateBytesFromBase64,
+    validateAndNormalizeAttachments
+};
@@ -0,0 +1,269 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+const { memoryService } = require('./memory-service');
+const { workspaceService } = require('./workspace-service');
+
+// Query terms used for keyword matching (longer queries are cut off)
+const MAX_QUERY_TERMS = 8;
+// Candidate messages per search method before grouping by conversation
+const MAX_CANDIDATES = 200;
+// Messages shorter than this are not embedded ("ok", "thanks")
+const MIN_EMBED_CHARS = 20;
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+// Errors of a database without a vector engine (SQLite: "no such function", HANA: "invalid name of function")
+const UNKNOWN_FUNCTION_RE = /no such function|invalid name of function|unknown function/i;
+const VECTOR_FUNCTION_RE = /\b(TO_REAL_VECTOR|COSINE_SIMILARITY)\b/i;
+
+/**
+ * Whether a database error means that vectors are not supported at all (as opposed to a failed
+ * embedding request or a transient database error)
+ */
+function isVectorEngineMissing(error) {
+    const message = error?.message || '';
+    return UNKNOWN_FUNCTION_RE.test(message) && VECTOR_FUNCTION_RE.test(message);
+}
+
+/**
+ * Lowercased, unique search terms of a query (at least 2 characters)
+ */
+function tokenizeQuery(query) {
+    const terms = (query || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= 2);
+    return [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Excerpt of a message around the first term match, with the positions of all matches
+ * in the excerpt (the UI highlights them; the text itself stays plain).
+ * @returns {{ text: string, highlights: Array<{ start: number, end: number }> }}
+ */
+function buildSnippet(content, terms, radius = SNIPPET_RADIUS) {
+    const text = (content || '').replace(/\s+/g, ' ').trim();
+    const lower = text.toLowerCase();
+
+    const first = terms
+        .map(term => lower.indexOf(term))
+        .filter(index => index !== -1)
+        .sort((a, b) => a - b)[0];
+
+    let start = 0;
+    let end = Math.min(text.length, radius * 2);
+    if (first !== undefined) {
+        start = Math.max(0, first - radius);
+        end = Math.min(text.length, first + radius);
+    }
+    // Do not cut words at the edges
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < (first ?? end)) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > start) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const excerpt = text.slice(start, end);
+    const lowerExcerpt = excerpt.toLowerCase();
+
+    const highlights = [];
+    for (const term of terms) {
+        let index = lowerExcerpt.indexOf(term);
+        while (index !== -1) {
+            highlights.push({ start: prefix.length + index, end: prefix.length + index + term.length });
+            index = lowerExcerpt.indexOf(term, index + term.length);
+        }
+    }
+    highlights.sort((a, b) => a.start - b.start);
+
+    // Merge overlapping matches (e.g. terms "data" and "database")
+    const merged = [];
+    for (const h of highlights) {
+        const last = merged[merged.length - 1];
+        if (last && h.start <= last.end) {
+            last.end = Math.max(last.end, h.end);
+        } else {
+            merged.push({ ...h });
+        }
+    }
+
+    return { text: `${prefix}${excerpt}${suffix}`, highlights: merged };
+}
+
+/**
+ * Search Service
+ * Finds conversations by their messages: keyword matching over Messages.content combined with
+ * vector similarity of message embeddings (HANA COSINE_SIMILARITY, like memory-service.js).
+ * Searches all conversations the user can read (personal and workspaces).
+ */
+class SearchService {
+    constructor() {
+        // Minimum cosine similarity for a message to count as a semantic match
+        this.minSimilarity = parseFloat(process.env.SEARCH_MIN_SIMILARITY || '0.5');
+        // Set to false once the database turns out to have no vector engine (e.g. SQLite in development)
+        this.vectorsAvailable = true;
+    }
+
+    // ─── Indexing ─────────────────────────────────────────────────────────────
+
+    /**
+     * Embed and store a message for semantic search (errors are logged, not thrown)
+     * @param {object} message - { messageId, conversationId, content }
+     */
+    async indexMessage({ messageId, conversationId, content }) {
+        if (!this.vectorsAvailable || !content || content.trim().length < MIN_EMBED_CHARS) return;
+
+        try {
+            const embedding = await memoryService.embedText(content);
+            if (!embedding) return;
+
+            const db = await cds.connect.to('db');
+            // Embedding literal is inlined (not bound as ?), see MemoryService.retrieveRelevantMemories
+            const embeddingStr = `[${embedding.join(',')}]`;
+            const now = new Date().toISOString();
+            await db.run(
+                `INSERT INTO "AI_CHAT_MESSAGEEMBEDDINGS" ("ID", "MESSAGE_ID", "CONVERSATION_ID", "EMBEDDING", "CREATEDAT", "MODIFIEDAT")
+                 VALUES (?, ?, ?, TO_REAL_VECTOR('${embeddingStr}'), ?, ?)`,
+                [uuidv4(), messageId, conversationId, now, now]
+            );
+        } catch (error) {
+            if (isVectorEngineMissing(error)) {
+                console.warn('No vector engine, search falls back to keywords:', error.message);
+                this.vectorsAvailable = false;
+            } else {
+                console.warn(`Message ${messageId} could not be embedded for search:`, error.message);
+            }
+        }
+    }
+
+    // ─── Search ───────────────────────────────────────────────────────────────
+
+    /**
+     * Conversations of the user matching a query, best match first, each with the best matching message
+     * @returns {Promise<Array<{ conversationId, title, workspaceId, messageId, role, createdAt, snippet, match, score }>>}
+     */
+    async search(userId, query, limit = 20) {
+        const terms = tokenizeQuery(query);
+        if (terms.length === 0) return [];
+
+        const db = await cds.connect.to('db');
+        const conversations = await db.run(
+            SELECT.from('ai.chat.Conversations')
+                .where(await workspaceService.conversationScope(userId))
+                .columns('ID', 'title', 'workspace_ID')
+        );
+        if (conversations.length === 0) return [];
+        const conversationIds = conversations.map(c => c.ID);
+
+        const [keywordHits, semanticHits] = await Promise.all([
+            this._keywordSearch(db, conversationIds, terms),
+            this._semanticSearch(db, conversationIds, query)
+        ]);
+
+        // Score = share of query terms in the message + similarity of its embedding
+        const candidates = new Map();
+        for (const message of keywordHits) {
+            const lower = message.content.toLowerCase();
+            const matched = terms.filter(term => lower.includes(term)).length;
+            candidates.set(message.ID, { message, keyword: matched / terms.length, similarity: 0 });
+        }
+        for (const { message, similarity } of semanticHits) {
+            const candidate = candidates.get(message.ID) || { message, keyword: 0, similarity: 0 };
+            candidate.similarity = similarity;
+            candidates.set(message.ID, candidate);
+        }
+
+        const best = new Map();
+        for (const candidate of candidates.values()) {
+            const score = candidate.keyword + candidate.similarity;
+            const current = best.get(candidate.message.conversation_ID);
+            if (!current || score > current.score) {
+                best.set(candidate.message.conversation_ID, { ...candidate, score });
+            }
+        }
+
+        const byId = new Map(conversations.map(c => [c.ID, c]));
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ message, keyword, similarity, score }) => {
+                const conversation = byId.get(message.conversation_ID);
+                return {
+                    conversationId: conversation.ID,
+                    title: conversation.title,
+                    workspaceId: conversation.workspace_ID || null,
+                    messageId: message.ID,
+                    role: message.role,
+                    createdAt: message.createdAt,
+                    snippet: buildSnippet(message.content, terms),
+                    match: keyword > 0 && similarity > 0 ? 'both' : keyword > 0 ? 'keyword' : 'semantic',
+                    score: Math.round(score * 1000) / 1000
+                };
+            });
+    }
+
+    /**
+     * Messages containing any of the terms (case-insensitive), newest first
+     */
+    async _keywordSearch(db, conversationIds, terms) {
+        const anyTerm = [];
+        for (const term of terms) {
+            if (anyTerm.length > 0) anyTerm.push('or');
+            anyTerm.push({ func: 'tolower', args: [{ ref: ['content'] }] }, 'like', { val: `%${term}%` });
+        }
+        return db.run(
+            SELECT.from('ai.chat.Messages')
+                .where({ conversation_ID: { in: conversationIds } })
+                .and({ xpr: anyTerm })
+                .columns('ID', 'conversation_ID', 'role', 'content', 'createdAt')
+                .orderBy('createdAt desc')
+                .limit(MAX_CANDIDATES)
+        );
+    }
+
+    /**
+     * Messages whose embedding is similar to the query's (empty without a vector engine)
+     * @returns {Promise<Array<{ message, similarity }>>}
+     */
+    async _semanticSearch(db, conversationIds, query) {
+        if (!this.vectorsAvailable) return [];
+
+        try {
+            const embedding = await memoryService.embedText(query);
+            if (!embedding) return [];
+
+            const embeddingStr = `[${embedding.join(',')}]`;
+            const rows = await db.run(
+                `SELECT TOP ${MAX_CANDIDATES} "MESSAGE_ID", COSINE_SIMILARITY("EMBEDDING", TO_REAL_VECTOR('${embeddingStr}')) AS score
+                 FROM "AI_CHAT_MESSAGEEMBEDDINGS"
+                 WHERE "CONVERSATION_ID" IN (${conversationIds.map(() => '?').join(', ')}) AND "EMBEDDING" IS NOT NULL
+                 ORDER BY score DESC`,
+                conversationIds
+            );
+            const scores = new Map();
+            for (const row of rows || []) {
+                const score = Number(row.SCORE ?? row.score);
+                if (score >= this.minSimilarity) {
+                    scores.set(row.MESSAGE_ID ?? row.message_ID, score);
+                }
+            }
+            if (scores.size === 0) return [];
+
+            const messages = await db.run(
+                SELECT.from('ai.chat.Messages')
+                    .where({ ID: { in: [...scores.keys()] } })
+                    .columns('ID', 'conversation_ID', 'role', 'content', 'createdAt')
+            );
+            return messages.map(message => ({ message, similarity: scores.get(message.ID) }));
+        } catch (error) {
+            console.error('Message vector search error, using keyword results only:', error.message);
+            if (isVectorEngineMissing(error)) this.vectorsAvailable = false;
+            return [];
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = { SearchService, searchService: new SearchService(), tokenizeQuery, buildSnippet, isVectorEngineMissing };
@@ -3,7 +3,24 @@ const { v4: uuidv4 } = require('uuid');
 const xsenv = require('@sap/xsenv');
 const xssec = require('@sap/xssec');
 const { memoryService } = require('./memory-service');
-const { getSharedAiCoreClient, truncateMessageContent } = require('./ai-core-client');
+const { collectionService } = require('./collection-service');
+const { shareService } = require('./share-service');
+const { workspaceService, ROLES, hasPermission } = require('./workspace-service');
+const { searchService } = require('./search-service');
+const { labelService, normalizeTags, MAX_FOLDER_NAME_LENGTH } = require('./label-service');
+const { trashService } = require('./trash-service');
+const { importService } = require('./import-service');
+const { personaService, MAX_PERSONA_NAME_LENGTH, MAX_SYSTEM_PROMPT_LENGTH } = require('./persona-service');
+const { promptTemplateService, TEMPLATE_NAME_RE, MAX_TEMPLATE_NAME_LENGTH, MAX_TEMPLATE_CONTENT_LENGTH } = require('./prompt-template-service');
+const { EXPORT_FORMATS, renderExport } = require('./conversation-export');
+const { getAiCoreClient } = require('./ai-core-client');
+const { getModelCatalog, findModel, resolveModel, describeModel } = require('./model-catalog');
+const { normalizeParentLinks, getBranchPath, getLatestLeaf } = require('./message-tree');
+const { getToolRegistry } = require('./tool-registry');
+const { streamRegistry } = require('./stream-registry');
+const { isValidUUID, extractBase64Data, estimateBytesFromBase64, validateAndNormalizeAttachments } = require('./request-validation');
+const { chatOrchestrator, SseSink, WsSink, sendWs, readAttachmentContent, extractAttachmentText, STREAM_SAVE_INTERVAL_MS } = require('./chat-orchestrator');
+const { connectMcpServers, closeMcpServers } = require('./mcp-client');
 
 // Try to load WebSocket, but don't fail if not available
 let WebSocket;
@@ -13,15 +30,8 @@ try {
     // WebSocket module not available
 }
 
-const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-function isValidUUID(value) {
-    return typeof value === 'string' && UUID_RE.test(value);
-}
-
-const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS || 5);
-const MAX_ATTACHMENT_SIZE_BYTES = Number(process.env.MAX_ATTACHMENT_SIZE_BYTES || 5 * 1024 * 1024);
-const MAX_TOTAL_ATTACHMENT_SIZE_BYTES = Number(process.env.MAX_TOTAL_ATTACHMENT_SIZE_BYTES || 20 * 1024 * 1024);
-const MAX_CONTENT_LENGTH = Number(process.env.MAX_CONTENT_LENGTH || 32 * 1024); // 32KB default
+// Uploaded ChatGPT/Claude export archives (the JSON body limit is 50mb, base64 adds a third)
+const MAX_IMPORT_SIZE_BYTES = Number(process.env.MAX_IMPORT_SIZE_BYTES || 35 * 1024 * 1024);
 
 // ============ CORS Configuration ============
 const CORS_ALLOWED_ORIGINS = new Set(
@@ -46,66 +56,6 @@ if (process.env.VCAP_APPLICATION) {
     }
 }
 
-// ============ Rate Limiting ============
-const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60000); // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX_REQUESTS || 30); // 30 requests per minute
-const rateLimitStore = new Map();
-
-/**
- * Check if a user has exceeded the rate limit.
- * @param {string} userId - The user ID
- * @returns {boolean} True if rate limit exceeded
- */
-function isRateLimited(userId) {
-    const now = Date.now();
-    const userRequests = rateLimitStore.get(userId) || [];
-    
-    // Filter to only requests within the window
-    const recentRequests = userRequests.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
-    
-    if (recentRequests.length >= RATE_LIMIT_MAX_REQUESTS) {
-        return true;
-    }
-    
-    // Add current request and update store
-    recentRequests.push(now);
-    rateLimitStore.set(userId, recentRequests);
-    
-    return false;
-}
-
-// Clean up old rate limit entries periodically.
-// unref() prevents this interval from keeping the Node.js process alive on shutdown.
-setInterval(() => {
-    const now = Date.now();
-    for (const [userId, requests] of rateLimitStore.entries()) {
-        const recent = requests.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
-        if (recent.length === 0) {
-            rateLimitStore.delete(userId);
-        } else {
-            rateLimitStore.set(userId, recent);
-        }
-    }
-}, RATE_LIMIT_WINDOW_MS).unref();
-
-// ============ Error Sanitization ============
-const IS_PRODUCTION = process.env.NODE_ENV === 'production';
-
-/**
- * Sanitize error message for client response.
- * In production, hide internal details.
- * @param {Error|string} error - The error
- * @param {string} fallbackMessage - Message to show in production
- * @returns {string} Sanitized error message
- */
-function sanitizeErrorMessage(error, fallbackMessage = 'An error occurred') {
-    if (!IS_PRODUCTION) {
-        return error instanceof Error ? error.message : String(error);
-    }
-    // In production, only show generic messages
-    return fallbackMessage;
-}
-
 // ============ Auth Helpers ============
 
 let _xsuaaService;
@@ -151,65 +101,88 @@ function decodeUserFromToken(token) {
     }
 }
 
-function extractBase64Data(data) {
-    if (typeof data !== 'string') return '';
-    if (data.startsWith('data:')) {
-        // Use regex to correctly handle data URLs (data.split(',')[1] breaks on embedded commas)
-        const match = data.match(/^data:[^;]+;base64,(.+)$/s);
-        return match ? match[1] : '';
+/**
+ * Validate name/description of a collection; returns an error message or null
+ */
+function validateCollectionFields({ name, description }, requireName) {
+    if ((requireName || name !== undefined) && (typeof name !== 'string' || name.trim().length === 0)) {
+        return 'Name is required';
     }
-    return data;
-}
-
-function estimateBytesFromBase64(base64Data) {
-    if (!base64Data) return 0;
-    const padding = base64Data.endsWith('==') ? 2 : (base64Data.endsWith('=') ? 1 : 0);
-    return Math.floor((base64Data.length * 3) / 4) - padding;
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return 'Description must be a string';
+    }
+    return null;
 }
 
-function validateAndNormalizeAttachments(attachments) {
-    if (!attachments) return [];
-    if (!Array.isArray(attachments)) {
-        throw new Error('Attachments must be an array');
+/**
+ * Validate the fields of a persona and normalize the given ones (partial updates leave
+ * the others out); returns { error } or { fields }
+ */
+function validatePersonaFields(body, requireName) {
+    const { name, description, systemPrompt, model, temperature, tools } = body || {};
+    const fields = {};
+    if (requireName || name !== undefined) {
+        if (typeof name !== 'string' || name.trim().length === 0) return { error: 'Name is required' };
+        fields.name = name.trim().substring(0, MAX_PERSONA_NAME_LENGTH);
     }
-    if (attachments.length > MAX_ATTACHMENTS) {
-        throw new Error(`Too many attachments (max ${MAX_ATTACHMENTS})`);
+    if (description !== undefined) {
+        if (description !== null && typeof description !== 'string') return { error: 'Description must be a string' };
+        fields.description = description?.trim().substring(0, 500) || null;
     }
-
-    let totalBytes = 0;
-    const normalized = [];
-
-    for (const att of attachments) {
-        if (!att || typeof att !== 'object') {
-            throw new Error('Invalid attachment format');
-        }
-
-        const base64Data = extractBase64Data(att.data);
-        if (!base64Data) {
-            throw new Error('Attachment data is missing');
+    if (systemPrompt !== undefined) {
+        if (systemPrompt !== null && typeof systemPrompt !== 'string') return { error: 'System prompt must be a string' };
+        if (systemPrompt && systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+            return { error: `System prompt exceeds ${MAX_SYSTEM_PROMPT_LENGTH} characters` };
         }
-
-        const bytes = estimateBytesFromBase64(base64Data);
-        if (bytes <= 0) {
-            throw new Error('Attachment data is invalid');
+        fields.systemPrompt = systemPrompt?.trim() || null;
+    }
+    if (model !== undefined) {
+        if (model && !findModel(model)) return { error: 'Unknown model' };
+        fields.model = model || null;
+    }
+    if (temperature !== undefined) {
+        if (temperature !== null && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 1)) {
+            return { error: 'Temperature must be a number between 0 and 1' };
         }
-        if (bytes > MAX_ATTACHMENT_SIZE_BYTES) {
-            throw new Error(`Attachment exceeds max size (${Math.round(MAX_ATTACHMENT_SIZE_BYTES / 1024 / 1024)}MB)`);
+        fields.temperature = temperature;
+    }
+    if (tools !== undefined) {
+        if (tools !== null && (!Array.isArray(tools) || tools.some(t => typeof t !== 'string'))) {
+            return { error: 'Tools must be an array of tool names (null = all tools)' };
         }
+        fields.tools = tools && [...new Set(tools)];
+    }
+    return { fields };
+}
 
-        totalBytes += bytes;
-        if (totalBytes > MAX_TOTAL_ATTACHMENT_SIZE_BYTES) {
-            throw new Error(`Total attachment size exceeds ${Math.round(MAX_TOTAL_ATTACHMENT_SIZE_BYTES / 1024 / 1024)}MB`);
+/**
+ * Validate the fields of a prompt template and normalize the given ones (partial updates
+ * leave the others out); returns { error } or { fields }
+ */
+function validatePromptTemplateFields(body, requireAll) {
+    const { name, description, content } = body || {};
+    const fields = {};
+    if (requireAll || name !== undefined) {
+        if (typeof name !== 'string') return { error: 'Name is required' };
+        // Accept the command as typed, e.g. "/Review"
+        const command = name.trim().replace(/^\//, '').toLowerCase();
+        if (!command || command.length > MAX_TEMPLATE_NAME_LENGTH || !TEMPLATE_NAME_RE.test(command)) {
+            return { error: `Name must be 1-${MAX_TEMPLATE_NAME_LENGTH} lowercase letters, digits, '-' or '_'` };
         }
-
-        normalized.push({
-            name: typeof att.name === 'string' && att.name.trim() ? att.name.trim().slice(0, 255) : 'attachment',
-            type: typeof att.type === 'string' && att.type.trim() ? att.type.trim().slice(0, 100) : 'application/octet-stream',
-            data: base64Data
-        });
+        fields.name = command;
     }
-
-    return normalized;
+    if (description !== undefined) {
+        if (description !== null && typeof description !== 'string') return { error: 'Description must be a string' };
+        fields.description = description?.trim().substring(0, 500) || null;
+    }
+    if (requireAll || content !== undefined) {
+        if (typeof content !== 'string' || content.trim().length === 0) return { error: 'Prompt text is required' };
+        if (content.length > MAX_TEMPLATE_CONTENT_LENGTH) {
+            return { error: `Prompt text exceeds ${MAX_TEMPLATE_CONTENT_LENGTH} characters` };
+        }
+        fields.content = content.trim();
+    }
+    return { fields };
 }
 
 function userFromPayload(payload) {
@@ -269,225 +242,233 @@ async function authMiddleware(req, res, next) {
     }
 }
 
-// ============ Shared Chat Logic ============
+// ============ Route Helpers ============
 
 /**
- * Save attachments for a message.
+ * Conversation :id if the request's user has the permission on it, or null after sending a 400/403/404 response
+ * @param {string} permission - 'read' | 'write' | 'manage' (see workspace-service.js)
+ * @param {object} [options] - { trashed: true } for a conversation in the trash
  */
-async function saveAttachments(db, attachments, messageId) {
-    for (const att of attachments) {
-        const attachmentId = uuidv4();
-        const contentBuffer = att.data ? Buffer.from(att.data, 'base64') : null;
-
-        await db.run(INSERT.into('ai.chat.MessageAttachments').entries({
-            ID: attachmentId,
-            message_ID: messageId,
-            filename: att.name || 'attachment',
-            mimeType: att.type || 'application/octet-stream',
-            content: contentBuffer,
-            status: 'Clean',
-            createdAt: new Date().toISOString(),
-            modifiedAt: new Date().toISOString()
-        }));
+async function findAccessibleConversation(req, res, permission, options) {
+    const conversationId = req.params.id;
+    if (!isValidUUID(conversationId)) {
+        res.status(400).json({ error: 'Invalid conversation ID format' });
+        return null;
+    }
+    const access = await workspaceService.checkConversationAccess(conversationId, req.user.id, permission, options);
+    if (access.error) {
+        res.status(access.status).json({ error: access.error });
+        return null;
     }
+    return access.conversation;
 }
 
 /**
- * Build the AI messages array from conversation history and current attachments/memories.
- * Truncates large messages to prevent token limit errors.
+ * Role of the request's user in workspace :id, or null after sending a 400/403/404 response
+ * @param {string} permission - 'read' (any member) or 'manage' (owners)
  */
-async function buildAiMessages(db, userId, conversationId, content, attachments) {
-    const messages = await db.run(
-        SELECT.from('ai.chat.Messages')
-            .where({ conversation_ID: conversationId })
-            .orderBy('createdAt asc')
-            .limit(20)
-    );
-
-    // Truncate large messages in conversation history to prevent token overflow
-    const aiMessages = messages.map(msg => ({
-        role: msg.role,
-        content: truncateMessageContent(msg.content, msg.role)
-    }));
-
-    // Attach current message's files to the last user message
-    if (attachments && attachments.length > 0) {
-        const lastUserMsg = aiMessages[aiMessages.length - 1];
-        if (lastUserMsg && lastUserMsg.role === 'user') {
-            lastUserMsg.attachments = attachments;
-        }
+async function findWorkspaceRole(req, res, permission) {
+    if (!isValidUUID(req.params.id)) {
+        res.status(400).json({ error: 'Invalid workspace ID format' });
+        return null;
+    }
+    const role = await workspaceService.getMemberRole(req.params.id, req.user.id);
+    if (!role) {
+        res.status(404).json({ error: 'Workspace not found or access denied' });
+        return null;
+    }
+    if (!hasPermission(role, permission)) {
+        res.status(403).json({ error: 'Only workspace owners can do this' });
+        return null;
     }
+    return role;
+}
 
-    // Retrieve relevant memories and inject into system prompt
-    let systemPromptAddition = '';
+/**
+ * Add a member to workspace :id or change the role of one (owners only); responds with the member list
+ */
+async function setWorkspaceMember(req, res, memberId) {
     try {
-        const relevantMemories = await memoryService.retrieveRelevantMemories(userId, content || '');
-        systemPromptAddition = memoryService.formatMemoriesForPrompt(relevantMemories);
-        if (systemPromptAddition) {
-            console.log(`Injecting ${relevantMemories.length} memories into system prompt for user ${userId}`);
+        const { role } = req.body;
+        if (typeof memberId !== 'string' || memberId.trim().length === 0 || memberId.length > 255) {
+            return res.status(400).json({ error: 'userId is required' });
         }
-    } catch (memError) {
-        console.error('Error retrieving memories:', memError);
-    }
-
-    if (systemPromptAddition) {
-        aiMessages.unshift({
-            role: 'system',
-            content: `You are a helpful AI Assistant.${systemPromptAddition}`
-        });
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        if (!await findWorkspaceRole(req, res, 'manage')) return;
+        const result = await workspaceService.setMember(req.params.id, memberId.trim(), role);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ members: await workspaceService.listMembers(req.params.id) });
+    } catch (error) {
+        console.error('Error updating workspace member:', error);
+        res.status(500).json({ error: 'Failed to update workspace member' });
     }
-
-    return aiMessages;
 }
 
 /**
- * Generate a conversation title from available sources.
+ * Attachment metadata plus its content as data URL (data is null if the content cannot be read)
  */
-function generateTitle(content, attachments, fullContent) {
-    let titleSource = '';
-
-    if (content && content.trim()) {
-        titleSource = content.trim();
-    } else if (attachments && attachments.length > 0) {
-        const attachmentNames = attachments.map(a => a.name).filter(n => n);
-        if (attachmentNames.length > 0) {
-            titleSource = attachmentNames.length === 1
-                ? attachmentNames[0]
-                : `${attachmentNames[0]} (+${attachmentNames.length - 1} more)`;
+async function attachmentWithContent(db, attachment) {
+    let contentData = null;
+    try {
+        const buffer = await readAttachmentContent(db, attachment.ID);
+        if (buffer) {
+            contentData = `data:${attachment.mimeType};base64,${buffer.toString('base64')}`;
         }
-    }
-    if (!titleSource && fullContent) {
-        const firstLine = fullContent.split('\n')[0].trim();
-        titleSource = firstLine.replace(/^#+\s*/, '').trim();
+    } catch (e) {
+        console.error('Failed to retrieve attachment content:', e.message);
     }
 
-    if (!titleSource) return null;
-    return titleSource.substring(0, 50) + (titleSource.length > 50 ? '...' : '');
+    return {
+        ID: attachment.ID,
+        name: attachment.filename,
+        type: attachment.mimeType,
+        data: contentData
+    };
 }
 
 /**
- * Parse streaming SSE chunks from AI Core and extract text deltas.
+ * Sources stored with an assistant message (Messages.sources, JSON), [] if none or unreadable
  */
-function parseStreamChunk(buffer, isAnthropic) {
-    const deltas = [];
-    const events = [];
-    const lines = buffer.split('\n');
-    const remaining = lines.pop() || '';
-
-    for (const line of lines) {
-        if (line.startsWith('data: ')) {
-            const data = line.slice(6).trim();
-            if (data === '[DONE]' || data === '') continue;
-
-            try {
-                const json = JSON.parse(data);
-                let delta = null;
-
-                if (isAnthropic) {
-                    if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
-                        delta = json.delta.text;
-                    } else if (json.type === 'web_search_start') {
-                        events.push(json);
-                    }
-                } else {
-                    delta = json.choices?.[0]?.delta?.content;
-                }
+function parseSources(value) {
+    if (!value) return [];
+    try {
+        const sources = JSON.parse(value);
+        return Array.isArray(sources) ? sources : [];
+    } catch {
+        return [];
+    }
+}
 
-                if (delta) deltas.push(delta);
-            } catch {
-                // Ignore parse errors for incomplete chunks
-            }
+/**
+ * Export document of a conversation (see conversation-export.js): its metadata and the messages
+ * of the latest branch, with the attachments' base64 content if embedAttachments is set
+ */
+async function loadConversationExport(db, conversation, userId, { embedAttachments = false } = {}) {
+    const rows = await db.run(
+        SELECT.from('ai.chat.Messages')
+            .where({ conversation_ID: conversation.ID })
+            .columns('ID', 'parent_ID', 'role', 'userId', 'content', 'sources', 'createdAt')
+    );
+    const messages = normalizeParentLinks(rows);
+    const path = getBranchPath(messages, getLatestLeaf(messages)?.ID);
+
+    const attachments = path.length > 0
+        ? await db.run(
+            SELECT.from('ai.chat.MessageAttachments')
+                .where({ message_ID: { in: path.map(m => m.ID) } })
+                .columns('ID', 'message_ID', 'filename', 'mimeType')
+        )
+        : [];
+    if (embedAttachments) {
+        for (const attachment of attachments) {
+            const buffer = await readAttachmentContent(db, attachment.ID).catch(() => null);
+            attachment.data = buffer ? buffer.toString('base64') : null;
         }
     }
 
-    return { deltas, events, remaining };
+    const workspace = conversation.workspace_ID
+        ? await db.run(SELECT.one.from('ai.chat.Workspaces').where({ ID: conversation.workspace_ID }).columns('name'))
+        : null;
+
+    return {
+        conversationId: conversation.ID,
+        title: conversation.title,
+        model: resolveModel(conversation.model)?.name || conversation.model || null,
+        workspace: workspace?.name || null,
+        createdAt: conversation.createdAt,
+        modifiedAt: conversation.modifiedAt,
+        exportedAt: new Date().toISOString(),
+        exportedBy: userId,
+        messages: path.map(msg => ({
+            ID: msg.ID,
+            role: msg.role,
+            author: msg.role === 'user' ? msg.userId || null : null,
+            content: msg.content || '',
+            createdAt: msg.createdAt,
+            sources: parseSources(msg.sources),
+            attachments: attachments
+                .filter(a => a.message_ID === msg.ID)
+                .map(({ message_ID: _message, ...a }) => a)
+        }))
+    };
 }
 
-function closeAiStream(stream) {
-    if (!stream) return;
-    if (typeof stream.destroy === 'function') {
-        stream.destroy();
-        return;
-    }
-    if (typeof stream.abort === 'function') {
-        stream.abort();
-        return;
-    }
-    if (typeof stream.close === 'function') {
-        stream.close();
+// ============ Live Conversation Updates ============
+// Sockets viewing a conversation (WS "subscribe") are told when other members change it,
+// so workspace members see each other's messages without reloading.
+const conversationSubscribers = new Map(); // conversationId -> Set<ws>
+
+function subscribeToConversation(ws, conversationId) {
+    unsubscribeFromConversations(ws);
+    if (!conversationSubscribers.has(conversationId)) {
+        conversationSubscribers.set(conversationId, new Set());
     }
+    conversationSubscribers.get(conversationId).add(ws);
 }
 
-function sendWs(ws, payload) {
-    if (!WebSocket || !ws || ws.readyState !== WebSocket.OPEN) {
-        return false;
+function unsubscribeFromConversations(ws) {
+    for (const [conversationId, sockets] of conversationSubscribers) {
+        sockets.delete(ws);
+        if (sockets.size === 0) {
+            conversationSubscribers.delete(conversationId);
+        }
     }
-    try {
-        ws.send(JSON.stringify(payload));
-        return true;
-    } catch (error) {
-        console.error('WebSocket send error:', error);
-        return false;
+}
+
+/**
+ * Send a conversation_updated event to all subscribers of a conversation
+ * @param {object} event - { reason, userId, messageId? }
+ * @param {object} [exceptWs] - The socket that caused the change (already up to date)
+ */
+function broadcastConversationEvent(conversationId, event, exceptWs = null) {
+    const sockets = conversationSubscribers.get(conversationId);
+    if (!sockets) return;
+    for (const ws of sockets) {
+        if (ws !== exceptWs) {
+            sendWs(ws, { type: 'conversation_updated', conversationId, ...event });
+        }
     }
 }
 
-function sendSse(res, payload) {
-    if (!res || res.writableEnded || res.destroyed) {
-        return false;
+// Messages started and completed by the chat orchestrator (origin = the requesting socket)
+chatOrchestrator.on('conversation_updated', broadcastConversationEvent);
+
+// ============ Background Jobs ============
+// Answers started with background: true are not followed by a client; when one finishes, all
+// WebSockets of the user who started it get a job_completed event (the sidebar shows a badge).
+const userSockets = new Map(); // userId -> Set<ws>
+
+function addUserSocket(ws, userId) {
+    if (!userSockets.has(userId)) {
+        userSockets.set(userId, new Set());
     }
-    try {
-        res.write(`data: ${JSON.stringify(payload)}\n\n`);
-        return true;
-    } catch (error) {
-        console.error('SSE send error:', error);
-        return false;
+    userSockets.get(userId).add(ws);
+}
+
+function removeUserSocket(ws, userId) {
+    const sockets = userSockets.get(userId);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+        userSockets.delete(userId);
     }
 }
 
 /**
- * Process post-stream tasks: save assistant message, update title, extract memories.
+ * Send an event to every WebSocket of a user
  */
-async function processStreamEnd(db, { assistantMessageId, conversationId, conversation, content, attachments, fullContent, userId }) {
-    // Save assistant message
-    await db.run(INSERT.into('ai.chat.Messages').entries({
-        ID: assistantMessageId,
-        conversation_ID: conversationId,
-        role: 'assistant',
-        content: fullContent,
-        createdAt: new Date().toISOString(),
-        modifiedAt: new Date().toISOString()
-    }));
-
-    // Update conversation title if it's still the default
-    const needsTitleUpdate = !conversation.title ||
-        conversation.title === 'New Conversation' ||
-        conversation.title === 'New Chat';
-
-    if (needsTitleUpdate) {
-        const title = generateTitle(content, attachments, fullContent);
-        if (title) {
-            await db.run(
-                UPDATE('ai.chat.Conversations')
-                    .set({ title, modifiedAt: new Date().toISOString() })
-                    .where({ ID: conversationId })
-            );
-        }
+function notifyUser(userId, payload) {
+    for (const ws of userSockets.get(userId) || []) {
+        sendWs(ws, payload);
     }
-
-    // Process memory extraction asynchronously
-    Promise.resolve().then(async () => {
-        try {
-            const recentMessages = [
-                { role: 'user', content },
-                { role: 'assistant', content: fullContent }
-            ];
-            await memoryService.processConversationTurn(userId, conversationId, recentMessages);
-        } catch (memError) {
-            console.error('Error processing memories:', memError);
-        }
-    }).catch(err => console.error('Unhandled memory processing error:', err));
 }
 
+chatOrchestrator.on('job_completed', notifyUser);
+
 // ============ Server Bootstrap ============
 
 cds.on('bootstrap', (app) => {
@@ -527,175 +508,42 @@ cds.on('served', async () => {
     const app = cds.app;
 
     // --- Streaming chat endpoint (SSE) ---
-    app.post('/api/chat/stream', authMiddleware, async (req, res) => {
-        try {
-            const { conversationId, content, attachments } = req.body;
-            const userId = req.user.id;
-
-            // Rate limiting check
-            if (isRateLimited(userId)) {
-                return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
-            }
-
-            let normalizedAttachments = [];
-
-            try {
-                normalizedAttachments = validateAndNormalizeAttachments(attachments);
-            } catch (validationError) {
-                return res.status(400).json({ error: validationError.message });
-            }
-
-            if (!conversationId || (!content && normalizedAttachments.length === 0)) {
-                return res.status(400).json({ error: 'Missing conversationId or content' });
-            }
-            if (!isValidUUID(conversationId)) {
-                return res.status(400).json({ error: 'Invalid conversationId format' });
-            }
-            if (content && content.length > MAX_CONTENT_LENGTH) {
-                return res.status(400).json({ error: `Message too long (max ${MAX_CONTENT_LENGTH} characters)` });
-            }
-
-            const db = await cds.connect.to('db');
-
-            // Verify conversation ownership
-            const conversation = await db.run(
-                SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId, userId })
-            );
-            if (!conversation) {
-                return res.status(404).json({ error: 'Conversation not found or access denied' });
-            }
-
-            // Save user message
-            const userMessage = {
-                ID: uuidv4(),
-                conversation_ID: conversationId,
-                role: 'user',
-                content: content,
-                createdAt: new Date().toISOString(),
-                modifiedAt: new Date().toISOString()
-            };
-            await db.run(INSERT.into('ai.chat.Messages').entries(userMessage));
-
-            if (normalizedAttachments.length > 0) {
-                await saveAttachments(db, normalizedAttachments, userMessage.ID);
-            }
-
-            const aiMessages = await buildAiMessages(db, userId, conversationId, content, normalizedAttachments);
-
-            // Set up SSE headers
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            res.setHeader('X-Accel-Buffering', 'no');
-            res.flushHeaders();
-
-            if (!sendSse(res, { type: 'user_message', id: userMessage.ID })) {
-                if (!res.writableEnded) {
-                    res.end();
-                }
-                return;
-            }
-
-            const assistantMessageId = uuidv4();
-            if (!sendSse(res, { type: 'assistant_start', id: assistantMessageId })) {
-                if (!res.writableEnded) {
-                    res.end();
-                }
-                return;
-            }
+    // With background: true the answer is generated as a background job: the response is
+    // 202 with the message IDs, and job_completed is sent over /ws/chat when it is done.
+    app.post('/api/chat/stream', authMiddleware, (req, res) =>
+        chatOrchestrator.chat(new SseSink(res), req.user, req.body));
+
+    // --- Resume an answer (SSE) ---
+    // Re-sends the events after Last-Event-ID (header, or lastEventId query parameter) of an answer
+    // that is being generated or finished less than STREAM_RETENTION_MS ago, then follows it live.
+    app.get('/api/chat/stream/:messageId', authMiddleware, (req, res) =>
+        chatOrchestrator.resume(new SseSink(res), req.user, {
+            messageId: req.params.messageId,
+            lastEventId: req.get('Last-Event-ID') ?? req.query.lastEventId
+        }));
 
-            const client = getSharedAiCoreClient();
-            let fullContent = '';
-            const isAnthropic = client.modelType === 'anthropic';
-            let stream;
-            let isClosed = false;
-            let detachCloseListeners = () => {};
+    // --- Stop an answer ---
+    // Aborts the generation and saves the partial answer with status 'stopped'; responds with
+    // { id, status } once it is saved.
+    app.post('/api/chat/stream/:messageId/cancel', authMiddleware, (req, res) =>
+        chatOrchestrator.cancel(new SseSink(res), req.user, { messageId: req.params.messageId }));
 
-            try {
-                stream = await client.chatStream(aiMessages);
-                let buffer = '';
-                const cancelUpstream = () => {
-                    if (isClosed) return;
-                    isClosed = true;
-                    detachCloseListeners();
-                    closeAiStream(stream);
-                };
-                const onReqAborted = () => cancelUpstream();
-                const onResClose = () => cancelUpstream();
-                detachCloseListeners = () => {
-                    req.off('aborted', onReqAborted);
-                    res.off('close', onResClose);
-                };
-                req.on('aborted', onReqAborted);
-                res.on('close', onResClose);
-
-                stream.on('data', (chunk) => {
-                    if (isClosed) return;
-                    buffer += chunk.toString();
-                    const { deltas, events, remaining } = parseStreamChunk(buffer, isAnthropic);
-                    buffer = remaining;
-
-                    for (const event of events) {
-                        sendSse(res, event);
-                    }
+    // --- Background jobs ---
+    // The user's background answers: running ones, and those finished within JOB_RETENTION_MS
+    app.get('/api/chat/jobs', authMiddleware, (req, res) => {
+        res.json({ jobs: streamRegistry.listJobs(req.user.id) });
+    });
 
-                    for (const delta of deltas) {
-                        fullContent += delta;
-                        if (!sendSse(res, { type: 'content', content: delta })) {
-                            cancelUpstream();
-                            return;
-                        }
-                    }
-                });
-
-                stream.on('end', async () => {
-                    if (isClosed) return;
-                    detachCloseListeners();
-                    try {
-                        await processStreamEnd(db, {
-                            assistantMessageId, conversationId, conversation,
-                            content, attachments: normalizedAttachments, fullContent, userId
-                        });
-                    } catch (endError) {
-                        console.error('Error in stream end processing:', endError);
-                    }
-                    sendSse(res, { type: 'done', id: assistantMessageId });
-                    if (!res.writableEnded) {
-                        res.end();
-                    }
-                });
-
-                stream.on('error', (error) => {
-                    if (isClosed) return;
-                    detachCloseListeners();
-                    console.error('Stream error:', error);
-                    sendSse(res, { type: 'error', message: sanitizeErrorMessage(error, 'Stream error occurred') });
-                    if (!res.writableEnded) {
-                        res.end();
-                    }
-                });
-
-            } catch (error) {
-                detachCloseListeners();
-                console.error('AI Core error:', error);
-                sendSse(res, { type: 'error', message: sanitizeErrorMessage(error, 'Failed to get AI response') });
-                if (!res.writableEnded) {
-                    res.end();
-                }
-            }
+    // --- Regenerate an answer (SSE) ---
+    // Answers an existing user message again; the new reply is stored as a sibling branch.
+    app.post('/api/chat/regenerate', authMiddleware, (req, res) =>
+        chatOrchestrator.regenerate(new SseSink(res), req.user, req.body));
 
-        } catch (error) {
-            console.error('Streaming endpoint error:', error);
-            if (!res.headersSent) {
-                res.status(500).json({ error: sanitizeErrorMessage(error, 'Internal server error') });
-            } else {
-                sendSse(res, { type: 'error', message: sanitizeErrorMessage(error, 'An error occurred') });
-                if (!res.writableEnded) {
-                    res.end();
-                }
-            }
-        }
-    });
+    // --- Edit a user message (SSE) ---
+    // Stores the edited text as a sibling of the original message and streams a fresh answer;
+    // the original branch stays reachable.
+    app.post('/api/chat/edit', authMiddleware, (req, res) =>
+        chatOrchestrator.edit(new SseSink(res), req.user, req.body));
 
     // --- Health check ---
     app.get('/api/health', (req, res) => {
@@ -705,11 +553,37 @@ cds.on('served', async () => {
     // --- Create conversation ---
     app.post('/api/conversation', authMiddleware, async (req, res) => {
         try {
-            const { title } = req.body;
+            const { title, model, workspaceId, personaId } = req.body;
+            if (model && !findModel(model)) {
+                return res.status(400).json({ error: 'Unknown model' });
+            }
+            let persona = null;
+            if (personaId) {
+                persona = isValidUUID(personaId) && await personaService.getPersona(personaId, req.user.id);
+                if (!persona) {
+                    return res.status(404).json({ error: 'Persona not found' });
+                }
+            }
+            if (workspaceId) {
+                if (!isValidUUID(workspaceId)) {
+                    return res.status(400).json({ error: 'Invalid workspace ID format' });
+                }
+                const role = await workspaceService.getMemberRole(workspaceId, req.user.id);
+                if (!role) {
+                    return res.status(404).json({ error: 'Workspace not found or access denied' });
+                }
+                if (role === 'viewer') {
+                    return res.status(403).json({ error: 'Viewers cannot start conversations in this workspace' });
+                }
+            }
             const conversation = {
                 ID: uuidv4(),
                 title: title || 'New Conversation',
                 userId: req.user.id,
+                workspace_ID: workspaceId || null,
+                // The persona's model unless one was picked explicitly
+                model: model || persona?.model || null,
+                persona_ID: persona?.ID || null,
                 createdAt: new Date().toISOString(),
                 modifiedAt: new Date().toISOString()
             };
@@ -717,41 +591,30 @@ cds.on('served', async () => {
             const db = await cds.connect.to('db');
             await db.run(INSERT.into('ai.chat.Conversations').entries(conversation));
 
-            res.json({ ID: conversation.ID, title: conversation.title, createdAt: conversation.createdAt });
+            res.json({
+                ID: conversation.ID,
+                title: conversation.title,
+                model: conversation.model,
+                persona_ID: conversation.persona_ID,
+                workspace_ID: conversation.workspace_ID,
+                createdAt: conversation.createdAt
+            });
         } catch (error) {
             console.error('Error creating conversation:', error);
             res.status(500).json({ error: 'Failed to create conversation' });
         }
     });
 
-    // --- Delete conversation ---
+    // --- Delete conversation (moves it to the trash; see Trash below) ---
     app.delete('/api/conversation/:id', authMiddleware, async (req, res) => {
         try {
-            const conversationId = req.params.id;
-            if (!isValidUUID(conversationId)) {
-                return res.status(400).json({ error: 'Invalid conversation ID format' });
-            }
-            const db = await cds.connect.to('db');
-
-            const conversation = await db.run(
-                SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId, userId: req.user.id })
-            );
-            if (!conversation) {
-                return res.status(404).json({ error: 'Conversation not found or access denied' });
-            }
-
-            const messages = await db.run(
-                SELECT.from('ai.chat.Messages').where({ conversation_ID: conversationId }).columns('ID')
-            );
-
-            const messageIds = messages.map(m => m.ID);
-            if (messageIds.length > 0) {
-                await db.run(DELETE.from('ai.chat.MessageAttachments').where({ message_ID: { in: messageIds } }));
-            }
-
-            await db.run(DELETE.from('ai.chat.Messages').where({ conversation_ID: conversationId }));
-            await db.run(DELETE.from('ai.chat.Conversations').where({ ID: conversationId }));
+            const conversation = await findAccessibleConversation(req, res, 'manage');
+            if (!conversation) return;
+            const conversationId = conversation.ID;
+            await trashService.moveToTrash(conversationId, req.user.id);
 
+            broadcastConversationEvent(conversationId, { reason: 'deleted', userId: req.user.id });
+            conversationSubscribers.delete(conversationId);
             res.json({ success: true });
         } catch (error) {
             console.error('Error deleting conversation:', error);
@@ -763,30 +626,108 @@ cds.on('served', async () => {
     app.patch('/api/conversation/:id', authMiddleware, async (req, res) => {
         try {
             const conversationId = req.params.id;
-            if (!isValidUUID(conversationId)) {
-                return res.status(400).json({ error: 'Invalid conversation ID format' });
+            const { title, model, personaId } = req.body;
+            if (title === undefined && model === undefined && personaId === undefined) {
+                return res.status(400).json({ error: 'Title, model or personaId is required' });
             }
-            const { title } = req.body;
-            if (!title || typeof title !== 'string' || title.trim().length === 0) {
+            if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
                 return res.status(400).json({ error: 'Title is required' });
             }
+            if (model && !findModel(model)) {
+                return res.status(400).json({ error: 'Unknown model' });
+            }
+            if (personaId && !isValidUUID(personaId)) {
+                return res.status(400).json({ error: 'Invalid persona ID format' });
+            }
+            const conversation = await findAccessibleConversation(req, res, 'write');
+            if (!conversation) return;
             const db = await cds.connect.to('db');
 
-            const conversation = await db.run(
-                SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId, userId: req.user.id })
+            const changes = {};
+            if (title !== undefined) changes.title = title.trim().substring(0, 255);
+            if (model !== undefined) changes.model = model || null;
+            // Choosing a persona also switches to its model (unless a model is given as well)
+            if (personaId !== undefined) {
+                const persona = personaId && await personaService.getPersona(personaId, req.user.id);
+                if (personaId && !persona) {
+                    return res.status(404).json({ error: 'Persona not found' });
+                }
+                changes.persona_ID = persona?.ID || null;
+                if (persona?.model && model === undefined) changes.model = persona.model;
+            }
+            await db.run(
+                UPDATE('ai.chat.Conversations').set(changes).where({ ID: conversationId })
             );
-            if (!conversation) {
-                return res.status(404).json({ error: 'Conversation not found or access denied' });
+
+            broadcastConversationEvent(conversationId, { reason: 'renamed', userId: req.user.id });
+            res.json({ success: true, model: changes.model ?? conversation.model ?? null });
+        } catch (error) {
+            console.error('Error updating conversation:', error);
+            res.status(500).json({ error: 'Failed to update conversation' });
+        }
+    });
+
+    // --- Pin, archive, folder and tags of a conversation (the user's own; read access is enough) ---
+    app.patch('/api/conversation/:id/labels', authMiddleware, async (req, res) => {
+        try {
+            const { pinned, archived, folderId, tags } = req.body;
+            if (pinned === undefined && archived === undefined && folderId === undefined && tags === undefined) {
+                return res.status(400).json({ error: 'pinned, archived, folderId or tags is required' });
+            }
+            if (pinned !== undefined && typeof pinned !== 'boolean') {
+                return res.status(400).json({ error: 'pinned must be true or false' });
+            }
+            if (archived !== undefined && typeof archived !== 'boolean') {
+                return res.status(400).json({ error: 'archived must be true or false' });
+            }
+            if (folderId !== undefined && folderId !== null && !isValidUUID(folderId)) {
+                return res.status(400).json({ error: 'Invalid folder ID format' });
             }
+            const normalizedTags = tags === undefined ? undefined : normalizeTags(tags);
+            if (normalizedTags === null) {
+                return res.status(400).json({ error: 'tags must be an array of at most 10 tags of up to 30 characters' });
+            }
+            const conversation = await findAccessibleConversation(req, res, 'read');
+            if (!conversation) return;
 
-            await db.run(
-                UPDATE('ai.chat.Conversations').set({ title: title.trim().substring(0, 255) }).where({ ID: conversationId })
+            const labels = await labelService.setLabels(
+                req.user.id, conversation.ID, { pinned, archived, folderId, tags: normalizedTags }
             );
+            if (labels.error) {
+                return res.status(404).json({ error: labels.error });
+            }
+            res.json(labels);
+        } catch (error) {
+            console.error('Error updating conversation labels:', error);
+            res.status(500).json({ error: 'Failed to update conversation labels' });
+        }
+    });
 
-            res.json({ success: true });
+    // --- Export a conversation (?format=md|html|pdf|json; attachments=embed includes file contents, except in PDFs) ---
+    app.get('/api/conversation/:id/export', authMiddleware, async (req, res) => {
+        try {
+            const format = req.query.format || 'md';
+            if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+                return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+            }
+            const attachments = req.query.attachments || 'reference';
+            if (!['reference', 'embed'].includes(attachments)) {
+                return res.status(400).json({ error: 'attachments must be reference or embed' });
+            }
+            const conversation = await findAccessibleConversation(req, res, 'read');
+            if (!conversation) return;
+
+            const db = await cds.connect.to('db');
+            const doc = await loadConversationExport(db, conversation, req.user.id, {
+                embedAttachments: attachments === 'embed' && format !== 'pdf'
+            });
+            const { body, contentType, filename } = renderExport(format, doc);
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+            res.send(body);
         } catch (error) {
-            console.error('Error renaming conversation:', error);
-            res.status(500).json({ error: 'Failed to rename conversation' });
+            console.error('Error exporting conversation:', error);
+            res.status(500).json({ error: 'Failed to export conversation' });
         }
     });
 
@@ -830,78 +771,12 @@ cds.on('served', async () => {
                 return res.status(404).json({ error: 'Message not found' });
             }
 
-            const conversation = await db.run(
-                SELECT.one.from('ai.chat.Conversations').where({ ID: message.conversation_ID, userId })
-            );
-            if (!conversation) {
+            const access = await workspaceService.checkConversationAccess(message.conversation_ID, userId, 'read');
+            if (access.error) {
                 return res.status(403).json({ error: 'Access denied' });
             }
 
-            let contentData = null;
-            try {
-                const hana = db.dbc;
-
-                if (hana && hana.exec) {
-                    const result = await new Promise((resolve, reject) => {
-                        hana.exec(
-                            `SELECT "CONTENT" FROM "AI_CHAT_MESSAGEATTACHMENTS" WHERE "ID" = ?`,
-                            [attachmentId],
-                            (err, rows) => {
-                                if (err) reject(err);
-                                else resolve(rows);
-                            }
-                        );
-                    });
-
-                    if (result && result.length > 0 && result[0].CONTENT) {
-                        const content = result[0].CONTENT;
-                        if (Buffer.isBuffer(content)) {
-                            contentData = `data:${attachment.mimeType};base64,${content.toString('base64')}`;
-                        }
-                    }
-                } else {
-                    const tx = db.tx();
-                    try {
-                        const fullAttachment = await tx.run(
-                            SELECT.one.from('ai.chat.MessageAttachments')
-                                .columns('content')
-                                .where({ ID: attachmentId })
-                        );
-
-                        if (fullAttachment && fullAttachment.content) {
-                            const content = fullAttachment.content;
-
-                            if (Buffer.isBuffer(content)) {
-                                contentData = `data:${attachment.mimeType};base64,${content.toString('base64')}`;
-                            } else if (typeof content === 'string') {
-                                contentData = content.startsWith('data:')
-                                    ? content
-                                    : `data:${attachment.mimeType};base64,${Buffer.from(content).toString('base64')}`;
-                            } else if (content.pipe || content[Symbol.asyncIterator] || content.read) {
-                                const chunks = [];
-                                for await (const chunk of content) {
-                                    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-                                }
-                                const buffer = Buffer.concat(chunks);
-                                contentData = `data:${attachment.mimeType};base64,${buffer.toString('base64')}`;
-                            }
-                        }
-                        await tx.commit();
-                    } catch (txErr) {
-                        await tx.rollback();
-                        throw txErr;
-                    }
-                }
-            } catch (e) {
-                console.error('Failed to retrieve attachment content:', e.message);
-            }
-
-            res.json({
-                ID: attachment.ID,
-                name: attachment.filename,
-                type: attachment.mimeType,
-                data: contentData
-            });
+            res.json(await attachmentWithContent(db, attachment));
 
         } catch (error) {
             console.error('Error fetching attachment:', error);
@@ -909,64 +784,761 @@ cds.on('served', async () => {
         }
     });
 
-    // ============ Memory Management Endpoints ============
+    // ============ Sharing ============
 
-    app.get('/api/memories', authMiddleware, async (req, res) => {
+    // --- Share link state of a conversation ({ share: null } if not shared) ---
+    app.get('/api/conversation/:id/share', authMiddleware, async (req, res) => {
         try {
-            const memories = await memoryService.getAllMemories(req.user.id);
-            res.json({ memories });
+            const conversation = await findAccessibleConversation(req, res, 'read');
+            if (!conversation) return;
+            res.json({ share: await shareService.getShare(conversation.ID) });
         } catch (error) {
-            console.error('Error getting memories:', error);
-            res.status(500).json({ error: 'Failed to get memories' });
+            console.error('Error getting share link:', error);
+            res.status(500).json({ error: 'Failed to get share link' });
         }
     });
 
-    app.delete('/api/memories/:id', authMiddleware, async (req, res) => {
+    // --- Create (or return the existing) share link ---
+    app.post('/api/conversation/:id/share', authMiddleware, async (req, res) => {
         try {
-            if (!isValidUUID(req.params.id)) {
-                return res.status(400).json({ error: 'Invalid memory ID format' });
-            }
-            const success = await memoryService.deleteMemory(req.params.id, req.user.id);
-            if (success) {
-                res.json({ success: true });
-            } else {
-                res.status(404).json({ error: 'Memory not found or access denied' });
-            }
+            const conversation = await findAccessibleConversation(req, res, 'manage');
+            if (!conversation) return;
+            res.json({ share: await shareService.createShare(conversation.ID, req.user.id) });
         } catch (error) {
-            console.error('Error deleting memory:', error);
-            res.status(500).json({ error: 'Failed to delete memory' });
+            console.error('Error creating share link:', error);
+            res.status(500).json({ error: 'Failed to create share link' });
         }
     });
 
-    app.delete('/api/memories', authMiddleware, async (req, res) => {
+    // --- Revoke the share link ---
+    app.delete('/api/conversation/:id/share', authMiddleware, async (req, res) => {
         try {
-            const success = await memoryService.clearAllMemories(req.user.id);
-            res.json({ success });
+            const conversation = await findAccessibleConversation(req, res, 'manage');
+            if (!conversation) return;
+            const success = await shareService.revokeShare(conversation.ID);
+            if (!success) {
+                return res.status(404).json({ error: 'Conversation is not shared' });
+            }
+            res.json({ success: true });
         } catch (error) {
-            console.error('Error clearing memories:', error);
-            res.status(500).json({ error: 'Failed to clear memories' });
+            console.error('Error revoking share link:', error);
+            res.status(500).json({ error: 'Failed to revoke share link' });
         }
     });
 
-    // --- Model info ---
-    app.get('/api/model', authMiddleware, async (req, res) => {
+    // --- Read-only view of a shared conversation (any authenticated user with the token) ---
+    app.get('/api/shared/:token', authMiddleware, async (req, res) => {
         try {
-            const client = getSharedAiCoreClient();
-            let modelName = process.env.AICORE_MODEL_NAME || 'Unknown Model';
-
-            try {
-                const deploymentInfo = await client.getDeploymentInfo();
-                if (deploymentInfo && deploymentInfo.configurationName) {
-                    modelName = deploymentInfo.configurationName;
-                }
-            } catch {
-                console.log('Could not fetch deployment info, using default model name');
+            const shared = await shareService.getSharedConversation(req.params.token);
+            if (!shared) {
+                return res.status(404).json({ error: 'Share link not found or revoked' });
+            }
+            res.json(shared);
+        } catch (error) {
+            console.error('Error getting shared conversation:', error);
+            res.status(500).json({ error: 'Failed to get shared conversation' });
+        }
+    });
+
+    app.get('/api/shared/:token/attachment/:attachmentId', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.attachmentId)) {
+                return res.status(400).json({ error: 'Invalid attachment ID format' });
+            }
+            const share = await shareService.resolveToken(req.params.token);
+            if (!share) {
+                return res.status(404).json({ error: 'Share link not found or revoked' });
+            }
+            const db = await cds.connect.to('db');
+
+            const attachment = await db.run(
+                SELECT.one.from('ai.chat.MessageAttachments')
+                    .columns('ID', 'message_ID', 'filename', 'mimeType')
+                    .where({ ID: req.params.attachmentId })
+            );
+            // Only attachments of the shared branch, not of other branches of the conversation
+            const branch = attachment ? await shareService.getSharedBranch(share.conversation_ID) : [];
+            if (!branch.some(m => m.ID === attachment.message_ID)) {
+                return res.status(404).json({ error: 'Attachment not found' });
+            }
+
+            res.json(await attachmentWithContent(db, attachment));
+        } catch (error) {
+            console.error('Error fetching shared attachment:', error);
+            res.status(500).json({ error: 'Failed to fetch attachment' });
+        }
+    });
+
+    // ============ Search ============
+
+    // --- Conversations matching ?q= (keywords and meaning), each with its best matching message ---
+    app.get('/api/search', authMiddleware, async (req, res) => {
+        try {
+            const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            if (!query) {
+                return res.status(400).json({ error: 'Query parameter q is required' });
+            }
+            if (query.length > 500) {
+                return res.status(400).json({ error: 'Query too long (max 500 characters)' });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+            const results = await searchService.search(req.user.id, query, limit);
+            res.json({ results });
+        } catch (error) {
+            console.error('Error searching conversations:', error);
+            res.status(500).json({ error: 'Failed to search conversations' });
+        }
+    });
+
+    // ============ Memory Management Endpoints ============
+
+    app.get('/api/memories', authMiddleware, async (req, res) => {
+        try {
+            const memories = await memoryService.getAllMemories(req.user.id);
+            res.json({ memories });
+        } catch (error) {
+            console.error('Error getting memories:', error);
+            res.status(500).json({ error: 'Failed to get memories' });
+        }
+    });
+
+    app.delete('/api/memories/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid memory ID format' });
+            }
+            const success = await memoryService.deleteMemory(req.params.id, req.user.id);
+            if (success) {
+                res.json({ success: true });
+            } else {
+                res.status(404).json({ error: 'Memory not found or access denied' });
+            }
+        } catch (error) {
+            console.error('Error deleting memory:', error);
+            res.status(500).json({ error: 'Failed to delete memory' });
+        }
+    });
+
+    app.delete('/api/memories', authMiddleware, async (req, res) => {
+        try {
+            const success = await memoryService.clearAllMemories(req.user.id);
+            res.json({ success });
+        } catch (error) {
+            console.error('Error clearing memories:', error);
+            res.status(500).json({ error: 'Failed to clear memories' });
+        }
+    });
+
+    // ============ Knowledge Base Collections ============
+
+    app.get('/api/collections', authMiddleware, async (req, res) => {
+        try {
+            const collections = await collectionService.listCollections(req.user.id);
+            res.json({ collections });
+        } catch (error) {
+            console.error('Error getting collections:', error);
+            res.status(500).json({ error: 'Failed to get collections' });
+        }
+    });
+
+    app.post('/api/collections', authMiddleware, async (req, res) => {
+        try {
+            const validationError = validateCollectionFields(req.body, true);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+            const collection = await collectionService.createCollection(req.user.id, {
+                name: req.body.name.trim().substring(0, 255),
+                description: req.body.description?.trim().substring(0, 1000)
+            });
+            res.json(collection);
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            res.status(500).json({ error: 'Failed to create collection' });
+        }
+    });
+
+    app.get('/api/collections/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid collection ID format' });
+            }
+            const collection = await collectionService.getCollection(req.params.id, req.user.id);
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found or access denied' });
+            }
+            res.json(collection);
+        } catch (error) {
+            console.error('Error getting collection:', error);
+            res.status(500).json({ error: 'Failed to get collection' });
+        }
+    });
+
+    app.patch('/api/collections/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid collection ID format' });
+            }
+            const { name, description } = req.body;
+            if (name === undefined && description === undefined) {
+                return res.status(400).json({ error: 'Name or description is required' });
+            }
+            const validationError = validateCollectionFields(req.body, false);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const changes = {};
+            if (name !== undefined) changes.name = name.trim().substring(0, 255);
+            if (description !== undefined) changes.description = description?.trim().substring(0, 1000) || null;
+            const success = await collectionService.updateCollection(req.params.id, req.user.id, changes);
+            if (!success) {
+                return res.status(404).json({ error: 'Collection not found or access denied' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error updating collection:', error);
+            res.status(500).json({ error: 'Failed to update collection' });
+        }
+    });
+
+    app.delete('/api/collections/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid collection ID format' });
+            }
+            const success = await collectionService.deleteCollection(req.params.id, req.user.id);
+            if (!success) {
+                return res.status(404).json({ error: 'Collection not found or access denied' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            res.status(500).json({ error: 'Failed to delete collection' });
+        }
+    });
+
+    // --- Upload a document: { name, type, data } like a chat attachment ---
+    app.post('/api/collections/:id/documents', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid collection ID format' });
+            }
+            let file;
+            try {
+                [file] = validateAndNormalizeAttachments([req.body]);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+
+            const buffer = Buffer.from(file.data, 'base64');
+            const text = await extractAttachmentText(buffer, file.type, file.name);
+            if (!text || !text.trim()) {
+                return res.status(400).json({ error: 'No text could be extracted from this file' });
+            }
+
+            const document = await collectionService.addDocument(req.params.id, req.user.id, {
+                filename: file.name,
+                mimeType: file.type,
+                size: buffer.length,
+                text
+            });
+            if (!document) {
+                return res.status(404).json({ error: 'Collection not found or access denied' });
+            }
+            res.json(document);
+        } catch (error) {
+            console.error('Error adding document to collection:', error);
+            res.status(500).json({ error: 'Failed to add document' });
+        }
+    });
+
+    app.delete('/api/collections/:id/documents/:documentId', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id) || !isValidUUID(req.params.documentId)) {
+                return res.status(400).json({ error: 'Invalid ID format' });
+            }
+            const success = await collectionService.deleteDocument(req.params.id, req.params.documentId, req.user.id);
+            if (!success) {
+                return res.status(404).json({ error: 'Document not found or access denied' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            res.status(500).json({ error: 'Failed to delete document' });
+        }
+    });
+
+    // --- Collections attached to a conversation ---
+    app.get('/api/conversation/:id/collections', authMiddleware, async (req, res) => {
+        try {
+            const conversation = await findAccessibleConversation(req, res, 'read');
+            if (!conversation) return;
+
+            const collectionIds = await collectionService.getConversationCollectionIds(conversation.ID);
+            res.json({ collectionIds });
+        } catch (error) {
+            console.error('Error getting conversation collections:', error);
+            res.status(500).json({ error: 'Failed to get conversation collections' });
+        }
+    });
+
+    app.put('/api/conversation/:id/collections', authMiddleware, async (req, res) => {
+        try {
+            const { collectionIds } = req.body;
+            if (!Array.isArray(collectionIds) || !collectionIds.every(isValidUUID)) {
+                return res.status(400).json({ error: 'collectionIds must be an array of collection IDs' });
+            }
+            const conversation = await findAccessibleConversation(req, res, 'write');
+            if (!conversation) return;
+
+            const attached = await collectionService.setConversationCollections(conversation.ID, req.user.id, [...new Set(collectionIds)]);
+            res.json({ collectionIds: attached });
+        } catch (error) {
+            console.error('Error updating conversation collections:', error);
+            res.status(500).json({ error: 'Failed to update conversation collections' });
+        }
+    });
+
+    // ============ Folders and Tags ============
+
+    // --- Folders of the user (with conversationCount) ---
+    app.get('/api/folders', authMiddleware, async (req, res) => {
+        try {
+            const folders = await labelService.listFolders(req.user.id);
+            res.json({ folders });
+        } catch (error) {
+            console.error('Error getting folders:', error);
+            res.status(500).json({ error: 'Failed to get folders' });
+        }
+    });
+
+    app.post('/api/folders', authMiddleware, async (req, res) => {
+        try {
+            const { name } = req.body;
+            if (typeof name !== 'string' || name.trim().length === 0) {
+                return res.status(400).json({ error: 'Name is required' });
+            }
+            res.json(await labelService.createFolder(req.user.id, name.trim().substring(0, MAX_FOLDER_NAME_LENGTH)));
+        } catch (error) {
+            console.error('Error creating folder:', error);
+            res.status(500).json({ error: 'Failed to create folder' });
+        }
+    });
+
+    app.patch('/api/folders/:id', authMiddleware, async (req, res) => {
+        try {
+            const { name } = req.body;
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid folder ID format' });
+            }
+            if (typeof name !== 'string' || name.trim().length === 0) {
+                return res.status(400).json({ error: 'Name is required' });
+            }
+            const renamed = await labelService.renameFolder(req.user.id, req.params.id, name.trim().substring(0, MAX_FOLDER_NAME_LENGTH));
+            if (!renamed) {
+                return res.status(404).json({ error: 'Folder not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error renaming folder:', error);
+            res.status(500).json({ error: 'Failed to rename folder' });
+        }
+    });
+
+    // --- Delete a folder; its conversations are kept ---
+    app.delete('/api/folders/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid folder ID format' });
+            }
+            if (!await labelService.deleteFolder(req.user.id, req.params.id)) {
+                return res.status(404).json({ error: 'Folder not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting folder:', error);
+            res.status(500).json({ error: 'Failed to delete folder' });
+        }
+    });
+
+    // --- Tags the user has used (with count) ---
+    app.get('/api/tags', authMiddleware, async (req, res) => {
+        try {
+            const tags = await labelService.listTags(req.user.id);
+            res.json({ tags });
+        } catch (error) {
+            console.error('Error getting tags:', error);
+            res.status(500).json({ error: 'Failed to get tags' });
+        }
+    });
+
+    // ============ Trash ============
+
+    // --- Conversations in the trash that the user may restore (with purgeAt, null = kept until emptied) ---
+    app.get('/api/trash', authMiddleware, async (req, res) => {
+        try {
+            const conversations = await trashService.listTrash(req.user.id);
+            res.json({ conversations });
+        } catch (error) {
+            console.error('Error getting trash:', error);
+            res.status(500).json({ error: 'Failed to get trash' });
+        }
+    });
+
+    app.post('/api/trash/:id/restore', authMiddleware, async (req, res) => {
+        try {
+            const conversation = await findAccessibleConversation(req, res, 'manage', { trashed: true });
+            if (!conversation) return;
+            await trashService.restore(conversation.ID);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error restoring conversation:', error);
+            res.status(500).json({ error: 'Failed to restore conversation' });
+        }
+    });
+
+    // --- Delete a conversation in the trash for good ---
+    app.delete('/api/trash/:id', authMiddleware, async (req, res) => {
+        try {
+            const conversation = await findAccessibleConversation(req, res, 'manage', { trashed: true });
+            if (!conversation) return;
+            await trashService.purgeConversation(conversation.ID);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error purging conversation:', error);
+            res.status(500).json({ error: 'Failed to delete conversation' });
+        }
+    });
+
+    // --- Empty the trash (the conversations listed by GET /api/trash) ---
+    app.delete('/api/trash', authMiddleware, async (req, res) => {
+        try {
+            const conversations = await trashService.listTrash(req.user.id);
+            for (const conversation of conversations) {
+                await trashService.purgeConversation(conversation.ID);
+            }
+            res.json({ success: true, purged: conversations.length });
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            res.status(500).json({ error: 'Failed to empty trash' });
+        }
+    });
+
+    // ============ Personas ============
+
+    app.get('/api/personas', authMiddleware, async (req, res) => {
+        try {
+            const personas = await personaService.listPersonas(req.user.id);
+            res.json({ personas });
+        } catch (error) {
+            console.error('Error getting personas:', error);
+            res.status(500).json({ error: 'Failed to get personas' });
+        }
+    });
+
+    app.post('/api/personas', authMiddleware, async (req, res) => {
+        try {
+            const { error, fields } = validatePersonaFields(req.body, true);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const persona = await personaService.createPersona(req.user.id, fields);
+            res.json(persona);
+        } catch (error) {
+            console.error('Error creating persona:', error);
+            res.status(500).json({ error: 'Failed to create persona' });
+        }
+    });
+
+    app.patch('/api/personas/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid persona ID format' });
+            }
+            const { error, fields } = validatePersonaFields(req.body, false);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            if (Object.keys(fields).length === 0) {
+                return res.status(400).json({ error: 'Nothing to update' });
+            }
+            const persona = await personaService.updatePersona(req.params.id, req.user.id, fields);
+            if (!persona) {
+                return res.status(404).json({ error: 'Persona not found' });
+            }
+            res.json(persona);
+        } catch (error) {
+            console.error('Error updating persona:', error);
+            res.status(500).json({ error: 'Failed to update persona' });
+        }
+    });
+
+    // --- Delete a persona (its conversations continue with the default assistant) ---
+    app.delete('/api/personas/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid persona ID format' });
+            }
+            const deleted = await personaService.deletePersona(req.params.id, req.user.id);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Persona not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting persona:', error);
+            res.status(500).json({ error: 'Failed to delete persona' });
+        }
+    });
+
+    // --- Tools a persona can enable (built-in and MCP tools available to the default model) ---
+    app.get('/api/tools', authMiddleware, (req, res) => {
+        try {
+            const tools = getToolRegistry()
+                .list({ client: getAiCoreClient(null), userId: req.user.id })
+                .map(tool => ({ name: tool.name, description: tool.description || '' }));
+            res.json({ tools });
+        } catch (error) {
+            console.error('Error listing tools:', error);
+            res.status(500).json({ error: 'Failed to list tools' });
+        }
+    });
+
+    // ============ Prompt Templates ============
+
+    // --- Prompt library: personal templates and those shared in the user's workspaces ---
+    app.get('/api/prompt-templates', authMiddleware, async (req, res) => {
+        try {
+            const templates = await promptTemplateService.listTemplates(req.user.id);
+            res.json({ templates });
+        } catch (error) {
+            console.error('Error getting prompt templates:', error);
+            res.status(500).json({ error: 'Failed to get prompt templates' });
+        }
+    });
+
+    // --- Create a template (workspaceId = share it with the workspace; needs write access) ---
+    app.post('/api/prompt-templates', authMiddleware, async (req, res) => {
+        try {
+            const { workspaceId = null } = req.body || {};
+            const { error, fields } = validatePromptTemplateFields(req.body, true);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            if (workspaceId !== null) {
+                if (!isValidUUID(workspaceId)) {
+                    return res.status(400).json({ error: 'Invalid workspace ID format' });
+                }
+                const role = await workspaceService.getMemberRole(workspaceId, req.user.id);
+                if (!role) {
+                    return res.status(404).json({ error: 'Workspace not found or access denied' });
+                }
+                if (!hasPermission(role, 'write')) {
+                    return res.status(403).json({ error: 'Read-only access to this workspace' });
+                }
+            }
+            const result = await promptTemplateService.createTemplate(req.user.id, fields, workspaceId);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.json(result.template);
+        } catch (error) {
+            console.error('Error creating prompt template:', error);
+            res.status(500).json({ error: 'Failed to create prompt template' });
+        }
+    });
+
+    app.patch('/api/prompt-templates/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid template ID format' });
+            }
+            const { error, fields } = validatePromptTemplateFields(req.body, false);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            if (Object.keys(fields).length === 0) {
+                return res.status(400).json({ error: 'Nothing to update' });
+            }
+            const result = await promptTemplateService.updateTemplate(req.params.id, req.user.id, fields);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.json(result.template);
+        } catch (error) {
+            console.error('Error updating prompt template:', error);
+            res.status(500).json({ error: 'Failed to update prompt template' });
+        }
+    });
+
+    app.delete('/api/prompt-templates/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!isValidUUID(req.params.id)) {
+                return res.status(400).json({ error: 'Invalid template ID format' });
+            }
+            const result = await promptTemplateService.deleteTemplate(req.params.id, req.user.id);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting prompt template:', error);
+            res.status(500).json({ error: 'Failed to delete prompt template' });
+        }
+    });
+
+    // ============ Import ============
+
+    // --- Import a ChatGPT or Claude export (ZIP or conversations.json, base64) ---
+    app.post('/api/import', authMiddleware, async (req, res) => {
+        try {
+            const { workspaceId = null, extractMemories = false } = req.body || {};
+            const data = extractBase64Data(req.body?.data);
+            if (!data) {
+                return res.status(400).json({ error: 'Export file data is missing' });
+            }
+            if (estimateBytesFromBase64(data) > MAX_IMPORT_SIZE_BYTES) {
+                return res.status(400).json({ error: `Export file exceeds max size (${Math.round(MAX_IMPORT_SIZE_BYTES / 1024 / 1024)}MB)` });
+            }
+            if (workspaceId !== null) {
+                if (!isValidUUID(workspaceId)) {
+                    return res.status(400).json({ error: 'Invalid workspace ID format' });
+                }
+                const role = await workspaceService.getMemberRole(workspaceId, req.user.id);
+                if (!role) {
+                    return res.status(404).json({ error: 'Workspace not found or access denied' });
+                }
+                if (!hasPermission(role, 'write')) {
+                    return res.status(403).json({ error: 'Read-only access to this workspace' });
+                }
+            }
+
+            const result = await importService.importArchive(req.user.id, Buffer.from(data, 'base64'), { workspaceId });
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            res.json(result);
+
+            // Index the imported messages for search and extract memories asynchronously
+            importService.processImported(req.user.id, result.imported.map(c => c.ID), { extractMemories: extractMemories === true })
+                .catch(err => console.error('Error processing imported conversations:', err));
+        } catch (error) {
+            console.error('Error importing conversations:', error);
+            res.status(500).json({ error: 'Failed to import conversations' });
+        }
+    });
+
+    // ============ Workspaces ============
+
+    // --- Workspaces of the user (with the user's role) ---
+    app.get('/api/workspaces', authMiddleware, async (req, res) => {
+        try {
+            const workspaces = await workspaceService.listWorkspaces(req.user.id);
+            res.json({ workspaces });
+        } catch (error) {
+            console.error('Error getting workspaces:', error);
+            res.status(500).json({ error: 'Failed to get workspaces' });
+        }
+    });
+
+    app.post('/api/workspaces', authMiddleware, async (req, res) => {
+        try {
+            const { name } = req.body;
+            if (typeof name !== 'string' || name.trim().length === 0) {
+                return res.status(400).json({ error: 'Name is required' });
+            }
+            res.json(await workspaceService.createWorkspace(req.user.id, name.trim().substring(0, 255)));
+        } catch (error) {
+            console.error('Error creating workspace:', error);
+            res.status(500).json({ error: 'Failed to create workspace' });
+        }
+    });
+
+    app.patch('/api/workspaces/:id', authMiddleware, async (req, res) => {
+        try {
+            const { name } = req.body;
+            if (typeof name !== 'string' || name.trim().length === 0) {
+                return res.status(400).json({ error: 'Name is required' });
+            }
+            if (!await findWorkspaceRole(req, res, 'manage')) return;
+            await workspaceService.renameWorkspace(req.params.id, name.trim().substring(0, 255));
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error updating workspace:', error);
+            res.status(500).json({ error: 'Failed to update workspace' });
+        }
+    });
+
+    // --- Delete a workspace; its conversations stay with their creators ---
+    app.delete('/api/workspaces/:id', authMiddleware, async (req, res) => {
+        try {
+            if (!await findWorkspaceRole(req, res, 'manage')) return;
+            await workspaceService.deleteWorkspace(req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting workspace:', error);
+            res.status(500).json({ error: 'Failed to delete workspace' });
+        }
+    });
+
+    // --- Members ---
+    app.get('/api/workspaces/:id/members', authMiddleware, async (req, res) => {
+        try {
+            if (!await findWorkspaceRole(req, res, 'read')) return;
+            res.json({ members: await workspaceService.listMembers(req.params.id) });
+        } catch (error) {
+            console.error('Error getting workspace members:', error);
+            res.status(500).json({ error: 'Failed to get workspace members' });
+        }
+    });
+
+    // --- Add a member ({ userId, role }) or change the role of one (PATCH { role }) ---
+    app.post('/api/workspaces/:id/members', authMiddleware, (req, res) => setWorkspaceMember(req, res, req.body.userId));
+    app.patch('/api/workspaces/:id/members/:userId', authMiddleware, (req, res) => setWorkspaceMember(req, res, req.params.userId));
+
+    // --- Remove a member (owners), or leave the workspace (any member) ---
+    app.delete('/api/workspaces/:id/members/:userId', authMiddleware, async (req, res) => {
+        try {
+            const leaving = req.params.userId === req.user.id;
+            if (!await findWorkspaceRole(req, res, leaving ? 'read' : 'manage')) return;
+            const result = await workspaceService.removeMember(req.params.id, req.params.userId);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error removing workspace member:', error);
+            res.status(500).json({ error: 'Failed to remove workspace member' });
+        }
+    });
+
+    // --- Model info ---
+    // Default model (model/type/deploymentId) plus the catalogue of selectable models
+    app.get('/api/model', authMiddleware, async (req, res) => {
+        try {
+            const defaultModel = resolveModel(null);
+            const client = getAiCoreClient(defaultModel.id);
+            let modelName = defaultModel.name;
+
+            // Without a configured catalogue, show the deployment's configuration name
+            if (!process.env.AICORE_MODELS) {
+                modelName = process.env.AICORE_MODEL_NAME || 'Unknown Model';
+                try {
+                    const deploymentInfo = await client.getDeploymentInfo();
+                    if (deploymentInfo && deploymentInfo.configurationName) {
+                        modelName = deploymentInfo.configurationName;
+                    }
+                } catch {
+                    console.log('Could not fetch deployment info, using default model name');
+                }
             }
 
             res.json({
                 model: modelName,
                 type: client.modelType,
-                deploymentId: client.deploymentId
+                deploymentId: client.deploymentId,
+                defaultModel: defaultModel.id,
+                models: getModelCatalog().map(describeModel)
             });
         } catch (error) {
             console.error('Failed to get model info:', error);
@@ -976,6 +1548,51 @@ cds.on('served', async () => {
 
 });
 
+// ============ MCP Servers ============
+// Tools of configured MCP servers become available once connected; chat does not wait for them.
+cds.on('served', () => {
+    connectMcpServers(getToolRegistry()).catch(e => console.error('MCP setup failed:', e.message));
+});
+
+cds.on('shutdown', () => closeMcpServers());
+
+// ============ Trash Purge Job ============
+// Conversations in the trash are deleted for good after TRASH_RETENTION_DAYS (see trash-service.js).
+cds.on('served', () => trashService.startPurgeJob());
+cds.on('shutdown', () => trashService.stopPurgeJob());
+
+// ============ Interrupted Answers ============
+// Answers are generated in the server process that started them, which saves them every
+// STREAM_SAVE_INTERVAL_MS. Answers still 'streaming' that were not saved for longer than that
+// (plus a margin for slow saves) lost their process, e.g. in a restart: they keep the part saved
+// so far and are marked as interrupted. Answers other instances are generating are left alone.
+const INTERRUPTED_ANSWER_AFTER_MS = STREAM_SAVE_INTERVAL_MS + 60 * 1000;
+let interruptedAnswersTimer = null;
+
+async function markInterruptedAnswers() {
+    try {
+        const db = await cds.connect.to('db');
+        const savedBefore = new Date(Date.now() - INTERRUPTED_ANSWER_AFTER_MS).toISOString();
+        const interrupted = await db.run(
+            UPDATE('ai.chat.Messages')
+                .set({ status: 'interrupted' })
+                .where({ status: 'streaming', modifiedAt: { '<': savedBefore } })
+        );
+        if (interrupted > 0) {
+            console.log(`Marked ${interrupted} unfinished answer(s) as interrupted`);
+        }
+    } catch (error) {
+        console.error('Failed to mark interrupted answers:', error);
+    }
+}
+
+// Checked periodically, since answers cut off by this restart only count as interrupted once the margin has passed
+cds.on('served', () => {
+    markInterruptedAnswers();
+    interruptedAnswersTimer = setInterval(markInterruptedAnswers, INTERRUPTED_ANSWER_AFTER_MS).unref();
+});
+cds.on('shutdown', () => clearInterval(interruptedAnswersTimer));
+
 // ============ WebSocket Setup ============
 // Must be registered at the top level using cds.on('listening', ...) so the
 // HTTP server instance is available. cds.app.server is NOT set during 'served'.
@@ -1028,9 +1645,21 @@ function setupWebSocket(httpServer) {
         ws.on('message', async (message) => {
             try {
                 const data = JSON.parse(message.toString());
+                // Requests run concurrently; their events name the conversation and message
+                const sink = new WsSink(ws, data);
 
                 if (data.type === 'chat') {
-                    await handleChatMessage(ws, user, data);
+                    await chatOrchestrator.chat(sink, user, data);
+                } else if (data.type === 'regenerate') {
+                    await chatOrchestrator.regenerate(sink, user, data);
+                } else if (data.type === 'edit') {
+                    await chatOrchestrator.edit(sink, user, data);
+                } else if (data.type === 'resume') {
+                    await chatOrchestrator.resume(sink, user, data);
+                } else if (data.type === 'cancel') {
+                    await chatOrchestrator.cancel(sink, user, data);
+                } else if (data.type === 'subscribe') {
+                    await handleSubscribe(ws, user, data);
                 } else if (data.type === 'ping') {
                     sendWs(ws, { type: 'pong' });
                 }
@@ -1040,7 +1669,11 @@ function setupWebSocket(httpServer) {
             }
         });
 
-        ws.on('close', () => {});
+        addUserSocket(ws, user.id);
+        ws.on('close', () => {
+            unsubscribeFromConversations(ws);
+            removeUserSocket(ws, user.id);
+        });
         ws.on('error', (error) => {
             console.error('WebSocket error:', error);
         });
@@ -1050,142 +1683,26 @@ function setupWebSocket(httpServer) {
 }
 
 /**
- * Handle chat message via WebSocket (uses shared helpers)
+ * Handle subscribe request via WebSocket: receive conversation_updated events for the
+ * conversation shown by the client (conversationId null = stop receiving them)
  */
-async function handleChatMessage(ws, user, data) {
-    const { conversationId, content, attachments } = data;
-
-    // Rate limiting check
-    if (isRateLimited(user.id)) {
-        sendWs(ws, { type: 'error', message: 'Too many requests. Please wait a moment.' });
-        return;
-    }
-
-    let normalizedAttachments = [];
-
-    try {
-        normalizedAttachments = validateAndNormalizeAttachments(attachments);
-    } catch (validationError) {
-        sendWs(ws, { type: 'error', message: validationError.message });
-        return;
-    }
-
-    if (!conversationId || (!content && normalizedAttachments.length === 0)) {
-        sendWs(ws, { type: 'error', message: 'Missing conversationId or content' });
+async function handleSubscribe(ws, user, data) {
+    const { conversationId } = data;
+    if (!conversationId) {
+        unsubscribeFromConversations(ws);
         return;
     }
     if (!isValidUUID(conversationId)) {
         sendWs(ws, { type: 'error', message: 'Invalid conversationId format' });
         return;
     }
-
-    const db = await cds.connect.to('db');
-
-    const conversation = await db.run(
-        SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId, userId: user.id })
-    );
-    if (!conversation) {
-        sendWs(ws, { type: 'error', message: 'Conversation not found or access denied' });
-        return;
-    }
-
-    // Save user message
-    const userMessage = {
-        ID: uuidv4(),
-        conversation_ID: conversationId,
-        role: 'user',
-        content: content,
-        createdAt: new Date().toISOString(),
-        modifiedAt: new Date().toISOString()
-    };
-    await db.run(INSERT.into('ai.chat.Messages').entries(userMessage));
-
-    if (normalizedAttachments.length > 0) {
-        await saveAttachments(db, normalizedAttachments, userMessage.ID);
-    }
-
-    if (!sendWs(ws, { type: 'user_message', id: userMessage.ID })) {
+    const access = await workspaceService.checkConversationAccess(conversationId, user.id, 'read');
+    if (access.error) {
+        sendWs(ws, { type: 'error', message: access.error });
         return;
     }
-
-    const aiMessages = await buildAiMessages(db, user.id, conversationId, content, normalizedAttachments);
-
-    const assistantMessageId = uuidv4();
-    if (!sendWs(ws, { type: 'assistant_start', id: assistantMessageId })) {
-        return;
-    }
-
-    const client = getSharedAiCoreClient();
-    let fullContent = '';
-    const isAnthropic = client.modelType === 'anthropic';
-    let stream;
-    let isClosed = false;
-    let detachWsLifecycleListeners = () => {};
-
-    try {
-        stream = await client.chatStream(aiMessages);
-        let buffer = '';
-        const cancelUpstream = () => {
-            if (isClosed) return;
-            isClosed = true;
-            detachWsLifecycleListeners();
-            closeAiStream(stream);
-        };
-        const onWsClose = () => cancelUpstream();
-        const onWsError = () => cancelUpstream();
-        detachWsLifecycleListeners = () => {
-            ws.off('close', onWsClose);
-            ws.off('error', onWsError);
-        };
-
-        ws.on('close', onWsClose);
-        ws.on('error', onWsError);
-
-        stream.on('data', (chunk) => {
-            if (isClosed) return;
-            buffer += chunk.toString();
-            const { deltas, events, remaining } = parseStreamChunk(buffer, isAnthropic);
-            buffer = remaining;
-
-            for (const event of events) {
-                sendWs(ws, event);
-            }
-
-            for (const delta of deltas) {
-                fullContent += delta;
-                if (!sendWs(ws, { type: 'content', content: delta })) {
-                    cancelUpstream();
-                    return;
-                }
-            }
-        });
-
-        stream.on('end', async () => {
-            if (isClosed) return;
-            detachWsLifecycleListeners();
-            try {
-                await processStreamEnd(db, {
-                    assistantMessageId, conversationId, conversation,
-                    content, attachments: normalizedAttachments, fullContent, userId: user.id
-                });
-            } catch (endError) {
-                console.error('Error in stream end processing:', endError);
-            }
-            sendWs(ws, { type: 'done', id: assistantMessageId });
-        });
-
-        stream.on('error', (error) => {
-            if (isClosed) return;
-            detachWsLifecycleListeners();
-            console.error('Stream error:', error);
-            sendWs(ws, { type: 'error', message: sanitizeErrorMessage(error, 'Stream error occurred') });
-        });
-
-    } catch (error) {
-        detachWsLifecycleListeners();
-        console.error('AI Core error:', error);
-        sendWs(ws, { type: 'error', message: sanitizeErrorMessage(error, 'Failed to get AI response') });
-    }
+    subscribeToConversation(ws, conversationId);
+    sendWs(ws, { type: 'subscribed', conversationId, role: access.role });
 }
 
 module.exports = cds.server;
@@ -4,6 +4,26 @@
  */
 
 const assert = require('assert');
+const { normalizeParentLinks, getBranchPath, getLatestLeaf } = require('./message-tree');
+const { ToolRegistry, getToolRegistry } = require('./tool-registry');
+const { McpClient, loadMcpConfig, toolResultToText } = require('./mcp-client');
+const { loadModelCatalog } = require('./model-catalog');
+const { AiCoreClient, AnthropicStreamCollector, OpenAIStreamCollector } = require('./ai-core-client');
+const { detectFormat } = require('./document-extractor');
+const { documentRagService, chunkDocument } = require('./document-rag');
+const { hasPermission, conversationRole } = require('./workspace-service');
+const { tokenizeQuery, buildSnippet, isVectorEngineMissing } = require('./search-service');
+const { isDefaultOrder, encodeCursor, decodeCursor, afterCursor } = require('./conversation-paging');
+const { normalizeTags, labelService } = require('./label-service');
+const { purgeDate } = require('./trash-service');
+const { renderExport, splitCodeBlocks, exportFilename, renderMessageContent } = require('./conversation-export');
+const { wrapText, toWinAnsi } = require('./pdf-writer');
+const { detectExportSource, parseChatGptConversation, parseClaudeConversation } = require('./import-service');
+const { buildSystemPrompt, DEFAULT_SYSTEM_PROMPT } = require('./persona-service');
+const { extractVariables, TEMPLATE_NAME_RE } = require('./prompt-template-service');
+const { AnswerStream, StreamRegistry, parseEventId } = require('./stream-registry');
+const { ChatOrchestrator, MemorySink, WsSink, validateChatRequest } = require('./chat-orchestrator');
+const { MAX_CONTENT_LENGTH } = require('./request-validation');
 
 // ============ Test Utilities ============
 
@@ -74,6 +94,16 @@ function validateAndNormalizeAttachments(attachments) {
     return normalized;
 }
 
+function validateCollectionFields({ name, description }, requireName) {
+    if ((requireName || name !== undefined) && (typeof name !== 'string' || name.trim().length === 0)) {
+        return 'Name is required';
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return 'Description must be a string';
+    }
+    return null;
+}
+
 function sanitizeErrorMessage(error, fallbackMessage = 'An error occurred') {
     const IS_PRODUCTION = process.env.NODE_ENV === 'production';
     if (!IS_PRODUCTION) {
@@ -216,6 +246,887 @@ describe('sanitizeErrorMessage', () => {
     });
 });
 
+describe('validateCollectionFields', () => {
+    it('should require a name when creating', () => {
+        assert.strictEqual(validateCollectionFields({}, true), 'Name is required');
+        assert.strictEqual(validateCollectionFields({ name: '  ' }, true), 'Name is required');
+        assert.strictEqual(validateCollectionFields({ name: 'Specs' }, true), null);
+    });
+
+    it('should only validate the fields present when updating', () => {
+        assert.strictEqual(validateCollectionFields({ description: 'Specs of product X' }, false), null);
+        assert.strictEqual(validateCollectionFields({ name: '' }, false), 'Name is required');
+        assert.strictEqual(validateCollectionFields({ description: 42 }, false), 'Description must be a string');
+    });
+});
+
+describe('message tree', () => {
+    const msg = (ID, parent_ID, minute) => ({ ID, parent_ID, createdAt: `2025-01-01T10:${String(minute).padStart(2, '0')}:00Z` });
+
+    it('should chain legacy messages chronologically', () => {
+        const result = normalizeParentLinks([msg('b', null, 2), msg('a', null, 1), msg('c', null, 3)]);
+        assert.deepStrictEqual(result.map(m => [m.ID, m.parent_ID]), [['a', null], ['b', 'a'], ['c', 'b']]);
+    });
+
+    it('should keep explicit parent links', () => {
+        const result = normalizeParentLinks([msg('a', null, 1), msg('b', 'a', 2), msg('c', 'a', 3)]);
+        assert.strictEqual(result[2].parent_ID, 'a');
+    });
+
+    it('should follow the branch of the given leaf', () => {
+        const tree = normalizeParentLinks([
+            msg('u1', null, 1), msg('a1', 'u1', 2), msg('a2', 'u1', 3), msg('u2', 'a1', 4)
+        ]);
+        assert.deepStrictEqual(getBranchPath(tree, 'u2').map(m => m.ID), ['u1', 'a1', 'u2']);
+        assert.deepStrictEqual(getBranchPath(tree, 'a2').map(m => m.ID), ['u1', 'a2']);
+        assert.deepStrictEqual(getBranchPath(tree, 'missing'), []);
+    });
+
+    it('should stop at parent cycles', () => {
+        assert.strictEqual(getBranchPath([msg('a', 'b', 1), msg('b', 'a', 2)], 'a').length, 2);
+    });
+
+    it('should pick the most recent message as active leaf', () => {
+        const tree = normalizeParentLinks([msg('u1', null, 1), msg('a2', 'u1', 3), msg('a1', 'u1', 2)]);
+        assert.strictEqual(getLatestLeaf(tree).ID, 'a2');
+        assert.strictEqual(getLatestLeaf([]), null);
+    });
+});
+
+describe('ToolRegistry', () => {
+    const calculator = {
+        name: 'calculator',
+        description: 'Add two numbers',
+        inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } },
+        handler: async ({ a, b }) => a + b
+    };
+
+    it('should expose registered tools in Anthropic format', () => {
+        const registry = new ToolRegistry().register(calculator);
+        assert.deepStrictEqual(registry.getAnthropicTools(), [{
+            name: 'calculator',
+            description: 'Add two numbers',
+            input_schema: calculator.inputSchema
+        }]);
+    });
+
+    it('should expose registered tools in OpenAI function format', () => {
+        const registry = new ToolRegistry().register(calculator);
+        assert.deepStrictEqual(registry.getOpenAITools(), [{
+            type: 'function',
+            function: { name: 'calculator', description: 'Add two numbers', parameters: calculator.inputSchema }
+        }]);
+    });
+
+    it('should reject invalid tool definitions', () => {
+        const registry = new ToolRegistry();
+        assert.throws(() => registry.register({ ...calculator, name: 'bad name' }), /Invalid tool name/);
+        assert.throws(() => registry.register({ ...calculator, handler: null }), /no handler/);
+        assert.throws(() => registry.register({ ...calculator, inputSchema: undefined }), /inputSchema/);
+    });
+
+    it('should hide tools that are not enabled for the context', () => {
+        const registry = new ToolRegistry()
+            .register({ ...calculator, isEnabled: ({ userId }) => userId === 'alice' });
+        assert.strictEqual(registry.list({ userId: 'alice' }).length, 1);
+        assert.strictEqual(registry.list({ userId: 'bob' }).length, 0);
+    });
+
+    it('should only offer the allowed tools', () => {
+        const registry = new ToolRegistry().register(calculator).register({ ...calculator, name: 'other' });
+        assert.deepStrictEqual(registry.list({ allowedTools: ['other'] }).map(t => t.name), ['other']);
+        assert.strictEqual(registry.list({ allowedTools: [] }).length, 0);
+        assert.strictEqual(registry.list({}).length, 2);
+    });
+
+    it('should fall back to a generic status event', () => {
+        const registry = new ToolRegistry().register(calculator);
+        assert.deepStrictEqual(registry.statusEvent('calculator'), { type: 'tool_start', tool: 'calculator' });
+    });
+
+    it('should only offer web_search when Perplexity is configured', () => {
+        const registry = getToolRegistry();
+        assert.strictEqual(registry.list({ client: {} }).some(t => t.name === 'web_search'), false);
+        assert.strictEqual(registry.list({ client: { perplexityDeploymentId: 'd1' } }).some(t => t.name === 'web_search'), true);
+        assert.deepStrictEqual(registry.statusEvent('web_search', [{ query: 'news' }]), { type: 'web_search_start', queries: ['news'] });
+    });
+});
+
+describe('MCP client helpers', () => {
+    const originalServers = process.env.MCP_SERVERS;
+
+    afterEach(() => {
+        if (originalServers === undefined) {
+            delete process.env.MCP_SERVERS;
+        } else {
+            process.env.MCP_SERVERS = originalServers;
+        }
+    });
+
+    it('should accept configs with and without the mcpServers wrapper', () => {
+        process.env.MCP_SERVERS = JSON.stringify({ mcpServers: { a: { command: 'node' } } });
+        assert.deepStrictEqual(Object.keys(loadMcpConfig()), ['a']);
+        process.env.MCP_SERVERS = JSON.stringify({ b: { url: 'http://localhost/mcp' } });
+        assert.deepStrictEqual(Object.keys(loadMcpConfig()), ['b']);
+    });
+
+    it('should flatten text content of tool results', () => {
+        const result = { content: [{ type: 'text', text: 'one' }, { type: 'image', data: '...' }, { type: 'text', text: 'two' }] };
+        assert.strictEqual(toolResultToText(result), 'one\n[image content omitted]\ntwo');
+    });
+
+    it('should throw for error results', () => {
+        assert.throws(() => toolResultToText({ content: [{ type: 'text', text: 'boom' }], isError: true }), /boom/);
+    });
+
+    // A minimal stdio MCP server with one echo tool; FAIL_LIST makes tools/list fail
+    const STUB_SERVER = `
+        const rl = require('readline').createInterface({ input: process.stdin });
+        const reply = (msg) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\\n');
+        rl.on('line', (line) => {
+            const { id, method, params } = JSON.parse(line);
+            if (id === undefined) return;
+            if (method === 'initialize') {
+                reply({ id, result: { protocolVersion: params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stub', version: '1.0.0' } } });
+            } else if (method === 'tools/list' && process.env.FAIL_LIST) {
+                reply({ id, error: { code: -32603, message: 'listing failed' } });
+            } else if (method === 'tools/list') {
+                reply({ id, result: { tools: [{ name: 'echo', description: 'Echo text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }] } });
+            } else if (method === 'tools/call') {
+                reply({ id, result: { content: [{ type: 'text', text: 'echo: ' + params.arguments.text }] } });
+            }
+        });
+    `;
+
+    // Runs connect -> tool call -> close in a child process (the test runner is synchronous)
+    const runWithStubServer = (stubEnv = {}) => {
+        const driver = `
+            const { connectMcpServers, closeMcpServers } = require('./mcp-client');
+            const { ToolRegistry } = require('./tool-registry');
+            (async () => {
+                const registry = new ToolRegistry();
+                await connectMcpServers(registry);
+                const tools = registry.list({}).map(t => t.name);
+                const result = tools.length ? await registry.execute('stub__echo', { text: 'hi' }) : null;
+                await closeMcpServers();
+                console.log(JSON.stringify({ tools, result }));
+            })();
+        `;
+        const servers = { stub: { command: process.execPath, args: ['-e', STUB_SERVER], env: stubEnv } };
+        const run = require('child_process').spawnSync(process.execPath, ['-e', driver], {
+            cwd: __dirname,
+            env: { ...process.env, MCP_SERVERS: JSON.stringify(servers) },
+            encoding: 'utf8',
+            timeout: 20000
+        });
+        assert.strictEqual(run.status, 0, run.stderr || 'MCP driver did not exit');
+        return JSON.parse(run.stdout.trim().split('\n').pop());
+    };
+
+    it('should run tools of a stdio MCP server through the tool registry', () => {
+        const { tools, result } = runWithStubServer();
+        assert.deepStrictEqual(tools, ['stub__echo']);
+        assert.deepStrictEqual(result, { content: 'echo: hi', isError: false });
+    });
+
+    it('should stop a stdio MCP server whose tools cannot be listed', () => {
+        const { tools } = runWithStubServer({ FAIL_LIST: '1' });
+        assert.deepStrictEqual(tools, []);
+    });
+});
+
+describe('loadModelCatalog', () => {
+    const saved = {
+        AICORE_MODELS: process.env.AICORE_MODELS,
+        AICORE_DEPLOYMENT_ID: process.env.AICORE_DEPLOYMENT_ID
+    };
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+    });
+
+    it('should fall back to a single default model from AICORE_DEPLOYMENT_ID', () => {
+        delete process.env.AICORE_MODELS;
+        process.env.AICORE_DEPLOYMENT_ID = 'd1';
+        const [model, ...rest] = loadModelCatalog();
+        assert.strictEqual(rest.length, 0);
+        assert.strictEqual(model.id, 'default');
+        assert.strictEqual(model.deploymentId, 'd1');
+        assert.strictEqual(model.isDefault, true);
+    });
+
+    it('should make the first model the default when none is flagged', () => {
+        process.env.AICORE_MODELS = JSON.stringify([
+            { id: 'fast', deploymentId: 'd1', type: 'openai' },
+            { id: 'large', deploymentId: 'd2' }
+        ]);
+        const models = loadModelCatalog();
+        assert.deepStrictEqual(models.map(m => [m.id, m.type, m.isDefault]), [['fast', 'openai', true], ['large', 'anthropic', false]]);
+    });
+
+    it('should enable PDF document blocks for Anthropic models unless disabled', () => {
+        process.env.AICORE_MODELS = JSON.stringify([
+            { id: 'sonnet', deploymentId: 'd1' },
+            { id: 'haiku', deploymentId: 'd2', pdfDocuments: false },
+            { id: 'gpt', deploymentId: 'd3', type: 'openai' }
+        ]);
+        assert.deepStrictEqual(loadModelCatalog().map(m => m.pdfDocuments), [true, false, false]);
+    });
+
+    it('should reject invalid catalogue entries', () => {
+        process.env.AICORE_MODELS = JSON.stringify([{ id: 'x' }]);
+        assert.throws(() => loadModelCatalog(), /deploymentId is required/);
+        process.env.AICORE_MODELS = JSON.stringify([{ id: 'a', deploymentId: 'd', type: 'gemini' }]);
+        assert.throws(() => loadModelCatalog(), /unsupported type/);
+        process.env.AICORE_MODELS = JSON.stringify([{ id: 'a', deploymentId: 'd1' }, { id: 'a', deploymentId: 'd2' }]);
+        assert.throws(() => loadModelCatalog(), /duplicate/);
+    });
+});
+
+describe('stream collectors', () => {
+    it('should assemble streamed OpenAI tool call deltas', () => {
+        const collector = new OpenAIStreamCollector();
+        const delta = (d) => ({ choices: [{ delta: d }] });
+        assert.deepStrictEqual(collector.handle(delta({ content: 'Checking.' })), []);
+        assert.deepStrictEqual(collector.handle(delta({
+            tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{"qu' } }]
+        })), ['web_search']);
+        collector.handle(delta({ tool_calls: [{ index: 0, function: { arguments: 'ery":"news"}' } }] }));
+
+        assert.strictEqual(collector.hasText, true);
+        assert.deepStrictEqual(collector.toolCalls, [{ id: 'call_1', name: 'web_search', input: { query: 'news' } }]);
+        assert.deepStrictEqual(collector.assistantMessage().tool_calls, [{
+            id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{"query":"news"}' }
+        }]);
+        assert.deepStrictEqual(collector.toolResultMessages([{ content: 'result', isError: false }]),
+            [{ role: 'tool', tool_call_id: 'call_1', content: 'result' }]);
+    });
+
+    it('should assemble streamed Anthropic tool_use blocks', () => {
+        const collector = new AnthropicStreamCollector();
+        assert.deepStrictEqual(collector.handle({
+            type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 't1', name: 'calculator' }
+        }), ['calculator']);
+        collector.handle({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"a":1}' } });
+        collector.handle({ type: 'content_block_stop', index: 0 });
+
+        assert.strictEqual(collector.hasText, false);
+        assert.deepStrictEqual(collector.toolCalls, [{ id: 't1', name: 'calculator', input: { a: 1 } }]);
+        assert.deepStrictEqual(collector.toolResultMessages([{ content: 'boom', isError: true }])[0].content[0], {
+            type: 'tool_result', tool_use_id: 't1', content: [{ type: 'text', text: 'boom' }], is_error: true
+        });
+    });
+});
+
+describe('detectFormat', () => {
+    it('should detect documents by MIME type', () => {
+        assert.strictEqual(detectFormat('application/pdf', 'scan'), 'pdf');
+        assert.strictEqual(detectFormat('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'a'), 'xlsx');
+        assert.strictEqual(detectFormat('text/html; charset=utf-8', 'page'), 'html');
+    });
+
+    it('should fall back to the file extension for generic MIME types', () => {
+        assert.strictEqual(detectFormat('application/octet-stream', 'Report.DOCX'), 'docx');
+        assert.strictEqual(detectFormat('', 'slides.pptx'), 'pptx');
+    });
+
+    it('should treat text-like files as text and unknown binaries as unsupported', () => {
+        assert.strictEqual(detectFormat('text/csv', 'data.csv'), 'text');
+        assert.strictEqual(detectFormat('application/json', 'data.json'), 'text');
+        assert.strictEqual(detectFormat('application/zip', 'archive.zip'), null);
+    });
+});
+
+describe('PDF document blocks', () => {
+    const pdf = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Page >> endobj\n2 0 obj << /Type /Page >> endobj\n').toString('base64');
+    const messages = () => [{
+        role: 'user',
+        content: 'Summarize',
+        attachments: [{ name: 'report.pdf', type: 'application/pdf', data: pdf, text: '--- Page 1 ---\nIntro' }]
+    }];
+
+    it('should send PDFs as document blocks to models that support them', () => {
+        const client = new AiCoreClient({ deploymentId: 'd1', type: 'anthropic' });
+        const { messages: converted, attachmentUsage } = client.convertToAnthropicFormat(messages());
+        const [block] = converted[0].content;
+        assert.strictEqual(block.type, 'document');
+        assert.deepStrictEqual(block.source, { type: 'base64', media_type: 'application/pdf', data: pdf });
+        assert.strictEqual(attachmentUsage[0].sentAs, 'document');
+        assert.strictEqual(attachmentUsage[0].pages, 2);
+    });
+
+    it('should fall back to the extracted text when document blocks are disabled', () => {
+        const client = new AiCoreClient({ deploymentId: 'd1', type: 'anthropic', pdfDocuments: false });
+        const { messages: converted, attachmentUsage } = client.convertToAnthropicFormat(messages());
+        assert.strictEqual(converted[0].content[0].type, 'text');
+        assert.ok(converted[0].content[0].text.includes('Intro'));
+        assert.strictEqual(attachmentUsage[0].sentAs, 'text');
+    });
+});
+
+describe('document RAG', () => {
+    it('should use section markers as chunk locations', () => {
+        const chunks = chunkDocument('Preface\n\n--- Page 1 ---\nFirst page\n\n--- Page 2 ---\nSecond page');
+        assert.deepStrictEqual(chunks, [
+            { location: null, content: 'Preface' },
+            { location: 'Page 1', content: 'First page' },
+            { location: 'Page 2', content: 'Second page' }
+        ]);
+    });
+
+    it('should pack paragraphs into chunks that overlap', () => {
+        const paragraphs = Array.from({ length: 6 }, (_, i) => `paragraph ${i} ${'word '.repeat(8).trim()}`);
+        const chunks = chunkDocument(paragraphs.join('\n\n'), 120, 30);
+        assert.ok(chunks.length > 1);
+        for (const chunk of chunks) {
+            assert.ok(chunk.content.length <= 150, `chunk too long: ${chunk.content.length}`);
+        }
+        // The tail of a chunk is repeated at the start of the next one
+        const tail = chunks[0].content.split('\n\n').pop().split(' ').pop();
+        assert.ok(chunks[1].content.startsWith(tail) || chunks[1].content.includes(`${tail}\n\n`));
+    });
+
+    it('should split paragraphs longer than a chunk', () => {
+        const chunks = chunkDocument('Sentence one is here. '.repeat(20), 100, 0);
+        assert.ok(chunks.length >= 4);
+        assert.ok(chunks.every(c => c.content.length <= 100));
+    });
+
+    it('should number excerpts and return them as sources', () => {
+        const { prompt, sources } = documentRagService.formatChunksForPrompt([
+            { attachmentId: 'a1', filename: 'report.pdf', location: 'Page 3', content: 'Revenue grew 12%.' },
+            { documentId: 'd2', filename: 'notes.txt', location: null, content: 'Draft.' }
+        ]);
+        assert.ok(prompt.includes('[1] report.pdf, Page 3\nRevenue grew 12%.'));
+        assert.ok(prompt.includes('[2] notes.txt\nDraft.'));
+        assert.deepStrictEqual(sources, [
+            { index: 1, attachmentId: 'a1', documentId: null, filename: 'report.pdf', location: 'Page 3' },
+            { index: 2, attachmentId: null, documentId: 'd2', filename: 'notes.txt', location: null }
+        ]);
+    });
+
+    it('should return no prompt without chunks', () => {
+        assert.deepStrictEqual(documentRagService.formatChunksForPrompt([]), { prompt: '', sources: [] });
+    });
+});
+
+describe('workspace roles', () => {
+    it('should grant permissions by role', () => {
+        assert.strictEqual(hasPermission('owner', 'manage'), true);
+        assert.strictEqual(hasPermission('editor', 'write'), true);
+        assert.strictEqual(hasPermission('editor', 'manage'), false);
+        assert.strictEqual(hasPermission('viewer', 'read'), true);
+        assert.strictEqual(hasPermission('viewer', 'write'), false);
+        assert.strictEqual(hasPermission(null, 'read'), false);
+        assert.strictEqual(hasPermission('admin', 'read'), false);
+    });
+
+    it('should give only the creator access to personal conversations', () => {
+        const conversation = { userId: 'alice', workspace_ID: null };
+        assert.strictEqual(conversationRole(conversation, 'alice', null), 'owner');
+        assert.strictEqual(conversationRole(conversation, 'bob', 'owner'), null);
+    });
+
+    it('should use the member role in workspace conversations', () => {
+        const conversation = { userId: 'alice', workspace_ID: 'w1' };
+        assert.strictEqual(conversationRole(conversation, 'bob', 'editor'), 'editor');
+        assert.strictEqual(conversationRole(conversation, 'bob', 'viewer'), 'viewer');
+        assert.strictEqual(conversationRole(conversation, 'bob', null), null);
+    });
+
+    it('should make creators owners of their workspace conversations unless they are viewers', () => {
+        const conversation = { userId: 'alice', workspace_ID: 'w1' };
+        assert.strictEqual(conversationRole(conversation, 'alice', 'editor'), 'owner');
+        assert.strictEqual(conversationRole(conversation, 'alice', 'viewer'), 'viewer');
+        assert.strictEqual(conversationRole(conversation, 'alice', null), null);
+    });
+});
+
+describe('conversation search', () => {
+    it('should split queries into unique lowercase terms', () => {
+        assert.deepStrictEqual(tokenizeQuery('  HANA vector, hana a Vector-search '), ['hana', 'vector', 'search']);
+        assert.deepStrictEqual(tokenizeQuery(''), []);
+    });
+
+    it('should cut the snippet around the first match and mark every match', () => {
+        const content = `${'lorem '.repeat(40)}the HANA database stores vectors in HANA ${'ipsum '.repeat(40)}`;
+        const snippet = buildSnippet(content, ['hana'], 50);
+        assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'));
+        assert.strictEqual(snippet.highlights.length, 2);
+        for (const { start, end } of snippet.highlights) {
+            assert.strictEqual(snippet.text.slice(start, end), 'HANA');
+        }
+    });
+
+    it('should merge overlapping highlights and fall back to the start without matches', () => {
+        const merged = buildSnippet('Our database is fast', ['data', 'database']);
+        assert.deepStrictEqual(merged.highlights, [{ start: 4, end: 12 }]);
+
+        const none = buildSnippet('Semantic match only', ['unrelated']);
+        assert.strictEqual(none.text, 'Semantic match only');
+        assert.deepStrictEqual(none.highlights, []);
+    });
+
+    it('should only give up on vectors when the database has no vector engine', () => {
+        assert.ok(isVectorEngineMissing(new Error('no such function: TO_REAL_VECTOR')));
+        assert.ok(isVectorEngineMissing(new Error('invalid name of function or procedure: COSINE_SIMILARITY')));
+        assert.ok(!isVectorEngineMissing(new Error('Embedding request failed with status 429')));
+        assert.ok(!isVectorEngineMissing(new Error('Connection to the database was lost')));
+        assert.ok(!isVectorEngineMissing(new Error('TO_REAL_VECTOR: vector dimension mismatch')));
+    });
+});
+
+describe('conversation paging', () => {
+    it('should round-trip a cursor', () => {
+        const token = encodeCursor({ modifiedAt: '2025-03-01T10:00:00.000Z', ID: 'c1' }, 50);
+        assert.deepStrictEqual(decodeCursor(token), { modifiedAt: '2025-03-01T10:00:00.000Z', ID: 'c1', returned: 50 });
+    });
+
+    it('should not treat numeric or foreign skiptokens as cursors', () => {
+        assert.strictEqual(decodeCursor('50'), null);
+        assert.strictEqual(decodeCursor(Buffer.from('$rows=10&$offset=20').toString('base64')), null);
+        assert.strictEqual(decodeCursor(undefined), null);
+    });
+
+    it('should page by cursor only in the default order', () => {
+        const implicitKey = { ref: ['ID'], sort: 'asc', implicit: true };
+        assert.strictEqual(isDefaultOrder(undefined), true);
+        assert.strictEqual(isDefaultOrder([{ ref: ['modifiedAt'], sort: 'desc' }, implicitKey]), true);
+        assert.strictEqual(isDefaultOrder([{ ref: ['title'], sort: 'asc' }, implicitKey]), false);
+        assert.strictEqual(isDefaultOrder([{ ref: ['modifiedAt'] }]), false);
+    });
+
+    it('should continue after the cursor, breaking ties by ID', () => {
+        const { xpr } = afterCursor({ modifiedAt: 't', ID: 'c1' });
+        assert.deepStrictEqual(xpr.slice(0, 4), [{ ref: ['modifiedAt'] }, '<', { val: 't' }, 'or']);
+        assert.deepStrictEqual(xpr[4].xpr.slice(4), [{ ref: ['ID'] }, '<', { val: 'c1' }]);
+    });
+});
+
+describe('conversation labels', () => {
+    it('should normalize tags', () => {
+        assert.deepStrictEqual(normalizeTags([' Work ', '#work', 'side project', '']), ['work', 'side-project']);
+        assert.deepStrictEqual(normalizeTags([]), []);
+    });
+
+    it('should reject invalid tag lists', () => {
+        assert.strictEqual(normalizeTags('work'), null);
+        assert.strictEqual(normalizeTags([42]), null);
+        assert.strictEqual(normalizeTags(['x'.repeat(31)]), null);
+        assert.strictEqual(normalizeTags(Array.from({ length: 11 }, (_, i) => `t${i}`)), null);
+    });
+
+    it('should hide archived conversations unless they are asked for', () => {
+        const [hidden] = labelService.listConditions('alice', { archived: false });
+        assert.deepStrictEqual(hidden.xpr.slice(0, 3), [{ ref: ['ID'] }, 'not', 'in']);
+        const [only] = labelService.listConditions('alice', { archived: true });
+        assert.ok(only.ID.in);
+        assert.deepStrictEqual(labelService.listConditions('alice', {}), []);
+    });
+});
+
+describe('trash', () => {
+    it('should purge conversations after the retention period', () => {
+        assert.strictEqual(purgeDate('2025-03-01T10:00:00.000Z', 30), '2025-03-31T10:00:00.000Z');
+    });
+
+    it('should keep conversations without retention', () => {
+        assert.strictEqual(purgeDate('2025-03-01T10:00:00.000Z', 0), null);
+        assert.strictEqual(purgeDate(null, 30), null);
+    });
+});
+
+describe('conversation export', () => {
+    const doc = {
+        conversationId: 'c1', title: 'Release plan', exportedAt: '2025-03-02T09:00:00.000Z', exportedBy: 'alice',
+        messages: [
+            { ID: 'm1', role: 'user', author: 'alice', content: 'Steps?', createdAt: '2025-03-01T10:00:00.000Z', sources: [], attachments: [{ ID: 'a1', filename: 'spec.pdf', mimeType: 'application/pdf' }] },
+            { ID: 'm2', role: 'assistant', author: null, content: 'Run:\n\n```bash\ncf push\n```', createdAt: '2025-03-01T10:01:00.000Z', sources: [{ index: 1, filename: 'guide.pdf', location: 'page 3' }], attachments: [] }
+        ]
+    };
+
+    it('should split fenced code blocks from text', () => {
+        assert.deepStrictEqual(splitCodeBlocks('Run:\n```bash\ncf push\n```\nDone'), [
+            { type: 'text', text: 'Run:\n' },
+            { type: 'code', language: 'bash', text: 'cf push' },
+            { type: 'text', text: '\nDone' }
+        ]);
+        assert.deepStrictEqual(splitCodeBlocks('```\nnot closed')[0], { type: 'code', language: '', text: 'not closed' });
+    });
+
+    it('should render Markdown with metadata, attachments and sources', () => {
+        const { body, filename } = renderExport('md', doc);
+        assert.strictEqual(filename, 'Release-plan.md');
+        assert.ok(body.startsWith('# Release plan'));
+        assert.ok(body.includes('## User (alice)'));
+        assert.ok(body.includes('- spec.pdf (application/pdf)'));
+        assert.ok(body.includes('1. guide.pdf, page 3'));
+    });
+
+    it('should escape HTML in messages', () => {
+        const html = renderMessageContent('**Hi** <img src=x onerror=alert(1)>\n\n```html\n<b>x</b>\n```');
+        assert.ok(html.includes('<strong>Hi</strong> &lt;img'));
+        assert.ok(html.includes('<pre><code class="language-html">&lt;b&gt;x&lt;/b&gt;</code></pre>'));
+    });
+
+    it('should render a PDF', () => {
+        const { body } = renderExport('pdf', doc);
+        assert.ok(Buffer.isBuffer(body));
+        assert.strictEqual(body.subarray(0, 8).toString(), '%PDF-1.4');
+        assert.ok(body.subarray(-6).toString().includes('%%EOF'));
+    });
+
+    it('should wrap PDF text and replace characters the standard fonts lack', () => {
+        const lines = wrapText('word '.repeat(40).trim(), 'regular', 10, 100);
+        assert.ok(lines.length > 1 && lines.every(l => l.length > 0));
+        assert.strictEqual(toWinAnsi('“ok” – 😀'), '\x93ok\x94 \x96 ?');
+    });
+
+    it('should fall back to a generic file name', () => {
+        assert.strictEqual(exportFilename('???', 'json'), 'conversation.json');
+    });
+});
+
+describe('conversation import', () => {
+    const chatGpt = {
+        id: 'gpt-1', title: 'Trip', create_time: 1700000000, update_time: 1700000100,
+        mapping: {
+            root: { id: 'root', message: null, parent: null, children: ['sys'] },
+            sys: { id: 'sys', message: { author: { role: 'system' }, content: { content_type: 'text', parts: [''] } }, parent: 'root', children: ['u1'] },
+            u1: { id: 'u1', message: { author: { role: 'user' }, create_time: 1700000010, content: { content_type: 'multimodal_text', parts: [{ content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-abc' }, 'Where to?'] } }, parent: 'sys', children: ['a1', 'a2'] },
+            a1: { id: 'a1', message: { author: { role: 'assistant' }, create_time: 1700000020, content: { content_type: 'text', parts: ['Lisbon'] } }, parent: 'u1', children: [] },
+            a2: { id: 'a2', message: { author: { role: 'assistant' }, create_time: null, content: { content_type: 'text', parts: ['Porto'] } }, parent: 'u1', children: [] }
+        }
+    };
+
+    it('should detect the export source', () => {
+        assert.strictEqual(detectExportSource([chatGpt]), 'chatgpt');
+        assert.strictEqual(detectExportSource([{ uuid: 'c', chat_messages: [] }]), 'claude');
+        assert.strictEqual(detectExportSource([{ messages: [] }]), null);
+        assert.strictEqual(detectExportSource([]), null);
+    });
+
+    it('should map a ChatGPT tree, skipping system messages and keeping branches', () => {
+        const conversation = parseChatGptConversation(chatGpt);
+        assert.strictEqual(conversation.sourceId, 'gpt-1');
+        assert.strictEqual(conversation.createdAt, '2023-11-14T22:13:20.000Z');
+        const byKey = Object.fromEntries(conversation.messages.map(m => [m.key, m]));
+        assert.deepStrictEqual(Object.keys(byKey).sort(), ['a1', 'a2', 'u1']);
+        assert.strictEqual(byKey.u1.parentKey, null);
+        assert.strictEqual(byKey.u1.content, 'Where to?');
+        assert.deepStrictEqual(byKey.u1.attachments, [{ fileId: 'file-abc' }]);
+        assert.strictEqual(byKey.a2.parentKey, 'u1');
+        // Missing timestamps come right after the parent's
+        assert.ok(byKey.a2.createdAt > byKey.u1.createdAt);
+    });
+
+    it('should map a Claude conversation with document text as attachments', () => {
+        const conversation = parseClaudeConversation({
+            uuid: 'cl-1', name: '', created_at: '2025-01-01T10:00:00Z',
+            chat_messages: [
+                { uuid: 'h1', sender: 'human', text: 'Summarize', created_at: '2025-01-01T10:00:00Z', attachments: [{ file_name: 'notes.pdf', extracted_content: 'Q1 numbers' }], files: [] },
+                { uuid: 'x1', sender: 'assistant', text: 'old', content: [{ type: 'thinking', thinking: '...' }, { type: 'text', text: 'Revenue grew.' }], created_at: '2025-01-01T10:00:05Z' }
+            ]
+        });
+        assert.strictEqual(conversation.title, 'Imported chat');
+        const [human, assistant] = conversation.messages;
+        assert.deepStrictEqual(human.attachments, [{ filename: 'notes.pdf', mimeType: 'text/plain', text: 'Q1 numbers' }]);
+        assert.strictEqual(assistant.role, 'assistant');
+        assert.strictEqual(assistant.content, 'Revenue grew.');
+        assert.strictEqual(assistant.parentKey, 'h1');
+    });
+
+    it('should not unpack archive entries beyond the size limits', () => {
+        // 2 MB of zeros compress to a few KB; readExportArchive is async, so it runs in a child process
+        const driver = `
+            const JSZip = require('jszip');
+            const { readExportArchive } = require('./import-service');
+            const limits = { maxAttachmentBytes: 1024 * 1024, maxUncompressedBytes: 1024 * 1024 };
+            const archive = (json, files = {}) => {
+                const zip = new JSZip();
+                zip.file('conversations.json', json);
+                for (const [name, data] of Object.entries(files)) zip.file(name, data);
+                return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+            };
+            (async () => {
+                const conversations = JSON.stringify([${JSON.stringify(chatGpt)}]);
+                const zeros = Buffer.alloc(2 * 1024 * 1024);
+                const withFile = await readExportArchive(await archive(conversations, { 'file-abc.png': zeros }), limits);
+                const error = await readExportArchive(await archive(conversations + ' '.repeat(zeros.length)), limits)
+                    .then(() => null, e => e.message);
+                const u1 = withFile.conversations[0].messages.find(m => m.key === 'u1');
+                console.log(JSON.stringify({ attachments: u1.attachments.length, error }));
+            })();
+        `;
+        const run = require('child_process').spawnSync(process.execPath, ['-e', driver], { cwd: __dirname, encoding: 'utf8', timeout: 20000 });
+        assert.strictEqual(run.status, 0, run.stderr);
+        const { attachments, error } = JSON.parse(run.stdout.trim().split('\n').pop());
+        assert.strictEqual(attachments, 0);
+        assert.strictEqual(error, 'conversations.json exceeds max size (1MB unpacked)');
+    });
+});
+
+describe('personas', () => {
+    it('should use the default system prompt without a persona prompt', () => {
+        assert.strictEqual(buildSystemPrompt(), DEFAULT_SYSTEM_PROMPT);
+        assert.strictEqual(buildSystemPrompt({ persona: { systemPrompt: '  ' } }), DEFAULT_SYSTEM_PROMPT);
+    });
+
+    it('should put the persona prompt before memories and document excerpts', () => {
+        const prompt = buildSystemPrompt({
+            persona: { systemPrompt: 'You review ABAP code. ' },
+            memoryPrompt: '\n\nMemories',
+            documentPrompt: '\n\nExcerpts'
+        });
+        assert.strictEqual(prompt, 'You review ABAP code.\n\nMemories\n\nExcerpts');
+    });
+});
+
+describe('prompt templates', () => {
+    it('should list each variable once, in order of appearance', () => {
+        const content = 'Review this {{ language }} code:\n{{code}}\nFocus on {{focus}}. Language: {{language}}';
+        assert.deepStrictEqual(extractVariables(content), ['language', 'code', 'focus']);
+    });
+
+    it('should ignore braces that are not variables', () => {
+        assert.deepStrictEqual(extractVariables('const x = {{}}; {{ two words }} {{1st}}'), []);
+        assert.deepStrictEqual(extractVariables(null), []);
+    });
+
+    it('should only accept slash command names', () => {
+        assert.ok(TEMPLATE_NAME_RE.test('code-review'));
+        assert.ok(TEMPLATE_NAME_RE.test('summarize_2'));
+        assert.ok(!TEMPLATE_NAME_RE.test('Code review'));
+        assert.ok(!TEMPLATE_NAME_RE.test('-review'));
+    });
+});
+
+describe('resumable answer streams', () => {
+    const owner = { conversationId: 'c1', userId: 'alice' };
+
+    it('should replay the events after the last one a client received', () => {
+        const answer = new AnswerStream('m1', owner);
+        answer.push({ type: 'assistant_start', id: 'm1' });
+        answer.push({ type: 'content', content: 'Hel' });
+        answer.push({ type: 'content', content: 'lo' });
+
+        const received = [];
+        answer.subscribe(event => { received.push(event); }, 2);
+        answer.push({ type: 'content', content: '!' });
+
+        assert.deepStrictEqual(received.map(e => e.seq), [3, 4]);
+        assert.strictEqual(answer.content, 'Hello!');
+    });
+
+    it('should stop delivering after the final event or when a client is gone', () => {
+        const answer = new AnswerStream('m1', owner);
+        const gone = [];
+        const live = [];
+        answer.subscribe(event => { gone.push(event); return false; });
+        answer.subscribe(event => { live.push(event); });
+        answer.push({ type: 'content', content: 'a' });
+        answer.push({ type: 'done', id: 'm1' });
+
+        assert.strictEqual(gone.length, 1);
+        assert.deepStrictEqual(live.map(e => e.type), ['content', 'done']);
+        assert.strictEqual(answer.finished, true);
+        assert.strictEqual(answer.listeners.size, 0);
+        assert.strictEqual(answer.push({ type: 'content', content: 'late' }), null);
+    });
+
+    it('should replay a finished answer to a late client', () => {
+        const answer = new AnswerStream('m1', owner);
+        answer.push({ type: 'content', content: 'a' });
+        answer.push({ type: 'error', message: 'failed' });
+
+        const received = [];
+        answer.subscribe(event => { received.push(event.type); });
+        assert.deepStrictEqual(received, ['content', 'error']);
+        assert.strictEqual(answer.listeners.size, 0);
+    });
+
+    it('should parse Last-Event-ID', () => {
+        assert.strictEqual(parseEventId(undefined), 0);
+        assert.strictEqual(parseEventId(''), 0);
+        assert.strictEqual(parseEventId('12'), 12);
+        assert.strictEqual(parseEventId(7), 7);
+        assert.strictEqual(parseEventId('-1'), null);
+        assert.strictEqual(parseEventId('abc'), null);
+    });
+});
+
+describe('background jobs', () => {
+    it('should report the status of a job', () => {
+        const answer = new AnswerStream('m1', { conversationId: 'c1', userId: 'alice', background: true });
+        assert.strictEqual(answer.status, 'running');
+        let notified = null;
+        answer.subscribe(() => { notified = answer.status; });
+        answer.push({ type: 'done', id: 'm1' });
+        assert.strictEqual(notified, 'completed');
+        assert.strictEqual(answer.status, 'completed');
+        assert.ok(answer.finishedAt);
+
+        const failed = new AnswerStream('m2', { conversationId: 'c1', userId: 'alice', background: true });
+        failed.push({ type: 'error', message: 'Stream error occurred' });
+        assert.strictEqual(failed.status, 'failed');
+    });
+
+    it('should list only the background jobs of the user, running ones first', () => {
+        const registry = new StreamRegistry();
+        registry.create('m1', { conversationId: 'c1', userId: 'alice', background: true })
+            .push({ type: 'error', message: 'Failed to get AI response' });
+        registry.create('m2', { conversationId: 'c2', userId: 'alice', background: true });
+        registry.create('m3', { conversationId: 'c1', userId: 'alice' });
+        registry.create('m4', { conversationId: 'c3', userId: 'bob', background: true });
+
+        const jobs = registry.listJobs('alice');
+        assert.deepStrictEqual(jobs.map(j => [j.messageId, j.status]), [['m2', 'running'], ['m1', 'failed']]);
+        assert.strictEqual(jobs[1].error, 'Failed to get AI response');
+        assert.strictEqual(jobs[0].conversationId, 'c2');
+    });
+
+    it('should keep only the status of a background job once its events expire', () => {
+        const registry = new StreamRegistry();
+        registry.create('m1', { conversationId: 'c1', userId: 'alice', background: true })
+            .push({ type: 'done', content: 'Answer' });
+        registry.create('m2', { conversationId: 'c2', userId: 'alice' }).push({ type: 'done', content: 'Answer' });
+        registry.expire('m1');
+        registry.expire('m2');
+
+        assert.strictEqual(registry.get('m1'), null);
+        assert.strictEqual(registry.get('m2'), null);
+        assert.deepStrictEqual(registry.listJobs('alice').map(j => [j.messageId, j.status]), [['m1', 'completed']]);
+    });
+});
+
+describe('chat orchestrator', () => {
+    const conversationId = '123e4567-e89b-12d3-a456-426614174000';
+
+    it('should validate chat requests the same way for every transport', () => {
+        assert.deepStrictEqual(validateChatRequest({ conversationId, content: 'Hi' }).fields,
+            { conversationId, content: 'Hi', attachments: [], parentId: null, background: false });
+        assert.strictEqual(validateChatRequest({ conversationId, content: 'x'.repeat(MAX_CONTENT_LENGTH + 1) }).error,
+            `Message too long (max ${MAX_CONTENT_LENGTH} characters)`);
+        assert.strictEqual(validateChatRequest({ conversationId, content: 42 }).error, 'content must be a string');
+        assert.strictEqual(validateChatRequest({ conversationId, content: 'Hi', background: 'yes' }).error,
+            'background must be a boolean');
+        assert.strictEqual(validateChatRequest({ content: 'Hi' }).error, 'Missing conversationId or content');
+    });
+
+    it('should reject an invalid request on the sink', () => {
+        const sink = new MemorySink();
+        new ChatOrchestrator().chat(sink, { id: 'orchestrator-test' }, { conversationId, content: 'x'.repeat(MAX_CONTENT_LENGTH + 1) });
+        assert.strictEqual(sink.status, 400);
+        assert.ok(sink.error.startsWith('Message too long'));
+        assert.strictEqual(sink.opened, false);
+        assert.strictEqual(sink.ended, true);
+    });
+
+    it('should deliver the events of an answer and end the sink with it', () => {
+        const answer = new AnswerStream('m1', { conversationId: 'c1', userId: 'alice' });
+        answer.push({ type: 'assistant_start', id: 'm1' });
+        answer.push({ type: 'content', content: 'Hel' });
+        const sink = new MemorySink();
+        new ChatOrchestrator().deliver(sink, answer, 1);
+        answer.push({ type: 'content', content: 'lo' });
+        answer.push({ type: 'done', id: 'm1' });
+        assert.deepStrictEqual(sink.events.map(e => e.seq), [2, 3, 4]);
+        assert.strictEqual(sink.ended, true);
+        assert.strictEqual(sink.closeListeners.size, 0);
+    });
+
+    it('should stop delivering when the client disconnects, without stopping the answer', () => {
+        const answer = new AnswerStream('m1', { conversationId: 'c1', userId: 'alice' });
+        const sink = new MemorySink();
+        new ChatOrchestrator().deliver(sink, answer);
+        answer.push({ type: 'content', content: 'Hel' });
+        sink.close();
+        answer.push({ type: 'content', content: 'lo' });
+        assert.strictEqual(sink.events.length, 1);
+        assert.strictEqual(answer.listeners.size, 0);
+        assert.strictEqual(answer.content, 'Hello');
+    });
+});
+
+describe('answer cancellation', () => {
+    it('should signal the generation to stop while the answer is running', () => {
+        const answer = new AnswerStream('m1', { conversationId: 'c1', userId: 'alice' });
+        let aborted = false;
+        answer.signal.addEventListener('abort', () => { aborted = true; });
+        answer.cancel();
+        assert.strictEqual(aborted, true);
+
+        const finished = new AnswerStream('m2', { conversationId: 'c1', userId: 'alice' });
+        finished.push({ type: 'done', id: 'm2' });
+        finished.cancel();
+        assert.strictEqual(finished.signal.aborted, false);
+        assert.strictEqual(finished.status, 'completed');
+    });
+
+    it('should report a stopped answer', () => {
+        const answer = new AnswerStream('m1', { conversationId: 'c1', userId: 'alice', background: true });
+        answer.push({ type: 'content', content: 'Hel' });
+        answer.push({ type: 'done', id: 'm1', stopped: true });
+        assert.strictEqual(answer.status, 'stopped');
+        assert.strictEqual(answer.content, 'Hel');
+    });
+
+    it('should end the AI stream when the answer is cancelled, also between tool rounds', () => {
+        const { PassThrough } = require('stream');
+        const client = new AiCoreClient({ deploymentId: 'd1', type: 'anthropic' });
+        const controller = new AbortController();
+        const output = client._interceptToolUseStream(new PassThrough(), [], { signal: controller.signal },
+            () => new AnthropicStreamCollector(), async () => new PassThrough());
+        controller.abort();
+        assert.strictEqual(output.destroyed, true);
+    });
+
+    it('should cancel a running MCP tool call on the server', () => {
+        const sent = [];
+        const client = new McpClient('files', { send: async (message) => { sent.push(message); } });
+        const controller = new AbortController();
+        client.callTool('read', { path: 'a.txt' }, { signal: controller.signal }).catch(() => {});
+        controller.abort();
+        assert.strictEqual(client._pending.size, 0);
+        assert.deepStrictEqual(sent.map(m => m.method), ['tools/call', 'notifications/cancelled']);
+        assert.strictEqual(sent[1].params.requestId, sent[0].id);
+    });
+});
+
+describe('concurrent streams', () => {
+    it('should tag the events of an answer with its conversation and message', () => {
+        const answer = new AnswerStream('m1', { conversationId: 'c1', userId: 'alice' });
+        answer.push({ type: 'assistant_start', id: 'm1' });
+        const entry = answer.push({ type: 'content', content: 'Hi' });
+        assert.deepStrictEqual(entry, { type: 'content', content: 'Hi', conversationId: 'c1', messageId: 'm1', seq: 2 });
+    });
+
+    it('should name the request in the replies of a WebSocket sink', () => {
+        const ws = { OPEN: 1, readyState: 1, sent: [], send(message) { this.sent.push(JSON.parse(message)); } };
+        new WsSink(ws, { type: 'chat', conversationId: 'c1' }).reject(400, 'Message too long');
+        new WsSink(ws, { type: 'resume', messageId: 'm2' }).reject(400, 'Invalid lastEventId');
+        assert.deepStrictEqual(ws.sent, [
+            { type: 'error', message: 'Message too long', conversationId: 'c1', messageId: null },
+            { type: 'error', message: 'Invalid lastEventId', conversationId: null, messageId: 'm2' }
+        ]);
+    });
+
+    it('should report a failed cancel apart from the answer events', () => {
+        const ws = { OPEN: 1, readyState: 1, sent: [], send(message) { this.sent.push(JSON.parse(message)); } };
+        const sink = new WsSink(ws, { type: 'cancel', messageId: 'm1' });
+        sink.reject(403, 'Only the user who asked for this answer can stop it');
+        sink.unavailable('m1', 'No answer is being generated for this message');
+        assert.deepStrictEqual(ws.sent.map(e => e.type), ['cancel_failed', 'cancel_failed']);
+        assert.strictEqual(ws.sent[0].messageId, 'm1');
+    });
+});
+
 // ============ Run Tests ============
 
 // Simple test runner
@@ -0,0 +1,138 @@
+const cds = require('@sap/cds');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeParentLinks, getBranchPath, getLatestLeaf } = require('./message-tree');
+
+/**
+ * Share Service
+ * Read-only share links for conversations. A conversation has at most one active link;
+ * revoking deletes it, and sharing again creates a new token.
+ *
+ * Owner checks are done by the callers (routes); resolving a token only requires authentication.
+ */
+class ShareService {
+    /**
+     * Active share of a conversation, or null
+     */
+    async getShare(conversationId) {
+        const db = await cds.connect.to('db');
+        const share = await db.run(
+            SELECT.one.from('ai.chat.ConversationShares')
+                .where({ conversation_ID: conversationId })
+                .columns('token', 'createdAt')
+        );
+        return share || null;
+    }
+
+    /**
+     * Return the active share of a conversation, creating one if necessary
+     * @returns {Promise<{ token: string, createdAt: string }>}
+     */
+    async createShare(conversationId, userId) {
+        const existing = await this.getShare(conversationId);
+        if (existing) return existing;
+
+        const db = await cds.connect.to('db');
+        const share = {
+            ID: uuidv4(),
+            conversation_ID: conversationId,
+            userId,
+            token: crypto.randomBytes(24).toString('base64url'),
+            createdAt: new Date().toISOString(),
+            modifiedAt: new Date().toISOString()
+        };
+        await db.run(INSERT.into('ai.chat.ConversationShares').entries(share));
+        console.log(`Conversation ${conversationId} shared by ${userId}`);
+        return { token: share.token, createdAt: share.createdAt };
+    }
+
+    /**
+     * Revoke the share link of a conversation
+     * @returns {Promise<boolean>} false if the conversation was not shared
+     */
+    async revokeShare(conversationId) {
+        const db = await cds.connect.to('db');
+        const existing = await this.getShare(conversationId);
+        if (!existing) return false;
+
+        await db.run(DELETE.from('ai.chat.ConversationShares').where({ conversation_ID: conversationId }));
+        console.log(`Share link of conversation ${conversationId} revoked`);
+        return true;
+    }
+
+    /**
+     * Share row for a token (conversation_ID, userId), or null if unknown, revoked or
+     * the conversation is in the trash
+     */
+    async resolveToken(token) {
+        if (typeof token !== 'string' || token.length === 0 || token.length > 64) return null;
+        const db = await cds.connect.to('db');
+        return db.run(
+            SELECT.one.from('ai.chat.ConversationShares')
+                .where({
+                    token,
+                    conversation_ID: { in: SELECT('ID').from('ai.chat.Conversations').where({ deletedAt: null }) }
+                })
+                .columns('conversation_ID', 'userId', 'createdAt')
+        );
+    }
+
+    /**
+     * Read-only view of a shared conversation: its title and the messages of the
+     * latest branch with attachment metadata (content is fetched separately)
+     * @returns {Promise<object|null>} null if the token is unknown or revoked
+     */
+    async getSharedConversation(token) {
+        const share = await this.resolveToken(token);
+        if (!share) return null;
+
+        const db = await cds.connect.to('db');
+        const conversation = await db.run(
+            SELECT.one.from('ai.chat.Conversations')
+                .where({ ID: share.conversation_ID })
+                .columns('title', 'createdAt', 'modifiedAt')
+        );
+        if (!conversation) return null;
+
+        const path = await this.getSharedBranch(share.conversation_ID, ['role', 'content', 'sources']);
+
+        const attachments = path.length > 0
+            ? await db.run(
+                SELECT.from('ai.chat.MessageAttachments')
+                    .where({ message_ID: { in: path.map(m => m.ID) } })
+                    .columns('ID', 'message_ID', 'filename', 'mimeType')
+            )
+            : [];
+
+        return {
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            modifiedAt: conversation.modifiedAt,
+            sharedBy: share.userId,
+            sharedAt: share.createdAt,
+            messages: path.map(msg => ({
+                ...msg,
+                attachments: attachments.filter(a => a.message_ID === msg.ID)
+            }))
+        };
+    }
+
+    /**
+     * Messages of the branch a share shows (the latest one), root → leaf; only these and
+     * their attachments are visible through the share, not edited-away or regenerated branches
+     * @param {string[]} [columns] - Message columns besides ID, parent_ID and createdAt
+     */
+    async getSharedBranch(conversationId, columns = []) {
+        const db = await cds.connect.to('db');
+        const rows = await db.run(
+            SELECT.from('ai.chat.Messages')
+                .where({ conversation_ID: conversationId })
+                .columns('ID', 'parent_ID', 'createdAt', ...columns)
+        );
+        const messages = normalizeParentLinks(rows);
+        return getBranchPath(messages, getLatestLeaf(messages)?.ID);
+    }
+}
+
+// Export singleton instance
+module.exports = { ShareService, shareService: new ShareService() };
@@ -0,0 +1,199 @@
+// How long a finished answer can still be resumed (its events are kept in memory until then)
+const STREAM_RETENTION_MS = Number(process.env.STREAM_RETENTION_MS || 60 * 1000);
+// How long the status of a finished background job is kept (GET /api/chat/jobs); its events
+// are dropped after STREAM_RETENTION_MS like those of any other answer
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS || 60 * 60 * 1000);
+
+const FINAL_EVENT_TYPES = new Set(['done', 'error']);
+
+/**
+ * Whether an event ends the answer stream ('done' or 'error')
+ */
+function isFinalEvent(event) {
+    return FINAL_EVENT_TYPES.has(event?.type);
+}
+
+/**
+ * Parse the position a client resumes from (Last-Event-ID); missing = from the start
+ * @returns {number|null} null if invalid
+ */
+function parseEventId(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const seq = Number(value);
+    return Number.isInteger(seq) && seq >= 0 ? seq : null;
+}
+
+/**
+ * Event log of one assistant answer while it is generated. Events are numbered (seq, from 1)
+ * so a client that lost its connection can ask for the ones after the last it received, and
+ * carry the conversationId and messageId of the answer, so clients following several answers
+ * over one connection can tell them apart.
+ */
+class AnswerStream {
+    constructor(messageId, { conversationId, userId, background = false }) {
+        this.messageId = messageId;
+        this.conversationId = conversationId;
+        this.userId = userId;
+        this.background = background;  // Started as a background job (no client following it)
+        this.events = [];
+        this.content = '';
+        this.finished = false;
+        this.listeners = new Set();
+        this.startedAt = new Date().toISOString();
+        this.finishedAt = null;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * 'running' | 'completed' | 'stopped' | 'failed'
+     */
+    get status() {
+        if (!this.finished) return 'running';
+        const last = this.events[this.events.length - 1];
+        if (last.type === 'error') return 'failed';
+        return last.stopped ? 'stopped' : 'completed';
+    }
+
+    /**
+     * Aborted when the answer is cancelled
+     */
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    /**
+     * Ask the generation to stop; it ends the stream with a 'done' event marked stopped
+     */
+    cancel() {
+        if (!this.finished) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Append an event and pass it to the listeners; a final event ends the stream
+     * @returns {object} The event with its seq
+     */
+    push(event) {
+        if (this.finished) return null;
+        const entry = { ...event, conversationId: this.conversationId, messageId: this.messageId, seq: this.events.length + 1 };
+        this.events.push(entry);
+        if (entry.type === 'content') this.content += entry.content;
+        if (isFinalEvent(entry)) {
+            this.finished = true;
+            this.finishedAt = new Date().toISOString();
+        }
+        for (const listener of this.listeners) {
+            if (listener(entry) === false) this.listeners.delete(listener);
+        }
+        if (this.finished) {
+            this.listeners.clear();
+        }
+        return entry;
+    }
+
+    /**
+     * Replay the events after afterSeq to a listener, then pass it the new ones until the
+     * stream ends or the listener returns false
+     * @returns {function} Detach the listener
+     */
+    subscribe(listener, afterSeq = 0) {
+        for (const entry of this.events.slice(afterSeq)) {
+            if (listener(entry) === false) return () => {};
+        }
+        if (this.finished) return () => {};
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+/**
+ * Stream Registry
+ * The answers being generated by this server process, by assistant message ID. Generation runs
+ * independently of the client connections; clients subscribe to an answer and subscribe again
+ * after reconnecting. Finished answers stay available for STREAM_RETENTION_MS.
+ */
+class StreamRegistry {
+    constructor(retentionMs = STREAM_RETENTION_MS, jobRetentionMs = JOB_RETENTION_MS) {
+        this.retentionMs = retentionMs;
+        this.jobRetentionMs = jobRetentionMs;
+        this.streams = new Map();
+        this.finishedJobs = new Map();  // messageId -> { userId, job } of expired background streams
+    }
+
+    /**
+     * @param {object} owner - { conversationId, userId, background? }
+     */
+    create(messageId, owner) {
+        const stream = new AnswerStream(messageId, owner);
+        this.streams.set(messageId, stream);
+        return stream;
+    }
+
+    get(messageId) {
+        return this.streams.get(messageId) || null;
+    }
+
+    /**
+     * The background jobs a user started, running ones first, then the most recent
+     * @returns {object[]} { messageId, conversationId, status, startedAt, finishedAt, error? }
+     */
+    listJobs(userId) {
+        const running = (job) => job.status === 'running';
+        return [
+            ...[...this.streams.values()].filter(stream => stream.background && stream.userId === userId).map(toJob),
+            ...[...this.finishedJobs.values()].filter(entry => entry.userId === userId).map(entry => entry.job)
+        ].sort((a, b) => (running(b) - running(a)) || b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * Forget a finished answer after the retention period; the status of a background job
+     * is kept until JOB_RETENTION_MS
+     */
+    release(messageId) {
+        const timer = setTimeout(() => this.expire(messageId), this.retentionMs);
+        timer.unref?.();
+    }
+
+    /**
+     * Drop the events of a finished answer so it can no longer be resumed
+     */
+    expire(messageId) {
+        const stream = this.streams.get(messageId);
+        if (!stream) return;
+        this.streams.delete(messageId);
+        if (!stream.background) return;
+
+        this.finishedJobs.set(messageId, { userId: stream.userId, job: toJob(stream) });
+        const timer = setTimeout(() => this.finishedJobs.delete(messageId),
+            Math.max(this.jobRetentionMs - this.retentionMs, 0));
+        timer.unref?.();
+    }
+}
+
+/**
+ * Status of a background job as returned by the API
+ */
+function toJob(stream) {
+    const job = {
+        messageId: stream.messageId,
+        conversationId: stream.conversationId,
+        status: stream.status,
+        startedAt: stream.startedAt,
+        finishedAt: stream.finishedAt
+    };
+    if (job.status === 'failed') {
+        job.error = stream.events[stream.events.length - 1].message;
+    }
+    return job;
+}
+
+// Export singleton instance
+module.exports = {
+    AnswerStream,
+    StreamRegistry,
+    streamRegistry: new StreamRegistry(),
+    isFinalEvent,
+    parseEventId,
+    toJob
+};
@@ -0,0 +1,148 @@
+/**
+ * Tool Registry
+ * Server-side tools the model can call during a chat turn.
+ *
+ * A tool is a plain object:
+ *   {
+ *     name:        'calculator',                     // unique, [a-zA-Z0-9_-]
+ *     description: 'Evaluate an arithmetic expression',
+ *     inputSchema: { type: 'object', properties: {...}, required: [...] },
+ *     handler:     async (input, context) => 'result text',
+ *     isEnabled:   (context) => true,                 // optional, e.g. require a deployment
+ *     statusEvent: (inputs) => ({ type: '...' })      // optional client event while the tool runs
+ *   }
+ *
+ * The context passed to handlers contains the calling AiCoreClient (`client`) and whatever
+ * the caller passed as `options.toolContext` (the chat endpoints pass userId and conversationId),
+ * and `signal`, an AbortSignal that is aborted when the answer is cancelled (if any).
+ * A context with `allowedTools` (array of names) only offers those tools, e.g. the ones
+ * enabled for a persona.
+ */
+
+const TOOL_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+class ToolRegistry {
+    constructor() {
+        this._tools = new Map();
+    }
+
+    /**
+     * Register a tool. Registering an existing name replaces the previous tool.
+     */
+    register(tool) {
+        if (!tool || typeof tool !== 'object') {
+            throw new Error('Tool definition must be an object');
+        }
+        if (typeof tool.name !== 'string' || !TOOL_NAME_RE.test(tool.name)) {
+            throw new Error(`Invalid tool name: ${tool.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool ${tool.name} has no handler`);
+        }
+        if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+            throw new Error(`Tool ${tool.name} needs an object inputSchema`);
+        }
+
+        this._tools.set(tool.name, tool);
+        return this;
+    }
+
+    unregister(name) {
+        return this._tools.delete(name);
+    }
+
+    get(name) {
+        return this._tools.get(name) || null;
+    }
+
+    /**
+     * Tools that are enabled for the given context
+     */
+    list(context = {}) {
+        const allowed = Array.isArray(context.allowedTools) ? new Set(context.allowedTools) : null;
+        return [...this._tools.values()].filter(tool => {
+            if (allowed && !allowed.has(tool.name)) return false;
+            try {
+                return tool.isEnabled ? Boolean(tool.isEnabled(context)) : true;
+            } catch (e) {
+                console.error(`Tool ${tool.name} isEnabled check failed:`, e.message);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Tool definitions in Anthropic Messages API format
+     */
+    getAnthropicTools(context = {}) {
+        return this.list(context).map(tool => ({
+            name: tool.name,
+            description: tool.description || '',
+            input_schema: tool.inputSchema
+        }));
+    }
+
+    /**
+     * Tool definitions in OpenAI function-calling format
+     */
+    getOpenAITools(context = {}) {
+        return this.list(context).map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description || '',
+                parameters: tool.inputSchema
+            }
+        }));
+    }
+
+    /**
+     * Event sent to the client while a tool runs (inputs may be empty while they are still streaming)
+     */
+    statusEvent(name, inputs = []) {
+        const tool = this.get(name);
+        if (tool?.statusEvent) {
+            return tool.statusEvent(inputs);
+        }
+        return { type: 'tool_start', tool: name };
+    }
+
+    /**
+     * Run a tool and return its result as text. Failures are returned as results
+     * (with isError set) so the model can recover instead of aborting the turn.
+     * @returns {Promise<{ content: string, isError: boolean }>}
+     */
+    async execute(name, input, context = {}) {
+        const tool = this.list(context).find(t => t.name === name);
+        if (!tool) {
+            return { content: `Unknown tool: ${name}`, isError: true };
+        }
+
+        try {
+            const result = await tool.handler(input || {}, context);
+            return {
+                content: typeof result === 'string' ? result : JSON.stringify(result),
+                isError: false
+            };
+        } catch (e) {
+            console.error(`Tool ${name} failed:`, e.message);
+            return { content: `Tool ${name} failed: ${e.message}`, isError: true };
+        }
+    }
+}
+
+let _sharedRegistry = null;
+
+/**
+ * Shared registry with the built-in tools registered.
+ * Additional modules register their tools on it at startup.
+ */
+function getToolRegistry() {
+    if (!_sharedRegistry) {
+        _sharedRegistry = new ToolRegistry();
+        _sharedRegistry.register(require('./tools/web-search'));
+    }
+    return _sharedRegistry;
+}
+
+module.exports = { ToolRegistry, getToolRegistry };
@@ -0,0 +1,21 @@
+/**
+ * web_search tool - live web search via Perplexity Sonar on AI Core.
+ * Only offered when AICORE_PERPLEXITY_DEPLOYMENT_ID is configured.
+ */
+module.exports = {
+    name: 'web_search',
+    description: 'Search the web for current, real-time, or recent information. Use this when the user asks about recent events, current news, live data, prices, or anything that may have changed after your training cutoff.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'The search query' }
+        },
+        required: ['query']
+    },
+    isEnabled: ({ client }) => Boolean(client?.perplexityDeploymentId),
+    statusEvent: (inputs) => ({ type: 'web_search_start', queries: inputs.map(i => i?.query).filter(Boolean) }),
+    handler: async ({ query }, { client, signal }) => {
+        console.log(`Web search triggered: "${query}"`);
+        return client.callPerplexity(query, { signal });
+    }
+};
@@ -0,0 +1,136 @@
+const cds = require('@sap/cds');
+const { workspaceService, conversationRole, hasPermission } = require('./workspace-service');
+
+// Days a conversation stays in the trash before it is purged; 0 = until the trash is emptied
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+// How often the purge job looks for expired conversations
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS || 60 * 60 * 1000);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a conversation deleted at the given time is purged, or null if it is kept
+ */
+function purgeDate(deletedAt, retentionDays = TRASH_RETENTION_DAYS) {
+    if (!deletedAt || !(retentionDays > 0)) return null;
+    return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Trash Service
+ * Deleting a conversation moves it to the trash (Conversations.deletedAt); it disappears
+ * from lists, search and share links but can be restored until it is purged, either by
+ * hand or by the purge job after TRASH_RETENTION_DAYS.
+ *
+ * Permission checks are done by the callers (routes, ChatService) through
+ * workspaceService.checkConversationAccess(..., { trashed: true }).
+ */
+class TrashService {
+    constructor() {
+        this._purgeTimer = null;
+    }
+
+    // ─── Trash ────────────────────────────────────────────────────────────────
+
+    async moveToTrash(conversationId, userId) {
+        const db = await cds.connect.to('db');
+        await db.run(
+            UPDATE('ai.chat.Conversations')
+                .set({ deletedAt: new Date().toISOString(), deletedBy: userId })
+                .where({ ID: conversationId })
+        );
+    }
+
+    async restore(conversationId) {
+        const db = await cds.connect.to('db');
+        await db.run(
+            UPDATE('ai.chat.Conversations').set({ deletedAt: null, deletedBy: null }).where({ ID: conversationId })
+        );
+    }
+
+    /**
+     * Conversations in the trash that the user may restore or purge (personal ones
+     * and workspace conversations the user owns), most recently deleted first
+     */
+    async listTrash(userId) {
+        const db = await cds.connect.to('db');
+        const [conversations, workspaces] = await Promise.all([
+            db.run(
+                SELECT.from('ai.chat.Conversations')
+                    .where(await workspaceService.conversationScope(userId, undefined, { trashed: true }))
+                    .columns('ID', 'title', 'userId', 'workspace_ID', 'deletedAt', 'deletedBy')
+                    .orderBy('deletedAt desc')
+            ),
+            workspaceService.listWorkspaces(userId)
+        ]);
+        const roleByWorkspace = new Map(workspaces.map(w => [w.ID, w.role]));
+        return conversations
+            .filter(c => hasPermission(conversationRole(c, userId, roleByWorkspace.get(c.workspace_ID)), 'manage'))
+            .map(({ userId: _owner, ...c }) => ({ ...c, purgeAt: purgeDate(c.deletedAt) }));
+    }
+
+    // ─── Purging ──────────────────────────────────────────────────────────────
+
+    /**
+     * Delete a conversation for good, with its messages, attachments and everything linked to it
+     */
+    async purgeConversation(conversationId) {
+        const db = await cds.connect.to('db');
+
+        const messages = await db.run(
+            SELECT.from('ai.chat.Messages').where({ conversation_ID: conversationId }).columns('ID')
+        );
+        const messageIds = messages.map(m => m.ID);
+        if (messageIds.length > 0) {
+            await db.run(DELETE.from('ai.chat.MessageAttachments').where({ message_ID: { in: messageIds } }));
+        }
+
+        await db.run(DELETE.from('ai.chat.DocumentChunks').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.MessageEmbeddings').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.ConversationLabels').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.ConversationTags').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.ConversationCollections').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.ConversationShares').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.Messages').where({ conversation_ID: conversationId }));
+        await db.run(DELETE.from('ai.chat.Conversations').where({ ID: conversationId }));
+    }
+
+    /**
+     * Purge the conversations that have been in the trash longer than the retention period
+     * @returns {Promise<number>} Number of purged conversations
+     */
+    async purgeExpired(retentionDays = TRASH_RETENTION_DAYS) {
+        if (!(retentionDays > 0)) return 0;
+        const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+        const db = await cds.connect.to('db');
+        const expired = await db.run(
+            SELECT.from('ai.chat.Conversations').where({ deletedAt: { '<': cutoff } }).columns('ID')
+        );
+        for (const { ID } of expired) {
+            await this.purgeConversation(ID);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Run purgeExpired now and then every TRASH_PURGE_INTERVAL_MS (no-op without retention)
+     */
+    startPurgeJob() {
+        if (this._purgeTimer || !(TRASH_RETENTION_DAYS > 0)) return;
+        const run = () => this.purgeExpired()
+            .then(count => { if (count > 0) console.log(`Trash: purged ${count} expired conversation(s)`); })
+            .catch(e => console.error('Trash purge failed:', e.message));
+        run();
+        // unref() so the job does not keep the process alive on shutdown
+        this._purgeTimer = setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+    }
+
+    stopPurgeJob() {
+        clearInterval(this._purgeTimer);
+        this._purgeTimer = null;
+    }
+}
+
+// Export singleton instance
+module.exports = { TrashService, trashService: new TrashService(), purgeDate, TRASH_RETENTION_DAYS };
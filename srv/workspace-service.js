@@ -0,0 +1,233 @@
+const cds = require('@sap/cds');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Roles of workspace members and what they may do with the workspace's conversations.
+ * The creator of a conversation counts as its owner (unless only a viewer of the workspace);
+ * personal conversations are owned by their userId.
+ */
+const ROLE_PERMISSIONS = {
+    owner: ['read', 'write', 'manage'],
+    editor: ['read', 'write'],
+    viewer: ['read']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Whether a role grants a permission ('read' | 'write' | 'manage')
+ */
+function hasPermission(role, permission) {
+    return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Role of a user for a conversation, given the user's role in its workspace (if any)
+ * @returns {string|null} null = no access
+ */
+function conversationRole(conversation, userId, memberRole) {
+    if (!conversation.workspace_ID) {
+        return conversation.userId === userId ? 'owner' : null;
+    }
+    if (!memberRole) return null;
+    return conversation.userId === userId && memberRole !== 'viewer' ? 'owner' : memberRole;
+}
+
+const PERMISSION_ERRORS = {
+    write: 'Read-only access to this conversation',
+    manage: 'Only the owner can do this'
+};
+
+/**
+ * Workspace Service
+ * Team workspaces with members and roles, and the access checks for conversations
+ * (personal or in a workspace) used by server.js and ChatService.
+ */
+class WorkspaceService {
+    // ─── Conversation access ──────────────────────────────────────────────────
+
+    /**
+     * Load a conversation and check the user's permission on it
+     * @param {object} [options] - { trashed: true } to check a conversation in the trash instead
+     * @returns {Promise<{ conversation, role }|{ status: number, error: string }>}
+     */
+    async checkConversationAccess(conversationId, userId, permission = 'read', { trashed = false } = {}) {
+        const db = await cds.connect.to('db');
+        const conversation = await db.run(
+            SELECT.one.from('ai.chat.Conversations').where({ ID: conversationId })
+        );
+        // Conversations in the trash only exist for restoring or purging them
+        const found = conversation && Boolean(conversation.deletedAt) === trashed;
+        const role = found && conversationRole(
+            conversation, userId,
+            conversation.workspace_ID ? await this.getMemberRole(conversation.workspace_ID, userId) : null
+        );
+        if (!role) {
+            return { status: 404, error: 'Conversation not found or access denied' };
+        }
+        if (!hasPermission(role, permission)) {
+            return { status: 403, error: PERMISSION_ERRORS[permission] };
+        }
+        return { conversation, role };
+    }
+
+    /**
+     * CQL where clause for the conversations a user can read
+     * @param {string|null|undefined} workspaceId - undefined = all, null = personal only, ID = one workspace
+     * @param {object} [options] - { trashed: true } for the conversations in the trash instead
+     * @returns {Promise<object|null>} null if the user is not a member of the given workspace
+     */
+    async conversationScope(userId, workspaceId, { trashed = false } = {}) {
+        const deletedAt = trashed ? { '!=': null } : null;
+        if (workspaceId === null) {
+            return { userId, workspace_ID: null, deletedAt };
+        }
+        if (workspaceId !== undefined) {
+            return await this.getMemberRole(workspaceId, userId) ? { workspace_ID: workspaceId, deletedAt } : null;
+        }
+        const workspaceIds = (await this._memberships(userId)).map(m => m.workspace_ID);
+        return workspaceIds.length > 0
+            ? { userId, workspace_ID: null, deletedAt, or: { workspace_ID: { in: workspaceIds }, deletedAt } }
+            : { userId, workspace_ID: null, deletedAt };
+    }
+
+    // ─── Workspaces ───────────────────────────────────────────────────────────
+
+    /**
+     * Role of a user in a workspace, or null if not a member
+     */
+    async getMemberRole(workspaceId, userId) {
+        const db = await cds.connect.to('db');
+        const member = await db.run(
+            SELECT.one.from('ai.chat.WorkspaceMembers').where({ workspace_ID: workspaceId, userId }).columns('role')
+        );
+        return member?.role || null;
+    }
+
+    /**
+     * Workspaces of a user with the user's role and the member count
+     */
+    async listWorkspaces(userId) {
+        const memberships = await this._memberships(userId);
+        if (memberships.length === 0) return [];
+
+        const db = await cds.connect.to('db');
+        const ids = memberships.map(m => m.workspace_ID);
+        const workspaces = await db.run(
+            SELECT.from('ai.chat.Workspaces').where({ ID: { in: ids } }).columns('ID', 'name', 'createdAt').orderBy('name asc')
+        );
+        const counts = await db.run(
+            SELECT.from('ai.chat.WorkspaceMembers')
+                .where({ workspace_ID: { in: ids } })
+                .columns('workspace_ID', 'count(*) as count')
+                .groupBy('workspace_ID')
+        );
+        const roleById = new Map(memberships.map(m => [m.workspace_ID, m.role]));
+        const countById = new Map(counts.map(c => [c.workspace_ID, Number(c.count)]));
+        return workspaces.map(w => ({ ...w, role: roleById.get(w.ID), memberCount: countById.get(w.ID) || 0 }));
+    }
+
+    /**
+     * Create a workspace with the user as its owner
+     */
+    async createWorkspace(userId, name) {
+        const db = await cds.connect.to('db');
+        const now = new Date().toISOString();
+        const workspace = { ID: uuidv4(), name, createdAt: now, modifiedAt: now };
+        await db.run(INSERT.into('ai.chat.Workspaces').entries(workspace));
+        await db.run(INSERT.into('ai.chat.WorkspaceMembers').entries({
+            ID: uuidv4(), workspace_ID: workspace.ID, userId, role: 'owner', createdAt: now, modifiedAt: now
+        }));
+        return { ID: workspace.ID, name, createdAt: now, role: 'owner', memberCount: 1 };
+    }
+
+    async renameWorkspace(workspaceId, name) {
+        const db = await cds.connect.to('db');
+        await db.run(UPDATE('ai.chat.Workspaces').set({ name, modifiedAt: new Date().toISOString() }).where({ ID: workspaceId }));
+    }
+
+    /**
+     * Delete a workspace; its conversations become personal chats of their creators,
+     * its shared prompt templates are deleted
+     */
+    async deleteWorkspace(workspaceId) {
+        const db = await cds.connect.to('db');
+        await db.run(UPDATE('ai.chat.Conversations').set({ workspace_ID: null }).where({ workspace_ID: workspaceId }));
+        await db.run(DELETE.from('ai.chat.PromptTemplates').where({ workspace_ID: workspaceId }));
+        await db.run(DELETE.from('ai.chat.WorkspaceMembers').where({ workspace_ID: workspaceId }));
+        await db.run(DELETE.from('ai.chat.Workspaces').where({ ID: workspaceId }));
+        console.log(`Deleted workspace ${workspaceId}`);
+    }
+
+    // ─── Members ──────────────────────────────────────────────────────────────
+
+    async listMembers(workspaceId) {
+        const db = await cds.connect.to('db');
+        return db.run(
+            SELECT.from('ai.chat.WorkspaceMembers')
+                .where({ workspace_ID: workspaceId })
+                .columns('userId', 'role', 'createdAt')
+                .orderBy('createdAt asc')
+        );
+    }
+
+    /**
+     * Add a member or change the role of an existing one
+     * @returns {Promise<{ error?: string }>} error if the change would leave the workspace without an owner
+     */
+    async setMember(workspaceId, userId, role) {
+        const db = await cds.connect.to('db');
+        const current = await this.getMemberRole(workspaceId, userId);
+        const now = new Date().toISOString();
+
+        if (!current) {
+            await db.run(INSERT.into('ai.chat.WorkspaceMembers').entries({
+                ID: uuidv4(), workspace_ID: workspaceId, userId, role, createdAt: now, modifiedAt: now
+            }));
+            return {};
+        }
+        if (current === 'owner' && role !== 'owner' && await this._ownerCount(db, workspaceId) <= 1) {
+            return { error: 'A workspace needs at least one owner' };
+        }
+        await db.run(
+            UPDATE('ai.chat.WorkspaceMembers').set({ role, modifiedAt: now }).where({ workspace_ID: workspaceId, userId })
+        );
+        return {};
+    }
+
+    /**
+     * Remove a member (or let a member leave)
+     * @returns {Promise<{ error?: string, status?: number }>}
+     */
+    async removeMember(workspaceId, userId) {
+        const db = await cds.connect.to('db');
+        const current = await this.getMemberRole(workspaceId, userId);
+        if (!current) {
+            return { status: 404, error: 'Member not found' };
+        }
+        if (current === 'owner' && await this._ownerCount(db, workspaceId) <= 1) {
+            return { status: 400, error: 'A workspace needs at least one owner' };
+        }
+        await db.run(DELETE.from('ai.chat.WorkspaceMembers').where({ workspace_ID: workspaceId, userId }));
+        return {};
+    }
+
+    async _memberships(userId) {
+        const db = await cds.connect.to('db');
+        return db.run(
+            SELECT.from('ai.chat.WorkspaceMembers').where({ userId }).columns('workspace_ID', 'role')
+        );
+    }
+
+    async _ownerCount(db, workspaceId) {
+        const result = await db.run(
+            SELECT.one.from('ai.chat.WorkspaceMembers')
+                .where({ workspace_ID: workspaceId, role: 'owner' })
+                .columns('count(*) as count')
+        );
+        return Number(result?.count || 0);
+    }
+}
+
+// Export singleton instance
+module.exports = { WorkspaceService, workspaceService: new WorkspaceService(), ROLES, hasPermission, conversationRole };